@@ -0,0 +1,160 @@
+// --- Account Data ---
+// Self-service export and deletion of a user's data, as promised on the
+// Privacy Policy page. Both are written to `account_audit_log`.
+//
+// Deleting the auth user cascades to every table keyed on it, so the service
+// only has to clear what the cascade misses: files in storage, and blog
+// images, whose `uploaded_by` is merely set to NULL.
+import { selectAllPages } from '../lib/supabase.js';
+
+const AVATAR_BUCKET = 'avatars';
+const BLOG_IMAGE_BUCKET = 'blog-images';
+const STORAGE_BATCH_SIZE = 100;
+
+// Everything exported, by table, read in pages ordered by `order` (the `id`
+// column unless the table has none). Linked accounts leave out their tokens.
+const EXPORT_TABLES = [
+    { key: 'profile', table: 'profiles', column: 'id', single: true },
+    { key: 'viewer_profiles', table: 'viewer_profiles', column: 'user_id' },
+    { key: 'favorites', table: 'favorites', column: 'user_id' },
+    { key: 'watch_history', table: 'watch_history', column: 'user_id' },
+    { key: 'watch_progress', table: 'watch_progress', column: 'user_id' },
+    { key: 'watchlists', table: 'watchlists', column: 'user_id' },
+    { key: 'watchlist_items', table: 'watchlist_items', column: 'user_id' },
+    { key: 'notifications', table: 'notifications', column: 'user_id' },
+    { key: 'notification_mutes', table: 'notification_mutes', column: 'user_id' },
+    { key: 'episode_marker_votes', table: 'episode_marker_votes', column: 'user_id' },
+    { key: 'parental_controls', table: 'parental_controls', column: 'user_id', columns: 'created_at, updated_at', order: 'user_id', single: true },
+    { key: 'linked_accounts', table: 'linked_accounts', column: 'user_id', columns: 'provider, remote_user_id, remote_username, created_at, updated_at', order: 'provider' },
+    { key: 'blog_posts', table: 'blog_posts', column: 'author_id' }
+];
+
+const chunk = (items, size) => Array.from({ length: Math.ceil(items.length / size) }, (_, i) => items.slice(i * size, (i + 1) * size));
+
+/**
+ * Creates the account data service.
+ *
+ * @param {object} options - { supabase }, the service-role client.
+ * @returns {object} { exportData, deleteAccount }
+ */
+export const createAccountService = ({ supabase }) => {
+    const check = ({ data, error }, action) => {
+        if (error) {
+            throw new Error(`Could not ${action}: ${error.message}`);
+        }
+        return data || [];
+    };
+
+    // A failed audit write is logged but never undoes the action itself
+    const audit = async (userId, action, details = {}) => {
+        const { error } = await supabase.from('account_audit_log').insert({ user_id: userId, action, details });
+        if (error) {
+            console.error(`[ACCOUNT] Could not audit ${action} for ${userId}: ${error.message}`);
+        }
+    };
+
+    // --- Export ---
+    /**
+     * Collects everything stored about the user.
+     *
+     * @param {object} user - The Supabase auth user.
+     * @returns {Promise<object>} The bundle, one key per table.
+     */
+    const exportData = async (user) => {
+        const bundle = {
+            exported_at: new Date().toISOString(),
+            account: {
+                id: user.id,
+                email: user.email,
+                created_at: user.created_at,
+                last_sign_in_at: user.last_sign_in_at,
+                user_metadata: user.user_metadata || {}
+            }
+        };
+
+        for (const { key, table, column, columns = '*', order = 'id', single } of EXPORT_TABLES) {
+            const rows = check(await selectAllPages(() => supabase.from(table).select(columns).eq(column, user.id).order(order)), `read ${table}`);
+            bundle[key] = single ? rows[0] || null : rows;
+        }
+
+        await audit(user.id, 'data_exported', {
+            counts: Object.fromEntries(EXPORT_TABLES.filter(({ single }) => !single).map(({ key }) => [key, bundle[key].length]))
+        });
+        return bundle;
+    };
+
+    // --- Deletion ---
+    // Storage paths of the user's avatars, viewer profiles' included, and of
+    // every blog image they uploaded or that belongs to a post they wrote
+    const storageObjectsOf = async (userId) => {
+        // Storage lists a folder a page at a time
+        const avatars = [];
+        for (let offset = 0; ; offset += STORAGE_BATCH_SIZE) {
+            const { data, error } = await supabase.storage.from(AVATAR_BUCKET).list(userId, { limit: STORAGE_BATCH_SIZE, offset });
+            if (error) {
+                throw new Error(`Could not list avatars: ${error.message}`);
+            }
+            avatars.push(...(data || []));
+            if (!data || data.length < STORAGE_BATCH_SIZE) break;
+        }
+
+        const posts = check(await supabase.from('blog_posts').select('id').eq('author_id', userId), 'read blog posts');
+        const [uploaded, onPosts] = await Promise.all([
+            supabase.from('blog_images').select('id, storage_path').eq('uploaded_by', userId),
+            posts.length > 0
+                ? supabase.from('blog_images').select('id, storage_path').in('post_id', posts.map(post => post.id))
+                : { data: [], error: null }
+        ]);
+        const images = new Map([...check(uploaded, 'read blog images'), ...check(onPosts, 'read blog images')]
+            .map(image => [image.id, image.storage_path]));
+
+        return {
+            [AVATAR_BUCKET]: avatars.map(file => `${userId}/${file.name}`),
+            [BLOG_IMAGE_BUCKET]: [...new Set(images.values())],
+            blogImageIds: [...images.keys()]
+        };
+    };
+
+    const removeFiles = async (bucket, paths) => {
+        for (const batch of chunk(paths, STORAGE_BATCH_SIZE)) {
+            const { error } = await supabase.storage.from(bucket).remove(batch);
+            if (error) {
+                throw new Error(`Could not delete files from ${bucket}: ${error.message}`);
+            }
+        }
+    };
+
+    /**
+     * Deletes the user's files, then the auth user, which cascades to their
+     * rows. Files go first so a failure leaves an account that can try again
+     * rather than orphaned files.
+     *
+     * @param {object} user - The Supabase auth user.
+     * @returns {Promise<object>} { files } - The number of files removed.
+     */
+    const deleteAccount = async (user) => {
+        try {
+            const objects = await storageObjectsOf(user.id);
+            await removeFiles(AVATAR_BUCKET, objects[AVATAR_BUCKET]);
+            await removeFiles(BLOG_IMAGE_BUCKET, objects[BLOG_IMAGE_BUCKET]);
+            if (objects.blogImageIds.length > 0) {
+                check(await supabase.from('blog_images').delete().in('id', objects.blogImageIds), 'delete blog images');
+            }
+
+            const { error } = await supabase.auth.admin.deleteUser(user.id);
+            if (error) {
+                throw new Error(`Could not delete user: ${error.message}`);
+            }
+
+            const files = objects[AVATAR_BUCKET].length + objects[BLOG_IMAGE_BUCKET].length;
+            await audit(user.id, 'account_deleted', { files });
+            console.log(`[ACCOUNT] Deleted account ${user.id} and ${files} files`);
+            return { files };
+        } catch (error) {
+            await audit(user.id, 'account_delete_failed', { error: error.message });
+            throw error;
+        }
+    };
+
+    return { exportData, deleteAccount };
+};
@@ -0,0 +1,136 @@
+import cors from 'cors';
+import express from 'express';
+import { promises as dns } from 'node:dns';
+import { createResponseCache } from './lib/cache.js';
+import { createCorsOptions } from './lib/cors.js';
+import { createUpstream } from './lib/upstream.js';
+import { getSupabaseAdmin } from './lib/supabase.js';
+import { createMappingService } from './mapping/index.js';
+import { createMappingStore } from './mapping/store.js';
+import { createEpisodeService } from './episodes/index.js';
+import { createFranchiseService } from './franchise/index.js';
+import { createScheduleService } from './schedule/index.js';
+import { createNotificationService } from './notifications/index.js';
+import { createSyncService } from './sync/index.js';
+import { createTraktService } from './trakt/index.js';
+import { createAccountService } from './account/index.js';
+import { createMaturityService } from './maturity/index.js';
+import { createParentalPin } from './maturity/pin.js';
+import { createMarkerService } from './markers/index.js';
+import { createPartyService } from './party/index.js';
+import { createSubtitleService } from './subtitles/index.js';
+import { createImageProxyRouter } from './routes/images.js';
+import { createStreamingRouter } from './routes/streaming.js';
+import { createAniListRouter } from './routes/anilist.js';
+import { createAdminRouter } from './routes/admin.js';
+import { createHealthRouter } from './routes/health.js';
+import { createAnimeRouter } from './routes/anime.js';
+import { createTmdbRouter } from './routes/tmdb.js';
+import { createConsumetRouter } from './routes/consumet.js';
+import { createSearchRouter } from './routes/search.js';
+import { createTrendingRouter } from './routes/trending.js';
+import { createShikimoriRouter } from './routes/shikimori.js';
+import { createMappingRouter } from './routes/mapping.js';
+import { createScheduleRouter } from './routes/schedule.js';
+import { createNotificationsRouter } from './routes/notifications.js';
+import { createSyncRouter } from './routes/sync.js';
+import { createTraktRouter } from './routes/trakt.js';
+import { createAccountRouter } from './routes/account.js';
+import { createParentalRouter } from './routes/parental.js';
+import { createMarkersRouter } from './routes/markers.js';
+import { createPartyRouter } from './routes/party.js';
+import { createSubtitlesRouter } from './routes/subtitles.js';
+
+/**
+ * Builds the API as an Express app. Nothing is read from the process at
+ * import time, so tests can create as many isolated apps as they need.
+ *
+ * @param {object} [options]
+ * @param {Function} [options.fetch] - Used for every outgoing request. TMDB,
+ *   AniList and Shikimori calls are rate limited on top of it.
+ * @param {object} [options.env] - Environment variables (defaults to process.env).
+ * @param {object} [options.cache] - A response cache from createResponseCache().
+ * @param {Function} [options.lookup] - DNS lookup used by the image proxy's
+ *   private address check (defaults to dns.promises.lookup).
+ * @param {object|null} [options.supabase] - Service-role Supabase client used
+ *   for signed-in users' data and the ID mapping cache (defaults to
+ *   getSupabaseAdmin(env)).
+ * @returns {object} The Express app. Its watch party rooms are in
+ *   `app.locals.party`, for attachPartySocket().
+ */
+export const createApp = ({
+    fetch = globalThis.fetch,
+    env = process.env,
+    cache = createResponseCache(),
+    lookup = dns.lookup,
+    supabase = getSupabaseAdmin(env)
+} = {}) => {
+    const app = express();
+    const upstream = createUpstream({ fetch });
+    const { resolveMapping } = createMappingService({ fetch: upstream.fetch, env, store: createMappingStore(supabase) });
+    const { getEpisodes } = createEpisodeService({ fetch: upstream.fetch, env, resolveMapping });
+    const { getFranchise } = createFranchiseService({ fetch: upstream.fetch });
+    const { getSchedule } = createScheduleService({ fetch: upstream.fetch, env });
+    const { checkNewEpisodes } = createNotificationService({ fetch: upstream.fetch, env, supabase });
+    const sync = createSyncService({ fetch: upstream.fetch, env, supabase, resolveMapping });
+    const trakt = createTraktService({ fetch: upstream.fetch, env, supabase, resolveMapping, sync });
+    const account = createAccountService({ supabase });
+    const maturity = createMaturityService({ fetch: upstream.fetch, env, supabase, resolveMapping });
+    const parentalPin = createParentalPin({ supabase });
+    const markers = createMarkerService({ supabase });
+    const party = createPartyService();
+    const subtitles = createSubtitleService({ fetch: upstream.fetch, env });
+    const deps = {
+        env, fetch: upstream.fetch, cache, upstream, supabase, lookup,
+        resolveMapping, getEpisodes, getFranchise, getSchedule, checkNewEpisodes, sync, trakt, account,
+        maturity, parentalPin, markers, party, subtitles
+    };
+
+    // --- Middleware ---
+    app.use(express.json());
+
+    // Strip '/api' prefix for Vercel/local consistency
+    app.use((req, res, next) => {
+        if (req.url.startsWith('/api')) {
+            req.url = req.url.slice(4) || '/';
+        }
+        next();
+    });
+
+    app.use(cors(createCorsOptions(env)));
+
+    // --- API Routes ---
+    app.use(createImageProxyRouter(deps));
+    app.use(createStreamingRouter(deps));
+    app.use(createAniListRouter(deps));
+    app.use(createAdminRouter(deps));
+    app.use(createHealthRouter(deps));
+    // The anime routes live under /tmdb/anime/* and must precede the generic TMDB proxy
+    app.use(createAnimeRouter(deps));
+    app.use(createTmdbRouter(deps));
+    app.use(createConsumetRouter(deps));
+    app.use(createSearchRouter(deps));
+    app.use(createTrendingRouter(deps));
+    app.use(createShikimoriRouter(deps));
+    app.use(createMappingRouter(deps));
+    app.use(createScheduleRouter(deps));
+    app.use(createNotificationsRouter(deps));
+    app.use(createSyncRouter(deps));
+    app.use(createTraktRouter(deps));
+    app.use(createAccountRouter(deps));
+    app.use(createParentalRouter(deps));
+    app.use(createMarkersRouter(deps));
+    app.use(createPartyRouter(deps));
+    app.use(createSubtitlesRouter(deps));
+
+    // Catch-all for 404 API routes
+    app.all('*', (req, res) => {
+        res.status(404).json({ error: `API route not found: ${req.method} ${req.url}` });
+    });
+
+    // The watch party socket needs the HTTP server; see api/party/socket.js
+    app.locals.party = party;
+    app.locals.env = env;
+
+    return app;
+};
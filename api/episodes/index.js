@@ -0,0 +1,273 @@
+// --- Anime Episode Metadata ---
+// Builds the episode list for an AniList entry from every source that knows
+// something about it: TMDB season data (titles, overviews, stills, air dates),
+// AniList streaming episodes and airing schedule (titles, thumbnails, air
+// dates) and Shikimori episodes (titles, air dates, filler/recap flags).
+// Any source may be missing or down; the list is built from whatever answered.
+
+const SPLIT_COUR_TOLERANCE_DAYS = 2; // TMDB and AniList dates can disagree by a broadcast day
+const MAX_TMDB_SEASONS = 2; // One AniList entry spans at most two TMDB seasons
+const GENERIC_TITLE = /^(episode|эпизод)\s*\d+$/i;
+const RECAP_TITLE = /\b(recap|summary|digest)\b|総集編/i;
+
+export class AnimeNotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AnimeNotFoundError';
+    }
+}
+
+const EPISODES_QUERY = `
+    query ($id: Int) {
+        Media(id: $id, type: ANIME) {
+            id
+            idMal
+            title { romaji english native }
+            format
+            status
+            episodes
+            duration
+            bannerImage
+            coverImage { large }
+            startDate { year month day }
+            nextAiringEpisode { episode airingAt }
+            streamingEpisodes { title thumbnail url site }
+            airingSchedule(perPage: 50) { nodes { episode airingAt } }
+        }
+    }
+`;
+
+// --- Helpers ---
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatFuzzyDate = (date) => (date?.year
+    ? `${date.year}-${pad(date.month || 1)}-${pad(date.day || 1)}`
+    : null);
+
+const addDays = (isoDate, days) => {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+const isGenericTitle = (title) => !title || GENERIC_TITLE.test(title.trim());
+
+// "Episode 5 - Ballad of Fallen Angels" -> { number: 5, title: 'Ballad of Fallen Angels' }
+const parseStreamingEpisode = (episode) => {
+    const match = episode.title?.match(/^Episode\s+(\d+)\s*(?:[-–:]\s*(.*))?$/i);
+    if (!match) return null;
+    return { number: parseInt(match[1]), title: match[2]?.trim() || null, thumbnail: episode.thumbnail || null };
+};
+
+const byNumber = (items, numberOf) => new Map(items.map(item => [numberOf(item), item]));
+
+/**
+ * Works out which TMDB episodes belong to an AniList entry. TMDB usually
+ * groups split-cour shows into one season, while AniList has one entry per
+ * cour, so the entry is located by its start date: the latest TMDB season
+ * that started by then, from the first episode airing on or after it.
+ *
+ * @param {object} show - TMDB /tv/{id} response.
+ * @param {string|null} startDate - The AniList entry's start date (YYYY-MM-DD).
+ * @returns {object|null} { seasonNumber } of the season to start from.
+ */
+export const pickTmdbSeason = (show, startDate) => {
+    const seasons = (show?.seasons || [])
+        .filter(season => season.season_number > 0 && season.episode_count > 0)
+        .sort((a, b) => a.season_number - b.season_number);
+    if (seasons.length === 0) return null;
+    if (!startDate) return { seasonNumber: seasons[0].season_number };
+
+    const latest = addDays(startDate, SPLIT_COUR_TOLERANCE_DAYS);
+    const started = seasons.filter(season => season.air_date && season.air_date <= latest);
+    return { seasonNumber: (started[started.length - 1] || seasons[0]).season_number };
+};
+
+// Index of the first episode airing on or after the entry's start date
+export const findCourOffset = (episodes, startDate) => {
+    if (!startDate) return 0;
+    const earliest = addDays(startDate, -SPLIT_COUR_TOLERANCE_DAYS);
+    const index = episodes.findIndex(episode => episode.air_date && episode.air_date >= earliest);
+    return index === -1 ? 0 : index;
+};
+
+/**
+ * Creates the episode metadata service.
+ *
+ * @param {object} options - { fetch, env, resolveMapping }. `resolveMapping`
+ *   comes from the mapping service and supplies the MAL/Shikimori/TMDB IDs.
+ * @returns {object} { getEpisodes }
+ */
+export const createEpisodeService = ({ fetch, env = process.env, resolveMapping }) => {
+    // --- Upstream helpers ---
+    const fetchAniList = async (id) => {
+        const response = await fetch('https://graphql.anilist.co', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify({ query: EPISODES_QUERY, variables: { id } })
+        });
+
+        // A missing Media comes back as HTTP 404 with a 404 GraphQL error
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`AniList API error: ${response.status}`);
+        }
+        const data = await response.json();
+        if (!data.data?.Media) {
+            if (response.status === 404 || data.errors?.some(e => e.status === 404)) {
+                throw new AnimeNotFoundError(`No AniList anime with ID ${id}.`);
+            }
+            throw new Error(`AniList GraphQL errors: ${JSON.stringify(data.errors)}`);
+        }
+        return data.data.Media;
+    };
+
+    const tmdbGet = async (path) => {
+        const response = await fetch(`https://api.themoviedb.org/3/${path}?api_key=${env.TMDB_API_KEY}`);
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`TMDB API error: ${response.status}`);
+        }
+        return response.json();
+    };
+
+    const fetchShikimori = async (shikimoriId) => {
+        const response = await fetch(`https://shikimori.one/api/animes/${shikimoriId}/episodes`, {
+            headers: { 'User-Agent': 'Fylm Streaming App/1.0', 'Accept': 'application/json' }
+        });
+        if (response.status === 404) return [];
+        if (!response.ok) {
+            throw new Error(`Shikimori API error: ${response.status}`);
+        }
+        const episodes = await response.json();
+        return Array.isArray(episodes) ? episodes : [];
+    };
+
+    // TMDB episodes for the entry, continuing into the next season when the
+    // entry runs past the end of the one it started in
+    const fetchTmdbEpisodes = async (tmdbId, startDate, count) => {
+        const show = await tmdbGet(`tv/${tmdbId}`);
+        const start = pickTmdbSeason(show, startDate);
+        if (!start) return null;
+
+        const seasons = show.seasons.filter(season => season.season_number >= start.seasonNumber);
+        let episodes = [];
+        let offset = 0;
+        for (const season of seasons.slice(0, MAX_TMDB_SEASONS)) {
+            const data = await tmdbGet(`tv/${tmdbId}/season/${season.season_number}`);
+            const seasonEpisodes = data?.episodes || [];
+            if (season.season_number === start.seasonNumber) {
+                offset = findCourOffset(seasonEpisodes, startDate);
+                episodes = seasonEpisodes.slice(offset);
+            } else {
+                episodes = episodes.concat(seasonEpisodes);
+            }
+            if (!count || episodes.length >= count) break;
+        }
+
+        return {
+            id: tmdbId,
+            seasonNumber: start.seasonNumber,
+            offset,
+            episodes: count ? episodes.slice(0, count) : episodes
+        };
+    };
+
+    // Never fail the whole list because one secondary source is down
+    const settle = async (source, promise) => {
+        try {
+            return await promise;
+        } catch (error) {
+            console.warn(`[EPISODES] ${source} unavailable: ${error.message}`);
+            return null;
+        }
+    };
+
+    /**
+     * Builds the merged episode list for an AniList entry.
+     *
+     * @param {number} anilistId - AniList media ID.
+     * @returns {Promise<object>} { media, episodes, tmdb, sources } where
+     *   `tmdb` is { id, seasonNumber, offset } when TMDB data was used.
+     * @throws {AnimeNotFoundError} When AniList has no such anime.
+     */
+    const getEpisodes = async (anilistId) => {
+        const media = await fetchAniList(anilistId);
+        const mapping = await settle('Mapping', resolveMapping('anilist', anilistId));
+        const ids = mapping?.ids || {};
+        const startDate = formatFuzzyDate(media.startDate);
+
+        // Aired episodes only for shows that are still airing without a known length
+        const knownCount = media.episodes
+            || (media.nextAiringEpisode ? media.nextAiringEpisode.episode - 1 : null);
+
+        const [tmdb, shikimori] = await Promise.all([
+            ids.tmdb && ids.tmdbType === 'tv' && env.TMDB_API_KEY
+                ? settle('TMDB', fetchTmdbEpisodes(ids.tmdb, startDate, knownCount))
+                : null,
+            ids.shikimori ? settle('Shikimori', fetchShikimori(ids.shikimori)) : null
+        ]);
+
+        const streaming = byNumber((media.streamingEpisodes || []).map(parseStreamingEpisode).filter(Boolean), ep => ep.number);
+        const airing = byNumber(media.airingSchedule?.nodes || [], node => node.episode);
+        const shikimoriEpisodes = byNumber(shikimori || [], ep => ep.episode);
+
+        const count = knownCount || Math.max(
+            0,
+            tmdb?.episodes.length || 0,
+            ...streaming.keys(),
+            ...shikimoriEpisodes.keys()
+        );
+
+        const animeTitle = media.title?.english || media.title?.romaji || 'Unknown Anime';
+        const episodes = [];
+        for (let number = 1; number <= count; number++) {
+            const tmdbEpisode = tmdb?.episodes[number - 1];
+            const stream = streaming.get(number);
+            const shiki = shikimoriEpisodes.get(number);
+            const schedule = airing.get(number);
+
+            const title = [tmdbEpisode?.name, stream?.title, shiki?.name].find(candidate => !isGenericTitle(candidate))
+                || `Episode ${number}`;
+            const sources = [
+                tmdbEpisode && 'tmdb',
+                (stream || schedule) && 'anilist',
+                shiki && 'shikimori'
+            ].filter(Boolean);
+
+            episodes.push({
+                episode_number: number,
+                name: title,
+                overview: tmdbEpisode?.overview || '',
+                still_path: tmdbEpisode?.still_path
+                    || stream?.thumbnail
+                    || shiki?.image
+                    || `/placeholder/anime_${media.id}_episode_${number}.jpg?title=${encodeURIComponent(animeTitle)}`,
+                air_date: tmdbEpisode?.air_date
+                    || (schedule ? new Date(schedule.airingAt * 1000).toISOString().slice(0, 10) : null)
+                    || shiki?.airdate
+                    || null,
+                runtime: tmdbEpisode?.runtime || media.duration || null,
+                vote_average: tmdbEpisode?.vote_average || null,
+                filler: Boolean(shiki?.filler),
+                recap: Boolean(shiki?.recap) || RECAP_TITLE.test(title),
+                tmdb_episode: tmdbEpisode
+                    ? { season_number: tmdbEpisode.season_number, episode_number: tmdbEpisode.episode_number }
+                    : null,
+                sources
+            });
+        }
+
+        return {
+            media,
+            episodes,
+            tmdb: tmdb?.episodes.length ? { id: tmdb.id, seasonNumber: tmdb.seasonNumber, offset: tmdb.offset } : null,
+            sources: {
+                tmdb: Boolean(tmdb?.episodes.length),
+                anilist: streaming.size > 0 || airing.size > 0,
+                shikimori: shikimoriEpisodes.size > 0
+            }
+        };
+    };
+
+    return { getEpisodes };
+};
@@ -0,0 +1,150 @@
+// --- Anime Franchise Timeline ---
+// AniList models every season, movie and OVA as its own Media, linked by
+// relations. This walks SEQUEL/PREQUEL relations from one entry to find the
+// main line of a franchise, picks up side stories and movies hanging off it,
+// and orders everything by start date.
+
+// Relations that continue the main line and are walked further
+const MAIN_LINE_RELATIONS = new Set(['SEQUEL', 'PREQUEL']);
+// Relations that are listed but not walked, so spin-offs don't pull in other franchises
+const LEAF_RELATIONS = new Set(['SIDE_STORY']);
+const SEASON_FORMATS = new Set(['TV', 'TV_SHORT', 'ONA']);
+
+const MAX_ENTRIES = 30;
+const MAX_DEPTH = 10;
+
+const FRANCHISE_QUERY = `
+    query ($ids: [Int]) {
+        Page(perPage: 50) {
+            media(id_in: $ids, type: ANIME) {
+                id
+                title { romaji english }
+                format
+                status
+                episodes
+                seasonYear
+                startDate { year month day }
+                coverImage { large }
+                relations { edges { relationType node { id type format } } }
+            }
+        }
+    }
+`;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Undated entries (usually announced sequels) sort last
+const sortKey = ({ startDate }) => [startDate?.year || 9999, startDate?.month || 12, startDate?.day || 31];
+
+const compareEntries = (a, b) => {
+    const left = sortKey(a.media);
+    const right = sortKey(b.media);
+    for (let i = 0; i < left.length; i++) {
+        if (left[i] !== right[i]) return left[i] - right[i];
+    }
+    return a.media.id - b.media.id;
+};
+
+const relationOf = ({ media, mainLine }) => {
+    if (media.format === 'MOVIE') return 'movie';
+    return mainLine ? 'main' : 'side_story';
+};
+
+/**
+ * Creates the franchise service.
+ *
+ * @param {object} options - { fetch } used for the AniList calls.
+ * @returns {object} { getFranchise }
+ */
+export const createFranchiseService = ({ fetch }) => {
+    // One request per level of the walk, for every entry found on that level
+    const fetchMedia = async (ids) => {
+        const response = await fetch('https://graphql.anilist.co', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify({ query: FRANCHISE_QUERY, variables: { ids } })
+        });
+        if (!response.ok) {
+            throw new Error(`AniList API error: ${response.status}`);
+        }
+        const data = await response.json();
+        const wanted = new Set(ids);
+        return (data.data?.Page?.media || []).filter(media => wanted.has(media.id));
+    };
+
+    /**
+     * Builds the franchise timeline around an AniList entry.
+     *
+     * @param {object} root - AniList Media for the current entry, including
+     *   `relations { edges { relationType node { id type format } } }`.
+     * @returns {Promise<Array>} Entries ordered by start date. Main-line
+     *   series entries get a `season_number`; the root has `current: true`.
+     *   If AniList fails part-way, the entries found so far are returned.
+     */
+    const getFranchise = async (root) => {
+        const entries = new Map([[root.id, { media: root, mainLine: true }]]);
+        let frontier = [root];
+
+        try {
+            for (let depth = 0; depth < MAX_DEPTH && frontier.length > 0; depth++) {
+                const toFetch = [];
+                const promoted = [];
+
+                frontier.forEach(media => {
+                    (media.relations?.edges || []).forEach(({ relationType, node }) => {
+                        if (!node || node.type !== 'ANIME') return;
+                        const mainLine = MAIN_LINE_RELATIONS.has(relationType);
+                        if (!mainLine && !LEAF_RELATIONS.has(relationType)) return;
+
+                        const existing = entries.get(node.id);
+                        if (existing) {
+                            // A side story that turns out to continue the main line
+                            if (mainLine && !existing.mainLine) {
+                                existing.mainLine = true;
+                                if (existing.media) promoted.push(existing.media);
+                            }
+                            return;
+                        }
+                        if (entries.size >= MAX_ENTRIES) return;
+
+                        entries.set(node.id, { media: null, mainLine });
+                        toFetch.push(node.id);
+                    });
+                });
+
+                const fetched = toFetch.length > 0 ? await fetchMedia(toFetch) : [];
+                fetched.forEach(media => { entries.get(media.id).media = media; });
+                frontier = [...fetched.filter(media => entries.get(media.id).mainLine), ...promoted];
+            }
+        } catch (error) {
+            console.warn(`[FRANCHISE] Stopped walking relations of AniList ID ${root.id}: ${error.message}`);
+        }
+
+        let seasonNumber = 0;
+        return [...entries.values()]
+            .filter(entry => entry.media)
+            .sort(compareEntries)
+            .map(entry => {
+                const { media } = entry;
+                const relation = relationOf(entry);
+                const isSeason = relation === 'main' && SEASON_FORMATS.has(media.format);
+                return {
+                    anilist_id: media.id,
+                    title: media.title?.english || media.title?.romaji,
+                    format: media.format,
+                    status: media.status,
+                    episodes: media.episodes,
+                    start_date: media.startDate?.year
+                        ? `${media.startDate.year}-${pad(media.startDate.month || 1)}-${pad(media.startDate.day || 1)}`
+                        : null,
+                    season_year: media.seasonYear || media.startDate?.year || null,
+                    poster_path: media.coverImage?.large ? `/anilist_images/${encodeURIComponent(media.coverImage.large)}` : null,
+                    relation,
+                    season_number: isSeason ? ++seasonNumber : null,
+                    current: media.id === root.id
+                };
+            });
+    };
+
+    return { getFranchise };
+};
@@ -0,0 +1,77 @@
+// --- User Authentication ---
+// Routes that act on a user's own data take the Supabase access token the
+// frontend already holds, as `Authorization: Bearer <token>`. The token is
+// checked with Supabase and the user is attached to `req.user`.
+import { sessionIdOf } from './supabase.js';
+import { pickViewerProfile } from '../maturity/index.js';
+
+export const bearerToken = (req) => (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i)?.[1];
+
+/**
+ * Creates middleware that requires a signed-in Supabase user.
+ *
+ * @param {object|null} supabase - Service-role client from getSupabaseAdmin().
+ * @returns {Function} Express middleware.
+ */
+export const createRequireUser = (supabase) => async (req, res, next) => {
+    if (!supabase) {
+        return res.status(503).json({ error: 'User data is not available: Supabase is not configured on the server.' });
+    }
+
+    const token = bearerToken(req);
+    if (!token) {
+        return res.status(401).json({ error: 'Sign in required.' });
+    }
+
+    try {
+        const { data, error } = await supabase.auth.getUser(token);
+        if (error || !data?.user) {
+            return res.status(401).json({ error: 'Invalid or expired session.' });
+        }
+        req.user = data.user;
+        next();
+    } catch (error) {
+        console.error('[AUTH] Could not verify session:', error.message);
+        res.status(502).json({ error: 'Could not verify session', details: error.message });
+    }
+};
+
+/**
+ * Creates middleware, run after requireUser, that attaches the viewer
+ * profile the client is acting as to `req.viewerProfile`. The client names
+ * it in `X-Viewer-Profile`; a missing or foreign ID means the account's
+ * default profile, as in the database's active_viewer_profile(). Accounts
+ * without profiles get null, and their data is read account-wide. A profile
+ * rated above the session's while a parental PIN is set is refused with 403
+ * until it is activated with the PIN (see pickViewerProfile).
+ *
+ * @param {object} supabase - Service-role client from getSupabaseAdmin().
+ * @returns {Function} Express middleware.
+ */
+export const createResolveViewerProfile = (supabase) => async (req, res, next) => {
+    const { data, error } = await supabase
+        .from('viewer_profiles')
+        .select('id, name, maturity_rating, is_default')
+        .eq('user_id', req.user.id);
+    if (error) {
+        console.error('[AUTH] Could not load viewer profiles:', error.message);
+        return res.status(502).json({ error: 'Could not load viewer profiles', details: error.message });
+    }
+
+    try {
+        const { profile, locked } = await pickViewerProfile(supabase, {
+            userId: req.user.id,
+            sessionId: sessionIdOf(bearerToken(req)),
+            requested: req.get('x-viewer-profile'),
+            profiles: data || []
+        });
+        if (locked) {
+            return res.status(403).json({ error: `Enter the parental PIN to switch to "${profile.name}".`, pin_required: true });
+        }
+        req.viewerProfile = profile;
+        next();
+    } catch (error) {
+        console.error('[AUTH] Could not resolve viewer profile:', error.message);
+        res.status(502).json({ error: 'Could not load viewer profiles', details: error.message });
+    }
+};
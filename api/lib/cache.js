@@ -0,0 +1,173 @@
+import NodeCache from 'node-cache';
+import { createHash } from 'node:crypto';
+
+// --- Response Cache ---
+// Wraps a route handler so its JSON response is cached per route policy:
+//   - fresh for `ttl` seconds, then served stale for up to
+//     `staleWhileRevalidate` more seconds while a background refresh runs
+//   - identical in-flight requests share one upstream call
+//   - responses carry ETag / Cache-Control so browsers can revalidate cheaply
+
+const etagFor = (body) => {
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+    return `W/"${createHash('sha1').update(payload).digest('base64url')}"`;
+};
+
+// Only cache successful, non-error JSON bodies unless a policy says otherwise
+const defaultShouldCache = ({ status, body }) => status === 200 && !(body && typeof body === 'object' && body.error);
+
+// Runs a handler against a recording response object instead of the real one
+const capture = (handler, req) => new Promise((resolve, reject) => {
+    const headers = {};
+    let statusCode = 200;
+    let sent = false;
+
+    const finish = (body, raw) => {
+        if (sent) return;
+        sent = true;
+        resolve({ status: statusCode, headers, body, raw });
+    };
+
+    const recorder = {
+        status(code) { statusCode = code; return recorder; },
+        setHeader(name, value) { headers[name.toLowerCase()] = value; return recorder; },
+        set(name, value) { headers[name.toLowerCase()] = value; return recorder; },
+        getHeader(name) { return headers[name.toLowerCase()]; },
+        json(body) { finish(body, false); return recorder; },
+        send(body) { finish(body, typeof body !== 'object'); return recorder; },
+        end(body) { finish(body ?? '', true); return recorder; }
+    };
+
+    Promise.resolve(handler(req, recorder))
+        .then(() => {
+            if (!sent) reject(new Error('Cached handler finished without sending a response'));
+        })
+        .catch(reject);
+});
+
+export const createResponseCache = ({ maxKeys = 5000 } = {}) => {
+    const store = new NodeCache({ stdTTL: 0, checkperiod: 120, useClones: false, maxKeys });
+    const inflight = new Map();
+    const counters = { hits: 0, misses: 0, stale: 0, coalesced: 0, revalidations: 0, revalidationErrors: 0, bypassed: 0 };
+
+    const execute = (key, policy, handler, req) => {
+        if (inflight.has(key)) {
+            counters.coalesced++;
+            return inflight.get(key);
+        }
+
+        const shouldCache = policy.shouldCache || defaultShouldCache;
+        const pending = capture(handler, req)
+            .then(result => {
+                if (shouldCache(result)) {
+                    const entry = { ...result, etag: etagFor(result.body), storedAt: Date.now() };
+                    try {
+                        store.set(key, entry, policy.ttl + (policy.staleWhileRevalidate || 0));
+                    } catch (error) {
+                        // node-cache throws once maxKeys is reached; serve uncached
+                        console.warn(`[CACHE] Could not store ${key}: ${error.message}`);
+                    }
+                    return entry;
+                }
+                return result;
+            })
+            .finally(() => inflight.delete(key));
+
+        inflight.set(key, pending);
+        return pending;
+    };
+
+    const send = (req, res, entry, policy, cacheStatus) => {
+        res.setHeader('X-Cache', cacheStatus);
+        Object.entries(entry.headers || {}).forEach(([name, value]) => res.setHeader(name, value));
+
+        if (!entry.etag) {
+            res.setHeader('Cache-Control', 'no-store');
+        } else {
+            const age = Math.floor((Date.now() - entry.storedAt) / 1000);
+            const maxAge = Math.max(0, policy.ttl - age);
+            res.setHeader('ETag', entry.etag);
+            res.setHeader('Age', String(age));
+            res.setHeader('Cache-Control', `public, max-age=${maxAge}, stale-while-revalidate=${policy.staleWhileRevalidate || 0}`);
+
+            if (req.headers['if-none-match'] === entry.etag) {
+                return res.status(304).end();
+            }
+        }
+
+        return entry.raw
+            ? res.status(entry.status).send(entry.body)
+            : res.status(entry.status).json(entry.body);
+    };
+
+    /**
+     * Wraps an Express handler with response caching.
+     *
+     * @param {object} policy - { ttl, staleWhileRevalidate, key?, bypass?, shouldCache? }
+     *   `ttl` and `staleWhileRevalidate` are in seconds. `key(req)` defaults to
+     *   the method and URL; `bypass(req)` skips the cache entirely.
+     * @param {Function} handler - The route handler to cache.
+     * @returns {Function} An Express handler.
+     */
+    const route = (policy, handler) => async (req, res) => {
+        if (policy.bypass?.(req)) {
+            counters.bypassed++;
+            return handler(req, res);
+        }
+
+        const key = policy.key ? policy.key(req) : `${req.method} ${req.url}`;
+        const entry = store.get(key);
+
+        try {
+            if (entry) {
+                const age = (Date.now() - entry.storedAt) / 1000;
+                if (age <= policy.ttl) {
+                    counters.hits++;
+                    return send(req, res, entry, policy, 'HIT');
+                }
+
+                // Stale: answer immediately and refresh in the background
+                counters.stale++;
+                if (!inflight.has(key)) {
+                    counters.revalidations++;
+                    execute(key, policy, handler, req).catch(error => {
+                        counters.revalidationErrors++;
+                        console.warn(`[CACHE] Background revalidation failed for ${key}: ${error.message}`);
+                    });
+                }
+                return send(req, res, entry, policy, 'STALE');
+            }
+
+            counters.misses++;
+            const result = await execute(key, policy, handler, req);
+            return send(req, res, result, policy, 'MISS');
+        } catch (error) {
+            console.error(`[CACHE] Handler failed for ${key}:`, error);
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'Internal server error', details: error.message });
+            }
+        }
+    };
+
+    const stats = () => {
+        const nodeStats = store.getStats();
+        return {
+            ...counters,
+            keys: nodeStats.keys,
+            inflight: inflight.size,
+            keySize: nodeStats.ksize,
+            valueSize: nodeStats.vsize
+        };
+    };
+
+    // Remove every key, or only those starting with `prefix` (e.g. "GET /tmdb/")
+    const purge = (prefix) => {
+        const keys = prefix ? store.keys().filter(key => key.startsWith(prefix)) : store.keys();
+        store.del(keys);
+        return keys.length;
+    };
+
+    const keys = () => store.keys();
+
+    return { route, stats, purge, keys };
+};
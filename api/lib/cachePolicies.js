@@ -0,0 +1,31 @@
+// --- Response Cache Policies (seconds) ---
+// `ttl` is how long a response is fresh; `staleWhileRevalidate` is how much
+// longer it may be served while a background refresh fetches a new copy.
+// Listings are filtered to the viewer's maturity ceiling (api/maturity), so
+// they are cached once per ceiling. Routes without one share a single entry.
+const byMaturity = (req) => (req.maturityCeiling
+    ? `${req.method} ${req.url} maturity=${req.maturityCeiling}`
+    : `${req.method} ${req.url}`);
+
+export const CACHE_POLICIES = {
+    tmdb: { ttl: 600, staleWhileRevalidate: 3600, key: byMaturity },
+    anime: {
+        ttl: 900,
+        staleWhileRevalidate: 3600,
+        key: byMaturity,
+        // Never cache the placeholder data served when AniList is unreachable
+        shouldCache: ({ status, headers }) => status === 200 && headers['x-data-source'] !== 'fallback'
+    },
+    anilist: {
+        ttl: 300,
+        staleWhileRevalidate: 900,
+        key: (req) => `POST /anilist ${JSON.stringify({ query: req.body?.query, variables: req.body?.variables })}`,
+        bypass: (req) => /^\s*mutation\b/.test(req.body?.query || '')
+    },
+    shikimori: { ttl: 1800, staleWhileRevalidate: 3600, key: byMaturity },
+    trending: { ttl: 900, staleWhileRevalidate: 3600, key: byMaturity },
+    search: { ttl: 300, staleWhileRevalidate: 600, key: byMaturity },
+    subtitles: { ttl: 3600, staleWhileRevalidate: 86400 },
+    // Files never change, and every download counts against the provider's quota
+    subtitleFile: { ttl: 7 * 86400, staleWhileRevalidate: 0 }
+};
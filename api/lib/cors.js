@@ -0,0 +1,43 @@
+// --- Allowed Origins ---
+// The frontend origins the API answers, for CORS and for the watch party
+// socket, which browsers open without a CORS check.
+
+const localhostRegex = /^http:\/\/localhost(:\d+)?$/;
+
+/**
+ * @param {object} env - Environment variables; ALLOWED_ORIGINS is a comma
+ *   separated list.
+ * @param {string} [origin] - The request's Origin header.
+ * @returns {boolean}
+ */
+export const isAllowedOrigin = (env, origin) => {
+    // Allow requests with no origin (e.g., mobile apps, curl)
+    if (!origin) {
+        return true;
+    }
+    // Allow localhost in development
+    if (env.NODE_ENV !== 'production' && localhostRegex.test(origin)) {
+        return true;
+    }
+    // Allow Vercel preview URLs
+    if (/\.vercel\.app$/.test(origin)) {
+        return true;
+    }
+    // Check against whitelisted origins
+    return (env.ALLOWED_ORIGINS || '').split(',').filter(Boolean).includes(origin);
+};
+
+/**
+ * @param {object} env
+ * @returns {object} Options for the `cors` middleware.
+ */
+export const createCorsOptions = (env) => ({
+    origin: (origin, callback) => {
+        if (isAllowedOrigin(env, origin)) {
+            return callback(null, true);
+        }
+        console.error(`CORS block for origin: ${origin}.`);
+        return callback(new Error('Not allowed by CORS'));
+    },
+    credentials: true,
+});
@@ -0,0 +1,148 @@
+import net from 'node:net';
+
+// --- Image Proxy Helpers ---
+// The image proxy fetches URLs supplied by the client, so every request is
+// checked against a host allowlist and every hop is checked against private
+// address ranges before anything is fetched.
+
+// Hosts the frontend actually renders images from. Entries starting with a dot
+// also match subdomains. IMAGE_PROXY_ALLOWED_HOSTS and the Supabase storage
+// host add to this list.
+export const DEFAULT_IMAGE_HOSTS = [
+    'image.tmdb.org',
+    's4.anilist.co',
+    'img.anili.st',
+    'shikimori.one',
+    '.shikimori.one',
+    'i.ytimg.com',
+    'img.youtube.com',
+    // AniList streaming episode thumbnails
+    '.crunchyroll.com',
+    'via.placeholder.com',
+    // OAuth profile pictures
+    '.googleusercontent.com',
+    'avatars.githubusercontent.com',
+    'cdn.discordapp.com'
+];
+
+// Widths the proxy resizes to. Requests are rounded up to one of these so that
+// the CDN and browser caches only ever see a handful of variants.
+export const IMAGE_WIDTHS = [92, 154, 185, 200, 300, 342, 500, 780, 1280];
+
+// TMDB serves these sizes itself, so TMDB images never need resizing here
+const TMDB_WIDTHS = [92, 154, 185, 300, 342, 500, 780, 1280];
+
+export const MAX_IMAGE_BYTES = 15 * 1024 * 1024;
+
+export class ImageProxyError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ImageProxyError';
+        this.status = status;
+    }
+}
+
+const hostOf = (url) => {
+    try {
+        return new URL(url).hostname;
+    } catch {
+        return null;
+    }
+};
+
+export const parseAllowedHosts = (env) => [
+    ...DEFAULT_IMAGE_HOSTS,
+    // Avatars uploaded to Supabase storage
+    hostOf(env.SUPABASE_URL || env.VITE_SUPABASE_URL),
+    ...(env.IMAGE_PROXY_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase())
+].filter(Boolean);
+
+export const isAllowedImageHost = (hostname, allowedHosts) => {
+    const host = hostname.toLowerCase();
+    return allowedHosts.some(entry => (entry.startsWith('.') ? host.endsWith(entry) : host === entry));
+};
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96], ['2001:db8::', 32]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+export const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 0) return true;
+
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it wraps
+    const mapped = family === 6 && address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+
+    return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Rejects URLs that are not http(s), not on the allowlist, or whose host
+ * resolves to a private address.
+ *
+ * Resolution happens again when the request is made, so this does not defend
+ * against DNS rebinding on its own; the allowlist is what keeps that out.
+ *
+ * @param {URL} url - The URL about to be fetched.
+ * @param {object} options - { allowedHosts, lookup } where `lookup` has the
+ *   signature of dns.promises.lookup.
+ */
+export const assertSafeImageUrl = async (url, { allowedHosts, lookup }) => {
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new ImageProxyError(400, 'Invalid image URL protocol. Only HTTP and HTTPS are allowed.');
+    }
+    if (url.username || url.password) {
+        throw new ImageProxyError(400, 'Image URLs must not contain credentials.');
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (!isAllowedImageHost(hostname, allowedHosts)) {
+        throw new ImageProxyError(403, `Image host "${hostname}" is not allowed.`);
+    }
+
+    const addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await lookup(hostname, { all: true }).catch(() => {
+            throw new ImageProxyError(502, `Could not resolve image host "${hostname}".`);
+        });
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new ImageProxyError(403, `Image host "${hostname}" resolves to a private address.`);
+    }
+};
+
+// Smallest allowed width that is at least `requested`, or null for "original"
+export const normalizeWidth = (requested) => {
+    const width = parseInt(requested, 10);
+    if (!Number.isFinite(width) || width <= 0) return null;
+    return IMAGE_WIDTHS.find(candidate => candidate >= width) || null;
+};
+
+/**
+ * Points a TMDB image URL at the smallest TMDB rendition at least `width`
+ * pixels wide, e.g. /t/p/original/x.jpg -> /t/p/w342/x.jpg for width 300.
+ * Other URLs are returned unchanged.
+ *
+ * @returns {object} { url, resized } where `resized` says whether the URL
+ *   now already has the requested width.
+ */
+export const sizeTmdbImage = (url, width) => {
+    if (url.hostname !== 'image.tmdb.org' || !width) return { url, resized: false };
+
+    const match = url.pathname.match(/^\/t\/p\/([^/]+)(\/.+)$/);
+    if (!match) return { url, resized: false };
+
+    const size = TMDB_WIDTHS.find(candidate => candidate >= width);
+    const sized = new URL(url);
+    sized.pathname = `/t/p/${size ? `w${size}` : 'original'}${match[2]}`;
+    return { url: sized, resized: true };
+};
@@ -0,0 +1,6 @@
+// --- API Provider Configuration ---
+export const API_PROVIDERS = {
+    ANILIST: 'anilist',
+    SHIKIMORI: 'shikimori',
+    TMDB: 'tmdb'
+};
@@ -0,0 +1,52 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Server-side Supabase client using the service role key. It bypasses RLS, so
+// it must only ever be used inside the API. Returns null when not configured,
+// and callers are expected to degrade gracefully (e.g. fall back to memory).
+const adminClients = new Map();
+
+export const getSupabaseAdmin = (env = process.env) => {
+    const url = env.SUPABASE_URL || env.VITE_SUPABASE_URL;
+    const serviceRoleKey = env.SUPABASE_SERVICE_ROLE_KEY;
+    const clientKey = `${url}|${serviceRoleKey}`;
+    if (adminClients.has(clientKey)) return adminClients.get(clientKey);
+
+    let adminClient = null;
+    if (!url || !serviceRoleKey) {
+        console.warn('⚠️ SUPABASE_SERVICE_ROLE_KEY is not set. Server-side persistence is disabled.');
+    } else {
+        adminClient = createClient(url, serviceRoleKey, {
+            auth: { autoRefreshToken: false, persistSession: false }
+        });
+    }
+
+    adminClients.set(clientKey, adminClient);
+    return adminClient;
+};
+
+// PostgREST caps every response at its max-rows setting (1000 on Supabase),
+// silently. Reads that can outgrow it go page by page: `build` returns a fresh
+// query for each page, ordered so that pages don't overlap. Resolves to
+// { data, error } like a single query.
+export const SELECT_PAGE_SIZE = 1000;
+
+export const selectAllPages = async (build, pageSize = SELECT_PAGE_SIZE) => {
+    const rows = [];
+    for (let from = 0; ; from += pageSize) {
+        const { data, error } = await build().range(from, from + pageSize - 1);
+        if (error) return { data: null, error };
+        rows.push(...(data || []));
+        if (!data || data.length < pageSize) return { data: rows, error: null };
+    }
+};
+
+// Supabase access tokens are JWTs whose `session_id` claim names the sign-in,
+// one per device. Only read it from a token auth.getUser() has accepted.
+export const sessionIdOf = (token) => {
+    try {
+        const payload = JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString('utf8'));
+        return typeof payload?.session_id === 'string' ? payload.session_id : null;
+    } catch {
+        return null;
+    }
+};
@@ -0,0 +1,311 @@
+// --- Upstream Client ---
+// Every call to TMDB, AniList, Shikimori and OpenSubtitles goes through a per-provider client:
+//   - a token bucket keeps us under the provider's published rate limit
+//   - a concurrency cap stops large fan-outs from opening hundreds of sockets
+//   - 429/5xx/network failures are retried with Retry-After or exponential
+//     backoff, paid for out of a retry budget so retries cannot snowball
+//   - a circuit breaker fails fast while a provider is down
+// Requests to any other host are passed straight to fetch.
+
+const PROVIDERS = {
+    // TMDB allows roughly 50 req/s per IP; stay well below it
+    tmdb: { hosts: ['api.themoviedb.org'], ratePerSecond: 20, burst: 40, concurrency: 10 },
+    // AniList allows 90 req/min and reports what is left in X-RateLimit-Remaining
+    anilist: { hosts: ['graphql.anilist.co'], ratePerSecond: 1.5, burst: 10, concurrency: 4 },
+    // Shikimori allows 5 req/s and 90 req/min
+    shikimori: { hosts: ['shikimori.one'], ratePerSecond: 1.5, burst: 5, concurrency: 3 },
+    // OpenSubtitles allows 40 requests per 10 seconds
+    opensubtitles: { hosts: ['api.opensubtitles.com'], ratePerSecond: 3, burst: 10, concurrency: 3 }
+};
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000; // A longer Retry-After is returned to the caller instead
+const RETRY_BUDGET_MAX = 10; // Retries that can be spent in a burst
+const RETRY_BUDGET_RATIO = 0.2; // Retry tokens earned per request
+const RATE_LIMIT_RESERVE = 2; // Pause AniList once this few requests remain
+const MAX_PAUSE_MS = 60000; // Longest a rate limit may hold back a provider's queue
+const FAILURE_THRESHOLD = 5; // Consecutive failures that open the circuit
+const OPEN_DURATION_MS = 30000; // How long an open circuit rejects requests
+
+export class CircuitOpenError extends Error {
+    constructor(provider, retryAt) {
+        super(`${provider} is unavailable (circuit open until ${new Date(retryAt).toISOString()})`);
+        this.name = 'CircuitOpenError';
+        this.provider = provider;
+        this.retryAt = retryAt;
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const backoff = (attempt) => {
+    const delay = Math.min(MAX_RETRY_DELAY_MS, BASE_BACKOFF_MS * 2 ** attempt);
+    return delay / 2 + Math.random() * delay / 2; // Jitter spreads out synchronized retries
+};
+
+// Token bucket with a concurrency cap. Waiters are served in arrival order.
+const createLimiter = ({ ratePerSecond, burst, concurrency }) => {
+    let tokens = burst;
+    let refilledAt = Date.now();
+    let active = 0;
+    let pausedUntil = 0;
+    let timer = null;
+    const queue = [];
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + ((now - refilledAt) / 1000) * ratePerSecond);
+        refilledAt = now;
+    };
+
+    const schedule = (ms) => {
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            drain();
+        }, Math.ceil(ms));
+    };
+
+    const drain = () => {
+        while (queue.length > 0 && active < concurrency) {
+            const now = Date.now();
+            if (pausedUntil > now) return schedule(pausedUntil - now);
+
+            refill();
+            if (tokens < 1) return schedule(((1 - tokens) / ratePerSecond) * 1000);
+
+            tokens -= 1;
+            active++;
+            queue.shift()();
+        }
+    };
+
+    const acquire = () => new Promise(resolve => {
+        queue.push(resolve);
+        drain();
+    });
+
+    const release = () => {
+        active--;
+        drain();
+    };
+
+    // Hold every queued request until the provider's window resets
+    const pause = (ms) => {
+        pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    };
+
+    const state = () => {
+        refill();
+        return {
+            tokens: Math.floor(tokens),
+            active,
+            queued: queue.length,
+            pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null
+        };
+    };
+
+    return { acquire, release, pause, state };
+};
+
+// closed -> open after FAILURE_THRESHOLD consecutive failures; open -> half-open
+// after OPEN_DURATION_MS, where a single probe request decides which way to go.
+const createBreaker = () => {
+    let status = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+    let probing = false;
+
+    const allow = () => {
+        if (status === 'open' && Date.now() - openedAt >= OPEN_DURATION_MS) {
+            status = 'half-open';
+        }
+        if (status === 'closed') return true;
+        if (status === 'half-open' && !probing) {
+            probing = true;
+            return true;
+        }
+        return false;
+    };
+
+    const success = () => {
+        status = 'closed';
+        failures = 0;
+        probing = false;
+    };
+
+    const failure = () => {
+        failures++;
+        probing = false;
+        if (status === 'half-open' || failures >= FAILURE_THRESHOLD) {
+            status = 'open';
+            openedAt = Date.now();
+        }
+    };
+
+    // The request ended without telling us anything (e.g. the caller aborted)
+    const settle = () => {
+        probing = false;
+    };
+
+    const retryAt = () => openedAt + OPEN_DURATION_MS;
+
+    const state = () => ({
+        status,
+        failures,
+        retryAt: status === 'open' ? new Date(retryAt()).toISOString() : null
+    });
+
+    return { allow, success, failure, settle, retryAt, state };
+};
+
+const createProviderClient = (name, config, fetchImpl) => {
+    const limiter = createLimiter(config);
+    const breaker = createBreaker();
+    const counters = { requests: 0, retries: 0, rejected: 0, rateLimited: 0 };
+    let retryBudget = RETRY_BUDGET_MAX;
+
+    // AniList tells us how many requests are left in the current minute
+    const observeRateLimit = (response) => {
+        const remaining = Number(response.headers.get('x-ratelimit-remaining'));
+        if (!response.headers.has('x-ratelimit-remaining') || remaining > RATE_LIMIT_RESERVE) return;
+
+        const reset = Number(response.headers.get('x-ratelimit-reset'));
+        const pauseMs = Number.isFinite(reset) && reset > 0 ? reset * 1000 - Date.now() : 60000;
+        if (pauseMs > 0) {
+            console.warn(`[UPSTREAM] ${name}: ${remaining} requests left, pausing for ${Math.ceil(pauseMs / 1000)}s`);
+            limiter.pause(Math.min(pauseMs, MAX_PAUSE_MS));
+        }
+    };
+
+    const request = async (url, options = {}) => {
+        if (!breaker.allow()) {
+            counters.rejected++;
+            throw new CircuitOpenError(name, breaker.retryAt());
+        }
+
+        counters.requests++;
+        retryBudget = Math.min(RETRY_BUDGET_MAX, retryBudget + RETRY_BUDGET_RATIO);
+
+        for (let attempt = 0; ; attempt++) {
+            await limiter.acquire();
+            let response = null;
+            let error = null;
+            try {
+                response = await fetchImpl(url, options);
+            } catch (fetchError) {
+                error = fetchError;
+            } finally {
+                limiter.release();
+            }
+
+            if (error?.name === 'AbortError' || options.signal?.aborted) {
+                breaker.settle();
+                if (error) throw error;
+                return response;
+            }
+
+            if (response) observeRateLimit(response);
+
+            if (response && !RETRYABLE_STATUS.has(response.status)) {
+                breaker.success();
+                return response;
+            }
+
+            let delay = backoff(attempt);
+            if (response?.status === 429) {
+                counters.rateLimited++;
+                delay = parseRetryAfter(response.headers.get('retry-after')) ?? delay;
+                // A bogus or very long Retry-After must not stall every queued request
+                limiter.pause(Math.min(delay, MAX_PAUSE_MS));
+            } else if (response?.status === 503) {
+                delay = parseRetryAfter(response.headers.get('retry-after')) ?? delay;
+            }
+
+            if (attempt >= MAX_RETRIES || delay > MAX_RETRY_DELAY_MS || retryBudget < 1) {
+                breaker.failure();
+                if (error) throw error;
+                return response;
+            }
+
+            retryBudget -= 1;
+            counters.retries++;
+            const reason = error ? error.message : `HTTP ${response.status}`;
+            console.warn(`[UPSTREAM] ${name}: ${reason}, retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+            // Release the connection before waiting
+            await response?.body?.cancel?.().catch(() => {});
+            await sleep(delay);
+        }
+    };
+
+    const state = () => ({
+        circuit: breaker.state(),
+        limiter: limiter.state(),
+        retryBudget: Math.floor(retryBudget),
+        ...counters
+    });
+
+    return { request, state };
+};
+
+/**
+ * Creates a set of rate-limited clients, one per upstream provider.
+ *
+ * @param {object} [options] - { fetch } to override the underlying fetch.
+ * @returns {object} { fetch, state, providerFor }. `fetch` has the same
+ *   signature as the global one and routes by hostname.
+ */
+export const createUpstream = ({ fetch: fetchImpl = globalThis.fetch } = {}) => {
+    const clients = new Map(
+        Object.entries(PROVIDERS).map(([name, config]) => [name, createProviderClient(name, config, fetchImpl)])
+    );
+
+    const providerFor = (url) => {
+        let hostname;
+        try {
+            hostname = new URL(url).hostname;
+        } catch {
+            return null;
+        }
+        const entry = Object.entries(PROVIDERS).find(([, config]) => config.hosts.includes(hostname));
+        return entry ? entry[0] : null;
+    };
+
+    const upstreamFetch = (url, options) => {
+        const provider = providerFor(String(url));
+        return provider ? clients.get(provider).request(url, options) : fetchImpl(url, options);
+    };
+
+    // State for one provider, or all of them
+    const state = (name) => {
+        if (name) return clients.get(name)?.state() || null;
+        return Object.fromEntries([...clients].map(([key, client]) => [key, client.state()]));
+    };
+
+    return { fetch: upstreamFetch, state, providerFor };
+};
+
+// Runs `worker` over `items` with at most `limit` in flight, preserving order
+export const mapWithConcurrency = async (items, limit, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const run = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+    return results;
+};
@@ -0,0 +1,340 @@
+// --- Cross-provider ID Mapping Service ---
+// Resolves every known ID for a title (AniList, MAL, Shikimori, TMDB, IMDb) in
+// one call and caches the result. Each resolved ID carries a confidence score:
+// 1 means it came from an exact external ID, anything lower means it was
+// matched by searching for the title on the other provider.
+import { createMappingStore, overallConfidence } from './store.js';
+import { getSupabaseAdmin } from '../lib/supabase.js';
+
+export const MAPPING_PROVIDERS = ['anilist', 'mal', 'shikimori', 'tmdb', 'imdb'];
+
+const EXACT_TTL = 30 * 24 * 60 * 60; // 30 days for mappings made of exact IDs
+const SEARCH_TTL = 7 * 24 * 60 * 60; // 7 days when a title search was involved
+const MISS_TTL = 24 * 60 * 60; // 1 day for titles that could not be mapped
+const MIN_SEARCH_CONFIDENCE = 0.5;
+
+export class MappingNotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MappingNotFoundError';
+    }
+}
+
+const MEDIA_FIELDS = `id idMal format seasonYear startDate { year } title { romaji english native }`;
+
+// --- Title matching ---
+const normalizeTitle = (title) => (title || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+
+const bigrams = (value) => {
+    const grams = [];
+    for (let i = 0; i < value.length - 1; i++) {
+        grams.push(value.slice(i, i + 2));
+    }
+    return grams;
+};
+
+// Dice coefficient over character bigrams, in [0, 1]
+const titleSimilarity = (a, b) => {
+    const left = normalizeTitle(a);
+    const right = normalizeTitle(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const leftGrams = bigrams(left);
+    const rightGrams = bigrams(right);
+    if (leftGrams.length === 0 || rightGrams.length === 0) return 0;
+
+    const counts = new Map();
+    leftGrams.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+    let overlap = 0;
+    rightGrams.forEach(gram => {
+        const count = counts.get(gram);
+        if (count) {
+            overlap++;
+            counts.set(gram, count - 1);
+        }
+    });
+    return (2 * overlap) / (leftGrams.length + rightGrams.length);
+};
+
+// Score a search result: best title similarity, adjusted by release year.
+// Never returns 1, which is reserved for exact external IDs.
+const scoreMatch = (titles, candidateTitles, year, candidateYear) => {
+    let best = 0;
+    titles.filter(Boolean).forEach(title => {
+        candidateTitles.filter(Boolean).forEach(candidate => {
+            best = Math.max(best, titleSimilarity(title, candidate));
+        });
+    });
+
+    if (year && candidateYear) {
+        best += Math.abs(year - candidateYear) <= 1 ? 0.1 : -0.2;
+    }
+    return Math.round(Math.max(0, Math.min(0.99, best)) * 100) / 100;
+};
+
+const pickBest = (scored) => scored
+    .filter(entry => entry.confidence >= MIN_SEARCH_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)[0] || null;
+
+const yearOf = (date) => (date ? parseInt(String(date).slice(0, 4)) || null : null);
+
+// --- Mapping builders ---
+const emptyMapping = () => ({ ids: {}, confidence: {}, matchedBy: {}, title: null });
+
+const setId = (mapping, provider, value, confidence, matchedBy) => {
+    if (value === undefined || value === null || value === '') return;
+    mapping.ids[provider] = value;
+    mapping.confidence[provider] = confidence;
+    mapping.matchedBy[provider] = matchedBy;
+};
+
+const applyAniListMedia = (mapping, media, confidence, matchedBy) => {
+    setId(mapping, 'anilist', media.id, confidence, matchedBy);
+    // Shikimori uses MyAnimeList IDs for anime
+    setId(mapping, 'mal', media.idMal, confidence, matchedBy);
+    setId(mapping, 'shikimori', media.idMal, confidence, matchedBy);
+    mapping.title = mapping.title || media.title?.english || media.title?.romaji || media.title?.native;
+};
+
+const ttlFor = (mapping) => {
+    const ids = Object.keys(mapping.ids).filter(key => key !== 'tmdbType');
+    if (ids.length <= 1) return MISS_TTL;
+    return Object.values(mapping.matchedBy).includes('title_search') ? SEARCH_TTL : EXACT_TTL;
+};
+
+/**
+ * Creates the mapping service.
+ *
+ * @param {object} options - { fetch, env, store }. `fetch` is used for every
+ *   AniList and TMDB call; `store` defaults to the Supabase-backed cache.
+ * @returns {object} { resolveMapping }
+ */
+export const createMappingService = ({ fetch, env = process.env, store = createMappingStore(getSupabaseAdmin(env)) }) => {
+    const pending = new Map(); // Coalesce concurrent lookups for the same ID
+
+    // --- Upstream helpers ---
+    const anilistQuery = async (query, variables) => {
+        const response = await fetch('https://graphql.anilist.co', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify({ query, variables })
+        });
+
+        // A missing Media comes back as HTTP 404 with a 404 GraphQL error
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`AniList API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (data.errors && !data.data?.Media && !data.data?.Page) {
+            if (data.errors.some(e => e.status === 404)) return { data: {} };
+            throw new Error(`AniList GraphQL errors: ${JSON.stringify(data.errors)}`);
+        }
+        return data;
+    };
+
+    const tmdbGet = async (path, params = {}) => {
+        const url = new URL(`https://api.themoviedb.org/3/${path}`);
+        url.searchParams.append('api_key', env.TMDB_API_KEY);
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) url.searchParams.append(key, value);
+        });
+
+        const response = await fetch(url);
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`TMDB API error: ${response.status}`);
+        }
+        return response.json();
+    };
+
+    const hasTmdb = () => Boolean(env.TMDB_API_KEY);
+
+    const attachImdb = async (mapping) => {
+        if (mapping.ids.imdb || !mapping.ids.tmdb || !hasTmdb()) return;
+
+        const externalIds = await tmdbGet(`${mapping.ids.tmdbType}/${mapping.ids.tmdb}/external_ids`);
+        if (externalIds?.imdb_id) {
+            // Exact relative to TMDB, so it can't be more certain than the TMDB match
+            setId(mapping, 'imdb', externalIds.imdb_id, mapping.confidence.tmdb, mapping.matchedBy.tmdb);
+        }
+    };
+
+    // AniList media -> TMDB: exact via the MAL external ID, else a title search
+    const attachTmdbFromAnime = async (mapping, media) => {
+        if (!hasTmdb()) return;
+
+        if (media.idMal) {
+            const findData = await tmdbGet(`find/${media.idMal}`, { external_source: 'myanimelist_id' });
+            const tvResult = findData?.tv_results?.[0];
+            const movieResult = findData?.movie_results?.[0];
+            const result = tvResult || movieResult;
+            if (result) {
+                setId(mapping, 'tmdb', result.id, mapping.confidence.anilist, 'external_id');
+                mapping.ids.tmdbType = tvResult ? 'tv' : 'movie';
+                return;
+            }
+        }
+
+        const tmdbType = media.format === 'MOVIE' ? 'movie' : 'tv';
+        const year = media.seasonYear || media.startDate?.year;
+        const titles = [media.title?.english, media.title?.romaji, media.title?.native];
+        const searchTitle = media.title?.english || media.title?.romaji;
+        if (!searchTitle) return;
+
+        const searchData = await tmdbGet(`search/${tmdbType}`, { query: searchTitle });
+        const best = pickBest((searchData?.results || []).map(result => ({
+            result,
+            confidence: scoreMatch(
+                titles,
+                [result.name, result.title, result.original_name, result.original_title],
+                year,
+                yearOf(result.first_air_date || result.release_date)
+            )
+        })));
+
+        if (best) {
+            setId(mapping, 'tmdb', best.result.id, best.confidence, 'title_search');
+            mapping.ids.tmdbType = tmdbType;
+        }
+    };
+
+    const fromAniListMedia = async (media, confidence = 1, matchedBy = 'external_id') => {
+        const mapping = emptyMapping();
+        applyAniListMedia(mapping, media, confidence, matchedBy);
+        await attachTmdbFromAnime(mapping, media);
+        await attachImdb(mapping);
+        return mapping;
+    };
+
+    const resolvers = {
+        anilist: async (id) => {
+            const data = await anilistQuery(
+                `query ($id: Int) { Media(id: $id, type: ANIME) { ${MEDIA_FIELDS} } }`,
+                { id: parseInt(id) }
+            );
+            const media = data.data?.Media;
+            if (!media) throw new MappingNotFoundError(`AniList ID ${id} does not exist.`);
+            const mapping = await fromAniListMedia(media);
+            mapping.matchedBy.anilist = 'source';
+            return mapping;
+        },
+
+        mal: async (id) => {
+            const data = await anilistQuery(
+                `query ($idMal: Int) { Media(idMal: $idMal, type: ANIME) { ${MEDIA_FIELDS} } }`,
+                { idMal: parseInt(id) }
+            );
+            const media = data.data?.Media;
+            if (!media) throw new MappingNotFoundError(`No AniList entry for MAL ID ${id}.`);
+            const mapping = await fromAniListMedia(media);
+            mapping.matchedBy.mal = 'source';
+            return mapping;
+        },
+
+        // Shikimori anime IDs are MyAnimeList IDs
+        shikimori: (id) => resolvers.mal(id),
+
+        tmdb: async (id, { type } = {}) => {
+            if (!hasTmdb()) throw new Error('TMDB API key is not configured on the server.');
+            if (!['tv', 'movie'].includes(type)) {
+                throw new MappingNotFoundError('A TMDB lookup needs a "type" of "tv" or "movie".');
+            }
+
+            const details = await tmdbGet(`${type}/${id}`, { append_to_response: 'external_ids' });
+            if (!details) throw new MappingNotFoundError(`TMDB ${type} ${id} does not exist.`);
+
+            const mapping = emptyMapping();
+            setId(mapping, 'tmdb', details.id, 1, 'source');
+            mapping.ids.tmdbType = type;
+            setId(mapping, 'imdb', details.external_ids?.imdb_id, 1, 'external_id');
+            mapping.title = details.name || details.title;
+
+            // TMDB has no AniList/MAL external IDs, so anime is matched by title
+            const titles = [details.name, details.title, details.original_name, details.original_title];
+            const year = yearOf(details.first_air_date || details.release_date);
+            const searchQuery = `query ($search: String) { Page(page: 1, perPage: 5) { media(search: $search, type: ANIME, sort: SEARCH_MATCH) { ${MEDIA_FIELDS} } } }`;
+
+            for (const searchTerm of [...new Set(titles.filter(Boolean))]) {
+                const data = await anilistQuery(searchQuery, { search: searchTerm });
+                const best = pickBest((data.data?.Page?.media || []).map(media => ({
+                    media,
+                    confidence: scoreMatch(
+                        titles,
+                        [media.title?.english, media.title?.romaji, media.title?.native],
+                        year,
+                        media.seasonYear || media.startDate?.year
+                    )
+                })));
+
+                if (best) {
+                    applyAniListMedia(mapping, best.media, best.confidence, 'title_search');
+                    break;
+                }
+            }
+
+            return mapping;
+        },
+
+        imdb: async (id) => {
+            if (!hasTmdb()) throw new Error('TMDB API key is not configured on the server.');
+
+            const findData = await tmdbGet(`find/${id}`, { external_source: 'imdb_id' });
+            const tvResult = findData?.tv_results?.[0];
+            const movieResult = findData?.movie_results?.[0];
+            const result = tvResult || movieResult;
+            if (!result) throw new MappingNotFoundError(`No TMDB entry for IMDb ID ${id}.`);
+
+            const mapping = await resolvers.tmdb(result.id, { type: tvResult ? 'tv' : 'movie' });
+            setId(mapping, 'imdb', id, 1, 'source');
+            return mapping;
+        }
+    };
+
+    /**
+     * Resolves every known ID for a title starting from one provider's ID.
+     *
+     * @param {string} fromProvider - One of MAPPING_PROVIDERS.
+     * @param {string|number} id - The ID on that provider.
+     * @param {object} [options] - { type: 'tv' | 'movie' } is required for TMDB IDs.
+     * @returns {Promise<object>} { ids, confidence, matchedBy, overallConfidence, title, expiresAt, cached }
+     */
+    const resolveMapping = async (fromProvider, id, { type } = {}) => {
+        const provider = String(fromProvider).toLowerCase();
+        if (!MAPPING_PROVIDERS.includes(provider)) {
+            throw new MappingNotFoundError(`Unknown provider "${fromProvider}". Expected one of: ${MAPPING_PROVIDERS.join(', ')}.`);
+        }
+
+        const providerId = provider === 'tmdb' ? `${type}:${id}` : String(id);
+        const cacheKey = `${provider}:${providerId}`;
+
+        const cached = await store.readMapping(provider, providerId);
+        if (cached) {
+            return { ...cached, overallConfidence: overallConfidence(cached), cached: true };
+        }
+
+        if (pending.has(cacheKey)) {
+            return pending.get(cacheKey);
+        }
+
+        const lookup = (async () => {
+            const mapping = await resolvers[provider](id, { type });
+            console.log(`[MAPPING] Resolved ${cacheKey}: ${JSON.stringify(mapping.ids)}`);
+            const stored = await store.writeMapping(mapping, [provider, providerId], ttlFor(mapping));
+            return { ...stored, overallConfidence: overallConfidence(stored), cached: false };
+        })();
+
+        pending.set(cacheKey, lookup);
+        try {
+            return await lookup;
+        } finally {
+            pending.delete(cacheKey);
+        }
+    };
+
+    return { resolveMapping };
+};
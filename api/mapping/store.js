@@ -0,0 +1,134 @@
+// Persistent cache for resolved ID mappings. Uses the `id_mappings` table when
+// a service-role Supabase client is given, and an in-memory Map otherwise
+// (local development, tests).
+const keyFor = (provider, providerId) => `${provider}:${providerId}`;
+
+// Every provider ID known for a mapping, as [provider, providerId] pairs.
+// TMDB IDs are only unique per media type, so the type is part of the key.
+export const providerKeys = (ids) => {
+    const keys = [];
+    if (ids.anilist) keys.push(['anilist', String(ids.anilist)]);
+    if (ids.mal) keys.push(['mal', String(ids.mal)]);
+    if (ids.shikimori) keys.push(['shikimori', String(ids.shikimori)]);
+    if (ids.tmdb && ids.tmdbType) keys.push(['tmdb', `${ids.tmdbType}:${ids.tmdb}`]);
+    if (ids.imdb) keys.push(['imdb', String(ids.imdb)]);
+    return keys;
+};
+
+// IDs that came from the provider itself or an exact external ID, as
+// opposed to a title search
+const EXACT_MATCHES = ['source', 'external_id'];
+
+// Overall confidence is only as good as the weakest link
+export const overallConfidence = (mapping) => {
+    const scores = Object.values(mapping.confidence || {});
+    return scores.length ? Math.min(...scores) : 0;
+};
+
+const fromRow = (row) => ({
+    ids: row.ids,
+    confidence: row.confidence,
+    matchedBy: row.matched_by,
+    title: row.title,
+    expiresAt: row.expires_at
+});
+
+export const createMappingStore = (supabase = null) => {
+    const memory = new Map();
+
+    const readMapping = async (provider, providerId) => {
+        if (!supabase) {
+            const entry = memory.get(keyFor(provider, providerId));
+            if (!entry) return null;
+            if (new Date(entry.expiresAt) <= new Date()) {
+                memory.delete(keyFor(provider, providerId));
+                return null;
+            }
+            return entry;
+        }
+
+        const { data, error } = await supabase
+            .from('id_mappings')
+            .select('ids, confidence, matched_by, title, expires_at')
+            .eq('provider', provider)
+            .eq('provider_id', providerId)
+            .gt('expires_at', new Date().toISOString())
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[MAPPING] Error reading cached mapping for ${provider}:${providerId}:`, error.message);
+            return null;
+        }
+        return data ? fromRow(data) : null;
+    };
+
+    // Unexpired cached mappings that are more certain than `confidence`, by key
+    const loadStronger = async (keys, confidence) => {
+        if (!supabase) {
+            return new Set(keys.map(([provider, providerId]) => keyFor(provider, providerId)).filter(key => {
+                const entry = memory.get(key);
+                return entry && new Date(entry.expiresAt) > new Date() && overallConfidence(entry) > confidence;
+            }));
+        }
+
+        const { data, error } = await supabase
+            .from('id_mappings')
+            .select('provider, provider_id, confidence')
+            .in('provider_id', keys.map(([, providerId]) => providerId))
+            .gt('expires_at', new Date().toISOString());
+        if (error) {
+            console.error('[MAPPING] Error reading cached mappings:', error.message);
+            return null;
+        }
+        return new Set((data || [])
+            .filter(row => overallConfidence(row) > confidence)
+            .map(row => keyFor(row.provider, row.provider_id)));
+    };
+
+    // Store a mapping under the ID it was requested with (so negative results
+    // are cached too) and under every other ID it got from an exact match. An
+    // ID found by title search is no key to the title: looked up from that
+    // provider, it resolves on its own. A cached mapping that is more certain
+    // is never replaced.
+    const writeMapping = async (mapping, requestedKey, ttlSeconds) => {
+        const expiresAt = new Date(Date.now() + ttlSeconds * 1000).toISOString();
+        const keys = providerKeys(mapping.ids)
+            .filter(([provider]) => EXACT_MATCHES.includes(mapping.matchedBy[provider]));
+        if (!keys.some(([provider, providerId]) => provider === requestedKey[0] && providerId === requestedKey[1])) {
+            keys.push(requestedKey);
+        }
+
+        const entry = { ...mapping, expiresAt };
+        const stronger = await loadStronger(keys, overallConfidence(mapping));
+        if (!stronger) return entry;
+        const writable = keys.filter(([provider, providerId]) => !stronger.has(keyFor(provider, providerId)));
+
+        if (!supabase) {
+            writable.forEach(([provider, providerId]) => memory.set(keyFor(provider, providerId), entry));
+            return entry;
+        }
+        if (writable.length === 0) return entry;
+
+        const rows = writable.map(([provider, providerId]) => ({
+            provider,
+            provider_id: providerId,
+            ids: mapping.ids,
+            confidence: mapping.confidence,
+            matched_by: mapping.matchedBy,
+            title: mapping.title,
+            expires_at: expiresAt,
+            updated_at: new Date().toISOString()
+        }));
+
+        const { error } = await supabase
+            .from('id_mappings')
+            .upsert(rows, { onConflict: 'provider,provider_id' });
+
+        if (error) {
+            console.error('[MAPPING] Error caching mapping:', error.message);
+        }
+        return entry;
+    };
+
+    return { readMapping, writeMapping };
+};
@@ -0,0 +1,157 @@
+// --- Episode Markers ---
+// Where an episode's intro starts and ends and where its credits start,
+// crowd-sourced from viewers pressing the mark buttons on the Watch page.
+// Each user has one vote per episode and kind (episode_marker_votes); a
+// marker is served once MIN_VOTES viewers agree on it.
+//
+// Sources can serve different cuts of an episode, so only votes cast on a
+// stream about as long as the most common one count. The marker is the
+// median of those, which keeps a few stray clicks from moving it.
+import { selectAllPages } from '../lib/supabase.js';
+import { mapWithConcurrency } from '../lib/upstream.js';
+
+export const MARKER_KINDS = ['intro_start', 'intro_end', 'credits_start'];
+export const MARKER_MEDIA_TYPES = ['tv', 'anime'];
+
+const MIN_VOTES = 2;
+const DURATION_TOLERANCE_SECONDS = 20;
+const MAX_LOOKUPS = 50;
+const SEASON_CONCURRENCY = 4;
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const round = (seconds) => Math.round(seconds * 10) / 10;
+
+export const episodeKey = ({ media_type, media_id, season_number, episode_number }) =>
+    `${media_type}:${media_id}:${season_number}:${episode_number}`;
+
+/**
+ * Aggregates one episode's votes into markers. Kinds without enough
+ * agreeing votes are null, and so is an intro that does not end after it
+ * starts.
+ *
+ * @param {Array<object>} votes - episode_marker_votes rows of one episode.
+ * @returns {object} { intro_start, intro_end, credits_start, duration, votes }
+ */
+export const aggregateMarkers = (votes) => {
+    const durations = votes.map(vote => vote.duration_seconds).filter(Boolean);
+    const duration = durations.length ? median(durations) : null;
+    const counted = votes.filter(vote => !duration || !vote.duration_seconds
+        || Math.abs(vote.duration_seconds - duration) <= DURATION_TOLERANCE_SECONDS);
+
+    const markers = { duration, votes: {} };
+    for (const kind of MARKER_KINDS) {
+        const positions = counted.filter(vote => vote.kind === kind).map(vote => Number(vote.position_seconds));
+        markers.votes[kind] = positions.length;
+        markers[kind] = positions.length >= MIN_VOTES ? round(median(positions)) : null;
+    }
+
+    if (markers.intro_start !== null && markers.intro_end !== null && markers.intro_end <= markers.intro_start) {
+        markers.intro_start = null;
+        markers.intro_end = null;
+    }
+    return markers;
+};
+
+/**
+ * Creates the episode marker store.
+ *
+ * @param {object} options - { supabase }, the service-role client.
+ * @returns {object} { getSeason, getEpisodes, vote }
+ */
+export const createMarkerService = ({ supabase }) => {
+    const check = ({ data, error }, action) => {
+        if (error) {
+            throw new Error(`Could not ${action}: ${error.message}`);
+        }
+        return data || [];
+    };
+
+    const COLUMNS = 'media_type, media_id, season_number, episode_number, kind, position_seconds, duration_seconds';
+
+    const groupByEpisode = (votes) => {
+        const groups = new Map();
+        for (const vote of votes) {
+            const key = episodeKey(vote);
+            groups.set(key, [...(groups.get(key) || []), vote]);
+        }
+        return groups;
+    };
+
+    // Every vote for one season, or for some of its episodes
+    const loadVotes = async (type, id, season, episodes = null) => check(await selectAllPages(() => {
+        const query = supabase
+            .from('episode_marker_votes')
+            .select(COLUMNS)
+            .eq('media_type', type)
+            .eq('media_id', String(id))
+            .eq('season_number', season);
+        return (episodes ? query.in('episode_number', episodes) : query).order('id');
+    }), 'read episode markers');
+
+    /**
+     * Markers for every episode of a season that has votes.
+     *
+     * @returns {Promise<object>} Markers keyed by episode number.
+     */
+    const getSeason = async (type, id, season) => {
+        const votes = await loadVotes(type, id, season);
+
+        const bySeason = {};
+        for (const group of groupByEpisode(votes).values()) {
+            bySeason[group[0].episode_number] = aggregateMarkers(group);
+        }
+        return bySeason;
+    };
+
+    /**
+     * Markers for a list of episodes from any titles, such as the ones in
+     * Continue Watching. Episodes without votes get null markers.
+     *
+     * @param {Array<object>} episodes - { type, id, season, episode }, at most 50.
+     * @returns {Promise<Array<object>>} { type, id, season, episode, markers }, in order.
+     */
+    const getEpisodes = async (episodes) => {
+        const requested = episodes.slice(0, MAX_LOOKUPS);
+        const seasons = new Map();
+        for (const { type, id, season, episode } of requested) {
+            const key = `${type}:${id}:${season}`;
+            const entry = seasons.get(key) || { type, id, season, episodes: [] };
+            entry.episodes.push(episode);
+            seasons.set(key, entry);
+        }
+
+        const votes = await mapWithConcurrency([...seasons.values()], SEASON_CONCURRENCY,
+            ({ type, id, season, episodes: numbers }) => loadVotes(type, id, season, numbers));
+        const groups = groupByEpisode(votes.flat());
+
+        return requested.map(({ type, id, season, episode }) => {
+            const group = groups.get(episodeKey({ media_type: type, media_id: String(id), season_number: season, episode_number: episode }));
+            return { type, id, season, episode, markers: group ? aggregateMarkers(group) : null };
+        });
+    };
+
+    /**
+     * Records (or replaces) a user's vote and returns the episode's markers.
+     */
+    const vote = async (userId, { type, id, season, episode, kind, position, duration }) => {
+        check(await supabase.from('episode_marker_votes').upsert({
+            user_id: userId,
+            media_type: type,
+            media_id: String(id),
+            season_number: season,
+            episode_number: episode,
+            kind,
+            position_seconds: round(position),
+            duration_seconds: duration ? Math.round(duration) : null
+        }, { onConflict: 'user_id,media_type,media_id,season_number,episode_number,kind' }), 'save episode marker');
+
+        return (await getSeason(type, id, season))[episode] || aggregateMarkers([]);
+    };
+
+    return { getSeason, getEpisodes, vote };
+};
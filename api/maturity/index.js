@@ -0,0 +1,345 @@
+import { sessionIdOf } from '../lib/supabase.js';
+import { mapWithConcurrency } from '../lib/upstream.js';
+import { MappingNotFoundError } from '../mapping/index.js';
+
+// --- Maturity Ratings ---
+// Every viewer profile has a maturity ceiling (viewer_profiles.maturity_rating),
+// and listing and search routes drop titles rated above it. Ratings come from
+// the US certification on TMDB (release_dates for movies, content_ratings for
+// TV), AniList's isAdult flag and Shikimori's rating. AniList has no age
+// ratings, so an anime that isn't explicit takes the certification of the
+// TMDB show or movie it maps to (api/mapping).
+//
+// Explicit titles (TMDB `adult`, AniList isAdult or Hentai, Shikimori Rx) rank
+// above every ceiling, so they are never listed. Titles without a rating
+// count as teen. Signed-out visitors get DEFAULT_MATURITY_RATING (adult).
+
+export const MATURITY_LEVELS = ['kids', 'teen', 'adult', 'explicit'];
+export const PROFILE_CEILINGS = ['kids', 'teen', 'adult'];
+export const UNRATED = 'teen';
+
+const CERTIFICATION_COUNTRY = 'US';
+const CERTIFICATIONS = {
+    movie: { G: 'kids', PG: 'kids', 'PG-13': 'teen', R: 'adult', 'NC-17': 'adult' },
+    tv: { 'TV-Y': 'kids', 'TV-Y7': 'kids', 'TV-G': 'kids', 'TV-PG': 'kids', 'TV-14': 'teen', 'TV-MA': 'adult' }
+};
+
+// Shikimori's search takes the ratings to include; `none` is unrated
+const SHIKIMORI_RATINGS = { kids: 'g,pg', teen: 'none,g,pg,pg_13', adult: 'none,g,pg,pg_13,r,r_plus' };
+
+const LOOKUP_CONCURRENCY = 6;
+const RATING_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_CACHED_RATINGS = 5000;
+const CEILING_TTL_MS = 60 * 1000;
+const MAX_CACHED_CEILINGS = 1000;
+
+const rank = (level) => MATURITY_LEVELS.indexOf(level);
+
+/**
+ * Whether a title rated `level` may be shown under `ceiling`.
+ *
+ * @param {string} ceiling - One of PROFILE_CEILINGS.
+ * @param {string} level - One of MATURITY_LEVELS.
+ * @returns {boolean}
+ */
+export const isAllowed = (ceiling, level) => rank(level) <= rank(ceiling);
+
+/**
+ * Picks the viewer profile a request acts as: the one named in
+ * X-Viewer-Profile, else the account's default. While the account has a
+ * parental PIN, a profile rated above the one this sign-in session last
+ * activated (viewer_profile_sessions) is held back until it is activated
+ * with the PIN. Sessions that never activated one are not held back.
+ *
+ * @param {object} supabase - Service-role client.
+ * @param {object} request - { userId, sessionId, requested, profiles },
+ *   the account's profiles with `maturity_rating` and `is_default`.
+ * @returns {Promise<object>} { profile, locked }. When `locked`, `profile`
+ *   is the one that was asked for and `active` the one the session is at
+ *   (null if that profile was deleted).
+ */
+export const pickViewerProfile = async (supabase, { userId, sessionId, requested, profiles }) => {
+    const profile = profiles.find(candidate => candidate.id === requested)
+        || profiles.find(candidate => candidate.is_default)
+        || null;
+    if (!profile || !sessionId) {
+        return { profile, locked: false };
+    }
+
+    const [sessions, controls] = await Promise.all([
+        supabase.from('viewer_profile_sessions').select('profile_id').eq('session_id', sessionId),
+        supabase.from('parental_controls').select('pin_hash').eq('user_id', userId)
+    ]);
+    for (const { error } of [sessions, controls]) {
+        if (error) {
+            throw new Error(`Could not read the active profile: ${error.message}`);
+        }
+    }
+    const session = sessions.data?.[0];
+    if (!session || !controls.data?.[0]?.pin_hash) {
+        return { profile, locked: false };
+    }
+
+    // A deleted profile leaves the session at the lowest rating
+    const active = profiles.find(candidate => candidate.id === session.profile_id) || null;
+    const activeRank = active ? PROFILE_CEILINGS.indexOf(active.maturity_rating) : 0;
+    return PROFILE_CEILINGS.indexOf(profile.maturity_rating) > activeRank
+        ? { profile, active, locked: true }
+        : { profile, locked: false };
+};
+
+/**
+ * Rates an AniList media object from the isAdult flag and its genres, which
+ * may be names or { name } objects.
+ *
+ * @param {object} media
+ * @returns {string} 'explicit' or UNRATED.
+ */
+export const rateAniList = (media) => {
+    const genres = (media?.genres || []).map(genre => genre?.name || genre);
+    return media?.isAdult || genres.includes('Hentai') ? 'explicit' : UNRATED;
+};
+
+/**
+ * Picks the US certification out of a TMDB release_dates or content_ratings
+ * response and maps it to a maturity level.
+ *
+ * @param {string} type - 'movie' or 'tv'.
+ * @param {object} data - The TMDB response.
+ * @returns {string} A maturity level, UNRATED if there is no US rating.
+ */
+export const rateCertification = (type, data) => {
+    const country = (data?.results || []).find(result => result.iso_3166_1 === CERTIFICATION_COUNTRY);
+    const certification = type === 'movie'
+        ? (country?.release_dates || []).map(release => release.certification).find(Boolean)
+        : country?.rating;
+    return CERTIFICATIONS[type]?.[certification?.trim()] || UNRATED;
+};
+
+/**
+ * Creates the maturity service.
+ *
+ * @param {object} options - { fetch, env, supabase, resolveMapping }
+ * @returns {object} { resolveCeiling, forgetCeilings, rateTmdb, rateAnime, filterTmdb, filterAniList, shikimoriRatings, defaultCeiling }
+ */
+export const createMaturityService = ({ fetch, env, supabase, resolveMapping }) => {
+    const TMDB_API_KEY = env.TMDB_API_KEY;
+    const defaultCeiling = PROFILE_CEILINGS.includes(env.DEFAULT_MATURITY_RATING) ? env.DEFAULT_MATURITY_RATING : 'adult';
+
+    // Bounded caches; the oldest entry goes first once they are full
+    const ratings = new Map();
+    const ceilings = new Map();
+    const remember = (cache, key, value, ttl, max) => {
+        cache.delete(key);
+        cache.set(key, { value, expires: Date.now() + ttl });
+        if (cache.size > max) {
+            cache.delete(cache.keys().next().value);
+        }
+        return value;
+    };
+    const recall = (cache, key) => {
+        const entry = cache.get(key);
+        return entry && entry.expires > Date.now() ? entry.value : undefined;
+    };
+
+    // --- Ceilings ---
+    const lookupCeiling = async (token, requestedProfile) => {
+        const { data, error } = await supabase.auth.getUser(token);
+        if (error || !data?.user) {
+            return defaultCeiling;
+        }
+        const { data: profiles, error: profilesError } = await supabase
+            .from('viewer_profiles')
+            .select('id, maturity_rating, is_default')
+            .eq('user_id', data.user.id);
+        if (profilesError) {
+            throw new Error(`Could not read viewer profiles: ${profilesError.message}`);
+        }
+        const { profile, active, locked } = await pickViewerProfile(supabase, {
+            userId: data.user.id,
+            sessionId: sessionIdOf(token),
+            requested: requestedProfile,
+            profiles: profiles || []
+        });
+        // A profile still waiting for the PIN gets the session's own ceiling
+        const rating = locked ? active?.maturity_rating || 'kids' : profile?.maturity_rating;
+        return PROFILE_CEILINGS.includes(rating) ? rating : 'adult';
+    };
+
+    // Activating another profile changes what this session's requests may see
+    const forgetCeilings = (token) => {
+        [...ceilings.keys()].filter(key => key.startsWith(`${token}|`)).forEach(key => ceilings.delete(key));
+    };
+
+    /**
+     * Middleware for listing routes: sets `req.maturityCeiling` from the
+     * signed-in viewer profile, if any. Never rejects a request; a bad or
+     * missing session gets the signed-out ceiling. Mount it before
+     * cache.route, whose key includes the ceiling.
+     */
+    const resolveCeiling = async (req, res, next) => {
+        res.vary('Authorization');
+        res.vary('X-Viewer-Profile');
+
+        const token = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i)?.[1];
+        if (!token || !supabase) {
+            req.maturityCeiling = defaultCeiling;
+            return next();
+        }
+
+        const requestedProfile = req.get('x-viewer-profile') || '';
+        const key = `${token}|${requestedProfile}`;
+        try {
+            req.maturityCeiling = recall(ceilings, key)
+                ?? remember(ceilings, key, await lookupCeiling(token, requestedProfile), CEILING_TTL_MS, MAX_CACHED_CEILINGS);
+        } catch (error) {
+            // Fail closed: a listing is better too tame than too permissive
+            console.error(`[MATURITY] Could not resolve ceiling: ${error.message}`);
+            req.maturityCeiling = 'kids';
+        }
+        next();
+    };
+
+    // --- Ratings ---
+    // A title's US certification, cached; throws when TMDB can't be asked
+    const certify = async (type, id) => {
+        const key = `${type}:${id}`;
+        const cached = recall(ratings, key);
+        if (cached) {
+            return cached;
+        }
+        const path = type === 'movie' ? 'release_dates' : 'content_ratings';
+        const response = await fetch(`https://api.themoviedb.org/3/${type}/${id}/${path}?api_key=${TMDB_API_KEY}`);
+        if (!response.ok) {
+            throw new Error(`TMDB ${response.status}`);
+        }
+        return remember(ratings, key, rateCertification(type, await response.json()), RATING_TTL_MS, MAX_CACHED_RATINGS);
+    };
+
+    /**
+     * Rates a TMDB movie or show by its US certification.
+     *
+     * @param {string} type - 'movie' or 'tv'.
+     * @param {number|string} id - TMDB ID.
+     * @param {object} [item] - The listing entry, whose `adult` flag saves a lookup.
+     * @returns {Promise<string>} A maturity level.
+     */
+    const rateTmdb = async (type, id, item) => {
+        if (item?.adult) {
+            return 'explicit';
+        }
+        if (!TMDB_API_KEY) {
+            return UNRATED;
+        }
+        try {
+            return await certify(type, id);
+        } catch (error) {
+            // Not cached, so the next listing tries again
+            console.warn(`[MATURITY] Could not rate ${type}:${id}: ${error.message}`);
+            return UNRATED;
+        }
+    };
+
+    // AniList has no age ratings, so an anime takes the certification of the
+    // TMDB show or movie it maps to
+    const rateMappedTmdb = async (id) => {
+        if (!resolveMapping || !TMDB_API_KEY) {
+            return UNRATED;
+        }
+        try {
+            const { ids } = await resolveMapping('anilist', id);
+            return ids.tmdb && ids.tmdbType ? await certify(ids.tmdbType, ids.tmdb) : UNRATED;
+        } catch (error) {
+            if (error instanceof MappingNotFoundError) {
+                return UNRATED;
+            }
+            throw error;
+        }
+    };
+
+    /**
+     * Rates an AniList anime by ID: explicit from AniList's own flags, else
+     * by the certification of the TMDB entry it maps to, else UNRATED.
+     *
+     * @param {number|string} id - AniList ID.
+     * @param {object} [media] - The listing entry, whose `isAdult` and
+     *   `genres` save an AniList lookup.
+     * @returns {Promise<string>} A maturity level.
+     */
+    const rateAnime = async (id, media) => {
+        const key = `anime:${id}`;
+        const cached = recall(ratings, key);
+        if (cached) {
+            return cached;
+        }
+
+        try {
+            let details = media;
+            if (!details) {
+                const response = await fetch('https://graphql.anilist.co', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                    body: JSON.stringify({
+                        query: 'query ($id: Int) { Media(id: $id, type: ANIME) { id isAdult genres } }',
+                        variables: { id: Number(id) }
+                    })
+                });
+                if (!response.ok) {
+                    throw new Error(`AniList ${response.status}`);
+                }
+                details = (await response.json())?.data?.Media;
+            }
+            const rating = rateAniList(details) === 'explicit' ? 'explicit' : await rateMappedTmdb(id);
+            return remember(ratings, key, rating, RATING_TTL_MS, MAX_CACHED_RATINGS);
+        } catch (error) {
+            console.warn(`[MATURITY] Could not rate ${key}: ${error.message}`);
+            return UNRATED;
+        }
+    };
+
+    // --- Filtering ---
+    /**
+     * Keeps the TMDB entries allowed under `ceiling`. People and other
+     * non-title entries are kept. Below adult, every title is rated, which
+     * costs one TMDB request per title not yet cached.
+     *
+     * @param {Array} items - TMDB listing entries.
+     * @param {string} ceiling - One of PROFILE_CEILINGS.
+     * @param {string} [type] - Media type for entries without `media_type`.
+     * @returns {Promise<Array>}
+     */
+    const filterTmdb = async (items, ceiling, type) => {
+        if (!Array.isArray(items)) {
+            return items;
+        }
+        const levels = await mapWithConcurrency(items, LOOKUP_CONCURRENCY, async (item) => {
+            const itemType = item.media_type || type;
+            if (itemType !== 'movie' && itemType !== 'tv') {
+                return 'kids';
+            }
+            return ceiling === 'adult' && !item.adult ? 'adult' : rateTmdb(itemType, item.id, item);
+        });
+        return items.filter((_, index) => isAllowed(ceiling, levels[index]));
+    };
+
+    /**
+     * Keeps the AniList media allowed under `ceiling`. Needs `id`, `isAdult`
+     * and `genres` in the query. Below adult, every title is rated through
+     * its TMDB mapping, which costs a few requests per title not yet cached.
+     *
+     * @param {Array} media
+     * @param {string} ceiling
+     * @returns {Promise<Array>}
+     */
+    const filterAniList = async (media, ceiling) => {
+        const items = media || [];
+        const levels = ceiling === 'adult'
+            ? items.map(rateAniList)
+            : await mapWithConcurrency(items, LOOKUP_CONCURRENCY, item => rateAnime(item.id, item));
+        return items.filter((_, index) => isAllowed(ceiling, levels[index]));
+    };
+
+    const shikimoriRatings = (ceiling) => SHIKIMORI_RATINGS[ceiling] || SHIKIMORI_RATINGS.kids;
+
+    return { resolveCeiling, forgetCeilings, rateTmdb, rateAnime, filterTmdb, filterAniList, shikimoriRatings, defaultCeiling };
+};
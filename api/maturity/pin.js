@@ -0,0 +1,147 @@
+import { randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+import { PROFILE_CEILINGS } from './index.js';
+
+// --- Parental PIN ---
+// One four-digit PIN per account, kept as a salted scrypt hash in
+// `parental_controls`, which only the service role can read. It unlocks a
+// title above the profile's ceiling on the Watch page and a switch to a
+// profile rated above the current one, and guards changes to maturity
+// ratings. Five wrong guesses lock it for fifteen minutes; the count and the
+// lock live in the same row, so they hold across API instances.
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 32;
+const MAX_FAILURES = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+export const PIN_PATTERN = /^\d{4}$/;
+
+export class PinLockedError extends Error {
+    constructor(retryAfter) {
+        super('Too many wrong PINs. Try again later.');
+        this.name = 'PinLockedError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+const hashPin = async (pin, salt = randomBytes(16).toString('hex')) => {
+    const hash = await scryptAsync(pin, salt, KEY_LENGTH);
+    return `${salt}:${hash.toString('hex')}`;
+};
+
+const matches = async (pin, stored) => {
+    const [salt, expected] = String(stored).split(':');
+    if (!salt || !expected) return false;
+    const actual = (await hashPin(pin, salt)).split(':')[1];
+    return timingSafeEqual(Buffer.from(actual, 'hex'), Buffer.from(expected, 'hex'));
+};
+
+/**
+ * Creates the parental PIN store.
+ *
+ * @param {object} options - { supabase }, the service-role client.
+ * @returns {object} { isSet, verify, setPin, clearPin, setProfileRating, activateProfile }
+ */
+export const createParentalPin = ({ supabase }) => {
+    const check = ({ data, error }, action) => {
+        if (error) {
+            throw new Error(`Could not ${action}: ${error.message}`);
+        }
+        return data || [];
+    };
+
+    const storedHash = async (userId) => {
+        const rows = check(await supabase.from('parental_controls').select('pin_hash').eq('user_id', userId), 'read parental controls');
+        return rows[0]?.pin_hash || null;
+    };
+
+    const isSet = async (userId) => Boolean(await storedHash(userId));
+
+    // Counts a guess as wrong until it is shown right, so guesses sent in
+    // parallel can't outrun the lockout. The update only applies if nobody
+    // else counted one since `record` was read; null means try again.
+    const countAttempt = async (userId, record) => {
+        const lockExpired = record.locked_until && Date.parse(record.locked_until) <= Date.now();
+        const attempts = (lockExpired ? 0 : record.failed_attempts || 0) + 1;
+        const claimed = check(await supabase
+            .from('parental_controls')
+            .update({
+                failed_attempts: attempts,
+                locked_until: attempts >= MAX_FAILURES ? new Date(Date.now() + LOCKOUT_MS).toISOString() : null
+            })
+            .eq('user_id', userId)
+            .eq('failed_attempts', record.failed_attempts || 0)
+            .select('user_id'), 'count the PIN attempt');
+        return claimed.length > 0;
+    };
+
+    /**
+     * Checks a PIN, counting wrong guesses.
+     *
+     * @param {string} userId
+     * @param {string} pin
+     * @returns {Promise<boolean>} False when no PIN is set or it is wrong.
+     * @throws {PinLockedError} After too many wrong guesses.
+     */
+    const verify = async (userId, pin) => {
+        for (let round = 0; round < MAX_FAILURES * 2; round++) {
+            const [record] = check(await supabase
+                .from('parental_controls')
+                .select('pin_hash, failed_attempts, locked_until')
+                .eq('user_id', userId), 'read parental controls');
+            if (!record) return false;
+
+            const lockedFor = record.locked_until ? Date.parse(record.locked_until) - Date.now() : 0;
+            if (lockedFor > 0) {
+                throw new PinLockedError(Math.ceil(lockedFor / 1000));
+            }
+            if (!await countAttempt(userId, record)) continue;
+
+            if (!PIN_PATTERN.test(String(pin || '')) || !await matches(String(pin), record.pin_hash)) {
+                return false;
+            }
+            check(await supabase
+                .from('parental_controls')
+                .update({ failed_attempts: 0, locked_until: null })
+                .eq('user_id', userId), 'reset PIN attempts');
+            return true;
+        }
+        throw new Error('Too many PIN checks at once');
+    };
+
+    const setPin = async (userId, pin) => {
+        check(await supabase.from('parental_controls').upsert(
+            { user_id: userId, pin_hash: await hashPin(pin), failed_attempts: 0, locked_until: null, updated_at: new Date().toISOString() },
+            { onConflict: 'user_id' }
+        ), 'save the PIN');
+    };
+
+    const clearPin = async (userId) => {
+        check(await supabase.from('parental_controls').delete().eq('user_id', userId), 'remove the PIN');
+    };
+
+    // The database only lets the service role change a rating while a PIN is set
+    const setProfileRating = async (userId, profileId, rating) => {
+        if (!PROFILE_CEILINGS.includes(rating)) {
+            throw new Error(`Unknown maturity rating "${rating}"`);
+        }
+        const rows = check(await supabase.from('viewer_profiles').select('id').eq('id', profileId).eq('user_id', userId), 'read the profile');
+        if (rows.length === 0) {
+            return false;
+        }
+        check(await supabase.from('viewer_profiles').update({ maturity_rating: rating }).eq('id', profileId).eq('user_id', userId), 'update the profile');
+        return true;
+    };
+
+    // Records the profile a sign-in session acts as; pickViewerProfile holds
+    // the session's requests to it and the ratings below
+    const activateProfile = async (userId, sessionId, profileId) => {
+        check(await supabase.from('viewer_profile_sessions').upsert(
+            { session_id: sessionId, user_id: userId, profile_id: profileId, updated_at: new Date().toISOString() },
+            { onConflict: 'session_id' }
+        ), 'activate the profile');
+    };
+
+    return { isSet, verify, setPin, clearPin, setProfileRating, activateProfile };
+};
@@ -0,0 +1,207 @@
+// --- New-Episode Notifications ---
+// A periodic job that looks up the latest aired episode of every favorited
+// TV show and anime and compares it with the last one it saw for that series
+// (`episode_watermarks`). When a series has moved on, every follower who has
+// not muted it gets a row in `notifications`.
+import { selectAllPages } from '../lib/supabase.js';
+import { mapWithConcurrency } from '../lib/upstream.js';
+
+const SERIES_TYPES = ['tv', 'anime'];
+const ANILIST_BATCH_SIZE = 50;
+const TMDB_CONCURRENCY = 4;
+
+const LATEST_QUERY = `
+    query ($ids: [Int]) {
+        Page(perPage: 50) {
+            media(id_in: $ids, type: ANIME) {
+                id
+                title { romaji english }
+                coverImage { large }
+                status
+                episodes
+                nextAiringEpisode { episode airingAt }
+            }
+        }
+    }
+`;
+
+const seriesKey = (mediaType, mediaId) => `${mediaType}:${mediaId}`;
+
+const chunk = (items, size) => Array.from({ length: Math.ceil(items.length / size) }, (_, i) => items.slice(i * size, (i + 1) * size));
+
+export const isNewerEpisode = (latest, seen) => latest.season_number > seen.season_number
+    || (latest.season_number === seen.season_number && latest.episode_number > seen.episode_number);
+
+/**
+ * Creates the notification service.
+ *
+ * @param {object} options - { fetch, env, supabase }. `supabase` is the
+ *   service-role client; without it the job cannot run.
+ * @returns {object} { checkNewEpisodes }
+ */
+export const createNotificationService = ({ fetch, env = process.env, supabase }) => {
+    // --- Upstream helpers ---
+    // The last aired episode of each AniList entry. Anime are always season 1,
+    // as on the Watch page.
+    const fetchLatestAnime = async (ids) => {
+        const latest = new Map();
+        for (const batch of chunk(ids, ANILIST_BATCH_SIZE)) {
+            const response = await fetch('https://graphql.anilist.co', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify({ query: LATEST_QUERY, variables: { ids: batch.map(Number) } })
+            });
+            if (!response.ok) {
+                throw new Error(`AniList API error: ${response.status}`);
+            }
+
+            const data = await response.json();
+            (data.data?.Page?.media || []).forEach(media => {
+                const aired = media.nextAiringEpisode
+                    ? media.nextAiringEpisode.episode - 1
+                    : (media.status === 'FINISHED' ? media.episodes : null);
+                if (!aired) return;
+                latest.set(String(media.id), {
+                    season_number: 1,
+                    episode_number: aired,
+                    title: media.title?.english || media.title?.romaji,
+                    episode_name: null,
+                    poster_path: media.coverImage?.large
+                        ? `/anilist_images/${encodeURIComponent(media.coverImage.large)}`
+                        : null,
+                    air_date: null
+                });
+            });
+        }
+        return latest;
+    };
+
+    const fetchLatestTv = async (tmdbId) => {
+        const response = await fetch(`https://api.themoviedb.org/3/tv/${tmdbId}?api_key=${env.TMDB_API_KEY}`);
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`TMDB API error: ${response.status}`);
+        }
+
+        const show = await response.json();
+        const last = show.last_episode_to_air;
+        if (!last?.episode_number) return null;
+        return {
+            season_number: last.season_number,
+            episode_number: last.episode_number,
+            title: show.name,
+            episode_name: last.name || null,
+            poster_path: show.poster_path || null,
+            air_date: last.air_date || null
+        };
+    };
+
+    // --- Database helpers ---
+    // Reads every matching row, page by page; `order` is a unique key
+    const selectAll = async (table, columns, order, build = query => query) => {
+        const { data, error } = await selectAllPages(() => order.reduce(
+            (query, column) => query.order(column),
+            build(supabase.from(table).select(columns))
+        ));
+        if (error) {
+            throw new Error(`Could not read ${table}: ${error.message}`);
+        }
+        return data || [];
+    };
+
+    const upsert = async (table, rows, options) => {
+        if (rows.length === 0) return;
+        const { error } = await supabase.from(table).upsert(rows, options);
+        if (error) {
+            throw new Error(`Could not write ${table}: ${error.message}`);
+        }
+    };
+
+    /**
+     * Runs one pass of the job. The first time a series is seen only its
+     * watermark is recorded, so following a show doesn't flood the bell with
+     * its back catalogue. Reruns are safe: notifications are unique per user
+     * and episode, and the watermark only moves after they are written.
+     *
+     * @returns {Promise<object>} { checked, seeded, updated, notified, errors }
+     */
+    const checkNewEpisodes = async () => {
+        const [favorites, mutes, watermarks] = await Promise.all([
+            selectAll('favorites', 'user_id, media_id, media_type', ['id'], query => query.in('media_type', SERIES_TYPES)),
+            selectAll('notification_mutes', 'user_id, media_id, media_type', ['id']),
+            selectAll('episode_watermarks', 'media_type, media_id, season_number, episode_number', ['media_type', 'media_id'])
+        ]);
+
+        const muted = new Set(mutes.map(mute => `${mute.user_id}|${seriesKey(mute.media_type, String(mute.media_id))}`));
+        const seen = new Map(watermarks.map(mark => [seriesKey(mark.media_type, String(mark.media_id)), mark]));
+
+        // Series -> followers. Episode favorites count as following the series.
+        const series = new Map();
+        favorites.forEach(({ user_id: userId, media_id: mediaId, media_type: mediaType }) => {
+            const key = seriesKey(mediaType, String(mediaId));
+            if (!series.has(key)) series.set(key, { media_type: mediaType, media_id: String(mediaId), followers: new Set() });
+            series.get(key).followers.add(userId);
+        });
+
+        const all = [...series.values()];
+        const animeIds = all.filter(entry => entry.media_type === 'anime').map(entry => entry.media_id);
+        const tvIds = env.TMDB_API_KEY ? all.filter(entry => entry.media_type === 'tv').map(entry => entry.media_id) : [];
+        const errors = [];
+
+        const latestAnime = animeIds.length > 0
+            ? await fetchLatestAnime(animeIds).catch(error => {
+                console.error(`[NOTIFICATIONS] AniList lookup failed: ${error.message}`);
+                errors.push('anilist');
+                return new Map();
+            })
+            : new Map();
+        const tvResults = await mapWithConcurrency(tvIds, TMDB_CONCURRENCY, id => fetchLatestTv(id).catch(error => {
+            console.error(`[NOTIFICATIONS] TMDB lookup failed for tv ${id}: ${error.message}`);
+            if (!errors.includes('tmdb')) errors.push('tmdb');
+            return null;
+        }));
+        const latestTv = new Map(tvIds.map((id, index) => [id, tvResults[index]]));
+
+        const notifications = [];
+        const newWatermarks = [];
+        let seeded = 0;
+        let updated = 0;
+
+        all.forEach(entry => {
+            const latest = (entry.media_type === 'anime' ? latestAnime : latestTv).get(entry.media_id);
+            if (!latest) return;
+
+            const mark = seen.get(seriesKey(entry.media_type, entry.media_id));
+            if (mark && !isNewerEpisode(latest, mark)) return;
+
+            newWatermarks.push({
+                media_type: entry.media_type,
+                media_id: entry.media_id,
+                season_number: latest.season_number,
+                episode_number: latest.episode_number,
+                updated_at: new Date().toISOString()
+            });
+            if (!mark) {
+                seeded++;
+                return;
+            }
+
+            updated++;
+            entry.followers.forEach(userId => {
+                if (muted.has(`${userId}|${seriesKey(entry.media_type, entry.media_id)}`)) return;
+                notifications.push({ user_id: userId, media_type: entry.media_type, media_id: entry.media_id, ...latest });
+            });
+        });
+
+        await upsert('notifications', notifications, {
+            onConflict: 'user_id,media_type,media_id,season_number,episode_number',
+            ignoreDuplicates: true
+        });
+        await upsert('episode_watermarks', newWatermarks, { onConflict: 'media_type,media_id' });
+
+        console.log(`[NOTIFICATIONS] Checked ${all.length} series: ${updated} with new episodes, ${notifications.length} notifications`);
+        return { checked: all.length, seeded, updated, notified: notifications.length, errors };
+    };
+
+    return { checkNewEpisodes };
+};
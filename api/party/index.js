@@ -0,0 +1,273 @@
+import { randomBytes } from 'node:crypto';
+
+// --- Watch Party ---
+// Rooms where a few people watch the same title together: a shared
+// play/pause/seek state and a chat. Rooms live in memory on the API process
+// that serves their sockets (see ./socket.js); they are gone when it
+// restarts, and removed once nobody has been in them for a while.
+//
+// Anyone in a room can play, pause and seek. Only the host, who holds the
+// token handed out when the room was created, can move it to another
+// episode.
+
+export const PARTY_MEDIA_TYPES = ['movie', 'tv', 'anime'];
+
+const MAX_ROOMS = 200;
+const MAX_PARTICIPANTS = 20;
+const MAX_NAME_LENGTH = 40;
+const MAX_CHAT_LENGTH = 500;
+const CHAT_HISTORY = 50;
+const EMPTY_ROOM_TTL_MS = 10 * 60 * 1000;
+// Updates this close to where the room already is are echoes of a command
+// a participant's player just obeyed
+const SEEK_TOLERANCE_SECONDS = 2;
+
+export class PartyError extends Error {
+    /**
+     * @param {string} message
+     * @param {'not_found'|'full'|'forbidden'|'invalid'} code
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'PartyError';
+        this.code = code;
+    }
+}
+
+const toEpisode = (value) => {
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 0 ? number : null;
+};
+
+/**
+ * Validates what a room is watching.
+ *
+ * @param {object} media - { type, id, season, episode }
+ * @returns {object|null} The media with numeric season and episode (null
+ *   for movies), or null when it is not something the Watch page plays.
+ */
+export const normalizeMedia = (media) => {
+    if (!media || !PARTY_MEDIA_TYPES.includes(media.type)) return null;
+    const id = String(media.id ?? '');
+    if (!/^[\w-]{1,40}$/.test(id)) return null;
+    if (media.type === 'movie') return { type: 'movie', id, season: null, episode: null };
+
+    const season = toEpisode(media.season);
+    const episode = toEpisode(media.episode);
+    if (season === null || episode === null) return null;
+    return { type: media.type, id, season, episode };
+};
+
+/**
+ * Where a room's playback is at `now`.
+ *
+ * @param {object} state - { playing, position, updatedAt }
+ * @param {number} now - Milliseconds since the epoch.
+ * @returns {number} Seconds into the title.
+ */
+export const currentPosition = (state, now) => (state.playing
+    ? state.position + Math.max(0, now - state.updatedAt) / 1000
+    : state.position);
+
+const newId = (bytes) => randomBytes(bytes).toString('base64url');
+
+/**
+ * Creates the watch party room store.
+ *
+ * @param {object} [options]
+ * @param {Function} [options.now] - Clock, in milliseconds (defaults to Date.now).
+ * @returns {object} { createRoom, getRoom, join, leave, setState, setMedia, chat, sweep }
+ */
+export const createPartyService = ({ now = Date.now } = {}) => {
+    const rooms = new Map();
+
+    const requireRoom = (roomId) => {
+        const room = rooms.get(roomId);
+        if (!room) throw new PartyError('This watch party has ended or never existed.', 'not_found');
+        return room;
+    };
+
+    const requireParticipant = (room, participantId) => {
+        const participant = room.participants.get(participantId);
+        if (!participant) throw new PartyError('You are not in this watch party.', 'forbidden');
+        return participant;
+    };
+
+    // The state with its position brought up to date, as sent to clients
+    const stateNow = (room) => {
+        const at = now();
+        return { playing: room.state.playing, position: currentPosition(room.state, at), updatedAt: at, by: room.state.by };
+    };
+
+    const participantList = (room) => [...room.participants.values()].map(({ id, name, host }) => ({ id, name, host }));
+
+    const broadcast = (room, message, { except } = {}) => {
+        const payload = JSON.stringify(message);
+        room.participants.forEach(participant => {
+            if (participant.id === except) return;
+            try {
+                participant.send(payload);
+            } catch (error) {
+                console.warn(`[PARTY] Could not reach ${participant.id} in ${room.id}: ${error.message}`);
+            }
+        });
+    };
+
+    // Removes rooms that have been empty for longer than the TTL
+    const sweep = () => {
+        const at = now();
+        rooms.forEach((room, id) => {
+            if (room.participants.size === 0 && at - room.emptySince > EMPTY_ROOM_TTL_MS) {
+                rooms.delete(id);
+            }
+        });
+    };
+
+    /**
+     * @param {object} media - What the room starts on, see normalizeMedia.
+     * @returns {object} { id, hostToken, media }. The token makes whoever
+     *   presents it when joining the host.
+     */
+    const createRoom = (media) => {
+        const normalized = normalizeMedia(media);
+        if (!normalized) throw new PartyError('media must be a movie, or a series episode with a season and episode.', 'invalid');
+
+        sweep();
+        if (rooms.size >= MAX_ROOMS) throw new PartyError('Too many watch parties are running. Try again later.', 'full');
+
+        let id = newId(6);
+        while (rooms.has(id)) id = newId(6);
+        const room = {
+            id,
+            hostToken: newId(18),
+            media: normalized,
+            state: { playing: false, position: 0, updatedAt: now(), by: null },
+            participants: new Map(),
+            messages: [],
+            guests: 0,
+            emptySince: now()
+        };
+        rooms.set(id, room);
+        console.log(`[PARTY] Created ${id} for ${normalized.type} ${normalized.id}`);
+        return { id, hostToken: room.hostToken, media: normalized };
+    };
+
+    /**
+     * @param {string} roomId
+     * @returns {object|null} { id, media, participants } for the invite page.
+     */
+    const getRoom = (roomId) => {
+        const room = rooms.get(roomId);
+        if (!room) return null;
+        return { id: room.id, media: room.media, participants: room.participants.size };
+    };
+
+    /**
+     * Adds a participant and tells everyone else.
+     *
+     * @param {string} roomId
+     * @param {object} participant - { name, hostToken, send }, where `send`
+     *   delivers a serialized message to their socket.
+     * @returns {object} The welcome message for the new participant.
+     * @throws {PartyError} When the room is unknown or full.
+     */
+    const join = (roomId, { name, hostToken, send }) => {
+        const room = requireRoom(roomId);
+        if (room.participants.size >= MAX_PARTICIPANTS) {
+            throw new PartyError(`This watch party is full (${MAX_PARTICIPANTS} people).`, 'full');
+        }
+
+        const displayName = String(name || '').trim().slice(0, MAX_NAME_LENGTH) || `Guest ${++room.guests}`;
+        const participant = {
+            id: newId(4),
+            name: displayName,
+            host: Boolean(hostToken) && hostToken === room.hostToken,
+            send
+        };
+        room.participants.set(participant.id, participant);
+        broadcast(room, { type: 'participants', participants: participantList(room) }, { except: participant.id });
+
+        return {
+            type: 'welcome',
+            you: { id: participant.id, name: participant.name, host: participant.host },
+            media: room.media,
+            state: stateNow(room),
+            participants: participantList(room),
+            messages: room.messages
+        };
+    };
+
+    const leave = (roomId, participantId) => {
+        const room = rooms.get(roomId);
+        if (!room || !room.participants.delete(participantId)) return;
+        if (room.participants.size === 0) {
+            room.emptySince = now();
+            return;
+        }
+        broadcast(room, { type: 'participants', participants: participantList(room) });
+    };
+
+    /**
+     * Records a play, pause or seek and passes it on to everyone else.
+     *
+     * @param {string} roomId
+     * @param {string} participantId
+     * @param {object} update - { playing, position }
+     * @returns {boolean} False when the update changed nothing.
+     */
+    const setState = (roomId, participantId, { playing, position }) => {
+        const room = requireRoom(roomId);
+        const participant = requireParticipant(room, participantId);
+        if (typeof playing !== 'boolean' || !(Number(position) >= 0)) {
+            throw new PartyError('state needs playing (a boolean) and position (seconds).', 'invalid');
+        }
+
+        const at = now();
+        const drift = Math.abs(currentPosition(room.state, at) - Number(position));
+        if (playing === room.state.playing && drift < SEEK_TOLERANCE_SECONDS) return false;
+
+        room.state = { playing, position: Number(position), updatedAt: at, by: participant.id };
+        broadcast(room, { type: 'state', state: stateNow(room) }, { except: participant.id });
+        return true;
+    };
+
+    /**
+     * Moves the room to another title or episode. Host only.
+     *
+     * @param {string} roomId
+     * @param {string} participantId
+     * @param {object} media - See normalizeMedia.
+     */
+    const setMedia = (roomId, participantId, media) => {
+        const room = requireRoom(roomId);
+        const participant = requireParticipant(room, participantId);
+        if (!participant.host) throw new PartyError('Only the host can change what the party is watching.', 'forbidden');
+        const normalized = normalizeMedia(media);
+        if (!normalized) throw new PartyError('media must be a movie, or a series episode with a season and episode.', 'invalid');
+
+        room.media = normalized;
+        room.state = { playing: false, position: 0, updatedAt: now(), by: participant.id };
+        broadcast(room, { type: 'media', media: normalized, state: stateNow(room) }, { except: participant.id });
+    };
+
+    /**
+     * Posts a chat message to everyone, the sender included.
+     *
+     * @param {string} roomId
+     * @param {string} participantId
+     * @param {string} text
+     */
+    const chat = (roomId, participantId, text) => {
+        const room = requireRoom(roomId);
+        const participant = requireParticipant(room, participantId);
+        const body = String(text ?? '').trim().slice(0, MAX_CHAT_LENGTH);
+        if (!body) return;
+
+        const message = { id: newId(6), from: participant.id, name: participant.name, text: body, at: now() };
+        room.messages.push(message);
+        if (room.messages.length > CHAT_HISTORY) room.messages.shift();
+        broadcast(room, { type: 'chat', message });
+    };
+
+    return { createRoom, getRoom, join, leave, setState, setMedia, chat, sweep };
+};
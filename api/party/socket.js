@@ -0,0 +1,135 @@
+import { WebSocketServer } from 'ws';
+import { isAllowedOrigin } from '../lib/cors.js';
+import { PartyError } from './index.js';
+
+// --- Watch Party Socket ---
+// One WebSocket per participant at /api/party/:id/socket. The first message
+// joins the room:
+//
+//   → { type: 'hello', name, hostToken }
+//   ← { type: 'welcome', you, media, state, participants, messages }
+//
+// after which either side sends, as things happen:
+//
+//   → { type: 'state', playing, position }    ← { type: 'state', state }
+//   → { type: 'media', media }                ← { type: 'media', media, state }
+//   → { type: 'chat', text }                  ← { type: 'chat', message }
+//                                             ← { type: 'participants', participants }
+//                                             ← { type: 'error', error, code }
+//
+// Serverless hosts cannot keep sockets open, so this only runs where
+// api/index.js listens itself.
+
+const SOCKET_PATH = /^(?:\/api)?\/party\/([\w-]+)\/socket$/;
+const MAX_MESSAGE_BYTES = 4 * 1024;
+const HEARTBEAT_MS = 30 * 1000;
+
+// Close codes for a join that failed, in the 4000-4999 range left to apps
+const CLOSE_CODES = { not_found: 4404, full: 4429, forbidden: 4403, invalid: 4400 };
+
+const rejectUpgrade = (socket, status) => {
+    socket.write(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+};
+
+/**
+ * Serves watch party sockets from an HTTP server.
+ *
+ * @param {import('node:http').Server} server
+ * @param {object} options
+ * @param {object} options.party - The room store from createPartyService().
+ * @param {object} [options.env] - Environment variables, for the allowed origins.
+ * @returns {WebSocketServer}
+ */
+export const attachPartySocket = (server, { party, env = process.env }) => {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+    server.on('upgrade', (req, socket, head) => {
+        const roomId = new URL(req.url, 'http://localhost').pathname.match(SOCKET_PATH)?.[1];
+        if (!roomId) {
+            return rejectUpgrade(socket, '404 Not Found');
+        }
+        if (!isAllowedOrigin(env, req.headers.origin)) {
+            console.error(`[PARTY] Socket blocked for origin: ${req.headers.origin}.`);
+            return rejectUpgrade(socket, '403 Forbidden');
+        }
+        wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, roomId));
+    });
+
+    wss.on('connection', (ws, roomId) => {
+        let participantId = null;
+        ws.isAlive = true;
+        ws.on('pong', () => { ws.isAlive = true; });
+
+        const send = (message) => ws.send(JSON.stringify(message));
+
+        const handle = (message) => {
+            if (!participantId) {
+                if (message.type !== 'hello') {
+                    throw new PartyError('Say hello first.', 'invalid');
+                }
+                const welcome = party.join(roomId, {
+                    name: message.name,
+                    hostToken: message.hostToken,
+                    send: (payload) => ws.send(payload)
+                });
+                participantId = welcome.you.id;
+                return send(welcome);
+            }
+
+            switch (message.type) {
+                case 'state':
+                    return party.setState(roomId, participantId, message);
+                case 'media':
+                    return party.setMedia(roomId, participantId, message.media);
+                case 'chat':
+                    return party.chat(roomId, participantId, message.text);
+                default:
+                    throw new PartyError(`Unknown message type "${message.type}".`, 'invalid');
+            }
+        };
+
+        ws.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch {
+                return send({ type: 'error', error: 'Messages must be JSON.', code: 'invalid' });
+            }
+
+            try {
+                handle(message || {});
+            } catch (error) {
+                if (!(error instanceof PartyError)) {
+                    console.error(`[PARTY] Message in ${roomId} failed:`, error.message);
+                    return send({ type: 'error', error: 'Something went wrong.', code: 'internal' });
+                }
+                send({ type: 'error', error: error.message, code: error.code });
+                // Nothing more can happen on a socket that could not join
+                if (!participantId) ws.close(CLOSE_CODES[error.code] || 4400, error.code);
+            }
+        });
+
+        ws.on('close', () => {
+            if (participantId) party.leave(roomId, participantId);
+        });
+    });
+
+    // Drops sockets that stopped answering pings, and rooms nobody came back to
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach(ws => {
+            if (!ws.isAlive) return ws.terminate();
+            ws.isAlive = false;
+            ws.ping();
+        });
+        party.sweep();
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    server.on('close', () => {
+        clearInterval(heartbeat);
+        wss.close();
+    });
+
+    return wss;
+};
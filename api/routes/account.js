@@ -0,0 +1,39 @@
+import express from 'express';
+import { createRequireUser } from '../lib/auth.js';
+
+// --- Account ---
+// "Download my data" and "Delete my account" on the Profile page.
+export const createAccountRouter = ({ supabase, account }) => {
+    const router = express.Router();
+    const requireUser = createRequireUser(supabase);
+
+    router.get('/account/export', requireUser, async (req, res) => {
+        try {
+            const bundle = await account.exportData(req.user);
+            res.set('Cache-Control', 'private, no-store');
+            res.set('Content-Disposition', `attachment; filename="fylm-data-${bundle.exported_at.slice(0, 10)}.json"`);
+            res.json(bundle);
+        } catch (error) {
+            console.error(`[ACCOUNT] Export for ${req.user.id} failed: ${error.message}`);
+            res.status(500).json({ error: 'Export failed', details: error.message });
+        }
+    });
+
+    // The email address has to be typed again, so a stray request with a
+    // valid session cannot delete the account
+    router.delete('/account', requireUser, async (req, res) => {
+        const email = String(req.body?.confirm_email || '').trim().toLowerCase();
+        if (!email || email !== String(req.user.email || '').toLowerCase()) {
+            return res.status(400).json({ error: 'confirm_email must match the account email.' });
+        }
+
+        try {
+            res.json(await account.deleteAccount(req.user));
+        } catch (error) {
+            console.error(`[ACCOUNT] Deleting ${req.user.id} failed: ${error.message}`);
+            res.status(500).json({ error: 'Account deletion failed', details: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,34 @@
+import express from 'express';
+import { CACHE_POLICIES } from '../lib/cachePolicies.js';
+
+// --- Admin ---
+// Operational endpoints. Every route requires the `x-admin-key` header.
+export const createAdminRouter = ({ env, cache }) => {
+    const router = express.Router();
+
+    // Requires the `x-admin-key` header to match ADMIN_API_KEY.
+    const requireAdminKey = (req, res, next) => {
+        const adminKey = env.ADMIN_API_KEY;
+        if (!adminKey) {
+            return res.status(503).json({ error: 'Admin API is not configured on the server.' });
+        }
+        if (req.get('x-admin-key') !== adminKey) {
+            return res.status(401).json({ error: 'Invalid admin key.' });
+        }
+        next();
+    };
+
+    router.get('/admin/cache', requireAdminKey, (req, res) => {
+        res.json({ stats: cache.stats(), policies: CACHE_POLICIES });
+    });
+
+    // Purge everything, or only keys starting with ?prefix= (e.g. "GET /tmdb/movie")
+    router.delete('/admin/cache', requireAdminKey, (req, res) => {
+        const { prefix } = req.query;
+        const purged = cache.purge(prefix);
+        console.log(`[CACHE] Purged ${purged} entries${prefix ? ` matching "${prefix}"` : ''}`);
+        res.json({ purged });
+    });
+
+    return router;
+};
@@ -0,0 +1,79 @@
+import express from 'express';
+import { MappingNotFoundError } from '../mapping/index.js';
+import { CACHE_POLICIES } from '../lib/cachePolicies.js';
+
+// --- AniList ---
+// GraphQL proxy and TMDB -> AniList lookups.
+export const createAniListRouter = ({ env, fetch, cache, resolveMapping }) => {
+    const router = express.Router();
+    const TMDB_API_KEY = env.TMDB_API_KEY;
+
+    // AniList API proxy
+    router.post('/anilist', cache.route(CACHE_POLICIES.anilist, async (req, res) => {
+        try {
+            const { query, variables } = req.body;
+        
+            if (!query) {
+                return res.status(400).json({ error: 'Query is required' });
+            }
+        
+            const response = await fetch('https://graphql.anilist.co', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                },
+                body: JSON.stringify({
+                    query,
+                    variables: variables || {}
+                })
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text().catch(() => `Status: ${response.statusText}`);
+                console.error('AniList API error:', { status: response.status, body: errorText.substring(0, 500) });
+                return res.status(response.status).json({
+                    error: 'Error from AniList API',
+                    details: errorText.substring(0, 500)
+                });
+        }
+
+            const data = await response.json();
+            res.json(data);
+        } catch (error) {
+            console.error('AniList proxy error:', error);
+            res.status(500).json({ error: 'Failed to proxy AniList request', details: error.message });
+        }
+    }));
+
+    router.get('/anilist/from-tmdb/:type/:tmdbId', async (req, res) => {
+        try {
+            const { tmdbId, type } = req.params;
+
+            if (!TMDB_API_KEY) {
+                return res.status(503).json({ error: 'TMDB API key is not configured on the server.' });
+            }
+
+            const mapping = await resolveMapping('tmdb', tmdbId, { type });
+
+            if (!mapping.ids.anilist) {
+                return res.status(404).json({ error: 'Could not find a matching anime on AniList.' });
+            }
+
+            res.json({
+                anilistId: mapping.ids.anilist,
+                tmdbId: tmdbId,
+                confidence: mapping.confidence.anilist
+            });
+
+        } catch (error) {
+            if (error instanceof MappingNotFoundError) {
+                return res.status(404).json({ error: error.message });
+            }
+            console.error('AniList from TMDB mapping error:', error);
+            res.status(500).json({ error: 'Failed to map TMDB ID to AniList ID', details: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,724 @@
+import express from 'express';
+import { CACHE_POLICIES } from '../lib/cachePolicies.js';
+import { AnimeNotFoundError } from '../episodes/index.js';
+
+// --- Anime ---
+// Serves AniList anime in the TMDB response shape under `/tmdb/anime/*`, so
+// the frontend can treat anime like any other TMDB title.
+export const createAnimeRouter = ({ fetch, cache, resolveMapping, getEpisodes, getFranchise, maturity }) => {
+    const router = express.Router();
+
+    // Direct AniList handlers for Anime
+    const handleAnimeRequest = async (req, res, subpath = '') => {
+        try {
+            const { anilistId } = req.params;
+        
+            if (!anilistId || isNaN(parseInt(anilistId))) {
+                return res.status(400).json({ error: 'Invalid AniList ID provided', details: 'ID must be a number' });
+            }
+        
+            const queryParams = req.query;
+            const numericId = parseInt(anilistId);
+
+            console.log(`[ANIME_HANDLER] Request for AniList ID ${numericId}, subpath: '${subpath}'`);
+
+            // Base query for anime details
+            let query = `
+                query ($id: Int) {
+                    Media(id: $id, type: ANIME) {
+                        id
+                        idMal
+                        title {
+                            romaji
+                            english
+                            native
+                        }
+                        description
+                        coverImage {
+                            extraLarge
+                            large
+                            medium
+                        }
+                        bannerImage
+                        startDate {
+                            year
+                            month
+                            day
+                        }
+                        endDate {
+                            year
+                            month
+                            day
+                        }
+                        season
+                        seasonYear
+                        format
+                        status
+                        episodes
+                        duration
+                        genres
+                        averageScore
+                        popularity
+                        studios {
+                            nodes {
+                                name
+                            }
+                        }
+                        nextAiringEpisode {
+                            airingAt
+                            timeUntilAiring
+                            episode
+                        }
+                        relations {
+                            edges {
+                                relationType
+                                node {
+                                    id
+                                    idMal
+                                    type
+                                }
+                            }
+                        }
+                    }
+                }
+            `;
+
+            // Modify query based on subpath
+            if (subpath === 'recommendations') {
+                query = `
+                    query ($id: Int) {
+                        Media(id: $id, type: ANIME) {
+                            id
+                            recommendations(sort: RATING_DESC) {
+                                nodes {
+                                    mediaRecommendation {
+                                        id
+                                        title {
+                                            romaji
+                                            english
+                                        }
+                                        coverImage {
+                                            large
+                                        }
+                                        format
+                                        status
+                                        episodes
+                                        meanScore
+                                        isAdult
+                                        genres
+                                    }
+                                }
+                            }
+                        }
+                    }
+                `;
+            } else if (subpath === 'videos') {
+                query = `
+                    query ($id: Int) {
+                        Media(id: $id, type: ANIME) {
+                            id
+                            title {
+                                romaji
+                                english
+                            }
+                            trailer {
+                                id
+                                site
+                                thumbnail
+                            }
+                        }
+                    }
+                `;
+            }
+
+            try {
+                // Make request to AniList GraphQL API
+                console.log(`[ANIME_HANDLER] Sending GraphQL query to AniList for ID ${numericId}`);
+            
+                const response = await fetch('https://graphql.anilist.co', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        query: query,
+                        variables: { id: numericId }
+                    })
+                });
+    
+                if (!response.ok) {
+                    throw new Error(`AniList API error: ${response.status}`);
+                }
+    
+                const graphqlResponse = await response.json();
+            
+                // Check for GraphQL errors
+                if (graphqlResponse.errors) {
+                    throw new Error(`GraphQL errors: ${JSON.stringify(graphqlResponse.errors)}`);
+                }
+            
+                const media = graphqlResponse.data?.Media;
+            
+                if (!media) {
+                    // Instead of returning 404, use fallback data
+                    console.log(`[ANIME_HANDLER] No AniList data for ID ${numericId}, using fallback data`);
+                    return sendFallbackAnimeResponse(req, res, numericId, subpath);
+                }
+    
+                // Attempt to convert AniList ID to TMDB ID through the mapping service
+                // This is now done AFTER fetching the main data
+                let tmdbId = null;
+
+                if (!subpath) {
+                    try {
+                        const mapping = await resolveMapping('anilist', numericId);
+                        if (mapping.ids.tmdbType === 'tv') {
+                            console.log(`[ANIME_HANDLER] Found TMDB ID: ${mapping.ids.tmdb} (confidence ${mapping.confidence.tmdb})`);
+                            tmdbId = mapping.ids.tmdb;
+                        } else {
+                            console.log(`[ANIME_HANDLER] No TV result found for AniList ID ${numericId}`);
+                        }
+                    } catch (e) {
+                        console.error('[ANIME_HANDLER] Error during AniList to TMDB mapping:', e);
+                    }
+                }
+
+                // Format response based on subpath
+                let formattedResponse;
+                if (subpath === 'recommendations') {
+                    const candidates = (media.recommendations?.nodes || []).map(node => node.mediaRecommendation).filter(Boolean);
+                    const recommendations = (await maturity.filterAniList(candidates, req.maturityCeiling)).map(rec => ({
+                        id: rec.id,
+                        title: rec.title.english || rec.title.romaji,
+                        poster_path: rec.coverImage?.large,
+                        media_type: 'anime',
+                        source: 'anilist',
+                        vote_average: rec.meanScore ? rec.meanScore / 10 : 0,
+                        year: rec.seasonYear,
+                        status: rec.status,
+                        episodes: rec.episodes,
+                        format: rec.format
+                    }));
+                
+                    // Add a defensive check for recommendations
+                    if (recommendations.length === 0) {
+                        console.warn(`[ANIME_HANDLER] No recommendations found for AniList ID ${numericId}`);
+                    }
+                
+                    formattedResponse = { results: recommendations };
+                } else if (subpath === 'videos') {
+                    const videos = [];
+                    if (media.trailer) {
+                        const site = media.trailer.site?.toLowerCase();
+                        if (site === 'youtube') {
+                            videos.push({
+                                name: `${media.title.english || media.title.romaji} Trailer`,
+                                key: media.trailer.id,
+                                site: 'YouTube',
+                                type: 'Trailer',
+                                official: true
+                            });
+                        }
+                    }
+                
+                    formattedResponse = { results: videos };
+                } else {
+                    // Format basic anime details to match TMDB format
+                    formattedResponse = {
+                        id: media.id,
+                        title: media.title.english || media.title.romaji,
+                        name: media.title.english || media.title.romaji,
+                        original_name: media.title.native,
+                        overview: media.description ? media.description.replace(/<[^>]*>/g, '') : '',
+                        poster_path: media.coverImage?.extraLarge || media.coverImage?.large || media.coverImage?.medium,
+                        backdrop_path: media.bannerImage,
+                        vote_average: media.averageScore / 10,
+                        popularity: media.popularity,
+                        first_air_date: media.startDate ? `${media.startDate.year}-${media.startDate.month || '01'}-${media.startDate.day || '01'}` : '',
+                        last_air_date: media.endDate && media.endDate.year ? `${media.endDate.year}-${media.endDate.month || '01'}-${media.endDate.day || '01'}` : '',
+                        status: media.status,
+                        genres: media.genres.map(genre => ({ id: genre, name: genre })),
+                        number_of_seasons: 1,
+                        number_of_episodes: media.episodes,
+                        episode_run_time: [media.duration],
+                        seasons: [
+                            {
+                                id: `${media.id}_season_1`,
+                                name: 'Season 1',
+                                season_number: 1,
+                                episode_count: media.episodes,
+                                poster_path: media.coverImage?.large || media.coverImage?.medium
+                            }
+                        ],
+                        studios: media.studios?.nodes?.map(studio => studio.name) || [],
+                        next_episode_to_air: media.nextAiringEpisode ? {
+                            episode_number: media.nextAiringEpisode.episode,
+                            air_date: new Date(media.nextAiringEpisode.airingAt * 1000).toISOString().split('T')[0]
+                        } : null,
+                        // Add conversion data for the frontend
+                        _conversion: {
+                            tmdbId: tmdbId,
+                            source: 'AniList'
+                        }
+                    };
+                }
+    
+                // Add AniList ID and TMDB conversion info to the response
+                res.json({
+                    ...formattedResponse,
+                    anilist_id: numericId,
+                    source: 'anilist', // Add source at top level for frontend compatibility
+                    _conversion: {
+                        anilistId: numericId,
+                        source: 'anilist'
+                    }
+                });
+            } catch (error) {
+                console.error(`[ANIME_HANDLER] AniList API error: ${error.message}`);
+                return sendFallbackAnimeResponse(req, res, numericId, subpath);
+            }
+        } catch (error) {
+            console.error(`[ANIME_HANDLER] Error for subpath '${subpath}':`, error);
+            return sendFallbackAnimeResponse(req, res, parseInt(req.params.anilistId), subpath);
+        }
+    };
+
+    // Episode lists come from the episode metadata service, which merges TMDB,
+    // AniList and Shikimori data. An AniList entry is always "season 1" here;
+    // the matching TMDB season is found by the service.
+    const handleAnimeSeasonRequest = async (req, res) => {
+        const numericId = parseInt(req.params.anilistId);
+        const seasonNumber = parseInt(req.params.seasonNumber) || 1;
+        const subpath = `season/${req.params.seasonNumber}`;
+
+        if (isNaN(numericId)) {
+            return res.status(400).json({ error: 'Invalid AniList ID provided', details: 'ID must be a number' });
+        }
+
+        try {
+            const { media, episodes, tmdb, sources } = await getEpisodes(numericId);
+            console.log(`[ANIME_HANDLER] Built ${episodes.length} episodes for AniList ID ${numericId} from ${Object.keys(sources).filter(key => sources[key]).join(', ') || 'no sources'}`);
+
+            res.json({
+                id: media.id,
+                name: `Season ${seasonNumber}`,
+                season_number: seasonNumber,
+                episodes: episodes.map(episode => ({
+                    ...episode,
+                    id: `${media.id}_${seasonNumber}_${episode.episode_number}`,
+                    title: episode.name, // Add title field for frontend compatibility
+                    season_number: seasonNumber
+                })),
+                _air_date: media.startDate?.year ? `${media.startDate.year}-${media.startDate.month || '01'}-${media.startDate.day || '01'}` : null,
+                _tmdb_data_used: sources.tmdb,
+                _tmdb: tmdb ? { id: tmdb.id, season_number: tmdb.seasonNumber, episode_offset: tmdb.offset } : null,
+                _sources: sources,
+                anilist_id: numericId,
+                source: 'anilist',
+                _conversion: {
+                    anilistId: numericId,
+                    source: 'anilist'
+                }
+            });
+        } catch (error) {
+            if (error instanceof AnimeNotFoundError) {
+                console.log(`[ANIME_HANDLER] No AniList data for ID ${numericId}, using fallback data`);
+            } else {
+                console.error(`[ANIME_HANDLER] Error building episodes for AniList ID ${numericId}: ${error.message}`);
+            }
+            return sendFallbackAnimeResponse(req, res, numericId, subpath);
+        }
+    };
+
+    // Helper function to send fallback anime data
+    const sendFallbackAnimeResponse = (req, res, animeId, subpath = '') => {
+        console.log(`[ANIME_HANDLER] Using fallback data for ID ${animeId}, subpath: '${subpath}'`);
+        res.setHeader('X-Data-Source', 'fallback');
+    
+        // Create a generic anime response based on the ID
+        const title = `Anime ${animeId}`;
+    
+        if (subpath === 'recommendations') {
+            return res.json({
+                results: getFallbackAnimeRecommendations()
+            });
+        } else if (subpath === 'videos') {
+            return res.json({
+                results: [] // Empty videos array
+            });
+        } else if (subpath.startsWith('season/')) {
+            const seasonNumber = parseInt(req.params.seasonNumber) || 1;
+            const episodes = [];
+        
+            // Create 12 generic episodes (common anime season length)
+            for (let i = 1; i <= 12; i++) {
+                episodes.push({
+                    id: `${animeId}_${seasonNumber}_${i}`,
+                    name: `Episode ${i}`,
+                    title: `Episode ${i}`,
+                    episode_number: i,
+                    season_number: seasonNumber,
+                    overview: `Episode ${i} of ${title}`,
+                    still_path: `/placeholder/anime_${animeId}_episode_${i}.jpg`
+                });
+            }
+        
+            return res.json({
+                id: animeId,
+                name: `Season ${seasonNumber}`,
+                season_number: seasonNumber,
+                episodes: episodes,
+                _air_date: "2023-01-01"
+            });
+        } else {
+            // Basic anime details
+            return res.json({
+                id: animeId,
+                anilist_id: animeId,
+                title: title,
+                name: title,
+                original_name: title,
+                overview: `This is a placeholder for anime with ID ${animeId}.`,
+                poster_path: `/placeholder/anime_${animeId}.jpg`,
+                backdrop_path: `/placeholder/anime_backdrop_${animeId}.jpg`,
+                vote_average: 7.5,
+                popularity: 100,
+                first_air_date: '2023-01-01',
+                status: 'RELEASING',
+                genres: [{ id: 'Action', name: 'Action' }, { id: 'Adventure', name: 'Adventure' }],
+                number_of_seasons: 1,
+                number_of_episodes: 12,
+                episode_run_time: [24],
+                seasons: [
+                    {
+                        id: `${animeId}_season_1`,
+                        name: 'Season 1',
+                        season_number: 1,
+                        episode_count: 12
+                    }
+                ],
+                studios: ['Studio'],
+                source: 'anilist', // Add source for fallback data
+                _conversion: {
+                    anilistId: animeId,
+                    source: 'fallback'
+                }
+            });
+        }
+    };
+
+    // Helper function for fallback recommendations
+    const getFallbackAnimeRecommendations = () => {
+        return [
+            {
+                id: 1,
+                title: 'One Piece',
+                name: 'One Piece',
+                poster_path: `/placeholder/anime_1.jpg?title=One%20Piece`,
+                vote_average: 8.7,
+                media_type: 'anime'
+            },
+            {
+                id: 5114,
+                title: 'Fullmetal Alchemist: Brotherhood',
+                name: 'Fullmetal Alchemist: Brotherhood',
+                poster_path: `/placeholder/anime_5114.jpg?title=Fullmetal%20Alchemist%3A%20Brotherhood`,
+                vote_average: 9.1,
+                media_type: 'anime'
+            },
+            {
+                id: 21,
+                title: 'One Piece',
+                name: 'One Piece',
+                poster_path: `/placeholder/anime_21.jpg?title=One%20Piece`,
+                vote_average: 8.5,
+                media_type: 'anime'
+            },
+            {
+                id: 16498,
+                title: 'Attack on Titan',
+                name: 'Attack on Titan',
+                poster_path: `/placeholder/anime_16498.jpg?title=Attack%20on%20Titan`,
+                vote_average: 8.9,
+                media_type: 'anime'
+            }
+        ];
+    };
+
+    router.get('/tmdb/anime/:anilistId', cache.route(CACHE_POLICIES.anime, (req, res) => handleAnimeRequest(req, res)));
+    router.get('/tmdb/anime/:anilistId/videos', cache.route(CACHE_POLICIES.anime, (req, res) => handleAnimeRequest(req, res, 'videos')));
+    router.get('/tmdb/anime/:anilistId/recommendations', maturity.resolveCeiling, cache.route(CACHE_POLICIES.anime, (req, res) => handleAnimeRequest(req, res, 'recommendations')));
+    router.get('/tmdb/anime/:anilistId/season/:seasonNumber', cache.route(CACHE_POLICIES.anime, handleAnimeSeasonRequest));
+
+    // Enhanced Anime endpoint that combines AniList and TMDB data
+    router.get('/tmdb/anime/:anilistId/enhanced', cache.route(CACHE_POLICIES.anime, async (req, res) => {
+        try {
+            const { anilistId } = req.params;
+        
+            if (!anilistId || isNaN(parseInt(anilistId))) {
+                return res.status(400).json({ error: 'Invalid AniList ID', details: 'ID must be a number' });
+            }
+
+            console.log(`[ANIME_ENHANCED] Processing enhanced request for anime ID ${anilistId}`);
+        
+            // Define the GraphQL query with all the fields needed for enhanced data
+            const query = `
+                query ($id: Int) {
+                    Media(id: $id, type: ANIME) {
+                        id
+                        idMal
+                        title {
+                            romaji
+                            english
+                            native
+                        }
+                        description
+                        coverImage {
+                            extraLarge
+                            large
+                            medium
+                        }
+                        bannerImage
+                        startDate {
+                            year
+                            month
+                            day
+                        }
+                        endDate {
+                            year
+                            month
+                            day
+                        }
+                        season
+                        seasonYear
+                        format
+                        status
+                        episodes
+                        duration
+                        genres
+                        averageScore
+                        popularity
+                        studios {
+                            nodes {
+                                name
+                                isAnimationStudio
+                            }
+                        }
+                        nextAiringEpisode {
+                            airingAt
+                            timeUntilAiring
+                            episode
+                        }
+                        trailer {
+                            id
+                            site
+                            thumbnail
+                        }
+                        characters(sort: ROLE, perPage: 6) {
+                            edges {
+                                node {
+                                    id
+                                    name {
+                                        full
+                                    }
+                                    image {
+                                        medium
+                                    }
+                                }
+                                role
+                            }
+                        }
+                        staff(sort: RELEVANCE, perPage: 4) {
+                            edges {
+                                node {
+                                    id
+                                    name {
+                                        full
+                                    }
+                                    image {
+                                        medium
+                                    }
+                                }
+                                role
+                            }
+                        }
+                        tags {
+                            name
+                            rank
+                        }
+                        relations {
+                            edges {
+                                relationType
+                                node {
+                                    id
+                                    type
+                                    format
+                                }
+                            }
+                        }
+                    }
+                }
+            `;
+
+            try {
+                // Make request to AniList GraphQL API with error handling
+                const response = await fetch('https://graphql.anilist.co', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        query: query,
+                        variables: { id: parseInt(anilistId) }
+                    }),
+                    timeout: 8000 // 8 second timeout
+                }).catch(err => {
+                    console.error(`[ANIME_ENHANCED] AniList fetch error: ${err.message}`);
+                    throw new Error(`AniList API request failed: ${err.message}`);
+                });
+            
+                if (!response || !response.ok) {
+                    throw new Error(`AniList API returned status ${response?.status || 'unknown'}`);
+                }
+            
+                const graphqlResponse = await response.json().catch(err => {
+                    console.error(`[ANIME_ENHANCED] JSON parse error: ${err.message}`);
+                    throw new Error('Failed to parse AniList response');
+                });
+            
+                // Check for GraphQL errors
+                if (graphqlResponse.errors) {
+                    console.error(`[ANIME_ENHANCED] GraphQL errors:`, graphqlResponse.errors);
+                    throw new Error(`GraphQL errors: ${JSON.stringify(graphqlResponse.errors)}`);
+                }
+            
+                const media = graphqlResponse.data?.Media;
+            
+                if (!media) {
+                    console.log(`[ANIME_ENHANCED] No data found for anime ID ${anilistId}`);
+                    return sendFallbackAnimeResponse(req, res, parseInt(anilistId));
+                }
+            
+                // Try to resolve the TMDB ID through the mapping service
+                let tmdbId = null;
+                try {
+                    const mapping = await resolveMapping('anilist', media.id);
+                    if (mapping.ids.tmdbType === 'tv') {
+                        tmdbId = mapping.ids.tmdb;
+                    }
+                } catch (error) {
+                    console.error(`[ANIME_ENHANCED] Error finding TMDB ID: ${error.message}`);
+                    // Continue without TMDB ID
+                }
+            
+                // Seasons, movies and side stories linked through AniList relations
+                const franchise = await getFranchise(media);
+
+                // Extract videos data
+                const videos = [];
+                if (media.trailer) {
+                    const site = media.trailer.site?.toLowerCase();
+                    if (site === 'youtube') {
+                        videos.push({
+                            name: `${media.title.english || media.title.romaji} Trailer`,
+                            key: media.trailer.id,
+                            site: 'YouTube',
+                            type: 'Trailer',
+                            official: true
+                        });
+                    }
+                }
+            
+                // Format basic anime details to match TMDB format with enhanced fields
+                const enhancedResponse = {
+                    id: media.id,
+                    tmdb_id: tmdbId,
+                    title: media.title.english || media.title.romaji,
+                    name: media.title.english || media.title.romaji,
+                    original_name: media.title.native,
+                    overview: media.description ? media.description.replace(/<[^>]*>/g, '') : '',
+                    // Handle image paths properly using the special anilist_images format
+                    poster_path: media.coverImage?.extraLarge ? `/anilist_images/${encodeURIComponent(media.coverImage.extraLarge)}` :
+                                media.coverImage?.large ? `/anilist_images/${encodeURIComponent(media.coverImage.large)}` :
+                                media.coverImage?.medium ? `/anilist_images/${encodeURIComponent(media.coverImage.medium)}` : null,
+                    backdrop_path: media.bannerImage ? `/anilist_images/${encodeURIComponent(media.bannerImage)}` : null,
+                    vote_average: media.averageScore / 10,
+                    popularity: media.popularity,
+                    first_air_date: media.startDate ? `${media.startDate.year}-${media.startDate.month || '01'}-${media.startDate.day || '01'}` : '',
+                    last_air_date: media.endDate && media.endDate.year ? `${media.endDate.year}-${media.endDate.month || '01'}-${media.endDate.day || '01'}` : '',
+                    status: media.status,
+                    genres: media.genres.map(genre => ({ id: genre, name: genre })),
+                    number_of_seasons: 1,
+                    number_of_episodes: media.episodes,
+                    episode_run_time: [media.duration],
+                    seasons: [
+                        {
+                            id: `${media.id}_season_1`,
+                            name: 'Season 1',
+                            season_number: 1,
+                            episode_count: media.episodes
+                        }
+                    ],
+                    // Enhanced fields
+                    studios: media.studios?.nodes?.map(studio => ({ 
+                        name: studio.name, 
+                        isMain: studio.isAnimationStudio 
+                    })) || [],
+                    characters: media.characters?.edges?.map(edge => ({
+                        id: edge.node.id,
+                        name: edge.node.name.full,
+                        image: edge.node.image?.medium ? `/anilist_images/${encodeURIComponent(edge.node.image.medium)}` : null,
+                        role: edge.role
+                    })) || [],
+                    staff: media.staff?.edges?.map(edge => ({
+                        id: edge.node.id,
+                        name: edge.node.name.full,
+                        image: edge.node.image?.medium ? `/anilist_images/${encodeURIComponent(edge.node.image.medium)}` : null,
+                        role: edge.role
+                    })) || [],
+                    tags: media.tags?.map(tag => ({
+                        name: tag.name,
+                        rank: tag.rank
+                    })) || [],
+                    nextAiringEpisode: media.nextAiringEpisode ? {
+                        episode_number: media.nextAiringEpisode.episode,
+                        air_date: new Date(media.nextAiringEpisode.airingAt * 1000).toISOString().split('T')[0],
+                        time_until_airing: media.nextAiringEpisode.timeUntilAiring
+                    } : null,
+                    videos: { results: videos },
+                    franchise,
+                    format: media.format,
+                    season: media.season,
+                    seasonYear: media.seasonYear
+                };
+            
+                // Send the enhanced response
+                res.json({
+                    ...enhancedResponse,
+                    anilist_id: parseInt(anilistId),
+                    source: 'anilist', // Add source at top level for frontend compatibility
+                    _conversion: {
+                        anilistId: parseInt(anilistId),
+                        tmdbId: tmdbId,
+                        source: 'anilist'
+                    }
+                });
+            
+            } catch (error) {
+                console.error(`[ANIME_ENHANCED] AniList API error: ${error.message}`);
+                // Use fallback response if AniList API fails
+                return sendFallbackAnimeResponse(req, res, parseInt(anilistId));
+            }
+        } catch (error) {
+            console.error(`[ANIME_ENHANCED] Unexpected error:`, error);
+            res.status(500).json({ 
+                error: 'Internal server error processing enhanced anime data',
+                message: error.message
+            });
+        }
+    }));
+
+    return router;
+};
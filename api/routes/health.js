@@ -0,0 +1,83 @@
+import express from 'express';
+import { getSource, recordProbe } from '../sources/index.js';
+import { CircuitOpenError } from '../lib/upstream.js';
+
+// --- Health Checks ---
+// Reachability of the upstream APIs and the registered streaming sources.
+export const createHealthRouter = ({ env, fetch, upstream }) => {
+    const router = express.Router();
+    const TMDB_API_KEY = env.TMDB_API_KEY;
+
+    // Minimal, stable requests per upstream API. They go through the rate-limited
+    // client, so an open circuit fails the check without calling the provider.
+    const UPSTREAM_HEALTH_CHECKS = {
+        tmdb: (signal) => fetch(`https://api.themoviedb.org/3/configuration?api_key=${TMDB_API_KEY}`, { signal }),
+        anilist: (signal) => fetch('https://graphql.anilist.co', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify({ query: 'query { Media(id: 1) { id } }' }),
+            signal
+        }),
+        shikimori: (signal) => fetch('https://shikimori.one/api/animes/1', {
+            headers: { 'User-Agent': 'Fylm Streaming App/1.0', 'Accept': 'application/json' },
+            signal
+        })
+    };
+
+    router.get('/health/:service', async (req, res) => {
+        const { service } = req.params;
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+        try {
+            if (UPSTREAM_HEALTH_CHECKS[service]) {
+                // Report limiter and circuit breaker state alongside the check itself
+                const response = await UPSTREAM_HEALTH_CHECKS[service](controller.signal);
+
+                if (response.ok) {
+                    res.status(200).json({ status: 'ok', upstream: upstream.state(service) });
+                } else {
+                    res.status(503).json({
+                        status: 'unavailable',
+                        reason: `${service} API returned ${response.status}`,
+                        upstream: upstream.state(service)
+                    });
+                }
+
+            } else {
+                // Any registered streaming source can be health-checked by its id
+                const streamingSource = getSource(service);
+                if (!streamingSource) {
+                    return res.status(404).json({ error: 'Unknown service' });
+                }
+                const startedAt = Date.now();
+                const response = await fetch(streamingSource.baseUrl, { method: 'HEAD', signal: controller.signal });
+                const reachable = response.ok || response.status === 405;
+                recordProbe(service, reachable, Date.now() - startedAt);
+
+                if (reachable) {
+                    res.status(200).json({ status: 'ok' });
+                } else {
+                    res.status(503).json({ status: 'unavailable' });
+                }
+            }
+        } catch (error) {
+            console.error(`Health check for ${service} failed:`, error.message);
+            if (getSource(service)) {
+                recordProbe(service, false);
+            }
+            if (UPSTREAM_HEALTH_CHECKS[service]) {
+                return res.status(503).json({
+                    status: error instanceof CircuitOpenError ? 'circuit_open' : 'unavailable',
+                    error: error.message,
+                    upstream: upstream.state(service)
+                });
+            }
+            res.status(503).json({ status: 'unavailable', error: error.message });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    });
+
+    return router;
+};
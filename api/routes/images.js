@@ -0,0 +1,224 @@
+import express from 'express';
+import { Readable, Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import {
+    ImageProxyError,
+    MAX_IMAGE_BYTES,
+    assertSafeImageUrl,
+    normalizeWidth,
+    parseAllowedHosts,
+    sizeTmdbImage
+} from '../lib/imageProxy.js';
+import { createPlaceholderSvg } from '../../src/utils/placeholders.js';
+
+// --- Image Proxy ---
+// Streams TMDB, AniList and other poster images through the API and serves
+// SVG placeholders for missing artwork. Only allowlisted hosts are fetched,
+// and `?w=` / `?format=webp` resize and re-encode images on the way through.
+
+const MAX_REDIRECTS = 3;
+const FETCH_TIMEOUT_MS = 10000;
+// Formats sharp can re-encode without losing anything the browser relies on
+// (GIFs would lose their animation, SVGs are not raster images)
+const TRANSFORMABLE_TYPES = new Set(['image/jpeg', 'image/png', 'image/webp', 'image/avif']);
+
+// Hosts that get a placeholder instead of an error when an image is missing
+const PLACEHOLDER_FALLBACK_HOSTS = ['s4.anilist.co', 'img.anili.st', 'shikimori.one'];
+
+// Placeholder paths the API hands out in place of missing artwork:
+//   /placeholder/anime_<id>.jpg              poster
+//   /placeholder/anime_backdrop_<id>.jpg     backdrop
+//   /placeholder/anime_<id>_episode_<n>.jpg  episode still (also tv_<id>_episode_<n>)
+//   /placeholder/episode_<n>.jpg             episode still without a known show
+// each optionally followed by ?title=<title> for the initials.
+const parsePlaceholder = (imageUrl) => {
+    const { pathname, searchParams } = new URL(imageUrl, 'http://placeholder');
+    let name = pathname.split('/').pop().replace(/\.\w+$/, '');
+    try {
+        name = decodeURIComponent(name);
+    } catch {
+        // Keep the raw name if it isn't valid percent-encoding
+    }
+    const title = searchParams.get('title') || '';
+    let match;
+
+    if ((match = name.match(/^anime_backdrop_(.+)$/))) {
+        return { seed: match[1], kind: 'backdrop', title };
+    }
+    if ((match = name.match(/^(?:anime_)?(.+)_episode_(\d+)$/))) {
+        return { seed: match[1], kind: 'still', title, label: `Episode ${match[2]}` };
+    }
+    if ((match = name.match(/^episode_(\d+)$/))) {
+        return { seed: name, kind: 'still', title, label: `Episode ${match[1]}` };
+    }
+    if ((match = name.match(/^anime_(.+)$/))) {
+        return { seed: match[1], kind: 'poster', title, label: title ? '' : `Anime ${match[1]}` };
+    }
+    return { seed: name, kind: 'poster', title, label: name };
+};
+
+const sendPlaceholder = (res, options, maxAge) => {
+    res.setHeader('Content-Type', 'image/svg+xml');
+    res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+    return res.send(createPlaceholderSvg(options));
+};
+
+// sharp is a native module; load it on first use so routes that never
+// resize don't pay for it, and degrade to pass-through if it is unavailable
+let sharpModule;
+const loadSharp = async () => {
+    if (sharpModule === undefined) {
+        sharpModule = await import('sharp')
+            .then(module => module.default)
+            .catch(error => {
+                console.warn(`[IMAGE_PROXY] sharp is unavailable, serving images unresized: ${error.message}`);
+                return null;
+            });
+    }
+    return sharpModule;
+};
+
+// Fails the stream once more than MAX_IMAGE_BYTES have come through
+const byteLimit = () => {
+    let received = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (received > MAX_IMAGE_BYTES) {
+                return callback(new ImageProxyError(502, 'Upstream image is too large.'));
+            }
+            callback(null, chunk);
+        }
+    });
+};
+
+// The client-facing URL formats: TMDB/AniList/other absolute URLs,
+// `/anilist_images/<encoded url>` and Shikimori's relative `/system/...` paths
+const toTargetUrl = (imageUrl) => {
+    let target = imageUrl;
+    if (imageUrl.startsWith('/anilist_images/')) {
+        target = decodeURIComponent(imageUrl.substring('/anilist_images/'.length));
+    } else if (imageUrl.startsWith('/system/')) {
+        target = `https://shikimori.one${imageUrl}`;
+    }
+
+    try {
+        return new URL(target);
+    } catch {
+        throw new ImageProxyError(400, 'Invalid image URL provided.');
+    }
+};
+
+export const createImageProxyRouter = ({ env, fetch, lookup }) => {
+    const router = express.Router();
+    const allowedHosts = parseAllowedHosts(env);
+
+    // Follows redirects by hand so every hop goes through the same checks
+    const fetchImage = async (url) => {
+        let current = url;
+        for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+            await assertSafeImageUrl(current, { allowedHosts, lookup });
+            const response = await fetch(current, {
+                headers: { 'User-Agent': 'ai-business-image-proxy/1.0', 'Accept': 'image/*' },
+                redirect: 'manual',
+                signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+            });
+
+            const location = response.headers.get('location');
+            if (response.status >= 300 && response.status < 400 && location) {
+                await response.body?.cancel();
+                current = new URL(location, current);
+                continue;
+            }
+            return { response, url: current };
+        }
+        throw new ImageProxyError(502, 'Too many redirects.');
+    };
+
+    const streamImage = async (res, response, { width, webp, resized }) => {
+        const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        if (!contentType.startsWith('image/')) {
+            await response.body?.cancel();
+            throw new ImageProxyError(502, 'Upstream did not return an image.');
+        }
+        if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+            await response.body?.cancel();
+            throw new ImageProxyError(502, 'Upstream image is too large.');
+        }
+
+        const wantsTransform = (width && !resized) || (webp && contentType !== 'image/webp');
+        const sharp = wantsTransform && TRANSFORMABLE_TYPES.has(contentType) ? await loadSharp() : null;
+
+        const stages = [Readable.fromWeb(response.body), byteLimit()];
+        let outputType = contentType;
+        if (sharp) {
+            let transformer = sharp({ failOn: 'none' });
+            if (width && !resized) {
+                transformer = transformer.resize({ width, withoutEnlargement: true });
+            }
+            if (webp) {
+                transformer = transformer.webp({ quality: 75 });
+                outputType = 'image/webp';
+            }
+            stages.push(transformer);
+        }
+
+        res.setHeader('Content-Type', outputType);
+        res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 1 day
+        // Proxied files are served from our origin; never let one run script
+        res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+
+        // Stream the image directly to the client to save memory
+        await pipeline(...stages, res);
+    };
+
+    router.get('/image-proxy', async (req, res) => {
+        const imageUrl = req.query.url;
+        if (!imageUrl || typeof imageUrl !== 'string') {
+            return res.status(400).json({ error: 'Image URL is required as a string.' });
+        }
+
+        const theme = req.query.theme === 'light' ? 'light' : 'dark';
+
+        // Placeholders are derived from the media ID, so they can be cached like any image
+        if (imageUrl.startsWith('/placeholder/')) {
+            return sendPlaceholder(res, { ...parsePlaceholder(imageUrl), theme }, 604800);
+        }
+
+        const width = normalizeWidth(req.query.w);
+        const webp = req.query.format === 'webp';
+        let target;
+
+        try {
+            target = toTargetUrl(imageUrl);
+            const sized = sizeTmdbImage(target, width);
+            const { response, url } = await fetchImage(sized.url);
+
+            if (!response.ok) {
+                await response.body?.cancel();
+                console.error(`[IMAGE_PROXY] Failed to fetch image: ${response.status}`, url.href);
+                if (PLACEHOLDER_FALLBACK_HOSTS.includes(url.hostname) || url.hostname.endsWith('.shikimori.one')) {
+                    // Return a placeholder image instead of an error
+                    return sendPlaceholder(res, { seed: url.pathname, label: 'Anime Image', theme }, 3600);
+                }
+                return res.status(response.status).json({ error: `Failed to fetch image: ${response.statusText}` });
+            }
+
+            await streamImage(res, response, { width, webp, resized: sized.resized });
+        } catch (error) {
+            if (res.headersSent) {
+                console.error('[IMAGE_PROXY] Stream failed mid-response:', { url: target?.href, message: error.message });
+                return res.destroy(error);
+            }
+            if (error instanceof ImageProxyError) {
+                console.warn(`[IMAGE_PROXY] Rejected ${imageUrl}: ${error.message}`);
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('[IMAGE_PROXY] General image proxy error:', { url: imageUrl, message: error.message });
+            res.status(502).json({ error: 'Failed to proxy image', details: error.message });
+        }
+    });
+
+    return router;
+};
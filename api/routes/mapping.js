@@ -0,0 +1,61 @@
+import express from 'express';
+import { MappingNotFoundError, MAPPING_PROVIDERS } from '../mapping/index.js';
+
+// --- ID Mapping ---
+// Cross-provider ID lookups backed by the shared mapping service.
+export const createMappingRouter = ({ resolveMapping }) => {
+    const router = express.Router();
+
+    // Kept for existing callers; resolves through the shared mapping service.
+    router.get('/mapping/anilist-to-shikimori/:anilistId', async (req, res) => {
+        try {
+            const { anilistId } = req.params;
+            const mapping = await resolveMapping('anilist', anilistId);
+
+            if (!mapping.ids.shikimori) {
+                return res.status(404).json({ error: 'No Shikimori ID found for this AniList ID' });
+            }
+
+            res.json({
+                anilist_id: parseInt(anilistId),
+                shikimori_id: mapping.ids.shikimori,
+                other_mappings: mapping.ids
+            });
+        } catch (error) {
+            if (error instanceof MappingNotFoundError) {
+                return res.status(404).json({ error: error.message });
+            }
+            console.error(`[MAPPING] Error mapping IDs: ${error.message}`);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Resolve every known ID for a title. TMDB IDs need ?type=tv|movie.
+    router.get('/mapping/:fromProvider/:id', async (req, res) => {
+        const { fromProvider, id } = req.params;
+        const { type } = req.query;
+
+        if (!MAPPING_PROVIDERS.includes(fromProvider)) {
+            return res.status(400).json({ error: `Unknown provider "${fromProvider}". Expected one of: ${MAPPING_PROVIDERS.join(', ')}.` });
+        }
+        if (fromProvider === 'tmdb' && !['tv', 'movie'].includes(type)) {
+            return res.status(400).json({ error: 'TMDB lookups require a "type" query parameter of "tv" or "movie".' });
+        }
+
+        try {
+            const mapping = await resolveMapping(fromProvider, id, { type });
+            res.json({
+                from: { provider: fromProvider, id },
+                ...mapping
+            });
+        } catch (error) {
+            if (error instanceof MappingNotFoundError) {
+                return res.status(404).json({ error: error.message });
+            }
+            console.error(`[MAPPING] Error resolving ${fromProvider}:${id}: ${error.message}`);
+            res.status(502).json({ error: 'Failed to resolve ID mapping', details: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,99 @@
+import express from 'express';
+import { createRequireUser } from '../lib/auth.js';
+import { MARKER_KINDS, MARKER_MEDIA_TYPES } from '../markers/index.js';
+
+const MAX_POSITION_SECONDS = 6 * 60 * 60;
+
+const toEpisodeNumber = (value) => {
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 0 ? number : null;
+};
+
+// --- Episode Markers ---
+// Skip intro / next episode markers for the Watch page, and the votes they
+// are aggregated from.
+export const createMarkersRouter = ({ supabase, markers }) => {
+    const router = express.Router();
+    const requireUser = createRequireUser(supabase);
+
+    const requireStore = (req, res, next) => {
+        if (!supabase) {
+            return res.status(503).json({ error: 'Episode markers are not available: Supabase is not configured on the server.' });
+        }
+        next();
+    };
+
+    const requireMediaType = (req, res, next) => {
+        if (!MARKER_MEDIA_TYPES.includes(req.params.type)) {
+            return res.status(404).json({ error: `Unknown media type "${req.params.type}". Expected one of: ${MARKER_MEDIA_TYPES.join(', ')}.` });
+        }
+        next();
+    };
+
+    // Votes change markers only now and then, so a short shared cache is fine
+    router.get('/markers/:type/:id/:season', requireStore, requireMediaType, async (req, res) => {
+        const season = toEpisodeNumber(req.params.season);
+        if (season === null) {
+            return res.status(400).json({ error: 'season must be a whole number.' });
+        }
+
+        try {
+            const episodes = await markers.getSeason(req.params.type, req.params.id, season);
+            res.set('Cache-Control', 'public, max-age=300');
+            res.json({ type: req.params.type, id: req.params.id, season, episodes });
+        } catch (error) {
+            console.error(`[MARKERS] ${error.message}`);
+            res.status(502).json({ error: 'Could not read episode markers', details: error.message });
+        }
+    });
+
+    router.post('/markers/bulk', requireStore, async (req, res) => {
+        const { requests } = req.body || {};
+        if (!Array.isArray(requests) || requests.length === 0) {
+            return res.status(400).json({ error: 'Invalid request body. Expected an array of requests.' });
+        }
+
+        const episodes = requests.filter(({ type, id, season, episode } = {}) =>
+            MARKER_MEDIA_TYPES.includes(type) && id && toEpisodeNumber(season) !== null && toEpisodeNumber(episode) !== null);
+
+        try {
+            res.json(await markers.getEpisodes(episodes.map(({ type, id, season, episode }) => ({
+                type, id, season: Number(season), episode: Number(episode)
+            }))));
+        } catch (error) {
+            console.error(`[MARKERS] ${error.message}`);
+            res.status(502).json({ error: 'Could not read episode markers', details: error.message });
+        }
+    });
+
+    router.put('/markers/:type/:id/:season/:episode', requireStore, requireMediaType, requireUser, async (req, res) => {
+        const season = toEpisodeNumber(req.params.season);
+        const episode = toEpisodeNumber(req.params.episode);
+        const { kind, position, duration } = req.body || {};
+
+        if (season === null || episode === null) {
+            return res.status(400).json({ error: 'season and episode must be whole numbers.' });
+        }
+        if (!MARKER_KINDS.includes(kind)) {
+            return res.status(400).json({ error: `kind must be one of: ${MARKER_KINDS.join(', ')}.` });
+        }
+        if (!(typeof position === 'number' && position >= 0 && position <= MAX_POSITION_SECONDS)) {
+            return res.status(400).json({ error: 'position must be a number of seconds.' });
+        }
+        if (duration !== undefined && duration !== null && !(typeof duration === 'number' && duration > position)) {
+            return res.status(400).json({ error: 'duration must be a number of seconds past position.' });
+        }
+
+        try {
+            const updated = await markers.vote(req.user.id, {
+                type: req.params.type, id: req.params.id, season, episode, kind, position, duration
+            });
+            res.json({ type: req.params.type, id: req.params.id, season, episode, markers: updated });
+        } catch (error) {
+            console.error(`[MARKERS] Could not save a vote from ${req.user.id}: ${error.message}`);
+            res.status(500).json({ error: 'Could not save episode marker', details: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,31 @@
+import express from 'express';
+
+// --- Notifications ---
+// The periodic new-episode check. Vercel Cron calls it with
+// `Authorization: Bearer <CRON_SECRET>`; users read and mute their
+// notifications straight from Supabase under RLS.
+export const createNotificationsRouter = ({ env, supabase, checkNewEpisodes }) => {
+    const router = express.Router();
+
+    const requireCronSecret = (req, res, next) => {
+        const secret = env.CRON_SECRET;
+        if (!secret || !supabase) {
+            return res.status(503).json({ error: 'The notification job is not configured on the server.' });
+        }
+        if (req.get('authorization') !== `Bearer ${secret}`) {
+            return res.status(401).json({ error: 'Invalid cron secret.' });
+        }
+        next();
+    };
+
+    router.get('/cron/notifications', requireCronSecret, async (req, res) => {
+        try {
+            res.json(await checkNewEpisodes());
+        } catch (error) {
+            console.error(`[NOTIFICATIONS] Job failed: ${error.message}`);
+            res.status(500).json({ error: 'Notification job failed', details: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,163 @@
+import express from 'express';
+import { bearerToken, createRequireUser, createResolveViewerProfile } from '../lib/auth.js';
+import { sessionIdOf } from '../lib/supabase.js';
+import { PROFILE_CEILINGS, isAllowed, pickViewerProfile } from '../maturity/index.js';
+import { PIN_PATTERN, PinLockedError } from '../maturity/pin.js';
+
+const MEDIA_TYPES = ['movie', 'tv', 'anime'];
+
+// --- Parental Controls ---
+// The account's PIN, maturity ratings and profile switches that need it,
+// and the Watch page's check for a title above the profile's ceiling.
+export const createParentalRouter = ({ supabase, maturity, parentalPin }) => {
+    const router = express.Router();
+    const requireUser = createRequireUser(supabase);
+    const resolveViewerProfile = createResolveViewerProfile(supabase);
+
+    const requireMediaType = (req, res, next) => {
+        if (!MEDIA_TYPES.includes(req.params.type)) {
+            return res.status(404).json({ error: `Unknown media type "${req.params.type}". Expected one of: ${MEDIA_TYPES.join(', ')}.` });
+        }
+        next();
+    };
+
+    // Answers 403 for a wrong PIN and 429 while locked out; true when it matched
+    const checkPin = async (req, res) => {
+        try {
+            if (await parentalPin.verify(req.user.id, req.body?.pin)) {
+                return true;
+            }
+            const pinSet = await parentalPin.isSet(req.user.id);
+            res.status(403).json({ error: pinSet ? 'Wrong PIN.' : 'No parental PIN is set for this account.' });
+        } catch (error) {
+            if (error instanceof PinLockedError) {
+                res.set('Retry-After', String(error.retryAfter));
+                res.status(429).json({ error: error.message });
+            } else {
+                console.error(`[PARENTAL] PIN check failed: ${error.message}`);
+                res.status(500).json({ error: 'PIN check failed', details: error.message });
+            }
+        }
+        return false;
+    };
+
+    router.get('/parental', requireUser, async (req, res) => {
+        try {
+            res.json({ pin_set: await parentalPin.isSet(req.user.id) });
+        } catch (error) {
+            console.error(`[PARENTAL] ${error.message}`);
+            res.status(500).json({ error: 'Could not read parental controls', details: error.message });
+        }
+    });
+
+    // Setting the first PIN is left to the default profile, the account owner's
+    router.put('/parental/pin', requireUser, resolveViewerProfile, async (req, res) => {
+        const pin = String(req.body?.new_pin || '');
+        if (!PIN_PATTERN.test(pin)) {
+            return res.status(400).json({ error: 'new_pin must be four digits.' });
+        }
+
+        try {
+            if (await parentalPin.isSet(req.user.id)) {
+                if (!await checkPin(req, res)) return;
+            } else if (req.viewerProfile && !req.viewerProfile.is_default) {
+                return res.status(403).json({ error: 'Only the account\'s main profile can set a PIN.' });
+            }
+            await parentalPin.setPin(req.user.id, pin);
+            res.json({ pin_set: true });
+        } catch (error) {
+            console.error(`[PARENTAL] Could not set PIN: ${error.message}`);
+            res.status(500).json({ error: 'Could not set PIN', details: error.message });
+        }
+    });
+
+    router.delete('/parental/pin', requireUser, async (req, res) => {
+        if (!await checkPin(req, res)) return;
+        try {
+            await parentalPin.clearPin(req.user.id);
+            res.json({ pin_set: false });
+        } catch (error) {
+            console.error(`[PARENTAL] Could not remove PIN: ${error.message}`);
+            res.status(500).json({ error: 'Could not remove PIN', details: error.message });
+        }
+    });
+
+    router.put('/parental/profiles/:id/maturity', requireUser, async (req, res) => {
+        const rating = req.body?.maturity_rating;
+        if (!PROFILE_CEILINGS.includes(rating)) {
+            return res.status(400).json({ error: `maturity_rating must be one of: ${PROFILE_CEILINGS.join(', ')}.` });
+        }
+        if (!await checkPin(req, res)) return;
+
+        try {
+            if (!await parentalPin.setProfileRating(req.user.id, req.params.id, rating)) {
+                return res.status(404).json({ error: 'Profile not found.' });
+            }
+            res.json({ id: req.params.id, maturity_rating: rating });
+        } catch (error) {
+            console.error(`[PARENTAL] Could not change rating: ${error.message}`);
+            res.status(500).json({ error: 'Could not change rating', details: error.message });
+        }
+    });
+
+    // The profile picker activates a profile before switching to it. A
+    // profile rated above the session's current one needs the PIN.
+    router.post('/parental/profiles/:id/activate', requireUser, async (req, res) => {
+        const token = bearerToken(req);
+        const sessionId = sessionIdOf(token);
+        try {
+            const { data: profiles, error } = await supabase
+                .from('viewer_profiles')
+                .select('id, name, maturity_rating, is_default')
+                .eq('user_id', req.user.id);
+            if (error) {
+                throw new Error(`Could not read viewer profiles: ${error.message}`);
+            }
+            const { profile, locked } = await pickViewerProfile(supabase, {
+                userId: req.user.id,
+                sessionId,
+                requested: req.params.id,
+                profiles: profiles || []
+            });
+            if (profile?.id !== req.params.id) {
+                return res.status(404).json({ error: 'Profile not found.' });
+            }
+            if (locked) {
+                // Asking first costs no guess
+                if (req.body?.pin === undefined) {
+                    return res.status(403).json({ error: `Enter the parental PIN to switch to "${profile.name}".`, pin_required: true });
+                }
+                if (!await checkPin(req, res)) return;
+            }
+
+            if (sessionId) {
+                await parentalPin.activateProfile(req.user.id, sessionId, profile.id);
+            }
+            maturity.forgetCeilings(token);
+            res.json({ id: profile.id, maturity_rating: profile.maturity_rating });
+        } catch (error) {
+            console.error(`[PARENTAL] Could not activate profile: ${error.message}`);
+            res.status(500).json({ error: 'Could not activate profile', details: error.message });
+        }
+    });
+
+    // --- Watch page ---
+    const rate = (type, id) => (type === 'anime' ? maturity.rateAnime(id) : maturity.rateTmdb(type, id));
+
+    // Ratings that could not be looked up count as unrated
+    router.get('/maturity/:type/:id', requireMediaType, maturity.resolveCeiling, async (req, res) => {
+        const { type, id } = req.params;
+        const rating = await rate(type, id);
+        res.set('Cache-Control', 'private, no-store');
+        res.json({ rating, ceiling: req.maturityCeiling, allowed: isAllowed(req.maturityCeiling, rating) });
+    });
+
+    // The client remembers the unlock for the rest of the session
+    router.post('/maturity/:type/:id/unlock', requireMediaType, requireUser, async (req, res) => {
+        if (!await checkPin(req, res)) return;
+        console.log(`[PARENTAL] ${req.user.id} unlocked ${req.params.type} ${req.params.id}`);
+        res.json({ allowed: true });
+    });
+
+    return router;
+};
@@ -0,0 +1,40 @@
+import express from 'express';
+import { PartyError } from '../party/index.js';
+
+const STATUS_BY_CODE = { not_found: 404, full: 503, forbidden: 403, invalid: 400 };
+
+// --- Watch Party ---
+// Creating a room and looking one up before joining it. Everything after
+// that happens over the room's socket; see api/party/socket.js.
+export const createPartyRouter = ({ party }) => {
+    const router = express.Router();
+
+    // Rooms are only reachable through a socket on this same process
+    const requireSocket = (req, res, next) => {
+        if (!req.app.locals.partySocket) {
+            return res.status(503).json({ error: 'Watch parties are not available: the API is not running as a long-lived server.' });
+        }
+        next();
+    };
+
+    router.post('/party', requireSocket, (req, res) => {
+        try {
+            const room = party.createRoom(req.body?.media);
+            res.status(201).json(room);
+        } catch (error) {
+            if (!(error instanceof PartyError)) throw error;
+            res.status(STATUS_BY_CODE[error.code] || 400).json({ error: error.message });
+        }
+    });
+
+    router.get('/party/:id', requireSocket, (req, res) => {
+        const room = party.getRoom(req.params.id);
+        if (!room) {
+            return res.status(404).json({ error: 'This watch party has ended or never existed.' });
+        }
+        res.set('Cache-Control', 'no-store');
+        res.json(room);
+    });
+
+    return router;
+};
@@ -0,0 +1,80 @@
+import express from 'express';
+import { createRequireUser, createResolveViewerProfile } from '../lib/auth.js';
+import { toICalendar } from '../schedule/ics.js';
+import { createFeedToken, verifyFeedToken, DEFAULT_SCHEDULE_DAYS, MAX_SCHEDULE_DAYS } from '../schedule/index.js';
+
+const FEED_DAYS = 30;
+const FEED_PAST_MS = 24 * 60 * 60 * 1000; // Keep yesterday's airings in the feed
+
+// --- Airing Schedule ---
+// Upcoming episodes of the signed-in user's favorite anime and TV shows, as
+// JSON for the Calendar page and as an iCalendar feed for calendar apps.
+export const createScheduleRouter = ({ env, supabase, getSchedule }) => {
+    const router = express.Router();
+    const requireUser = createRequireUser(supabase);
+    const resolveViewerProfile = createResolveViewerProfile(supabase);
+
+    // The feed has no viewer profile, so it follows the whole account
+    const loadFavorites = async (userId, profileId = null) => {
+        const query = supabase
+            .from('favorites')
+            .select('media_id, media_type')
+            .eq('user_id', userId);
+        const { data, error } = await (profileId ? query.eq('profile_id', profileId) : query);
+        if (error) {
+            throw new Error(`Could not load favorites: ${error.message}`);
+        }
+        return data || [];
+    };
+
+    const originOf = (req) => `${req.get('x-forwarded-proto') || req.protocol}://${req.get('host')}`;
+
+    router.get('/schedule', requireUser, resolveViewerProfile, async (req, res) => {
+        const days = Math.min(Math.max(parseInt(req.query.days) || DEFAULT_SCHEDULE_DAYS, 1), MAX_SCHEDULE_DAYS);
+
+        try {
+            const favorites = await loadFavorites(req.user.id, req.viewerProfile?.id);
+            const schedule = await getSchedule(favorites, { days });
+            const secret = env.SCHEDULE_FEED_SECRET;
+
+            res.set('Cache-Control', 'private, no-store');
+            res.json({
+                ...schedule,
+                feed_url: secret
+                    ? `${originOf(req)}/api/schedule/${req.user.id}.ics?token=${createFeedToken(req.user.id, secret)}`
+                    : null
+            });
+        } catch (error) {
+            console.error(`[SCHEDULE] Error building schedule for ${req.user.id}: ${error.message}`);
+            res.status(502).json({ error: 'Failed to build airing schedule', details: error.message });
+        }
+    });
+
+    // Calendar apps can't sign in, so the feed is authorized by a signed token
+    router.get('/schedule/:userId.ics', async (req, res) => {
+        const { userId } = req.params;
+        const secret = env.SCHEDULE_FEED_SECRET;
+
+        if (!secret || !supabase) {
+            return res.status(503).json({ error: 'Calendar feeds are not configured on the server.' });
+        }
+        if (!verifyFeedToken(userId, req.query.token, secret)) {
+            return res.status(403).json({ error: 'Invalid calendar feed token.' });
+        }
+
+        try {
+            const favorites = await loadFavorites(userId);
+            const { items } = await getSchedule(favorites, { days: FEED_DAYS, now: Date.now() - FEED_PAST_MS });
+
+            res.set('Content-Type', 'text/calendar; charset=utf-8');
+            res.set('Content-Disposition', 'inline; filename="fylm-schedule.ics"');
+            res.set('Cache-Control', 'private, max-age=3600');
+            res.send(toICalendar(items, { url: originOf(req) }));
+        } catch (error) {
+            console.error(`[SCHEDULE] Error building calendar feed for ${userId}: ${error.message}`);
+            res.status(502).json({ error: 'Failed to build calendar feed', details: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,170 @@
+import express from 'express';
+import { CACHE_POLICIES } from '../lib/cachePolicies.js';
+
+// --- Search ---
+// Unified search across TMDB and AniList, filtered to the viewer's maturity ceiling.
+export const createSearchRouter = ({ env, fetch, cache, maturity }) => {
+    const router = express.Router();
+    const TMDB_API_KEY = env.TMDB_API_KEY;
+
+    // Add a unified search endpoint that queries both AniList and TMDB
+    router.get('/search/unified', maturity.resolveCeiling, cache.route(CACHE_POLICIES.search, async (req, res) => {
+        try {
+            const { query, type = 'all', language = 'en-US' } = req.query;
+        
+            if (!query) {
+                return res.status(400).json({ error: 'Search query is required' });
+            }
+
+            // Initialize results containers with empty arrays for all properties
+            const results = {
+                tmdb: { movies: [], tv: [] },
+                anilist: [],
+                combined: []
+            };
+
+            const fetchWithTimeout = (url, options, timeout = 5000) => {
+                return new Promise((resolve, reject) => {
+                    const timer = setTimeout(() => {
+                        reject(new Error('Request timed out'));
+                    }, timeout);
+
+                    fetch(url, options)
+                        .then(response => {
+                            clearTimeout(timer);
+                            resolve(response);
+                        })
+                        .catch(err => {
+                            clearTimeout(timer);
+                            reject(err);
+                        });
+                });
+            };
+
+            const searchPromises = [];
+
+            // Search TMDB if type is 'all', 'movie', or 'tv'
+            if (['all', 'movie', 'tv'].includes(type) && TMDB_API_KEY) {
+                const tmdbTypes = type === 'all' ? ['movie', 'tv'] : [type];
+            
+                tmdbTypes.forEach(mediaType => {
+                    const tmdbUrl = `https://api.themoviedb.org/3/search/${mediaType}?api_key=${TMDB_API_KEY}&query=${encodeURIComponent(query)}&language=${encodeURIComponent(language)}`;
+                    searchPromises.push(
+                        fetchWithTimeout(tmdbUrl)
+                            .then(response => response.ok ? response.json() : Promise.resolve({ results: [] }))
+                            .then(data => maturity.filterTmdb(data.results || [], req.maturityCeiling, mediaType))
+                            .then(items => ({
+                                source: 'tmdb',
+                                type: mediaType,
+                                data: items.map(item => ({
+                                    ...item,
+                                    media_type: mediaType,
+                                    source: 'tmdb'
+                                }))
+                            }))
+                            .catch(error => {
+                                console.error(`TMDB search error for ${mediaType}:`, error.message);
+                                return { source: 'tmdb', type: mediaType, data: [] };
+                            })
+                    );
+                });
+            }
+
+            // Search AniList if type is 'all' or 'anime'
+            if (['all', 'anime'].includes(type)) {
+                const anilistUrl = `https://graphql.anilist.co`;
+                const anilistQuery = `
+                    query ($search: String) {
+                        Page(page: 1, perPage: 20) {
+                            media(search: $search, type: ANIME, sort: SEARCH_MATCH) {
+                                id
+                                title { romaji english native }
+                                coverImage { extraLarge large medium color }
+                                bannerImage
+                                format
+                                type
+                                status
+                                episodes
+                                seasonYear
+                                averageScore
+                                genres
+                                isAdult
+                            }
+                        }
+                    }
+                `;
+                const variables = { search: query };
+                searchPromises.push(
+                    fetchWithTimeout(anilistUrl, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                        body: JSON.stringify({ query: anilistQuery, variables })
+                    })
+                    .then(response => response.ok ? response.json() : Promise.resolve({ data: { Page: { media: [] } } }))
+                    .then(async data => ({
+                        source: 'anilist',
+                        data: (await maturity.filterAniList(data.data?.Page?.media, req.maturityCeiling)).map(item => ({
+                            id: item.id,
+                            title: item.title.english || item.title.romaji,
+                            poster_path: item.coverImage.extraLarge || item.coverImage.large,
+                            media_type: 'anime',
+                            source: 'anilist',
+                            vote_average: item.averageScore,
+                            genres: item.genres,
+                            episodes: item.episodes,
+                            year: item.seasonYear,
+                            banner_path: item.bannerImage
+                        }))
+                    }))
+                    .catch(error => {
+                        console.error(`AniList search error:`, error.message);
+                        return { source: 'anilist', data: [] };
+                    })
+                );
+            }
+
+            const allResults = await Promise.all(searchPromises);
+
+            allResults.forEach(result => {
+                if (result.source === 'tmdb') {
+                    results.tmdb[result.type === 'movie' ? 'movies' : 'tv'] = result.data;
+                } else if (result.source === 'anilist') {
+                    results.anilist = result.data;
+                }
+            });
+
+            // Combine and sort results - prioritize TMDB over AniList
+            results.combined = [
+                ...results.tmdb.movies,
+                ...results.tmdb.tv,
+                ...results.anilist
+            ].sort((a, b) => {
+                // Give TMDB results priority over AniList
+                const aPriority = a.source === 'tmdb' ? 1000 : 0;
+                const bPriority = b.source === 'tmdb' ? 1000 : 0;
+            
+                // First sort by source priority (TMDB first)
+                if (aPriority !== bPriority) {
+                    return bPriority - aPriority;
+                }
+            
+                // Then sort by popularity/vote_average within each source
+                return (b.popularity || b.vote_average || 0) - (a.popularity || a.vote_average || 0);
+            });
+
+            res.json(results);
+        } catch (error) {
+            console.error('Unified search error:', error);
+            // Always return a valid structure even on error
+            res.status(500).json({ 
+                error: 'Failed to perform unified search', 
+                details: error.message,
+                tmdb: { movies: [], tv: [] },
+                anilist: [],
+                combined: []
+            });
+        }
+    }));
+
+    return router;
+};
@@ -0,0 +1,182 @@
+import express from 'express';
+import { CACHE_POLICIES } from '../lib/cachePolicies.js';
+import { API_PROVIDERS } from '../lib/providers.js';
+
+// --- Shikimori ---
+// Proxy for the Shikimori anime API. Search is limited to the viewer's maturity
+// ceiling through Shikimori's own `rating` filter.
+export const createShikimoriRouter = ({ fetch, cache, maturity }) => {
+    const router = express.Router();
+
+    // Shikimori API handling
+    router.get('/shikimori/anime/:id', cache.route(CACHE_POLICIES.shikimori, async (req, res) => {
+        try {
+            const { id } = req.params;
+            console.log(`[SHIKIMORI] Fetching anime details for ID ${id}`);
+        
+            const response = await fetch(`https://shikimori.one/api/animes/${id}`, {
+                headers: { 
+                    'User-Agent': 'Fylm Streaming App/1.0',
+                    'Accept': 'application/json'
+                }
+            });
+        
+            if (!response.ok) {
+                throw new Error(`Shikimori API error: ${response.status}`);
+            }
+        
+            const animeData = await response.json();
+        
+            // Transform to standardized format
+            const transformedData = {
+                id: animeData.id,
+                title: animeData.russian || animeData.name,
+                name: animeData.russian || animeData.name,
+                original_title: animeData.name,
+                overview: animeData.description,
+                poster_path: animeData.image?.original || animeData.image?.preview,
+                backdrop_path: null, // Shikimori doesn't provide backdrop images
+                vote_average: animeData.score,
+                first_air_date: animeData.aired_on,
+                status: animeData.status,
+                episodes_count: animeData.episodes,
+                episodes_aired: animeData.episodes_aired,
+                kind: animeData.kind,
+                source_provider: API_PROVIDERS.SHIKIMORI,
+                seasons: [
+                    {
+                        id: 1,
+                        name: 'Season 1',
+                        season_number: 1,
+                        episode_count: animeData.episodes || 0
+                    }
+                ]
+            };
+        
+            res.json(transformedData);
+        } catch (error) {
+            console.error(`[SHIKIMORI] Error fetching anime details: ${error.message}`);
+            res.status(500).json({ error: error.message });
+        }
+    }));
+
+    router.get('/shikimori/anime/:id/episodes', cache.route(CACHE_POLICIES.shikimori, async (req, res) => {
+        try {
+            const { id } = req.params;
+            console.log(`[SHIKIMORI] Fetching episodes for anime ID ${id}`);
+        
+            const response = await fetch(`https://shikimori.one/api/animes/${id}/episodes`, {
+                headers: { 
+                    'User-Agent': 'Fylm Streaming App/1.0',
+                    'Accept': 'application/json'
+                }
+            });
+        
+            if (!response.ok) {
+                throw new Error(`Shikimori API error: ${response.status}`);
+            }
+        
+            const episodesData = await response.json();
+        
+            // Transform to standardized format
+            const transformedEpisodes = episodesData.map(episode => ({
+                id: `${id}-${episode.episode}`,
+                name: episode.name || `Episode ${episode.episode}`,
+                episode_number: episode.episode,
+                season_number: 1, // Shikimori treats all as season 1
+                overview: '',
+                still_path: episode.image || null,
+                air_date: episode.airdate
+            }));
+        
+            res.json({
+                season_number: 1,
+                name: "Season 1",
+                episodes: transformedEpisodes
+            });
+        } catch (error) {
+            console.error(`[SHIKIMORI] Error fetching episodes: ${error.message}`);
+            res.status(500).json({ error: error.message });
+        }
+    }));
+
+    router.get('/shikimori/anime/:id/recommendations', cache.route(CACHE_POLICIES.shikimori, async (req, res) => {
+        try {
+            const { id } = req.params;
+            console.log(`[SHIKIMORI] Fetching recommendations for anime ID ${id}`);
+        
+            const response = await fetch(`https://shikimori.one/api/animes/${id}/similar`, {
+                headers: { 
+                    'User-Agent': 'Fylm Streaming App/1.0',
+                    'Accept': 'application/json'
+                }
+            });
+        
+            if (!response.ok) {
+                throw new Error(`Shikimori API error: ${response.status}`);
+            }
+        
+            const recommendationsData = await response.json();
+        
+            // Transform to standardized format
+            const transformedRecommendations = recommendationsData.map(anime => ({
+                id: anime.id,
+                title: anime.russian || anime.name,
+                name: anime.russian || anime.name,
+                poster_path: anime.image?.original || anime.image?.preview,
+                media_type: 'anime',
+                source_provider: API_PROVIDERS.SHIKIMORI,
+                vote_average: anime.score
+            }));
+        
+            res.json({ results: transformedRecommendations });
+        } catch (error) {
+            console.error(`[SHIKIMORI] Error fetching recommendations: ${error.message}`);
+            res.status(500).json({ error: error.message });
+        }
+    }));
+
+    router.get('/shikimori/search', maturity.resolveCeiling, cache.route(CACHE_POLICIES.shikimori, async (req, res) => {
+        try {
+            const { query } = req.query;
+        
+            if (!query) {
+                return res.status(400).json({ error: 'Query parameter is required' });
+            }
+        
+            console.log(`[SHIKIMORI] Searching for anime: ${query}`);
+        
+            const ratings = maturity.shikimoriRatings(req.maturityCeiling);
+            const response = await fetch(`https://shikimori.one/api/animes?search=${encodeURIComponent(query)}&limit=20&rating=${ratings}`, {
+                headers: { 
+                    'User-Agent': 'Fylm Streaming App/1.0',
+                    'Accept': 'application/json'
+                }
+            });
+        
+            if (!response.ok) {
+                throw new Error(`Shikimori API error: ${response.status}`);
+            }
+        
+            const searchResults = await response.json();
+        
+            // Transform to standardized format
+            const transformedResults = searchResults.map(anime => ({
+                id: anime.id,
+                title: anime.russian || anime.name,
+                name: anime.russian || anime.name,
+                poster_path: anime.image?.original || anime.image?.preview,
+                media_type: 'anime',
+                source_provider: API_PROVIDERS.SHIKIMORI,
+                vote_average: anime.score
+            }));
+        
+            res.json({ results: transformedResults });
+        } catch (error) {
+            console.error(`[SHIKIMORI] Error searching for anime: ${error.message}`);
+            res.status(500).json({ error: error.message });
+        }
+    }));
+
+    return router;
+};
@@ -0,0 +1,128 @@
+import express from 'express';
+import {
+    getSource,
+    listSourceIds,
+    rankSources,
+    getRequiredIds,
+    buildCandidate,
+    recordProbe,
+    getHealthSnapshot
+} from '../sources/index.js';
+
+const PROBE_INTERVAL_MS = 60 * 1000; // Each source is probed at most this often
+
+// --- Streaming ---
+// Builds embed or direct media URLs for the registered streaming sources,
+// ordered for failover.
+export const createStreamingRouter = ({ fetch, resolveMapping }) => {
+    const router = express.Router();
+    const lastProbedAt = new Map();
+
+    // HEAD-probe a candidate URL and feed the result into the source's health score
+    const probeCandidate = async (candidate) => {
+        const startedAt = Date.now();
+        try {
+            const response = await fetch(candidate.url, {
+                method: 'HEAD',
+                signal: AbortSignal.timeout(5000)
+            });
+            const reachable = response.ok || response.status === 405;
+            recordProbe(candidate.source, reachable, Date.now() - startedAt);
+        } catch (error) {
+            console.warn(`[Stream URL] Probe failed for ${candidate.source}: ${error.message}`);
+            recordProbe(candidate.source, false, Date.now() - startedAt);
+        }
+    };
+
+    // Probes run after the response is sent, so they only reorder later
+    // requests; the client fails over on its own in the meantime
+    const probeInBackground = (candidates) => {
+        const now = Date.now();
+        candidates
+            .filter(candidate => now - (lastProbedAt.get(candidate.source) || 0) >= PROBE_INTERVAL_MS)
+            .forEach(candidate => {
+                lastProbedAt.set(candidate.source, now);
+                probeCandidate(candidate);
+            });
+    };
+
+    router.get('/stream-url', async (req, res) => {
+        try {
+            const { type, id, season, episode, source, dub, progress, nextEpisode, episodeSelector, autoplayNextEpisode } = req.query;
+
+            if (!type || !id) {
+                return res.status(400).json({ error: true, message: 'Missing "type" or "id" parameter.' });
+            }
+            if (!['movie', 'tv', 'anime'].includes(type)) {
+                return res.status(400).json({ error: true, message: `Unsupported type: "${type}"` });
+            }
+            if (type === 'tv' && (!season || !episode)) {
+                return res.status(400).json({ error: true, message: 'Missing "season" or "episode" for TV shows.' });
+            }
+
+            // Requested source first, the rest ordered by health score
+            const orderedSources = rankSources(source).map(getSource);
+            const neededIds = new Set(orderedSources.flatMap(s => getRequiredIds(s, type)));
+
+            // Resolve only the IDs some candidate source actually needs
+            const ids = type === 'anime' ? { anilist: id } : { tmdb: id, tmdbType: type };
+            const needsMapping = type === 'anime'
+                ? neededIds.has('tmdb') || neededIds.has('imdb')
+                : neededIds.has('imdb');
+
+            if (needsMapping) {
+                try {
+                    const mapping = type === 'anime'
+                        ? await resolveMapping('anilist', id)
+                        : await resolveMapping('tmdb', id, { type });
+                    if (type === 'anime' && mapping.ids.tmdb) {
+                        ids.tmdb = mapping.ids.tmdb;
+                        ids.tmdbType = mapping.ids.tmdbType;
+                    }
+                    if (mapping.ids.imdb) {
+                        ids.imdb = mapping.ids.imdb;
+                    }
+                } catch (error) {
+                    console.warn(`[Stream URL] ID mapping failed for ${type} ${id}, sources needing other IDs are skipped: ${error.message}`);
+                }
+            }
+
+            const query = { dub, progress, nextEpisode, episodeSelector, autoplayNextEpisode };
+            const candidates = orderedSources
+                .map(s => buildCandidate(s, { type, ids, season, episode, query }))
+                .filter(Boolean);
+
+            if (candidates.length === 0) {
+                return res.status(404).json({ error: true, message: 'No streaming source can play this title.' });
+            }
+
+            const [primary] = candidates;
+            console.log(`[Stream URL] ${type} ID ${id}: ${candidates.map(c => `${c.source}(${c.healthScore})`).join(' > ')}`);
+
+            res.status(200).json({
+                url: primary.url,
+                currentSource: primary.source,
+                availableSources: listSourceIds(),
+                isDirectSource: primary.isDirectSource,
+                format: primary.format,
+                candidates
+            });
+            probeInBackground(candidates);
+
+        } catch (error) {
+            console.error('[Stream URL] Error generating stream URL:', error);
+            res.status(500).json({
+                error: true,
+                message: 'Failed to generate stream URL.',
+                details: error.message
+            });
+        }
+    });
+
+    // Rolling health of every registered streaming source
+    router.get('/sources', (req, res) => {
+        res.json({ sources: getHealthSnapshot() });
+    });
+
+    return router;
+};
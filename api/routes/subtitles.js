@@ -0,0 +1,87 @@
+import express from 'express';
+import { CACHE_POLICIES } from '../lib/cachePolicies.js';
+import { LANGUAGE_PATTERN, MAX_LANGUAGES, SubtitlesUnavailableError } from '../subtitles/index.js';
+
+const MEDIA_TYPES = ['movie', 'tv', 'anime'];
+
+const toEpisodeNumber = (value) => {
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 0 ? number : null;
+};
+
+// --- Subtitles ---
+// Subtitle search for the Watch page, and the files it finds as WebVTT.
+export const createSubtitlesRouter = ({ cache, resolveMapping, subtitles }) => {
+    const router = express.Router();
+
+    const unavailable = (res, error) => res.status(503).json({ error: error.message });
+
+    // ?type=movie|tv|anime&id=&season=&episode=&languages=en,fr
+    // `id` is a TMDB ID, or an AniList ID for anime; imdb_id may be given
+    // instead of or as well as it
+    router.get('/subtitles/search', cache.route(CACHE_POLICIES.subtitles, async (req, res) => {
+        const { type, id, imdb_id: imdbParam } = req.query;
+        if (!MEDIA_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${MEDIA_TYPES.join(', ')}.` });
+        }
+        if (!id && !imdbParam) {
+            return res.status(400).json({ error: 'id or imdb_id is required.' });
+        }
+        if (imdbParam && !/^tt\d+$/.test(imdbParam)) {
+            return res.status(400).json({ error: 'imdb_id must look like tt0213338.' });
+        }
+
+        const isSeries = type !== 'movie';
+        const season = isSeries ? toEpisodeNumber(req.query.season) : null;
+        const episode = isSeries ? toEpisodeNumber(req.query.episode) : null;
+        if (isSeries && (season === null || episode === null)) {
+            return res.status(400).json({ error: 'season and episode are required for series.' });
+        }
+
+        const languages = String(req.query.languages || '').toLowerCase().split(',').filter(Boolean);
+        if (languages.length > MAX_LANGUAGES || languages.some(language => !LANGUAGE_PATTERN.test(language))) {
+            return res.status(400).json({ error: `languages must be up to ${MAX_LANGUAGES} comma separated ISO 639 codes, e.g. en,pt-br.` });
+        }
+
+        let tmdbId = type === 'anime' ? null : id || null;
+        let imdbId = imdbParam || null;
+        if (type === 'anime' && id) {
+            try {
+                const mapping = await resolveMapping('anilist', id);
+                tmdbId = mapping.ids.tmdb || null;
+                imdbId = imdbId || mapping.ids.imdb || null;
+            } catch (error) {
+                console.warn(`[SUBTITLES] ID mapping failed for anime ${id}: ${error.message}`);
+            }
+            if (!tmdbId && !imdbId) {
+                return res.status(404).json({ error: `No TMDB or IMDb ID is known for anime ${id}.` });
+            }
+        }
+
+        try {
+            const results = await subtitles.search({ tmdbId, imdbId, season, episode, languages });
+            res.json({ type, id: id || null, season, episode, results });
+        } catch (error) {
+            if (error instanceof SubtitlesUnavailableError) return unavailable(res, error);
+            console.error(`[SUBTITLES] Search failed: ${error.message}`);
+            res.status(502).json({ error: 'Could not search for subtitles', details: error.message });
+        }
+    }));
+
+    router.get('/subtitles/file/:provider/:fileId', cache.route(CACHE_POLICIES.subtitleFile, async (req, res) => {
+        try {
+            const vtt = await subtitles.getVtt(req.params.provider, req.params.fileId);
+            if (vtt === null) {
+                return res.status(404).json({ error: `Unknown subtitle provider "${req.params.provider}".` });
+            }
+            res.set('Content-Type', 'text/vtt; charset=utf-8');
+            res.send(vtt);
+        } catch (error) {
+            if (error instanceof SubtitlesUnavailableError) return unavailable(res, error);
+            console.error(`[SUBTITLES] Download of ${req.params.provider} ${req.params.fileId} failed: ${error.message}`);
+            res.status(502).json({ error: 'Could not download the subtitles', details: error.message });
+        }
+    }));
+
+    return router;
+};
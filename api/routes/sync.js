@@ -0,0 +1,160 @@
+import { timingSafeEqual } from 'node:crypto';
+import express from 'express';
+import { createRequireUser, createResolveViewerProfile } from '../lib/auth.js';
+import { OAUTH_STATE_TTL_MS, readOAuthState, SyncAccountError, SYNC_PROVIDERS, CONFLICT_STRATEGIES } from '../sync/index.js';
+
+// --- List Sync ---
+// Connecting AniList, Shikimori and Trakt accounts, pushing watched episodes
+// to them and importing their lists. The OAuth round trip ends at this API,
+// which keeps the client secrets and tokens off the browser, and then sends
+// the user back to their profile.
+export const createSyncRouter = ({ env, supabase, sync }) => {
+    const router = express.Router();
+    const requireUser = createRequireUser(supabase);
+    const resolveViewerProfile = createResolveViewerProfile(supabase);
+
+    const originOf = (req) => `${req.get('x-forwarded-proto') || req.protocol}://${req.get('host')}`;
+    const callbackUrl = (req, provider) => `${originOf(req)}/api/sync/${provider}/callback`;
+
+    // The sign-in nonce rides in a cookie only the callback receives. Lax, so
+    // the browser still sends it on the provider's redirect back here.
+    const STATE_COOKIE = 'sync_oauth_nonce';
+    const stateCookie = (req, provider, value, maxAge) => [
+        `${STATE_COOKIE}=${value}`,
+        `Path=/api/sync/${provider}/callback`,
+        `Max-Age=${maxAge}`,
+        'HttpOnly',
+        'SameSite=Lax',
+        ...(originOf(req).startsWith('https:') ? ['Secure'] : [])
+    ].join('; ');
+
+    const readStateCookie = (req) => {
+        const pair = (req.get('cookie') || '').split(';').map(part => part.trim())
+            .find(part => part.startsWith(`${STATE_COOKIE}=`));
+        return pair ? pair.slice(STATE_COOKIE.length + 1) : '';
+    };
+
+    const sameNonce = (cookie, nonce) => {
+        const given = Buffer.from(cookie);
+        const expected = Buffer.from(nonce);
+        return given.length === expected.length && timingSafeEqual(given, expected);
+    };
+
+    const requireProvider = (req, res, next) => {
+        const { provider } = req.params;
+        if (!SYNC_PROVIDERS.includes(provider)) {
+            return res.status(404).json({ error: `Unknown provider "${provider}". Expected one of: ${SYNC_PROVIDERS.join(', ')}.` });
+        }
+        if (!sync.clients[provider].configured || !env.OAUTH_STATE_SECRET) {
+            return res.status(503).json({ error: `${provider} sync is not configured on the server.` });
+        }
+        next();
+    };
+
+    const sendError = (res, error, action) => {
+        if (error instanceof SyncAccountError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error(`[SYNC] ${action} failed: ${error.message}`);
+        res.status(502).json({ error: `${action} failed`, details: error.message });
+    };
+
+    router.get('/sync/accounts', requireUser, async (req, res) => {
+        try {
+            res.set('Cache-Control', 'private, no-store');
+            res.json({
+                providers: SYNC_PROVIDERS.map(provider => ({
+                    provider,
+                    configured: sync.clients[provider].configured && Boolean(env.OAUTH_STATE_SECRET),
+                    imports: sync.hasList(provider)
+                })),
+                accounts: await sync.getAccounts(req.user.id)
+            });
+        } catch (error) {
+            sendError(res, error, 'Loading linked accounts');
+        }
+    });
+
+    router.get('/sync/:provider/authorize', requireProvider, requireUser, async (req, res) => {
+        const { provider } = req.params;
+        try {
+            const { url, nonce } = await sync.authorize(provider, { userId: req.user.id, redirectUri: callbackUrl(req, provider) });
+            res.set('Cache-Control', 'private, no-store');
+            res.append('Set-Cookie', stateCookie(req, provider, nonce, OAUTH_STATE_TTL_MS / 1000));
+            res.json({ url });
+        } catch (error) {
+            sendError(res, error, 'Starting sign-in');
+        }
+    });
+
+    // The provider redirects the browser here, so errors go back to the
+    // profile page rather than out as JSON
+    router.get('/sync/:provider/callback', requireProvider, async (req, res) => {
+        const { provider } = req.params;
+        const back = (params) => res.redirect(302, `${originOf(req)}/#/profile?${new URLSearchParams(params)}`);
+        const expired = () => back({ link_error: 'The sign-in link expired. Please try again.' });
+
+        const cookie = readStateCookie(req);
+        res.append('Set-Cookie', stateCookie(req, provider, '', 0));
+
+        const state = readOAuthState(req.query.state, env.OAUTH_STATE_SECRET);
+        if (!state || state.provider !== provider || !sameNonce(cookie, state.nonce)) {
+            return expired();
+        }
+        try {
+            if (!await sync.consumeOAuthState(state)) return expired();
+        } catch (error) {
+            console.error(`[SYNC] Checking ${provider} sign-in for ${state.userId} failed: ${error.message}`);
+            return back({ link_error: `Could not connect ${provider}.` });
+        }
+        if (!req.query.code) {
+            return back({ link_error: `${provider} access was not granted.` });
+        }
+
+        try {
+            await sync.linkAccount(provider, { userId: state.userId, code: req.query.code, redirectUri: callbackUrl(req, provider) });
+            back({ linked: provider });
+        } catch (error) {
+            console.error(`[SYNC] Linking ${provider} for ${state.userId} failed: ${error.message}`);
+            back({ link_error: `Could not connect ${provider}.` });
+        }
+    });
+
+    router.delete('/sync/:provider', requireProvider, requireUser, async (req, res) => {
+        try {
+            await sync.unlinkAccount(req.user.id, req.params.provider);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Unlinking account');
+        }
+    });
+
+    router.post('/sync/:provider/import', requireProvider, requireUser, resolveViewerProfile, async (req, res) => {
+        const strategy = req.body?.strategy || 'furthest';
+        if (!CONFLICT_STRATEGIES.includes(strategy)) {
+            return res.status(400).json({ error: `Unknown strategy "${strategy}". Expected one of: ${CONFLICT_STRATEGIES.join(', ')}.` });
+        }
+
+        try {
+            res.json(await sync.importList(req.user.id, req.params.provider, { strategy, profileId: req.viewerProfile?.id }));
+        } catch (error) {
+            sendError(res, error, 'Import');
+        }
+    });
+
+    router.post('/sync/progress', requireUser, resolveViewerProfile, async (req, res) => {
+        const anilistId = parseInt(req.body?.anilist_id);
+        const episode = parseInt(req.body?.episode);
+        if (!anilistId || !episode || episode < 1) {
+            return res.status(400).json({ error: 'anilist_id and episode are required.' });
+        }
+
+        try {
+            res.json({ results: await sync.pushProgress(req.user.id, { anilistId, episode, profileId: req.viewerProfile?.id }) });
+        } catch (error) {
+            sendError(res, error, 'Progress sync');
+        }
+    });
+
+    return router;
+};
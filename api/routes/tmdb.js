@@ -0,0 +1,198 @@
+import express from 'express';
+import { MappingNotFoundError } from '../mapping/index.js';
+import { CACHE_POLICIES } from '../lib/cachePolicies.js';
+import { mapWithConcurrency } from '../lib/upstream.js';
+
+// Proxied paths whose `results` are titles, filtered to the viewer's maturity
+// ceiling. The media type comes from the path unless each entry has its own.
+const LISTING_PATHS = [
+    /^trending\/(all|movie|tv)\//,
+    /^discover\/(movie|tv)$/,
+    /^search\/(movie|tv|multi)$/,
+    /^(movie|tv)\/(popular|top_rated|upcoming|now_playing|airing_today|on_the_air)$/,
+    /^(movie|tv)\/\d+\/(recommendations|similar)$/
+];
+
+const listingType = (path) => {
+    const match = LISTING_PATHS.map(pattern => path.match(pattern)).find(Boolean);
+    return match ? (['movie', 'tv'].includes(match[1]) ? match[1] : 'any') : null;
+};
+
+// --- TMDB ---
+// AniList -> TMDB lookups, bulk detail fetches and the generic TMDB proxy.
+// Mount after the anime router: `/tmdb/*` would otherwise catch `/tmdb/anime/*`.
+export const createTmdbRouter = ({ env, fetch, cache, resolveMapping, maturity }) => {
+    const router = express.Router();
+    const TMDB_API_KEY = env.TMDB_API_KEY;
+
+    const tmdbPathOf = (req) => req.path.slice('/tmdb/'.length);
+    const resolveListingCeiling = (req, res, next) => (listingType(tmdbPathOf(req))
+        ? maturity.resolveCeiling(req, res, next)
+        : next());
+
+    router.get('/tmdb/from-anilist/:anilistId', async (req, res) => {
+        try {
+            const { anilistId } = req.params;
+
+            if (!TMDB_API_KEY) {
+                return res.status(503).json({ error: 'TMDB API key is not configured on the server.' });
+            }
+
+            const mapping = await resolveMapping('anilist', anilistId);
+
+            if (!mapping.ids.tmdb) {
+                return res.status(404).json({ error: 'Could not find a matching TV show or movie on TMDB for the given AniList ID.' });
+            }
+
+            res.json({
+                tmdbId: mapping.ids.tmdb,
+                type: mapping.ids.tmdbType,
+                confidence: mapping.confidence.tmdb
+            });
+
+        } catch (error) {
+            if (error instanceof MappingNotFoundError) {
+                return res.status(404).json({ error: error.message });
+            }
+            console.error('TMDB from AniList mapping error:', error);
+            res.status(500).json({ error: 'Failed to map AniList ID to TMDB ID', details: error.message });
+        }
+    });
+
+    // Bulk TMDB Details Endpoint
+    const BULK_CONCURRENCY = 6;
+
+    router.post('/tmdb/bulk-episodes', async (req, res) => {
+        const { requests } = req.body;
+
+        if (!Array.isArray(requests) || requests.length === 0) {
+            return res.status(400).json({ error: 'Invalid request body. Expected an array of requests.' });
+        }
+
+        if (!TMDB_API_KEY) {
+            return res.status(503).json({ error: 'TMDB API key is not configured on the server.' });
+        }
+
+        try {
+            // The upstream client also limits TMDB concurrency; this keeps a large
+            // watch history from queueing hundreds of requests at once
+            const results = await mapWithConcurrency(requests, BULK_CONCURRENCY, async (request) => {
+                const { id, season, episode } = request;
+                if (!id || !season || !episode) {
+                    return { success: false, id, season, episode, error: 'Missing id, season, or episode' };
+                }
+
+                try {
+                    const url = `https://api.themoviedb.org/3/tv/${id}/season/${season}/episode/${episode}?api_key=${TMDB_API_KEY}`;
+                    const response = await fetch(url);
+                    if (!response.ok) {
+                        const errorText = await response.text();
+                        return { success: false, id, season, episode, error: `TMDB API error: ${response.status} - ${errorText}` };
+                    }
+                    const data = await response.json();
+                    return { success: true, id, season, episode, data };
+                } catch (fetchError) {
+                    return { success: false, id, season, episode, error: fetchError.message };
+                }
+            });
+
+            res.status(200).json(results);
+
+        } catch (error) {
+            console.error('Bulk episode fetch error:', error);
+            res.status(500).json({ error: 'Failed to process bulk episode request.' });
+        }
+    });
+
+    router.post('/tmdb/bulk', async (req, res) => {
+        const { requests } = req.body;
+
+        if (!Array.isArray(requests) || requests.length === 0) {
+            return res.status(400).json({ error: 'Invalid request body. Expected an array of requests.' });
+        }
+
+        if (!TMDB_API_KEY) {
+            return res.status(503).json({ error: 'TMDB API key is not configured on the server.' });
+        }
+
+        try {
+            // The upstream client also limits TMDB concurrency; this keeps a large
+            // watch history from queueing hundreds of requests at once
+            const results = await mapWithConcurrency(requests, BULK_CONCURRENCY, async (request) => {
+                const { type, id } = request;
+                if (!type || !id) {
+                    return { success: false, type, id, error: 'Missing type or id' };
+                }
+
+                try {
+                    const url = `https://api.themoviedb.org/3/${type}/${id}?api_key=${TMDB_API_KEY}&append_to_response=videos,credits`;
+                    const response = await fetch(url);
+                    if (!response.ok) {
+                        const errorText = await response.text();
+                        return { success: false, type, id, error: `TMDB API error: ${response.status} - ${errorText}` };
+                    }
+                    const data = await response.json();
+                    return { success: true, type, id, data };
+                } catch (fetchError) {
+                    return { success: false, type, id, error: fetchError.message };
+                }
+            });
+
+            res.status(200).json(results);
+
+        } catch (error) {
+            console.error('Bulk TMDB fetch error:', error);
+            res.status(500).json({ error: 'Failed to process bulk request.' });
+        }
+    });
+
+    // Generic TMDB API Proxy (for everything else)
+    // IMPORTANT: This MUST come AFTER specific routes like /tmdb/anime/:id
+    router.get('/tmdb/*', resolveListingCeiling, cache.route(CACHE_POLICIES.tmdb, async (req, res) => {
+        if (!TMDB_API_KEY) {
+            console.warn('TMDB API key not configured, blocking request.');
+            return res.status(500).json({ error: "TMDB API key not configured" });
+        }
+
+        try {
+            let tmdbPath = req.url.substring(req.url.indexOf('/tmdb/') + 6);
+            const tmdbApiUrl = `https://api.themoviedb.org/3/${tmdbPath}`;
+        
+            const finalUrl = new URL(tmdbApiUrl);
+            finalUrl.searchParams.append('api_key', TMDB_API_KEY);
+        
+            // Add language parameter if provided
+            if (req.query.language) {
+                finalUrl.searchParams.append('language', req.query.language);
+            }
+
+            console.log(`[TMDB_PROXY] Proxying to TMDB URL: ${finalUrl}`);
+        
+            const response = await fetch(finalUrl);
+        
+            if (!response.ok) {
+                console.error(`[TMDB_PROXY] TMDB API error: ${response.status} for path ${tmdbPath}`);
+                return res.status(response.status).json({ error: `TMDB API error: ${response.statusText}` });
+            }
+        
+            const data = await response.json();
+            const type = listingType(tmdbPathOf(req));
+            if (type && Array.isArray(data.results)) {
+                data.results = await maturity.filterTmdb(data.results, req.maturityCeiling, type === 'any' ? undefined : type);
+            }
+        
+            // Add source property for frontend compatibility
+            const enhancedData = {
+                ...data,
+                source: 'tmdb'
+            };
+        
+            res.json(enhancedData);
+        } catch (error) {
+            console.error('[TMDB_PROXY] Proxy error:', error);
+            res.status(500).json({ error: 'Failed to fetch from TMDB API', details: error.message });
+        }
+    }));
+
+    return router;
+};
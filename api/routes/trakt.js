@@ -0,0 +1,84 @@
+import express from 'express';
+import { createRequireUser, createResolveViewerProfile } from '../lib/auth.js';
+import { MAX_IMPORT_ITEMS } from '../trakt/index.js';
+import { SCROBBLE_ACTIONS } from '../sync/trakt.js';
+
+const EXPORT_KINDS = ['history', 'playback'];
+const MEDIA_TYPES = ['movie', 'tv', 'anime'];
+
+// --- Trakt ---
+// Importing and exporting watch history as Trakt JSON, and scrobbling to a
+// Trakt account connected through /sync/trakt.
+export const createTraktRouter = ({ env, supabase, trakt, sync }) => {
+    const router = express.Router();
+    const requireUser = createRequireUser(supabase);
+    const resolveViewerProfile = createResolveViewerProfile(supabase);
+
+    router.post('/trakt/import', requireUser, resolveViewerProfile, async (req, res) => {
+        const items = req.body?.items;
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: 'items must be a non-empty array of Trakt history or playback items.' });
+        }
+        if (items.length > MAX_IMPORT_ITEMS) {
+            return res.status(413).json({ error: `At most ${MAX_IMPORT_ITEMS} items can be imported per request.` });
+        }
+
+        try {
+            res.json(await trakt.importItems(req.user.id, items, { profileId: req.viewerProfile?.id }));
+        } catch (error) {
+            console.error(`[TRAKT] Import failed: ${error.message}`);
+            res.status(500).json({ error: 'Import failed', details: error.message });
+        }
+    });
+
+    router.get('/trakt/export/:kind', requireUser, resolveViewerProfile, async (req, res) => {
+        const { kind } = req.params;
+        if (!EXPORT_KINDS.includes(kind)) {
+            return res.status(404).json({ error: `Unknown export "${kind}". Expected one of: ${EXPORT_KINDS.join(', ')}.` });
+        }
+
+        try {
+            const options = { profileId: req.viewerProfile?.id };
+            const items = kind === 'history'
+                ? await trakt.exportHistory(req.user.id, options)
+                : await trakt.exportPlayback(req.user.id, options);
+            res.set('Cache-Control', 'private, no-store');
+            res.set('Content-Disposition', `attachment; filename="trakt-${kind}.json"`);
+            res.json(items);
+        } catch (error) {
+            console.error(`[TRAKT] Export failed: ${error.message}`);
+            res.status(500).json({ error: 'Export failed', details: error.message });
+        }
+    });
+
+    router.post('/trakt/scrobble/:action', requireUser, async (req, res) => {
+        const { action } = req.params;
+        if (!SCROBBLE_ACTIONS.includes(action)) {
+            return res.status(404).json({ error: `Unknown scrobble action "${action}". Expected one of: ${SCROBBLE_ACTIONS.join(', ')}.` });
+        }
+        if (!sync.clients.trakt.configured || !env.OAUTH_STATE_SECRET) {
+            return res.status(503).json({ error: 'trakt sync is not configured on the server.' });
+        }
+
+        const { media_type: mediaType, media_id: mediaId } = req.body || {};
+        const progress = Number(req.body?.progress);
+        if (!MEDIA_TYPES.includes(mediaType) || !mediaId || !Number.isFinite(progress)) {
+            return res.status(400).json({ error: 'media_type, media_id and progress are required.' });
+        }
+
+        try {
+            res.json(await trakt.scrobble(req.user.id, action, {
+                media_type: mediaType,
+                media_id: mediaId,
+                season: parseInt(req.body.season) || null,
+                episode: parseInt(req.body.episode) || null,
+                progress
+            }));
+        } catch (error) {
+            console.error(`[TRAKT] Scrobble ${action} failed: ${error.message}`);
+            res.status(502).json({ error: 'Scrobble failed', details: error.message });
+        }
+    });
+
+    return router;
+};
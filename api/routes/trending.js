@@ -0,0 +1,268 @@
+import express from 'express';
+import { CACHE_POLICIES } from '../lib/cachePolicies.js';
+
+// --- Trending ---
+// Trending anime combined from AniList and TMDB, filtered to the viewer's
+// maturity ceiling.
+export const createTrendingRouter = ({ env, fetch, cache, maturity }) => {
+    const router = express.Router();
+    const TMDB_API_KEY = env.TMDB_API_KEY;
+
+    // Fetch trending anime from both AniList and TMDB
+    router.get('/trending/anime/combined', maturity.resolveCeiling, cache.route(CACHE_POLICIES.trending, async (req, res) => {
+        try {
+            // Initialize results container with empty arrays for all expected properties
+            const results = {
+                anilist: [],
+                tmdb: { 
+                    movies: [], 
+                    tv: [] 
+                },
+                seasonal: [],
+                combined: []
+            };
+        
+            // Fetch trending anime from AniList
+            const anilistQuery = `
+                query {
+                    trending: Page(page: 1, perPage: 20) {
+                        media(type: ANIME, sort: TRENDING_DESC) {
+                            id
+                            idMal
+                            title {
+                                romaji
+                                english
+                                native
+                            }
+                            coverImage {
+                                large
+                            }
+                            bannerImage
+                            format
+                            episodes
+                            description
+                            averageScore
+                            popularity
+                            status
+                            startDate {
+                                year
+                                month
+                                day
+                            }
+                            genres
+                            isAdult
+                        }
+                    }
+                
+                    season: Page(page: 1, perPage: 20) {
+                        media(type: ANIME, sort: POPULARITY_DESC, season: CURRENT) {
+                            id
+                            idMal
+                            title {
+                                romaji
+                                english
+                                native
+                            }
+                            coverImage {
+                                large
+                            }
+                            bannerImage
+                            format
+                            episodes
+                            description
+                            averageScore
+                            popularity
+                            status
+                            startDate {
+                                year
+                                month
+                                day
+                            }
+                            genres
+                            isAdult
+                        }
+                    }
+                }
+            `;
+
+            // Fetch from AniList
+            try {
+                const anilistResponse = await fetch('https://graphql.anilist.co', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json'
+                    },
+                    body: JSON.stringify({ query: anilistQuery })
+                });
+
+                if (anilistResponse.ok) {
+                    const data = await anilistResponse.json();
+                
+                    // Process trending anime
+                    if (data?.data?.trending?.media) {
+                        results.anilist = (await maturity.filterAniList(data.data.trending.media, req.maturityCeiling)).map(item => ({
+                            id: item.id,
+                            anilist_id: item.id, // Store AniList ID explicitly
+                            title: item.title.english || item.title.romaji,
+                            name: item.title.english || item.title.romaji,
+                            original_name: item.title.native,
+                            overview: item.description ? item.description.replace(/<[^>]*>/g, '') : '',
+                            poster_path: item.coverImage?.large,
+                            backdrop_path: item.bannerImage,
+                            vote_average: item.averageScore ? item.averageScore / 10 : 0,
+                            first_air_date: item.startDate?.year ? `${item.startDate.year}-${item.startDate.month || '01'}-${item.startDate.day || '01'}` : '',
+                            popularity: item.popularity,
+                            genres: item.genres.map(genre => ({ id: genre, name: genre })),
+                            media_type: 'anime',
+                            source: 'anilist',
+                            trending_source: 'trending',
+                            format: item.format,
+                            episodes: item.episodes,
+                            idMal: item.idMal
+                        }));
+                    }
+                
+                    // Process seasonal anime as a separate category
+                    if (data?.data?.season?.media) {
+                        results.seasonal = (await maturity.filterAniList(data.data.season.media, req.maturityCeiling)).map(item => ({
+                            id: item.id,
+                            anilist_id: item.id, // Store AniList ID explicitly
+                            title: item.title.english || item.title.romaji,
+                            name: item.title.english || item.title.romaji,
+                            original_name: item.title.native,
+                            overview: item.description ? item.description.replace(/<[^>]*>/g, '') : '',
+                            poster_path: item.coverImage?.large,
+                            backdrop_path: item.bannerImage,
+                            vote_average: item.averageScore ? item.averageScore / 10 : 0,
+                            first_air_date: item.startDate?.year ? `${item.startDate.year}-${item.startDate.month || '01'}-${item.startDate.day || '01'}` : '',
+                            popularity: item.popularity,
+                            genres: item.genres.map(genre => ({ id: genre, name: genre })),
+                            media_type: 'anime',
+                            source: 'anilist',
+                            trending_source: 'seasonal',
+                            format: item.format,
+                            episodes: item.episodes,
+                            idMal: item.idMal
+                        }));
+                    }
+                }
+            } catch (error) {
+                console.error('AniList trending fetch error:', error);
+                // Continue with partial results
+            }
+
+            // Fetch anime from TMDB if API key is available
+            if (TMDB_API_KEY) {
+                try {
+                    const tmdbPromises = [
+                        fetch(`https://api.themoviedb.org/3/discover/tv?api_key=${TMDB_API_KEY}&with_keywords=210024&sort_by=popularity.desc&page=1`),
+                        fetch(`https://api.themoviedb.org/3/discover/movie?api_key=${TMDB_API_KEY}&with_keywords=210024&sort_by=popularity.desc&page=1`)
+                    ];
+                
+                    const [tvResponse, movieResponse] = await Promise.all(tmdbPromises);
+                    const tvData = tvResponse.ok ? await tvResponse.json() : { results: [] };
+                    const movieData = movieResponse.ok ? await movieResponse.json() : { results: [] };
+                
+                    // Process TMDB results
+                    const [tvAllowed, moviesAllowed] = await Promise.all([
+                        maturity.filterTmdb(tvData.results || [], req.maturityCeiling, 'tv'),
+                        maturity.filterTmdb(movieData.results || [], req.maturityCeiling, 'movie')
+                    ]);
+                    const tvResults = tvAllowed.map(item => ({ ...item, media_type: 'tv' }));
+                    const movieResults = moviesAllowed.map(item => ({ ...item, media_type: 'movie' }));
+                
+                    // Store separated by type
+            results.tmdb.tv = tvResults.map(item => ({
+                ...item,
+                source: 'tmdb',
+                trending_source: 'popular',
+                poster_path: item.poster_path, // Pass raw path
+                backdrop_path: item.backdrop_path, // Pass raw path
+                tmdb_id: item.id, // Store original TMDB ID
+                media_type: 'tv' // Ensure media type is preserved
+            }));
+        
+            results.tmdb.movies = movieResults.map(item => ({
+                ...item,
+                source: 'tmdb',
+                trending_source: 'popular',
+                poster_path: item.poster_path, // Pass raw path
+                backdrop_path: item.backdrop_path, // Pass raw path
+                tmdb_id: item.id, // Store original TMDB ID
+                media_type: 'movie' // Ensure media type is preserved
+            }));
+                
+                    // Add all to flat array for combined sort
+                    const tmdbResults = [...tvResults, ...movieResults];
+                    tmdbResults.sort((a, b) => b.popularity - a.popularity);
+                } catch (error) {
+                    console.error('TMDB anime fetch error:', error);
+                    // Continue with partial results
+                }
+            }
+
+            // Create combined results from both sources
+            const uniqueIds = new Set();
+        
+            // First add all AniList results
+            results.combined = [...results.anilist];
+        
+            // Track all AniList IDs to avoid duplicates
+            results.anilist.forEach(item => uniqueIds.add(`anilist-${item.id}`));
+        
+            // Add TMDB TV results
+            for (const item of results.tmdb.tv || []) {
+                const tmdbId = item.id;
+            
+                // Skip if we've already added this TMDB ID
+                if (uniqueIds.has(`tmdb-${tmdbId}`)) continue;
+            
+                uniqueIds.add(`tmdb-${tmdbId}`);
+                results.combined.push(item);
+            }
+        
+            // Add TMDB movie results
+            for (const item of results.tmdb.movies || []) {
+                const tmdbId = item.id;
+            
+                // Skip if we've already added this TMDB ID
+                if (uniqueIds.has(`tmdb-${tmdbId}`)) continue;
+            
+                uniqueIds.add(`tmdb-${tmdbId}`);
+                results.combined.push(item);
+            }
+        
+            // Sort by popularity - prioritize TMDB over AniList
+            results.combined.sort((a, b) => {
+                // Give TMDB results priority over AniList
+                const aPriority = a.source === 'tmdb' ? 1000 : 0;
+                const bPriority = b.source === 'tmdb' ? 1000 : 0;
+            
+                // First sort by source priority (TMDB first)
+                if (aPriority !== bPriority) {
+                    return bPriority - aPriority;
+                }
+            
+                // Then sort by popularity within each source
+                return b.popularity - a.popularity;
+            });
+        
+            res.json(results);
+        
+        } catch (error) {
+            console.error('Combined trending anime error:', error);
+            // Always return a valid structure even on error
+            res.status(500).json({ 
+                error: 'Failed to fetch trending anime', 
+                details: error.message,
+                anilist: [],
+                tmdb: { movies: [], tv: [] },
+                seasonal: [],
+                combined: []
+            });
+        }
+    }));
+
+    return router;
+};
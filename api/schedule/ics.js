@@ -0,0 +1,89 @@
+// --- iCalendar Export ---
+// Renders schedule items as an RFC 5545 calendar that calendar apps can
+// subscribe to. Timed AniList airings become timed events; TMDB only knows
+// the air date, so those become all-day events.
+
+const PRODUCT_ID = '-//Fylm//Airing Schedule//EN';
+const DEFAULT_DURATION = 'PT30M';
+
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char, 'utf8') > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const formatDate = (isoDate) => isoDate.replace(/-/g, '');
+
+const nextDay = (isoDate) => {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().slice(0, 10);
+};
+
+const eventSummary = (item) => {
+    const episode = item.season_number
+        ? `S${item.season_number}E${item.episode_number}`
+        : `Episode ${item.episode_number}`;
+    return `${item.title} – ${episode}${item.episode_name ? `: ${item.episode_name}` : ''}`;
+};
+
+/**
+ * @param {Array} items - Schedule items from the schedule service.
+ * @param {object} [options] - { name, url, now } where `url` is the base of
+ *   the site, used for links back to the Watch page.
+ * @returns {string} The calendar, with CRLF line endings.
+ */
+export const toICalendar = (items, { name = 'Fylm Airing Schedule', url = '', now = new Date() } = {}) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+        'X-PUBLISHED-TTL:PT6H'
+    ];
+
+    items.forEach(item => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${item.media_type}-${item.media_id}-s${item.season_number || 1}-e${item.episode_number}@fylm`,
+            `DTSTAMP:${formatDateTime(now)}`
+        );
+        if (item.airing_at) {
+            lines.push(`DTSTART:${formatDateTime(new Date(item.airing_at))}`, `DURATION:${DEFAULT_DURATION}`);
+        } else {
+            lines.push(`DTSTART;VALUE=DATE:${formatDate(item.air_date)}`, `DTEND;VALUE=DATE:${formatDate(nextDay(item.air_date))}`);
+        }
+        lines.push(`SUMMARY:${escapeText(eventSummary(item))}`);
+        if (url) {
+            const season = item.season_number || 1;
+            lines.push(`URL:${url}/#/watch/${item.media_type}/${item.media_id}/season/${season}/episode/${item.episode_number}`);
+        }
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
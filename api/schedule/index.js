@@ -0,0 +1,172 @@
+// --- Airing Schedule ---
+// Upcoming episodes for a list of followed titles. Anime come from AniList's
+// airingSchedule, which has exact air times for every upcoming episode. TV
+// shows come from TMDB's next_episode_to_air, which only has the air date of
+// the next episode.
+import crypto from 'node:crypto';
+import { mapWithConcurrency } from '../lib/upstream.js';
+
+export const DEFAULT_SCHEDULE_DAYS = 14;
+export const MAX_SCHEDULE_DAYS = 60;
+const TMDB_CONCURRENCY = 4;
+const ANILIST_MAX_PAGES = 4;
+
+const SCHEDULE_QUERY = `
+    query ($ids: [Int], $from: Int, $to: Int, $page: Int) {
+        Page(page: $page, perPage: 50) {
+            pageInfo { hasNextPage }
+            airingSchedules(mediaId_in: $ids, airingAt_greater: $from, airingAt_lesser: $to, sort: TIME) {
+                episode
+                airingAt
+                media {
+                    id
+                    title { romaji english }
+                    coverImage { large }
+                }
+            }
+        }
+    }
+`;
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// Airings with an exact time sort by it; date-only ones sort at the start of their day
+const sortTime = (item) => (item.airing_at ? Date.parse(item.airing_at) : Date.parse(`${item.air_date}T00:00:00Z`));
+
+/**
+ * Signs a user ID for the calendar feed URL. Calendar apps can't send auth
+ * headers, so the feed is protected by this token instead. It never expires;
+ * rotating SCHEDULE_FEED_SECRET invalidates every feed URL.
+ */
+export const createFeedToken = (userId, secret) => crypto
+    .createHmac('sha256', secret)
+    .update(`schedule-feed:${userId}`)
+    .digest('base64url')
+    .slice(0, 32);
+
+export const verifyFeedToken = (userId, token, secret) => {
+    const expected = Buffer.from(createFeedToken(userId, secret));
+    const actual = Buffer.from(String(token || ''));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Creates the schedule service.
+ *
+ * @param {object} options - { fetch, env } used for the AniList and TMDB calls.
+ * @returns {object} { getSchedule }
+ */
+export const createScheduleService = ({ fetch, env = process.env }) => {
+    const fetchAnimeSchedule = async (anilistIds, from, to) => {
+        const items = [];
+        for (let page = 1; page <= ANILIST_MAX_PAGES; page++) {
+            const response = await fetch('https://graphql.anilist.co', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify({
+                    query: SCHEDULE_QUERY,
+                    variables: { ids: anilistIds, from: Math.floor(from / 1000), to: Math.floor(to / 1000), page }
+                })
+            });
+            if (!response.ok) {
+                throw new Error(`AniList API error: ${response.status}`);
+            }
+
+            const data = await response.json();
+            const pageData = data.data?.Page;
+            (pageData?.airingSchedules || []).forEach(airing => {
+                items.push({
+                    media_type: 'anime',
+                    media_id: airing.media.id,
+                    title: airing.media.title?.english || airing.media.title?.romaji,
+                    poster_path: airing.media.coverImage?.large
+                        ? `/anilist_images/${encodeURIComponent(airing.media.coverImage.large)}`
+                        : null,
+                    season_number: null,
+                    episode_number: airing.episode,
+                    episode_name: null,
+                    airing_at: new Date(airing.airingAt * 1000).toISOString(),
+                    air_date: isoDate(new Date(airing.airingAt * 1000)),
+                    source: 'anilist'
+                });
+            });
+            if (!pageData?.pageInfo?.hasNextPage) break;
+        }
+        return items;
+    };
+
+    const fetchTvNextEpisode = async (tmdbId) => {
+        const response = await fetch(`https://api.themoviedb.org/3/tv/${tmdbId}?api_key=${env.TMDB_API_KEY}`);
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`TMDB API error: ${response.status}`);
+        }
+
+        const show = await response.json();
+        const next = show.next_episode_to_air;
+        if (!next?.air_date) return null;
+        return {
+            media_type: 'tv',
+            media_id: show.id,
+            title: show.name,
+            poster_path: show.poster_path || null,
+            season_number: next.season_number,
+            episode_number: next.episode_number,
+            episode_name: next.name || null,
+            airing_at: null,
+            air_date: next.air_date,
+            source: 'tmdb'
+        };
+    };
+
+    /**
+     * Upcoming episodes of the given titles, in airing order.
+     *
+     * @param {Array} follows - [{ media_type, media_id }]; only 'anime'
+     *   (AniList IDs) and 'tv' (TMDB IDs) have schedules.
+     * @param {object} [options] - { days, now }
+     * @returns {Promise<object>} { from, to, items, errors } where `errors`
+     *   lists the providers that could not be reached.
+     */
+    const getSchedule = async (follows, { days = DEFAULT_SCHEDULE_DAYS, now = Date.now() } = {}) => {
+        const from = now;
+        const to = now + days * 24 * 60 * 60 * 1000;
+        const idsOf = (type) => [...new Set(follows
+            .filter(follow => follow.media_type === type)
+            .map(follow => parseInt(follow.media_id))
+            .filter(Number.isFinite))];
+
+        const anilistIds = idsOf('anime');
+        const tmdbIds = env.TMDB_API_KEY ? idsOf('tv') : [];
+        const errors = [];
+
+        const [anime, tv] = await Promise.all([
+            anilistIds.length > 0
+                ? fetchAnimeSchedule(anilistIds, from, to).catch(error => {
+                    console.error(`[SCHEDULE] AniList schedule failed: ${error.message}`);
+                    errors.push('anilist');
+                    return [];
+                })
+                : [],
+            mapWithConcurrency(tmdbIds, TMDB_CONCURRENCY, id => fetchTvNextEpisode(id).catch(error => {
+                console.error(`[SCHEDULE] TMDB lookup failed for tv ${id}: ${error.message}`);
+                if (!errors.includes('tmdb')) errors.push('tmdb');
+                return null;
+            }))
+        ]);
+
+        // TMDB air dates are whole days, so keep today's episodes in range
+        const firstDay = isoDate(new Date(from));
+        const lastDay = isoDate(new Date(to));
+        const upcomingTv = tv.filter(item => item && item.air_date >= firstDay && item.air_date <= lastDay);
+
+        return {
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            items: [...anime, ...upcomingTv].sort((a, b) => sortTime(a) - sortTime(b)),
+            errors
+        };
+    };
+
+    return { getSchedule };
+};
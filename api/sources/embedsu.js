@@ -0,0 +1,23 @@
+// embed.su player. TMDB IDs only; anime is played through the TV/movie endpoints.
+const movie = ({ tmdb }) => `/embed/movie?tmdb=${tmdb}`;
+const tv = ({ tmdb }, s, e) => `/embed/tv?tmdb=${tmdb}&s=${s}&e=${e}`;
+
+export default {
+    id: 'embedsu',
+    name: 'EmbedSu',
+    baseUrl: 'https://embed.su',
+    origins: ['embed.su'],
+
+    ids: {
+        movie: ['tmdb'],
+        tv: ['tmdb'],
+        anime: ['tmdb']
+    },
+
+    movie,
+    tv,
+    anime: (ids, s, e) => (ids.tmdbType === 'movie' ? movie(ids) : tv(ids, s, e)),
+    animeMovie: movie,
+
+    params: () => ({})
+};
@@ -0,0 +1,146 @@
+// --- Streaming Source Registry ---
+// Each provider lives in its own module and describes its URL builders and the
+// IDs it can play. The registry keeps a rolling health score per source from
+// recent probe results and uses it to order failover candidates.
+import videasy from './videasy.js';
+import vidsrc from './vidsrc.js';
+import embedsu from './embedsu.js';
+
+const DEFAULT_SOURCE = 'videasy';
+const HEALTH_WINDOW = 20; // Number of recent probes kept per source
+const HEALTH_DECAY = 0.85; // Weight multiplier per step back in the window
+const SLOW_PROBE_MS = 3000; // Probes slower than this count as half a success
+
+const sources = new Map();
+const probes = new Map();
+
+export const registerSource = (source) => {
+    if (!source?.id || !source.baseUrl || !source.ids) {
+        throw new Error('A streaming source needs an id, a baseUrl and its supported ids.');
+    }
+    sources.set(source.id, source);
+    probes.set(source.id, []);
+};
+
+[videasy, vidsrc, embedsu].forEach(registerSource);
+
+export const getSource = (id) => sources.get(id) || null;
+
+export const listSourceIds = () => [...sources.keys()];
+
+export const getDefaultSourceId = () => DEFAULT_SOURCE;
+
+// Record the outcome of a reachability probe for a source
+export const recordProbe = (id, ok, latencyMs = 0) => {
+    const history = probes.get(id);
+    if (!history) return;
+
+    history.push({ ok, latencyMs, at: Date.now() });
+    if (history.length > HEALTH_WINDOW) {
+        history.shift();
+    }
+};
+
+// Recency-weighted success ratio in [0, 1]. Sources without probes are
+// assumed healthy so that a cold start keeps the registration order.
+export const getHealthScore = (id) => {
+    const history = probes.get(id);
+    if (!history || history.length === 0) return 1;
+
+    let weighted = 0;
+    let total = 0;
+    history.forEach((probe, index) => {
+        const weight = Math.pow(HEALTH_DECAY, history.length - 1 - index);
+        const value = probe.ok ? (probe.latencyMs > SLOW_PROBE_MS ? 0.5 : 1) : 0;
+        weighted += value * weight;
+        total += weight;
+    });
+
+    return Math.round((weighted / total) * 100) / 100;
+};
+
+export const getHealthSnapshot = () => listSourceIds().map(id => {
+    const history = probes.get(id);
+    const last = history[history.length - 1];
+    return {
+        id,
+        name: sources.get(id).name,
+        score: getHealthScore(id),
+        samples: history.length,
+        lastProbe: last ? { ok: last.ok, latencyMs: last.latencyMs, at: new Date(last.at).toISOString() } : null
+    };
+});
+
+// Which ID types a source needs to play the given content type
+export const getRequiredIds = (source, type) => source.ids[type] || [];
+
+// Sources ordered for failover: the requested one first, then by health score.
+// Ties keep the registration order.
+export const rankSources = (preferred) => {
+    const ids = listSourceIds();
+    const ranked = ids
+        .map((id, index) => ({ id, index, score: getHealthScore(id) }))
+        .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+        .map(entry => entry.id);
+
+    if (preferred && sources.has(preferred)) {
+        return [preferred, ...ranked.filter(id => id !== preferred)];
+    }
+    return ranked;
+};
+
+/**
+ * Builds a playable URL for one source. Sources are embed players unless
+ * their definition sets `format` to 'hls', 'dash' or 'progressive', in which
+ * case the URL is the media itself and the Watch page plays it in its own
+ * <video>.
+ *
+ * @param {object} source - A registered source definition.
+ * @param {object} options - { type, ids, season, episode, query }. `ids` holds
+ *   whatever is known of { tmdb, tmdbType, imdb, anilist }.
+ * @returns {object|null} The candidate, or null if the source cannot play
+ *   this content with the IDs available.
+ */
+export const buildCandidate = (source, { type, ids, season, episode, query = {} }) => {
+    const idType = getRequiredIds(source, type).find(key => ids[key]);
+    if (!idType) return null;
+
+    let path;
+    if (type === 'movie') {
+        path = source.movie(ids);
+    } else if (type === 'tv') {
+        if (!season || !episode) return null;
+        path = source.tv(ids, season, episode);
+    } else if (type === 'anime') {
+        path = season && episode ? source.anime(ids, season, episode) : source.animeMovie(ids);
+    } else {
+        return null;
+    }
+
+    let url = source.baseUrl + path;
+
+    const params = new URLSearchParams();
+    // Generic parameters (like 'dub' for anime) apply to every source
+    if (type === 'anime' && query.dub === 'true') {
+        params.append('dub', 'true');
+    }
+    Object.entries(source.params({ type, ...query })).forEach(([key, value]) => {
+        params.append(key, value);
+    });
+
+    if (params.toString()) {
+        const separator = url.includes('?') ? '&' : '?';
+        url += separator + params.toString();
+    }
+
+    return {
+        source: source.id,
+        name: source.name,
+        url,
+        idType,
+        origins: source.origins,
+        healthScore: getHealthScore(source.id),
+        format: source.format || 'embed',
+        isDirectSource: Boolean(source.format)
+    };
+};
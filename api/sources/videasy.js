@@ -0,0 +1,39 @@
+// Videasy embed player. The only source that accepts AniList IDs directly,
+// and the only one with native resume / next-episode support via query params.
+export default {
+    id: 'videasy',
+    name: 'Videasy',
+    baseUrl: 'https://player.videasy.net',
+    origins: ['player.videasy.net'],
+
+    // ID types each content type can be played with, in order of preference
+    ids: {
+        movie: ['tmdb'],
+        tv: ['tmdb'],
+        anime: ['anilist']
+    },
+
+    movie: ({ tmdb }) => `/movie/${tmdb}`,
+    tv: ({ tmdb }, s, e) => `/tv/${tmdb}/${s}/${e}`,
+    anime: ({ anilist }, s, e) => `/anime/${anilist}/${e}`, // AniList format uses /anime/id/episode
+    animeMovie: ({ anilist }) => `/anime/${anilist}`,
+
+    params: ({ type, progress, nextEpisode, episodeSelector, autoplayNextEpisode }) => {
+        const params = {};
+        const isSeries = type === 'tv' || type === 'anime';
+
+        if (progress && parseInt(progress) > 0) {
+            params.progress = parseInt(progress);
+        }
+        if (isSeries && nextEpisode === 'true') {
+            params.nextEpisode = 'true';
+        }
+        if (isSeries && episodeSelector === 'true') {
+            params.episodeSelector = 'true';
+        }
+        if (isSeries && autoplayNextEpisode === 'true') {
+            params.autoplayNextEpisode = 'true';
+        }
+        return params;
+    }
+};
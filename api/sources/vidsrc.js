@@ -0,0 +1,26 @@
+// vidsrc embed player. Prefers IMDb IDs for better compatibility and treats
+// anime as regular TV shows / movies, so anime needs a TMDB or IMDb mapping.
+const withId = ({ imdb, tmdb }) => (imdb ? `imdb=${imdb}` : `tmdb=${tmdb}`);
+
+const movie = (ids) => `/embed/movie?${withId(ids)}`;
+const tv = (ids, s, e) => `/embed/tv?${withId(ids)}&season=${s}&episode=${e}`;
+
+export default {
+    id: 'vidsrc',
+    name: 'VidSrc',
+    baseUrl: 'https://vidsrc.xyz',
+    origins: ['vidsrc.xyz', 'vidsrc.to', 'vidsrc.in', 'vidsrc.pm'],
+
+    ids: {
+        movie: ['imdb', 'tmdb'],
+        tv: ['imdb', 'tmdb'],
+        anime: ['tmdb']
+    },
+
+    movie,
+    tv,
+    anime: (ids, s, e) => (ids.tmdbType === 'movie' ? movie(ids) : tv(ids, s, e)),
+    animeMovie: movie,
+
+    params: ({ autoplayNextEpisode }) => (autoplayNextEpisode === 'true' ? { autoplay: '1' } : {})
+};
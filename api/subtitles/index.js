@@ -0,0 +1,103 @@
+// --- Subtitles ---
+// Searches the registered subtitle providers for a movie or episode and
+// serves the files they return as WebVTT. Each provider lives in its own
+// module, like the streaming sources:
+//
+//   { id, name, isConfigured(env), search(query, { fetch, env }), download(fileId, { fetch, env }) }
+//
+// where search() resolves to [{ fileId, language, label, format, hearingImpaired, downloads }]
+// and download() to the file's bytes.
+import opensubtitles from './opensubtitles.js';
+import { toWebVtt } from './vtt.js';
+
+export const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z]{2})?$/;
+export const MAX_LANGUAGES = 5;
+
+const providers = new Map();
+
+export const registerSubtitleProvider = (provider) => {
+    if (!provider?.id || typeof provider.search !== 'function' || typeof provider.download !== 'function') {
+        throw new Error('A subtitle provider needs an id, search() and download().');
+    }
+    providers.set(provider.id, provider);
+};
+
+[opensubtitles].forEach(registerSubtitleProvider);
+
+export const getSubtitleProvider = (id) => providers.get(id) || null;
+
+export class SubtitlesUnavailableError extends Error {
+    constructor() {
+        super('No subtitle provider is configured on the server.');
+        this.name = 'SubtitlesUnavailableError';
+    }
+}
+
+// Most files are UTF-8; older ones are in a Windows code page
+const decode = (bytes) => {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        return new TextDecoder('windows-1252').decode(bytes);
+    }
+};
+
+/**
+ * Creates the subtitle service.
+ *
+ * @param {object} options - { fetch, env }
+ * @returns {object} { search, getVtt }
+ */
+export const createSubtitleService = ({ fetch, env }) => {
+    const context = { fetch, env };
+    const configured = () => [...providers.values()].filter(provider => provider.isConfigured?.(env) ?? true);
+
+    /**
+     * @param {object} query - { tmdbId, imdbId, season, episode, languages }.
+     *   `season` and `episode` are null for movies; `languages` are ISO 639
+     *   codes in order of preference.
+     * @returns {Promise<Array<object>>} Results from every provider, the
+     *   preferred languages first and the most downloaded first within each.
+     * @throws {SubtitlesUnavailableError} When no provider is configured.
+     */
+    const search = async (query) => {
+        const available = configured();
+        if (available.length === 0) throw new SubtitlesUnavailableError();
+
+        const settled = await Promise.allSettled(available.map(provider => provider.search(query, context)));
+        const failures = settled.filter(result => result.status === 'rejected');
+        failures.forEach(({ reason }) => console.warn(`[SUBTITLES] ${reason.message}`));
+        if (failures.length === settled.length) throw failures[0].reason;
+
+        const rank = (language) => {
+            const index = query.languages.indexOf(language);
+            return index === -1 ? query.languages.length : index;
+        };
+        return settled.flatMap((result, index) => {
+            if (result.status !== 'fulfilled') return [];
+            const provider = available[index];
+            return result.value.map(subtitle => ({
+                id: `${provider.id}:${subtitle.fileId}`,
+                provider: provider.id,
+                ...subtitle,
+                url: `/subtitles/file/${provider.id}/${encodeURIComponent(subtitle.fileId)}`
+            }));
+        }).sort((a, b) => rank(a.language) - rank(b.language) || b.downloads - a.downloads);
+    };
+
+    /**
+     * @param {string} providerId
+     * @param {string} fileId
+     * @returns {Promise<string|null>} The file as WebVTT, or null for an
+     *   unknown provider.
+     * @throws {SubtitlesUnavailableError} When the provider is not configured.
+     */
+    const getVtt = async (providerId, fileId) => {
+        const provider = getSubtitleProvider(providerId);
+        if (!provider) return null;
+        if (!(provider.isConfigured?.(env) ?? true)) throw new SubtitlesUnavailableError();
+        return toWebVtt(decode(await provider.download(fileId, context)));
+    };
+
+    return { search, getVtt };
+};
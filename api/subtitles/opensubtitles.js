@@ -0,0 +1,88 @@
+// --- OpenSubtitles ---
+// The opensubtitles.com REST API. Searching needs OPENSUBTITLES_API_KEY;
+// every download is counted against that key's daily quota, which is why
+// the converted files are cached (see CACHE_POLICIES.subtitleFile).
+
+const API_BASE = 'https://api.opensubtitles.com/api/v1';
+const USER_AGENT = 'Fovi v1.0';
+
+const headers = (env) => ({
+    'Api-Key': env.OPENSUBTITLES_API_KEY,
+    'User-Agent': USER_AGENT,
+    'Accept': 'application/json'
+});
+
+const readJson = async (response, action) => {
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+        throw new Error(`Could not ${action}: OpenSubtitles answered ${response.status}${data?.message ? ` (${data.message})` : ''}`);
+    }
+    return data;
+};
+
+// IMDb IDs go without the `tt` and leading zeros
+const imdbNumber = (imdbId) => String(imdbId).replace(/^tt0*/, '');
+
+export default {
+    id: 'opensubtitles',
+    name: 'OpenSubtitles',
+
+    isConfigured: (env) => Boolean(env.OPENSUBTITLES_API_KEY),
+
+    /**
+     * @param {object} query - { tmdbId, imdbId, season, episode, languages }.
+     *   Episodes are looked up by their show's IDs.
+     * @param {object} context - { fetch, env }
+     * @returns {Promise<Array<object>>} Results in the shape the service
+     *   returns, minus `url`.
+     */
+    async search({ tmdbId, imdbId, season, episode, languages }, { fetch, env }) {
+        const isEpisode = season != null && episode != null;
+        const params = new URLSearchParams();
+        if (isEpisode) {
+            if (tmdbId) params.set('parent_tmdb_id', tmdbId);
+            else params.set('parent_imdb_id', imdbNumber(imdbId));
+            params.set('season_number', season);
+            params.set('episode_number', episode);
+        } else if (tmdbId) {
+            params.set('tmdb_id', tmdbId);
+        } else {
+            params.set('imdb_id', imdbNumber(imdbId));
+        }
+        if (languages.length > 0) params.set('languages', [...languages].sort().join(','));
+        params.set('order_by', 'download_count');
+
+        const data = await readJson(await fetch(`${API_BASE}/subtitles?${params}`, { headers: headers(env) }), 'search subtitles');
+
+        return (data?.data || []).flatMap(({ attributes = {} }) => {
+            const file = attributes.files?.[0];
+            if (!file?.file_id) return [];
+            return [{
+                fileId: String(file.file_id),
+                language: attributes.language || 'und',
+                label: attributes.release || file.file_name || 'Untitled',
+                format: /\.(ass|ssa)$/i.test(file.file_name || '') ? 'ass' : 'srt',
+                hearingImpaired: Boolean(attributes.hearing_impaired),
+                downloads: attributes.download_count || 0
+            }];
+        });
+    },
+
+    /**
+     * @param {string} fileId
+     * @param {object} context - { fetch, env }
+     * @returns {Promise<Buffer>} The file as served, in whatever encoding it has.
+     */
+    async download(fileId, { fetch, env }) {
+        const { link } = await readJson(await fetch(`${API_BASE}/download`, {
+            method: 'POST',
+            headers: { ...headers(env), 'Content-Type': 'application/json' },
+            body: JSON.stringify({ file_id: Number(fileId) })
+        }), 'request the subtitle download');
+        if (!link) throw new Error('OpenSubtitles did not return a download link.');
+
+        const response = await fetch(link, { headers: { 'User-Agent': USER_AGENT } });
+        if (!response.ok) throw new Error(`Could not download the subtitle file: ${response.status}`);
+        return Buffer.from(await response.arrayBuffer());
+    }
+};
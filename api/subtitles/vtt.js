@@ -0,0 +1,156 @@
+// --- Subtitle Conversion ---
+// Providers serve SubRip (.srt) and Advanced SubStation (.ass/.ssa) files;
+// browsers only play WebVTT. Styling beyond italic, bold and underline is
+// dropped, since the Watch page draws captions in the viewer's own style.
+
+export const SUBTITLE_FORMATS = ['srt', 'ass', 'vtt'];
+
+const pad = (number, width = 2) => String(number).padStart(width, '0');
+
+const formatTime = (seconds) => {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+};
+
+const normalizeNewlines = (text) => text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+// A cue's text may not contain a blank line or the timing arrow
+const cleanCueText = (text) => text
+    .replace(/-->/g, '→')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join('\n');
+
+const toVtt = (cues) => `WEBVTT\n\n${cues
+    .filter(cue => cue.end > cue.start && cue.text)
+    .sort((a, b) => a.start - b.start)
+    .map(cue => `${formatTime(cue.start)} --> ${formatTime(cue.end)}\n${cue.text}`)
+    .join('\n\n')}\n`;
+
+/**
+ * Guesses a subtitle file's format from its contents.
+ *
+ * @param {string} text
+ * @returns {'srt'|'ass'|'vtt'}
+ */
+export const detectFormat = (text) => {
+    const head = normalizeNewlines(text).trimStart().slice(0, 2000);
+    if (/^WEBVTT/.test(head)) return 'vtt';
+    if (/^\[Script Info\]/im.test(head) || /^Dialogue:/m.test(text)) return 'ass';
+    return 'srt';
+};
+
+// `00:01:02,345`, with a dot instead of the comma in some files
+const SRT_TIME = /(\d+):(\d{1,2}):(\d{1,2})[,.](\d{1,3})/;
+const parseSrtTime = (value) => {
+    const [, h, m, s, ms] = value.match(SRT_TIME);
+    return Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(ms.padEnd(3, '0')) / 1000;
+};
+
+/**
+ * @param {string} text - A SubRip file.
+ * @returns {string} The same cues as WebVTT.
+ */
+export const srtToVtt = (text) => {
+    const cues = normalizeNewlines(text).split(/\n{2,}/).map(block => {
+        const lines = block.trim().split('\n');
+        const timing = lines.findIndex(line => line.includes('-->'));
+        if (timing === -1) return null;
+        const [start, end] = lines[timing].split('-->');
+        if (!SRT_TIME.test(start) || !SRT_TIME.test(end)) return null;
+
+        const body = lines.slice(timing + 1).join('\n')
+            .replace(/\{\\[^}]*\}/g, '') // {\an8} and other ASS tags some SRTs carry
+            .replace(/<\/?font[^>]*>/gi, '')
+            .replace(/<(\/?)([IBU])>/g, (tag, closing, name) => `<${closing}${name.toLowerCase()}>`)
+            .replace(/<(?!\/?[ibu]>)/g, '&lt;');
+        return { start: parseSrtTime(start), end: parseSrtTime(end), text: cleanCueText(body) };
+    });
+    return toVtt(cues.filter(Boolean));
+};
+
+// `0:01:02.34`: hours, minutes, seconds and centiseconds
+const parseAssTime = (value) => {
+    const match = String(value).trim().match(/^(\d+):(\d{2}):(\d{2})[.:](\d{1,2})$/);
+    if (!match) return null;
+    const [, h, m, s, cs] = match;
+    return Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(cs.padEnd(2, '0')) / 100;
+};
+
+const assText = (text) => {
+    // Vector drawings are shapes, not words
+    if (/\{[^}]*\\p[1-9]/.test(text)) return '';
+    return text
+        .replace(/\{([^}]*)\}/g, (block, tags) => {
+            let html = '';
+            for (const [, tag, on] of tags.matchAll(/\\([ibu])([01])(?![\d])/g)) {
+                html += on === '1' ? `<${tag}>` : `</${tag}>`;
+            }
+            return html;
+        })
+        .replace(/\\[Nn]/g, '\n')
+        .replace(/\\h/g, ' ')
+        .replace(/<(?!\/?[ibu]>)/g, '&lt;');
+};
+
+// Closes tags an override block opened and the line never closed
+const balanceTags = (text) => {
+    const open = [];
+    text.replace(/<(\/?)([ibu])>/g, (tag, closing, name) => {
+        if (!closing) open.push(name);
+        else if (open[open.length - 1] === name) open.pop();
+        return tag;
+    });
+    return text + open.reverse().map(name => `</${name}>`).join('');
+};
+
+/**
+ * @param {string} text - An Advanced SubStation (or SubStation Alpha) file.
+ * @returns {string} Its dialogue as WebVTT.
+ */
+export const assToVtt = (text) => {
+    let format = ['Layer', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'];
+    let inEvents = false;
+    const cues = [];
+
+    normalizeNewlines(text).split('\n').forEach(line => {
+        const section = line.match(/^\s*\[(.+)\]\s*$/);
+        if (section) {
+            inEvents = section[1].toLowerCase() === 'events';
+            return;
+        }
+        if (!inEvents) return;
+
+        const [, key, value = ''] = line.match(/^\s*(\w+)\s*:\s?(.*)$/) || [];
+        if (key === 'Format') {
+            format = value.split(',').map(field => field.trim());
+        } else if (key === 'Dialogue') {
+            // Text is last and may itself contain commas
+            const fields = value.split(',');
+            const row = Object.fromEntries(format.map((name, index) => [
+                name,
+                index === format.length - 1 ? fields.slice(index).join(',') : fields[index]
+            ]));
+            const start = parseAssTime(row.Start);
+            const end = parseAssTime(row.End);
+            if (start === null || end === null) return;
+            cues.push({ start, end, text: cleanCueText(balanceTags(assText(row.Text || ''))) });
+        }
+    });
+
+    return toVtt(cues);
+};
+
+/**
+ * Converts any supported subtitle file to WebVTT.
+ *
+ * @param {string} text
+ * @param {string} [format] - One of SUBTITLE_FORMATS; detected when omitted.
+ * @returns {string}
+ */
+export const toWebVtt = (text, format = detectFormat(text)) => {
+    if (format === 'vtt') return normalizeNewlines(text);
+    if (format === 'ass' || format === 'ssa') return assToVtt(text);
+    return srtToVtt(text);
+};
@@ -0,0 +1,181 @@
+// --- AniList Account Client ---
+// OAuth (authorization code grant) and list access for a linked AniList
+// account. AniList tokens last a year and cannot be refreshed; once one
+// expires the user has to connect again.
+
+const AUTH_URL = 'https://anilist.co/api/v2/oauth';
+const GRAPHQL_URL = 'https://graphql.anilist.co';
+
+// AniList list statuses <-> our built-in watchlist kinds
+const FROM_ANILIST = {
+    CURRENT: 'watching',
+    REPEATING: 'watching',
+    PLANNING: 'plan_to_watch',
+    COMPLETED: 'completed',
+    PAUSED: 'on_hold',
+    DROPPED: 'dropped'
+};
+const TO_ANILIST = {
+    watching: 'CURRENT',
+    plan_to_watch: 'PLANNING',
+    completed: 'COMPLETED',
+    on_hold: 'PAUSED',
+    dropped: 'DROPPED'
+};
+
+const VIEWER_QUERY = `
+    query {
+        Viewer { id name }
+    }
+`;
+
+const LIST_QUERY = `
+    query ($userId: Int) {
+        MediaListCollection(userId: $userId, type: ANIME) {
+            lists {
+                entries {
+                    mediaId
+                    status
+                    progress
+                    updatedAt
+                    media {
+                        episodes
+                        isFavourite
+                        title { romaji english }
+                        coverImage { large }
+                    }
+                }
+            }
+        }
+    }
+`;
+
+const ENTRY_QUERY = `
+    query ($mediaId: Int) {
+        Media(id: $mediaId, type: ANIME) {
+            episodes
+            mediaListEntry { id status progress }
+        }
+    }
+`;
+
+const SAVE_MUTATION = `
+    mutation ($mediaId: Int, $progress: Int, $status: MediaListStatus) {
+        SaveMediaListEntry(mediaId: $mediaId, progress: $progress, status: $status) { id status progress }
+    }
+`;
+
+/**
+ * Creates the AniList account client.
+ *
+ * @param {object} options - { fetch, env }. Needs ANILIST_CLIENT_ID and
+ *   ANILIST_CLIENT_SECRET.
+ * @returns {object} The provider client used by the sync service.
+ */
+export const createAniListAccountClient = ({ fetch, env = process.env }) => {
+    const graphql = async (accessToken, query, variables = {}) => {
+        const response = await fetch(GRAPHQL_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'Authorization': `Bearer ${accessToken}`
+            },
+            body: JSON.stringify({ query, variables })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || data.errors) {
+            const message = data.errors?.[0]?.message || `HTTP ${response.status}`;
+            throw new Error(`AniList API error: ${message}`);
+        }
+        return data.data;
+    };
+
+    const authorizeUrl = ({ redirectUri, state }) => {
+        const params = new URLSearchParams({
+            client_id: env.ANILIST_CLIENT_ID,
+            redirect_uri: redirectUri,
+            response_type: 'code',
+            state
+        });
+        return `${AUTH_URL}/authorize?${params}`;
+    };
+
+    const exchangeCode = async ({ code, redirectUri }) => {
+        const response = await fetch(`${AUTH_URL}/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify({
+                grant_type: 'authorization_code',
+                client_id: env.ANILIST_CLIENT_ID,
+                client_secret: env.ANILIST_CLIENT_SECRET,
+                redirect_uri: redirectUri,
+                code
+            })
+        });
+        if (!response.ok) {
+            throw new Error(`AniList token exchange failed: ${response.status}`);
+        }
+
+        const token = await response.json();
+        const { Viewer: viewer } = await graphql(token.access_token, VIEWER_QUERY);
+        return {
+            remote_user_id: String(viewer.id),
+            remote_username: viewer.name,
+            access_token: token.access_token,
+            refresh_token: null,
+            expires_at: token.expires_in ? new Date(Date.now() + token.expires_in * 1000).toISOString() : null
+        };
+    };
+
+    const refresh = async () => {
+        throw new Error('The AniList connection has expired. Connect the account again.');
+    };
+
+    // Entries are keyed by AniList ID, which is also what the app uses for anime
+    const getList = async (account) => {
+        const data = await graphql(account.access_token, LIST_QUERY, { userId: Number(account.remote_user_id) });
+        return (data.MediaListCollection?.lists || [])
+            .flatMap(list => list.entries || [])
+            .map(entry => ({
+                remote_id: String(entry.mediaId),
+                anilist_id: String(entry.mediaId),
+                progress: entry.progress || 0,
+                status: FROM_ANILIST[entry.status] || null,
+                updated_at: entry.updatedAt ? new Date(entry.updatedAt * 1000).toISOString() : null,
+                favorite: Boolean(entry.media?.isFavourite),
+                title: entry.media?.title?.english || entry.media?.title?.romaji || null,
+                poster_path: entry.media?.coverImage?.large
+                    ? `/anilist_images/${encodeURIComponent(entry.media.coverImage.large)}`
+                    : null
+            }));
+    };
+
+    const getEntry = async (account, remoteId) => {
+        const { Media: media } = await graphql(account.access_token, ENTRY_QUERY, { mediaId: Number(remoteId) });
+        const entry = media?.mediaListEntry;
+        return {
+            total: media?.episodes || null,
+            entry: entry ? { id: entry.id, progress: entry.progress || 0, status: FROM_ANILIST[entry.status] || null } : null
+        };
+    };
+
+    const saveEntry = async (account, remoteId, { progress, status }) => {
+        await graphql(account.access_token, SAVE_MUTATION, {
+            mediaId: Number(remoteId),
+            progress,
+            status: TO_ANILIST[status]
+        });
+    };
+
+    return {
+        provider: 'anilist',
+        configured: Boolean(env.ANILIST_CLIENT_ID && env.ANILIST_CLIENT_SECRET),
+        authorizeUrl,
+        exchangeCode,
+        refresh,
+        getList,
+        getEntry,
+        saveEntry
+    };
+};
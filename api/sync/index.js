@@ -0,0 +1,453 @@
+// --- List Sync ---
+// Two-way sync of anime watch progress with linked AniList and Shikimori
+// accounts, plus the linked Trakt account that the player scrobbles to.
+// Watched episodes are pushed as they happen; an import pulls a whole remote
+// list into watch history, the status watchlists and favorites.
+// `list_sync_entries` keeps the progress both sides had after the last sync,
+// which is how an import tells "only one side changed" from a conflict.
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { selectAllPages } from '../lib/supabase.js';
+import { mapWithConcurrency } from '../lib/upstream.js';
+import { createAniListAccountClient } from './anilist.js';
+import { createShikimoriAccountClient } from './shikimori.js';
+import { createTraktAccountClient } from './trakt.js';
+
+export const SYNC_PROVIDERS = ['anilist', 'shikimori', 'trakt'];
+export const CONFLICT_STRATEGIES = ['furthest', 'local', 'remote'];
+
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const MAPPING_CONCURRENCY = 4;
+
+// The built-in status lists, as created by src/utils/watchlists.js
+const STATUS_LISTS = [
+    { kind: 'plan_to_watch', name: 'Plan to Watch' },
+    { kind: 'watching', name: 'Watching' },
+    { kind: 'completed', name: 'Completed' },
+    { kind: 'on_hold', name: 'On Hold' },
+    { kind: 'dropped', name: 'Dropped' }
+];
+
+export class SyncAccountError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SyncAccountError';
+        this.status = status;
+    }
+}
+
+// --- OAuth state ---
+// The provider sends the user back to the API's callback without a session,
+// so the state parameter carries who started the flow, signed and short-lived.
+// Its nonce is also kept in `oauth_states` and in a cookie on the browser that
+// started the flow: the callback only accepts a state that matches both, and
+// only once.
+export const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+const signState = (payload, secret) => createHmac('sha256', secret).update(payload).digest('base64url');
+
+export const createOAuthState = (userId, provider, secret, nonce, now = Date.now()) => {
+    const payload = `${userId}.${provider}.${now + OAUTH_STATE_TTL_MS}.${nonce}`;
+    return `${payload}.${signState(payload, secret)}`;
+};
+
+/**
+ * @returns {object|null} { userId, provider, nonce } when the state is genuine and unexpired.
+ */
+export const readOAuthState = (state, secret, now = Date.now()) => {
+    const [userId, provider, expires, nonce, signature] = String(state || '').split('.');
+    if (!userId || !provider || !expires || !nonce || !signature) return null;
+
+    const expected = Buffer.from(signState(`${userId}.${provider}.${expires}.${nonce}`, secret));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !timingSafeEqual(expected, given)) return null;
+    if (Number(expires) < now) return null;
+    return { userId, provider, nonce };
+};
+
+/**
+ * Decides what an import does with one title, given the episodes watched
+ * here (`local`), on the remote list (`remote`) and what both were after the
+ * last sync (`baseline`, a `list_sync_entries` row or null if never synced).
+ * Without a baseline, a side that has any progress counts as changed.
+ *
+ * @returns {object} { action: 'none' | 'pull' | 'push', progress, conflict }
+ */
+export const resolveProgress = ({ local, remote, baseline = null, strategy = 'furthest' }) => {
+    if (local === remote) return { action: 'none', progress: local, conflict: false };
+
+    const localChanged = baseline ? local !== baseline.local_progress : local > 0;
+    const remoteChanged = baseline ? remote !== baseline.remote_progress : remote > 0;
+
+    // Settled by an earlier import; neither side has moved since
+    if (!localChanged && !remoteChanged) return { action: 'none', progress: local, conflict: false };
+    if (remoteChanged && !localChanged) return { action: 'pull', progress: remote, conflict: false };
+    if (localChanged && !remoteChanged) return { action: 'push', progress: local, conflict: false };
+
+    const useRemote = strategy === 'remote' || (strategy === 'furthest' && remote > local);
+    return useRemote
+        ? { action: 'pull', progress: remote, conflict: true }
+        : { action: 'push', progress: local, conflict: true };
+};
+
+/**
+ * Creates the list sync service.
+ *
+ * @param {object} options - { fetch, env, supabase, resolveMapping }.
+ *   `supabase` is the service-role client; linked accounts live in tables
+ *   the browser cannot read.
+ * @returns {object} { clients, hasList, getAccounts, getAccount, authorize,
+ *   consumeOAuthState, linkAccount, unlinkAccount, pushProgress, importList }
+ */
+export const createSyncService = ({ fetch, env = process.env, supabase, resolveMapping }) => {
+    const clients = {
+        anilist: createAniListAccountClient({ fetch, env }),
+        shikimori: createShikimoriAccountClient({ fetch, env }),
+        trakt: createTraktAccountClient({ fetch, env })
+    };
+    // Only list providers have progress to push and a list to import
+    const hasList = (provider) => Boolean(clients[provider]?.getList);
+
+    // --- Database helpers ---
+    const check = ({ data, error }, action) => {
+        if (error) {
+            throw new Error(`Could not ${action}: ${error.message}`);
+        }
+        return data || [];
+    };
+
+    const loadAccounts = async (userId, provider) => {
+        let query = supabase.from('linked_accounts').select('*').eq('user_id', userId);
+        if (provider) query = query.eq('provider', provider);
+        return check(await query, 'read linked accounts');
+    };
+
+    const loadAccount = async (userId, provider) => {
+        const [account] = await loadAccounts(userId, provider);
+        if (!account) {
+            throw new SyncAccountError(`No ${provider} account is connected.`, 404);
+        }
+        return account;
+    };
+
+    // Refreshes the token when it is about to expire and saves the new one
+    const withFreshToken = async (account) => {
+        if (!account.expires_at || Date.parse(account.expires_at) - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+            return account;
+        }
+        const tokens = await clients[account.provider].refresh(account);
+        check(await supabase.from('linked_accounts').upsert(
+            { user_id: account.user_id, provider: account.provider, ...tokens, updated_at: new Date().toISOString() },
+            { onConflict: 'user_id,provider' }
+        ), 'save refreshed token');
+        return { ...account, ...tokens };
+    };
+
+    // Watch history and favorites belong to a viewer profile; without one
+    // (accounts from before profiles) they are read account-wide
+    const forProfile = (query, profileId) => (profileId ? query.eq('profile_id', profileId) : query);
+    const profileColumn = (profileId) => (profileId ? { profile_id: profileId } : {});
+
+    const saveBaselines = async (rows) => {
+        if (rows.length === 0) return;
+        check(await supabase.from('list_sync_entries').upsert(rows, { onConflict: 'user_id,provider,profile_id,anilist_id' }), 'save sync state');
+    };
+
+    // --- Accounts ---
+    const getAccounts = async (userId) => (await loadAccounts(userId)).map(account => ({
+        provider: account.provider,
+        username: account.remote_username,
+        linked_at: account.created_at || null,
+        expires_at: account.expires_at || null
+    }));
+
+    // The linked account with a usable token, or null when there is none
+    const getAccount = async (userId, provider) => {
+        const [account] = await loadAccounts(userId, provider);
+        return account ? withFreshToken(account) : null;
+    };
+
+    /**
+     * Starts linking an account. A user has one pending sign-in per provider;
+     * starting another replaces it.
+     *
+     * @returns {Promise<object>} { url, nonce } - Where to send the browser, and
+     *   the nonce the route also hands the browser as a cookie.
+     */
+    const authorize = async (provider, { userId, redirectUri }) => {
+        const nonce = randomBytes(16).toString('base64url');
+        check(await supabase.from('oauth_states').upsert({
+            user_id: userId,
+            provider,
+            nonce,
+            expires_at: new Date(Date.now() + OAUTH_STATE_TTL_MS).toISOString()
+        }, { onConflict: 'user_id,provider' }), 'save sign-in state');
+
+        const state = createOAuthState(userId, provider, env.OAUTH_STATE_SECRET, nonce);
+        return { url: clients[provider].authorizeUrl({ redirectUri, state }), nonce };
+    };
+
+    // Deletes the pending sign-in a callback's state names, so each state
+    // links at most once. False when it was already used or replaced.
+    const consumeOAuthState = async ({ userId, provider, nonce }) => {
+        const deleted = check(await supabase.from('oauth_states').delete()
+            .eq('user_id', userId)
+            .eq('provider', provider)
+            .eq('nonce', nonce)
+            .select('nonce'), 'consume sign-in state');
+        return deleted.length > 0;
+    };
+
+    const linkAccount = async (provider, { userId, code, redirectUri }) => {
+        const account = await clients[provider].exchangeCode({ code, redirectUri });
+        const now = new Date().toISOString();
+        check(await supabase.from('linked_accounts').upsert(
+            { user_id: userId, provider, ...account, created_at: now, updated_at: now },
+            { onConflict: 'user_id,provider' }
+        ), 'save linked account');
+        console.log(`[SYNC] Linked ${provider} account ${account.remote_username} for ${userId}`);
+        return { provider, username: account.remote_username };
+    };
+
+    const unlinkAccount = async (userId, provider) => {
+        check(await supabase.from('list_sync_entries').delete().eq('user_id', userId).eq('provider', provider), 'clear sync state');
+        check(await supabase.from('linked_accounts').delete().eq('user_id', userId).eq('provider', provider), 'unlink account');
+    };
+
+    // AniList IDs are the app's anime IDs; Shikimori needs a mapping
+    const remoteIdFor = async (provider, anilistId) => {
+        if (provider === 'anilist') return String(anilistId);
+        const mapping = await resolveMapping('anilist', anilistId);
+        return mapping.ids.shikimori ? String(mapping.ids.shikimori) : null;
+    };
+
+    const statusFor = (progress, total) => (total && progress >= total ? 'completed' : 'watching');
+
+    // --- Push ---
+    /**
+     * Records an episode the viewer profile `profileId` watched on every
+     * linked account. Remote progress is never moved backwards, so rewatching
+     * an early episode is a no-op.
+     *
+     * @returns {Promise<Array>} [{ provider, result: 'updated' | 'skipped' | 'failed', error? }]
+     */
+    const pushProgress = async (userId, { anilistId, episode, profileId = null }) => {
+        const accounts = (await loadAccounts(userId)).filter(account => hasList(account.provider));
+        const baselines = [];
+
+        const results = await Promise.all(accounts.map(async (linked) => {
+            const { provider } = linked;
+            try {
+                const remoteId = await remoteIdFor(provider, anilistId);
+                if (!remoteId) {
+                    return { provider, result: 'skipped', error: `No ${provider} match for this anime.` };
+                }
+
+                const account = await withFreshToken(linked);
+                const { total, entry } = await clients[provider].getEntry(account, remoteId);
+                if (entry && entry.progress >= episode) {
+                    return { provider, result: 'skipped' };
+                }
+
+                await clients[provider].saveEntry(account, remoteId, { progress: episode, status: statusFor(episode, total) }, entry);
+                baselines.push({
+                    user_id: userId,
+                    provider,
+                    profile_id: profileId,
+                    anilist_id: Number(anilistId),
+                    local_progress: episode,
+                    remote_progress: episode,
+                    synced_at: new Date().toISOString()
+                });
+                return { provider, result: 'updated' };
+            } catch (error) {
+                console.error(`[SYNC] Could not push anilist:${anilistId} to ${provider} for ${userId}: ${error.message}`);
+                return { provider, result: 'failed', error: error.message };
+            }
+        }));
+
+        await saveBaselines(baselines);
+        return results;
+    };
+
+    // --- Import ---
+    // A long history is more than one page
+    const loadLocalProgress = async (userId, profileId) => {
+        const rows = check(await selectAllPages(() => forProfile(supabase
+            .from('watch_history')
+            .select('media_id, episode_number')
+            .eq('user_id', userId)
+            .eq('media_type', 'anime'), profileId).order('id')), 'read watch history');
+
+        const progress = new Map();
+        rows.forEach(row => {
+            const id = String(row.media_id);
+            progress.set(id, Math.max(progress.get(id) || 0, row.episode_number || 0));
+        });
+        return progress;
+    };
+
+    const ensureStatusLists = async (userId) => {
+        check(await supabase.from('watchlists').upsert(
+            STATUS_LISTS.map((list, position) => ({ user_id: userId, name: list.name, kind: list.kind, position })),
+            { onConflict: 'user_id,kind', ignoreDuplicates: true }
+        ), 'create status lists');
+        const lists = check(await supabase.from('watchlists').select('id, kind').eq('user_id', userId), 'read watchlists');
+        return new Map(lists.filter(list => list.kind).map(list => [list.kind, list.id]));
+    };
+
+    /**
+     * Puts a title in the status list matching its remote status. A title the
+     * user has already filed is only moved when the remote side won.
+     */
+    const placeInStatusList = async (userId, entry, statusLists, items, move) => {
+        const target = statusLists.get(entry.status);
+        if (!target) return;
+
+        const statusListIds = new Set(statusLists.values());
+        const current = items.find(item => statusListIds.has(item.watchlist_id) && item.media_id === entry.anilist_id);
+        if (current && (current.watchlist_id === target || !move)) return;
+
+        if (current) {
+            check(await supabase
+                .from('watchlist_items')
+                .update({ watchlist_id: target, updated_at: new Date().toISOString() })
+                .eq('id', current.id), 'move watchlist item');
+            current.watchlist_id = target;
+            return;
+        }
+
+        const row = {
+            watchlist_id: target,
+            user_id: userId,
+            media_id: entry.anilist_id,
+            media_type: 'anime',
+            title: entry.title,
+            poster_path: entry.poster_path,
+            position: items.filter(item => item.watchlist_id === target).length
+        };
+        check(await supabase.from('watchlist_items').insert(row), 'add watchlist item');
+        items.push(row);
+    };
+
+    /**
+     * Pulls the user's list from a linked account and reconciles it with
+     * local watch history. Titles that only changed remotely are pulled,
+     * titles that only changed here are pushed, and titles that changed on
+     * both sides are settled by `strategy`:
+     *   - 'furthest' (default): whichever side has watched more episodes
+     *   - 'local' / 'remote': that side always wins
+     *
+     * History, favorites and sync baselines are read and written for the
+     * viewer profile `profileId`.
+     *
+     * @returns {Promise<object>} { provider, total, pulled, pushed, unchanged,
+     *   unmatched, failed, conflicts: [{ anilist_id, title, local, remote, kept }] }
+     */
+    const importList = async (userId, provider, { strategy = 'furthest', profileId = null } = {}) => {
+        if (!hasList(provider)) {
+            throw new SyncAccountError(`${provider} has no list to import here.`, 400);
+        }
+        const account = await withFreshToken(await loadAccount(userId, provider));
+        const client = clients[provider];
+        const remoteEntries = await client.getList(account);
+
+        // Shikimori IDs are MAL IDs; find the AniList ID for each
+        const entries = provider === 'anilist'
+            ? remoteEntries
+            : (await mapWithConcurrency(remoteEntries, MAPPING_CONCURRENCY, async (entry) => {
+                const mapping = await resolveMapping('shikimori', entry.remote_id).catch(() => null);
+                return { ...entry, anilist_id: mapping?.ids.anilist ? String(mapping.ids.anilist) : null };
+            }));
+
+        const [localProgress, baselineRows, statusLists, items, favorites] = await Promise.all([
+            loadLocalProgress(userId, profileId),
+            selectAllPages(() => forProfile(supabase.from('list_sync_entries').select('*').eq('user_id', userId).eq('provider', provider), profileId).order('anilist_id')).then(result => check(result, 'read sync state')),
+            ensureStatusLists(userId),
+            selectAllPages(() => supabase.from('watchlist_items').select('id, watchlist_id, media_id').eq('user_id', userId).eq('media_type', 'anime').order('id')).then(result => check(result, 'read watchlists')),
+            selectAllPages(() => forProfile(supabase.from('favorites').select('media_id').eq('user_id', userId).eq('media_type', 'anime'), profileId).order('id')).then(result => check(result, 'read favorites'))
+        ]);
+        const baselines = new Map(baselineRows.map(row => [String(row.anilist_id), row]));
+        const favorited = new Set(favorites.map(favorite => String(favorite.media_id)));
+
+        const report = { provider, total: entries.length, pulled: 0, pushed: 0, unchanged: 0, unmatched: 0, failed: 0, conflicts: [] };
+        const newBaselines = [];
+
+        // One title at a time: pushes are rate limited upstream anyway
+        for (const entry of entries) {
+            if (!entry.anilist_id) {
+                report.unmatched++;
+                continue;
+            }
+
+            // Without any history of the title there is nothing to push; a
+            // baseline would read the missing history as progress gone back to 0
+            const local = localProgress.get(entry.anilist_id) || 0;
+            const baseline = localProgress.has(entry.anilist_id) ? baselines.get(entry.anilist_id) : null;
+            const decision = resolveProgress({ local, remote: entry.progress, baseline, strategy });
+
+            try {
+                let pushed = false;
+                if (decision.action === 'pull' && entry.progress > 0) {
+                    check(await supabase.from('watch_history').insert({
+                        user_id: userId,
+                        ...profileColumn(profileId),
+                        media_type: 'anime',
+                        media_id: entry.anilist_id,
+                        season_number: 1,
+                        episode_number: entry.progress,
+                        watched_at: entry.updated_at || new Date().toISOString()
+                    }), 'write watch history');
+                    report.pulled++;
+                } else if (decision.action === 'push' && local > entry.progress) {
+                    // Like pushProgress, never moves the remote list backwards;
+                    // a lower count that won ('local') only stays here
+                    const { total, entry: remoteEntry } = await client.getEntry(account, entry.remote_id);
+                    if (remoteEntry && remoteEntry.progress >= local) {
+                        report.unchanged++;
+                    } else {
+                        await client.saveEntry(account, entry.remote_id, { progress: local, status: statusFor(local, total) }, remoteEntry);
+                        pushed = true;
+                        report.pushed++;
+                    }
+                } else {
+                    report.unchanged++;
+                }
+
+                if (decision.conflict) {
+                    report.conflicts.push({
+                        anilist_id: entry.anilist_id,
+                        title: entry.title,
+                        local,
+                        remote: entry.progress,
+                        kept: decision.action === 'pull' || !pushed ? 'remote' : 'local'
+                    });
+                }
+
+                await placeInStatusList(userId, entry, statusLists, items, decision.action === 'pull');
+                if (entry.favorite && !favorited.has(entry.anilist_id)) {
+                    check(await supabase.from('favorites').insert({ user_id: userId, ...profileColumn(profileId), media_id: entry.anilist_id, media_type: 'anime' }), 'add favorite');
+                    favorited.add(entry.anilist_id);
+                }
+
+                newBaselines.push({
+                    user_id: userId,
+                    provider,
+                    profile_id: profileId,
+                    anilist_id: Number(entry.anilist_id),
+                    local_progress: Math.max(local, decision.action === 'pull' ? entry.progress : 0),
+                    remote_progress: pushed ? local : entry.progress,
+                    synced_at: new Date().toISOString()
+                });
+            } catch (error) {
+                console.error(`[SYNC] Could not import ${provider}:${entry.remote_id} for ${userId}: ${error.message}`);
+                report.failed++;
+            }
+        }
+
+        await saveBaselines(newBaselines);
+        console.log(`[SYNC] Imported ${provider} list for ${userId}: ${report.pulled} pulled, ${report.pushed} pushed, ${report.conflicts.length} conflicts`);
+        return report;
+    };
+
+    return { clients, hasList, getAccounts, getAccount, authorize, consumeOAuthState, linkAccount, unlinkAccount, pushProgress, importList };
+};
@@ -0,0 +1,148 @@
+// --- Shikimori Account Client ---
+// OAuth (authorization code grant with refresh tokens) and `user_rates`
+// access for a linked Shikimori account. Shikimori anime IDs are MAL IDs,
+// so entries are matched to AniList through the mapping service.
+
+const SHIKIMORI_URL = 'https://shikimori.one';
+const USER_AGENT = 'Fylm Streaming App/1.0';
+const LIST_LIMIT = 5000; // The largest page /anime_rates returns
+
+const FROM_SHIKIMORI = {
+    watching: 'watching',
+    rewatching: 'watching',
+    planned: 'plan_to_watch',
+    completed: 'completed',
+    on_hold: 'on_hold',
+    dropped: 'dropped'
+};
+const TO_SHIKIMORI = {
+    watching: 'watching',
+    plan_to_watch: 'planned',
+    completed: 'completed',
+    on_hold: 'on_hold',
+    dropped: 'dropped'
+};
+
+/**
+ * Creates the Shikimori account client.
+ *
+ * @param {object} options - { fetch, env }. Needs SHIKIMORI_CLIENT_ID and
+ *   SHIKIMORI_CLIENT_SECRET.
+ * @returns {object} The provider client used by the sync service.
+ */
+export const createShikimoriAccountClient = ({ fetch, env = process.env }) => {
+    const api = async (accessToken, path, { method = 'GET', body } = {}) => {
+        const response = await fetch(`${SHIKIMORI_URL}${path}`, {
+            method,
+            headers: {
+                'User-Agent': USER_AGENT,
+                'Accept': 'application/json',
+                'Authorization': `Bearer ${accessToken}`,
+                ...(body ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        if (!response.ok) {
+            throw new Error(`Shikimori API error: ${response.status}`);
+        }
+        return response.status === 204 ? null : response.json();
+    };
+
+    const requestToken = async (params) => {
+        const response = await fetch(`${SHIKIMORI_URL}/oauth/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'User-Agent': USER_AGENT },
+            body: new URLSearchParams({
+                client_id: env.SHIKIMORI_CLIENT_ID,
+                client_secret: env.SHIKIMORI_CLIENT_SECRET,
+                ...params
+            }).toString()
+        });
+        if (!response.ok) {
+            throw new Error(`Shikimori token request failed: ${response.status}`);
+        }
+
+        const token = await response.json();
+        return {
+            access_token: token.access_token,
+            refresh_token: token.refresh_token,
+            expires_at: new Date(Date.now() + token.expires_in * 1000).toISOString()
+        };
+    };
+
+    const authorizeUrl = ({ redirectUri, state }) => {
+        const params = new URLSearchParams({
+            client_id: env.SHIKIMORI_CLIENT_ID,
+            redirect_uri: redirectUri,
+            response_type: 'code',
+            scope: 'user_rates',
+            state
+        });
+        return `${SHIKIMORI_URL}/oauth/authorize?${params}`;
+    };
+
+    const exchangeCode = async ({ code, redirectUri }) => {
+        const tokens = await requestToken({ grant_type: 'authorization_code', code, redirect_uri: redirectUri });
+        const viewer = await api(tokens.access_token, '/api/users/whoami');
+        return { remote_user_id: String(viewer.id), remote_username: viewer.nickname, ...tokens };
+    };
+
+    const refresh = (account) => requestToken({ grant_type: 'refresh_token', refresh_token: account.refresh_token });
+
+    // Entries are keyed by Shikimori ID; the sync service fills in `anilist_id`
+    const getList = async (account) => {
+        const rates = await api(account.access_token, `/api/users/${account.remote_user_id}/anime_rates?limit=${LIST_LIMIT}`);
+        return (rates || [])
+            .filter(rate => rate.anime?.id)
+            .map(rate => ({
+                remote_id: String(rate.anime.id),
+                anilist_id: null,
+                progress: rate.episodes || 0,
+                status: FROM_SHIKIMORI[rate.status] || null,
+                updated_at: rate.updated_at || null,
+                favorite: false,
+                title: rate.anime.name || rate.anime.russian || null,
+                poster_path: null
+            }));
+    };
+
+    // Signed-in requests for an anime include the user's own rate
+    const getEntry = async (account, remoteId) => {
+        const anime = await api(account.access_token, `/api/animes/${remoteId}`);
+        const rate = anime?.user_rate;
+        return {
+            total: anime?.episodes || null,
+            entry: rate ? { id: rate.id, progress: rate.episodes || 0, status: FROM_SHIKIMORI[rate.status] || null } : null
+        };
+    };
+
+    const saveEntry = async (account, remoteId, { progress, status }, entry) => {
+        const userRate = { episodes: progress, status: TO_SHIKIMORI[status] };
+        if (entry?.id) {
+            await api(account.access_token, `/api/v2/user_rates/${entry.id}`, { method: 'PATCH', body: { user_rate: userRate } });
+            return;
+        }
+        await api(account.access_token, '/api/v2/user_rates', {
+            method: 'POST',
+            body: {
+                user_rate: {
+                    ...userRate,
+                    user_id: Number(account.remote_user_id),
+                    target_id: Number(remoteId),
+                    target_type: 'Anime'
+                }
+            }
+        });
+    };
+
+    return {
+        provider: 'shikimori',
+        configured: Boolean(env.SHIKIMORI_CLIENT_ID && env.SHIKIMORI_CLIENT_SECRET),
+        authorizeUrl,
+        exchangeCode,
+        refresh,
+        getList,
+        getEntry,
+        saveEntry
+    };
+};
@@ -0,0 +1,102 @@
+// --- Trakt Account Client ---
+// OAuth (authorization code grant with refresh tokens) for a linked Trakt
+// account, used for scrobbling. Trakt has no list to import through this
+// client; history moves in and out as Trakt export files (see api/trakt/).
+
+const TRAKT_URL = 'https://trakt.tv';
+const TRAKT_API_URL = 'https://api.trakt.tv';
+
+export const SCROBBLE_ACTIONS = ['start', 'pause', 'stop'];
+
+/**
+ * Creates the Trakt account client.
+ *
+ * @param {object} options - { fetch, env }. Needs TRAKT_CLIENT_ID and
+ *   TRAKT_CLIENT_SECRET.
+ * @returns {object} The provider client used by the sync service.
+ */
+export const createTraktAccountClient = ({ fetch, env = process.env }) => {
+    const api = async (accessToken, path, { method = 'GET', body } = {}) => {
+        const response = await fetch(`${TRAKT_API_URL}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'trakt-api-version': '2',
+                'trakt-api-key': env.TRAKT_CLIENT_ID,
+                ...(accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return response;
+    };
+
+    const requestToken = async (params) => {
+        const response = await api(null, '/oauth/token', {
+            method: 'POST',
+            body: { client_id: env.TRAKT_CLIENT_ID, client_secret: env.TRAKT_CLIENT_SECRET, ...params }
+        });
+        if (!response.ok) {
+            throw new Error(`Trakt token request failed: ${response.status}`);
+        }
+
+        const token = await response.json();
+        return {
+            access_token: token.access_token,
+            refresh_token: token.refresh_token,
+            expires_at: new Date(Date.now() + token.expires_in * 1000).toISOString()
+        };
+    };
+
+    const authorizeUrl = ({ redirectUri, state }) => {
+        const params = new URLSearchParams({
+            client_id: env.TRAKT_CLIENT_ID,
+            redirect_uri: redirectUri,
+            response_type: 'code',
+            state
+        });
+        return `${TRAKT_URL}/oauth/authorize?${params}`;
+    };
+
+    const exchangeCode = async ({ code, redirectUri }) => {
+        const tokens = await requestToken({ grant_type: 'authorization_code', code, redirect_uri: redirectUri });
+        const response = await api(tokens.access_token, '/users/settings');
+        if (!response.ok) {
+            throw new Error(`Trakt API error: ${response.status}`);
+        }
+        const { user } = await response.json();
+        // Trakt wants the same redirect URI again when refreshing
+        return { remote_user_id: user.ids.slug, remote_username: user.username, redirect_uri: redirectUri, ...tokens };
+    };
+
+    const refresh = (account) => requestToken({
+        grant_type: 'refresh_token',
+        refresh_token: account.refresh_token,
+        redirect_uri: account.redirect_uri
+    });
+
+    /**
+     * Sends a scrobble event. `body` is Trakt's shape: { movie } or
+     * { show, episode }, plus `progress` as a percentage.
+     *
+     * @returns {Promise<boolean>} False when Trakt ignored it as a duplicate.
+     */
+    const scrobble = async (account, action, body) => {
+        const response = await api(account.access_token, `/scrobble/${action}`, { method: 'POST', body });
+        // 409: the same item was scrobbled moments ago
+        if (response.status === 409) return false;
+        if (!response.ok) {
+            throw new Error(`Trakt scrobble failed: ${response.status}`);
+        }
+        return true;
+    };
+
+    return {
+        provider: 'trakt',
+        configured: Boolean(env.TRAKT_CLIENT_ID && env.TRAKT_CLIENT_SECRET),
+        authorizeUrl,
+        exchangeCode,
+        refresh,
+        scrobble
+    };
+};
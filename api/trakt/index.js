@@ -0,0 +1,264 @@
+// --- Trakt Import, Export and Scrobbling ---
+// Moves watch history in and out in the format of Trakt's JSON exports, and
+// forwards the player's scrobble events to a linked Trakt account.
+//
+// Trakt items come in two shapes:
+//   history:  { watched_at, type: 'movie', movie: { ids } }
+//             { watched_at, type: 'episode', show: { ids }, episode: { season, number } }
+//   playback: the same, with `progress` (a percentage) and `paused_at` instead of `watched_at`
+// Movies and shows are matched to TMDB by `ids.tmdb`, falling back to IMDb
+// and TVDB IDs through TMDB's /find. Anime (AniList IDs here) are exported
+// through the mapping service as the TMDB show or movie they belong to.
+import { selectAllPages } from '../lib/supabase.js';
+import { mapWithConcurrency } from '../lib/upstream.js';
+
+export const MAX_IMPORT_ITEMS = 250;
+const TMDB_CONCURRENCY = 4;
+const ID_CACHE_SIZE = 5000;
+
+const isHistoryItem = (item) => Boolean(item?.watched_at);
+const isPlaybackItem = (item) => typeof item?.progress === 'number' && Boolean(item.paused_at);
+
+// 'movie' or 'show', and the IDs Trakt gave for it
+const titleOf = (item) => (item.type === 'movie'
+    ? { kind: 'movie', ids: item.movie?.ids }
+    : { kind: 'show', ids: item.show?.ids });
+
+const rowKey = (mediaType, mediaId, season, episode) => `${mediaType}:${mediaId}:${season ?? ''}:${episode ?? ''}`;
+
+/**
+ * Creates the Trakt service.
+ *
+ * @param {object} options - { fetch, env, supabase, resolveMapping, sync }.
+ *   `sync` is the list sync service, which holds the linked Trakt account.
+ * @returns {object} { importItems, exportHistory, exportPlayback, scrobble }
+ */
+export const createTraktService = ({ fetch, env = process.env, supabase, resolveMapping, sync }) => {
+    const tmdbIds = new Map(); // `${kind}:${source}:${id}` -> TMDB ID, or null when TMDB has no match
+
+    // --- Upstream helpers ---
+    const tmdbGet = async (path, params = {}) => {
+        const query = new URLSearchParams({ api_key: env.TMDB_API_KEY, ...params });
+        const response = await fetch(`https://api.themoviedb.org/3/${path}?${query}`);
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`TMDB API error: ${response.status}`);
+        }
+        return response.json();
+    };
+
+    const findTmdbId = async ({ kind, ids }) => {
+        if (ids?.tmdb) return String(ids.tmdb);
+        const [source, value] = ids?.imdb ? ['imdb_id', ids.imdb] : ids?.tvdb ? ['tvdb_id', ids.tvdb] : [];
+        if (!source || !env.TMDB_API_KEY) return null;
+
+        const cacheKey = `${kind}:${source}:${value}`;
+        if (!tmdbIds.has(cacheKey)) {
+            const found = await tmdbGet(`find/${value}`, { external_source: source });
+            const match = (kind === 'movie' ? found?.movie_results : found?.tv_results)?.[0];
+            if (tmdbIds.size >= ID_CACHE_SIZE) tmdbIds.clear();
+            tmdbIds.set(cacheKey, match ? String(match.id) : null);
+        }
+        return tmdbIds.get(cacheKey);
+    };
+
+    // Runtime in seconds, needed to turn Trakt's percentages into positions
+    const runtimeOf = async (mediaType, tmdbId, season, episode) => {
+        if (!env.TMDB_API_KEY) return null;
+        const details = mediaType === 'movie'
+            ? await tmdbGet(`movie/${tmdbId}`)
+            : await tmdbGet(`tv/${tmdbId}/season/${season}/episode/${episode}`);
+        return details?.runtime ? details.runtime * 60 : null;
+    };
+
+    // Trakt's shape for one of our rows, or null for anime with no TMDB match
+    const toTraktItem = async (mediaType, mediaId, rowSeason, episode) => {
+        let season = rowSeason;
+        let type = mediaType;
+        let tmdbId = Number(mediaId);
+        const ids = {};
+
+        if (mediaType === 'anime') {
+            const mapping = await resolveMapping('anilist', mediaId).catch(() => null);
+            if (!mapping?.ids.tmdb) return null;
+            type = mapping.ids.tmdbType;
+            tmdbId = Number(mapping.ids.tmdb);
+            if (mapping.ids.imdb) ids.imdb = mapping.ids.imdb;
+            // Anime episodes are numbered from the start of the AniList entry
+            season = season || 1;
+        }
+
+        if (type === 'movie') {
+            return { type: 'movie', movie: { ids: { tmdb: tmdbId, ...ids } } };
+        }
+        if (!season || !episode) return null;
+        return { type: 'episode', show: { ids: { tmdb: tmdbId, ...ids } }, episode: { season, number: episode } };
+    };
+
+    // --- Database helpers ---
+    const check = ({ data, error }, action) => {
+        if (error) {
+            throw new Error(`Could not ${action}: ${error.message}`);
+        }
+        return data || [];
+    };
+
+    // Rows of the viewer profile, or of the whole account when there is none.
+    // A long history is more than one page.
+    const loadRows = async (table, userId, columns, profileId) => check(await selectAllPages(() => {
+        const query = supabase.from(table).select(columns).eq('user_id', userId);
+        return (profileId ? query.eq('profile_id', profileId) : query).order('id');
+    }), `read ${table}`);
+
+    // --- Import ---
+    /**
+     * Imports one batch of Trakt history and playback items. Episodes and
+     * movies already in watch history are skipped; playback only replaces
+     * saved progress that is older.
+     *
+     * @param {string} userId
+     * @param {Array} items - Up to MAX_IMPORT_ITEMS Trakt items.
+     * @param {object} [options] - { profileId }, the viewer profile to import into.
+     * @returns {Promise<object>} { history, progress, duplicates, unmatched, invalid }
+     */
+    const importItems = async (userId, items, { profileId = null } = {}) => {
+        const owner = profileId ? { user_id: userId, profile_id: profileId } : { user_id: userId };
+        const report = { history: 0, progress: 0, duplicates: 0, unmatched: 0, invalid: 0 };
+
+        const valid = items.filter(item => {
+            const ok = (isHistoryItem(item) || isPlaybackItem(item))
+                && (item.type === 'movie' ? item.movie?.ids : item.type === 'episode' && item.show?.ids && item.episode?.season != null && item.episode?.number != null);
+            if (!ok) report.invalid++;
+            return ok;
+        });
+
+        const tmdbIdsByItem = await mapWithConcurrency(valid, TMDB_CONCURRENCY, item => findTmdbId(titleOf(item)).catch(error => {
+            console.error(`[TRAKT] Could not resolve ${JSON.stringify(titleOf(item).ids)}: ${error.message}`);
+            return null;
+        }));
+
+        const [history, progress] = await Promise.all([
+            loadRows('watch_history', userId, 'media_type, media_id, season_number, episode_number', profileId),
+            loadRows('watch_progress', userId, 'id, media_type, media_id, season_number, episode_number, updated_at', profileId)
+        ]);
+        const watched = new Set(history.map(row => rowKey(row.media_type, String(row.media_id), row.season_number, row.episode_number)));
+        const saved = new Map(progress.map(row => [rowKey(row.media_type, String(row.media_id), row.season_number, row.episode_number), row]));
+
+        const newHistory = [];
+        for (const [index, item] of valid.entries()) {
+            const tmdbId = tmdbIdsByItem[index];
+            if (!tmdbId) {
+                report.unmatched++;
+                continue;
+            }
+
+            const mediaType = item.type === 'movie' ? 'movie' : 'tv';
+            const season = item.type === 'episode' ? item.episode.season : null;
+            const episode = item.type === 'episode' ? item.episode.number : null;
+            const key = rowKey(mediaType, tmdbId, season, episode);
+
+            if (isHistoryItem(item)) {
+                if (watched.has(key)) {
+                    report.duplicates++;
+                    continue;
+                }
+                watched.add(key);
+                newHistory.push({ ...owner, media_type: mediaType, media_id: tmdbId, season_number: season, episode_number: episode, watched_at: item.watched_at });
+                continue;
+            }
+
+            const existing = saved.get(key);
+            if (existing && Date.parse(existing.updated_at) >= Date.parse(item.paused_at)) {
+                report.duplicates++;
+                continue;
+            }
+
+            const duration = await runtimeOf(mediaType, tmdbId, season, episode).catch(() => null);
+            if (!duration) {
+                report.unmatched++;
+                continue;
+            }
+
+            const values = {
+                progress_seconds: Math.round((Math.min(item.progress, 100) / 100) * duration),
+                duration_seconds: duration,
+                updated_at: item.paused_at
+            };
+            if (existing) {
+                check(await supabase.from('watch_progress').update(values).eq('id', existing.id), 'update watch progress');
+            } else {
+                check(await supabase.from('watch_progress').insert({
+                    ...owner, media_type: mediaType, media_id: tmdbId, season_number: season, episode_number: episode, ...values
+                }), 'write watch progress');
+            }
+            saved.set(key, { ...existing, ...values });
+            report.progress++;
+        }
+
+        if (newHistory.length > 0) {
+            check(await supabase.from('watch_history').insert(newHistory), 'write watch history');
+        }
+        report.history = newHistory.length;
+
+        console.log(`[TRAKT] Imported for ${userId}: ${report.history} history, ${report.progress} progress, ${report.unmatched} unmatched`);
+        return report;
+    };
+
+    // --- Export ---
+    const exportRows = async (rows, build) => {
+        const items = await mapWithConcurrency(rows, TMDB_CONCURRENCY, async (row) => {
+            const item = await toTraktItem(row.media_type, String(row.media_id), row.season_number, row.episode_number);
+            return item ? build(row, item) : null;
+        });
+        return items.filter(Boolean);
+    };
+
+    /**
+     * @returns {Promise<Array>} Watch history as Trakt history items, newest first.
+     */
+    const exportHistory = async (userId, { profileId = null } = {}) => {
+        const rows = await loadRows('watch_history', userId, 'id, media_type, media_id, season_number, episode_number, watched_at', profileId);
+        rows.sort((a, b) => String(b.watched_at).localeCompare(String(a.watched_at)));
+        return exportRows(rows, (row, item) => ({ id: row.id, watched_at: row.watched_at, action: 'watch', ...item }));
+    };
+
+    /**
+     * @returns {Promise<Array>} Unfinished progress as Trakt playback items.
+     */
+    const exportPlayback = async (userId, { profileId = null } = {}) => {
+        const rows = (await loadRows('watch_progress', userId, 'id, media_type, media_id, season_number, episode_number, progress_seconds, duration_seconds, updated_at', profileId))
+            .filter(row => row.duration_seconds > 0 && row.progress_seconds < row.duration_seconds);
+        return exportRows(rows, (row, item) => ({
+            id: row.id,
+            progress: Math.round((row.progress_seconds / row.duration_seconds) * 10000) / 100,
+            paused_at: row.updated_at,
+            ...item
+        }));
+    };
+
+    // --- Scrobbling ---
+    /**
+     * Forwards a player event to the user's Trakt account, if one is linked.
+     *
+     * @param {string} userId
+     * @param {string} action - 'start', 'pause' or 'stop'.
+     * @param {object} media - { media_type, media_id, season, episode, progress } with progress in percent.
+     * @returns {Promise<object>} { scrobbled, reason? }
+     */
+    const scrobble = async (userId, action, media) => {
+        const account = await sync.getAccount(userId, 'trakt');
+        if (!account) return { scrobbled: false, reason: 'not_linked' };
+
+        const item = await toTraktItem(media.media_type, String(media.media_id), media.season, media.episode);
+        if (!item) return { scrobbled: false, reason: 'unmatched' };
+
+        const { type, ...body } = item;
+        const accepted = await sync.clients.trakt.scrobble(account, action, {
+            ...body,
+            progress: Math.round(Math.min(Math.max(media.progress, 0), 100) * 100) / 100
+        });
+        return accepted ? { scrobbled: true } : { scrobbled: false, reason: 'duplicate' };
+    };
+
+    return { importItems, exportHistory, exportPlayback, scrobble };
+};
@@ -0,0 +1,103 @@
+// Fylm service worker. Its only job is replaying watch progress queued while
+// offline (src/utils/progressOutbox.js) when the browser fires Background
+// Sync. It does not cache or intercept requests.
+//
+// The outbox layout below must match progressOutbox.js.
+
+const OUTBOX_DB = 'fylm-offline';
+const OUTBOX_SYNC_TAG = 'progress-outbox';
+const PROGRESS_STORE = 'progress';
+const META_STORE = 'meta';
+const CHANNEL = 'fylm-progress-outbox';
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+const openDb = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    // Nothing queued yet: the page creates the stores on first use
+    request.onupgradeneeded = () => request.transaction.abort();
+});
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const readAll = async (db) => {
+    const tx = db.transaction([PROGRESS_STORE, META_STORE], 'readonly');
+    const [entries, session] = await Promise.all([
+        requestResult(tx.objectStore(PROGRESS_STORE).index('seq').getAll()),
+        requestResult(tx.objectStore(META_STORE).get('session'))
+    ]);
+    return { entries, session };
+};
+
+// Same rule as the page: keep entries replaced by a newer save meanwhile
+const removeReplayed = (db, entries) => new Promise((resolve, reject) => {
+    const tx = db.transaction(PROGRESS_STORE, 'readwrite');
+    const store = tx.objectStore(PROGRESS_STORE);
+    for (const entry of entries) {
+        store.get(entry.key).onsuccess = (event) => {
+            if (event.target.result?.seq === entry.seq) {
+                store.delete(entry.key);
+            }
+        };
+    }
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+});
+
+const replay = async () => {
+    let db;
+    try {
+        db = await openDb();
+    } catch {
+        return;
+    }
+    if (!db.objectStoreNames.contains(PROGRESS_STORE)) return;
+
+    const { entries, session } = await readAll(db);
+    // Without a live token the page replays once it is open again
+    if (!session || session.expires_at * 1000 <= Date.now()) return;
+
+    const mine = entries.filter(entry => !entry.user_id || entry.user_id === session.user_id);
+    const byProfile = new Map();
+    for (const entry of mine) {
+        const profileId = entry.profile_id || '';
+        byProfile.set(profileId, [...(byProfile.get(profileId) || []), entry]);
+    }
+
+    for (const [profileId, group] of byProfile) {
+        const response = await fetch(`${session.supabase_url}/rest/v1/rpc/sync_offline_progress`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'apikey': session.anon_key,
+                'Authorization': `Bearer ${session.access_token}`,
+                ...(profileId ? { 'X-Viewer-Profile': profileId } : {})
+            },
+            body: JSON.stringify({
+                p_events: group.map(({ media_id, media_type, season_number, episode_number, progress_seconds, duration_seconds, recorded_at }) => ({
+                    media_id, media_type, season_number, episode_number, progress_seconds, duration_seconds, recorded_at
+                }))
+            })
+        });
+        if (response.status === 401 || response.status === 403) return;
+        if (!response.ok) {
+            // Rejecting makes the browser retry the sync later
+            throw new Error(`Replay failed with HTTP ${response.status}`);
+        }
+        await removeReplayed(db, group);
+    }
+
+    new BroadcastChannel(CHANNEL).postMessage({ type: 'changed' });
+};
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(replay());
+    }
+});
@@ -17,6 +17,8 @@ import LoadingSpinner from './components/LoadingSpinner';
 const AsyncHome = asyncComponent(() => import('./pages/Home'));
 const AsyncFavorites = asyncComponent(() => import('./pages/Favorites'));
 const AsyncHistory = asyncComponent(() => import('./pages/History'));
+const AsyncCalendar = asyncComponent(() => import('./pages/Calendar'));
+const AsyncWatchlists = asyncComponent(() => import('./pages/Watchlists'));
 const AsyncWatch = asyncComponent(() => import('./pages/Watch'));
 const AsyncSearchPage = asyncComponent(() => import('./pages/Search'));
 const AsyncLogin = asyncComponent(() => import('./pages/Login'));
@@ -32,6 +34,7 @@ const AsyncBlog = asyncComponent(() => import('./pages/Blog'));
 const AsyncBlogPost = asyncComponent(() => import('./pages/BlogPost'));
 const AsyncBlogAdmin = asyncComponent(() => import('./pages/BlogAdmin'));
 const AsyncAdminSetup = asyncComponent(() => import('./pages/AdminSetup'));
+const AsyncViewerProfiles = asyncComponent(() => import('./pages/ViewerProfiles'));
 
 
 const MainApp = () => {
@@ -40,9 +43,22 @@ const MainApp = () => {
     const favoritesFetched = useStore((state) => state.favoritesFetched);
     const fetchContinueWatching = useStore((state) => state.fetchContinueWatching);
     const continueWatchingFetched = useStore((state) => state.continueWatchingFetched);
+    const fetchViewerProfiles = useStore((state) => state.fetchViewerProfiles);
+    const viewerProfiles = useStore((state) => state.viewerProfiles);
+    const viewerProfilesFetched = useStore((state) => state.viewerProfilesFetched);
+    const activeViewerProfile = useStore((state) => state.activeViewerProfile);
 
     useEffect(() => {
-        if (user) {
+        fetchViewerProfiles(user?.id);
+    }, [user?.id, fetchViewerProfiles]);
+
+    // Someone has to say who's watching before anything personal is shown.
+    // No profiles at all means the database predates them: use the account.
+    const choosingProfile = Boolean(user) && viewerProfiles.length > 0 && !activeViewerProfile;
+    const profileReady = viewerProfilesFetched && !choosingProfile;
+
+    useEffect(() => {
+        if (user && profileReady) {
             const userId = user.id;
             if (!favoritesFetched) {
                 fetchFavorites(userId);
@@ -51,7 +67,7 @@ const MainApp = () => {
                 fetchContinueWatching(userId);
             }
         }
-    }, [user, favoritesFetched, fetchFavorites, continueWatchingFetched, fetchContinueWatching]);
+    }, [user, profileReady, favoritesFetched, fetchFavorites, continueWatchingFetched, fetchContinueWatching]);
 
     if (loading && !authReady) {
         return <LoadingSpinner />;
@@ -62,31 +78,36 @@ const MainApp = () => {
             <Toaster position="top-right" />
             <Header />
             <main>
-                <Router history={createHashHistory()}>
-                    <AsyncHome path="/" />
-                    <AsyncHome path="/movies" />
-                    <AsyncHome path="/tv" />
-                    <AsyncMoviePage path="/movie/:id" type="movie" />
-                    <AsyncMoviePage path="/tv/:id" type="tv" />
-                    <AsyncAnime path="/anime" />
-                    {user ? <AsyncFavorites path="/favorites" /> : <AsyncLogin path="/favorites" />}
-                    {user ? <AsyncHistory path="/history" /> : <AsyncLogin path="/history" />}
-                    <AsyncWatch path="/watch/:type/:id" />
-                    <AsyncWatch path="/watch/:type/:id/season/:season/episode/:episode" />
-                    <AsyncSearchPage path="/search" />
-                    <AsyncLogin path="/login" />
-                    <AsyncSignUp path="/signup" />
-                    <AsyncForgotPassword path="/forgot-password" />
-                    <AsyncUpdatePassword path="/update-password" />
-                    {user ? <AsyncProfile path="/profile" /> : <AsyncLogin path="/profile" />}
-                    <AsyncBlog path="/blog" />
-                    <AsyncBlogPost path="/blog/:slug" />
-                    {user ? <AsyncBlogAdmin path="/blog-admin" /> : <AsyncLogin path="/blog-admin" />}
-                    {user ? <AsyncBlogAdmin path="/blog/admin" /> : <AsyncLogin path="/blog/admin" />}
-                    {user ? <AsyncAdminSetup path="/admin-setup" /> : <AsyncLogin path="/admin-setup" />}
-                    <AsyncTermsOfService path="/terms-of-service" />
-                    <AsyncPrivacyPolicy path="/privacy-policy" />
-                </Router>
+                {choosingProfile ? <AsyncViewerProfiles /> : (
+                    <Router history={createHashHistory()}>
+                        <AsyncHome path="/" />
+                        <AsyncHome path="/movies" />
+                        <AsyncHome path="/tv" />
+                        <AsyncMoviePage path="/movie/:id" type="movie" />
+                        <AsyncMoviePage path="/tv/:id" type="tv" />
+                        <AsyncAnime path="/anime" />
+                        {user ? <AsyncFavorites path="/favorites" /> : <AsyncLogin path="/favorites" />}
+                        {user ? <AsyncHistory path="/history" /> : <AsyncLogin path="/history" />}
+                        {user ? <AsyncCalendar path="/calendar" /> : <AsyncLogin path="/calendar" />}
+                        {user ? <AsyncWatchlists path="/lists" /> : <AsyncLogin path="/lists" />}
+                        <AsyncWatch path="/watch/:type/:id" />
+                        <AsyncWatch path="/watch/:type/:id/season/:season/episode/:episode" />
+                        <AsyncSearchPage path="/search" />
+                        <AsyncLogin path="/login" />
+                        <AsyncSignUp path="/signup" />
+                        <AsyncForgotPassword path="/forgot-password" />
+                        <AsyncUpdatePassword path="/update-password" />
+                        {user ? <AsyncProfile path="/profile" /> : <AsyncLogin path="/profile" />}
+                        <AsyncBlog path="/blog" />
+                        <AsyncBlogPost path="/blog/:slug" />
+                        {user ? <AsyncBlogAdmin path="/blog-admin" /> : <AsyncLogin path="/blog-admin" />}
+                        {user ? <AsyncBlogAdmin path="/blog/admin" /> : <AsyncLogin path="/blog/admin" />}
+                        {user ? <AsyncAdminSetup path="/admin-setup" /> : <AsyncLogin path="/admin-setup" />}
+                        <AsyncTermsOfService path="/terms-of-service" />
+                        <AsyncPrivacyPolicy path="/privacy-policy" />
+                        {user ? <AsyncViewerProfiles path="/profiles" /> : <AsyncLogin path="/profiles" />}
+                    </Router>
+                )}
             </main>
             <Footer />
             <ScrollToTop />
@@ -0,0 +1,76 @@
+import { h } from 'preact';
+import { useState } from 'preact/hooks';
+import { route } from 'preact-router';
+import { useAuth } from '../context/Auth';
+import { downloadMyData, deleteMyAccount } from '../utils/account';
+import toast from './Toast';
+import './AccountData.css';
+
+// Data export and account deletion, as offered in the Privacy Policy
+const AccountData = () => {
+    const { user, signOut } = useAuth();
+    const [busy, setBusy] = useState(null);
+    const [confirmEmail, setConfirmEmail] = useState('');
+
+    const handleDownload = async () => {
+        setBusy('download');
+        try {
+            await downloadMyData();
+        } catch (error) {
+            toast.error(`Could not export your data: ${error.message}`);
+        }
+        setBusy(null);
+    };
+
+    const handleDelete = async (e) => {
+        e.preventDefault();
+        if (!window.confirm('Delete your account and all of its data? This cannot be undone.')) return;
+
+        setBusy('delete');
+        try {
+            await deleteMyAccount(confirmEmail);
+            // The session died with the account; this only clears it locally
+            await signOut().catch(() => {});
+            toast.success('Your account has been deleted.');
+            route('/');
+        } catch (error) {
+            toast.error(`Could not delete your account: ${error.message}`);
+            setBusy(null);
+        }
+    };
+
+    const emailMatches = confirmEmail.trim().toLowerCase() === (user?.email || '').toLowerCase();
+
+    return (
+        <section class="account-data">
+            <h2>Your Data</h2>
+            <p class="account-data-hint">
+                Download a copy of your profile, favorites, watch history, watchlists and blog posts.
+            </p>
+            <button class="account-data-secondary" onClick={handleDownload} disabled={busy !== null}>
+                {busy === 'download' ? 'Preparing...' : 'Download my data'}
+            </button>
+
+            <form class="account-data-delete" onSubmit={handleDelete}>
+                <h3>Delete Account</h3>
+                <p class="account-data-hint">
+                    Permanently removes your account, history, lists, uploaded images and blog posts.
+                    Type your email address to confirm.
+                </p>
+                <input
+                    class="input-field"
+                    type="email"
+                    value={confirmEmail}
+                    onInput={(e) => setConfirmEmail(e.target.value)}
+                    placeholder={user?.email}
+                    aria-label="Confirm your email address"
+                />
+                <button class="account-data-danger" type="submit" disabled={!emailMatches || busy !== null}>
+                    {busy === 'delete' ? 'Deleting...' : 'Delete my account'}
+                </button>
+            </form>
+        </section>
+    );
+};
+
+export default AccountData;
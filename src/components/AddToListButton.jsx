@@ -0,0 +1,95 @@
+import { h } from 'preact';
+import { useState, useEffect, useRef } from 'preact/hooks';
+import { Link } from 'preact-router';
+import { useAuth } from '../context/Auth';
+import { useStore } from '../store';
+import { getWatchlists, addToWatchlist, removeWatchlistItems, mediaKey } from '../utils/watchlists';
+import toast from './Toast';
+import './AddToListButton.css';
+
+// Dropdown that adds the current title to, or removes it from, the user's watchlists
+const AddToListButton = ({ media }) => {
+    const { user } = useAuth();
+    const fetchContinueWatching = useStore((state) => state.fetchContinueWatching);
+    const [isOpen, setIsOpen] = useState(false);
+    const [lists, setLists] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const containerRef = useRef(null);
+
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const handleClick = (event) => {
+            if (containerRef.current && !containerRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [isOpen]);
+
+    if (!user) return null;
+
+    const key = mediaKey(media.type, media.id);
+    const itemIn = (list) => list.items.find(item => mediaKey(item.media_type, item.media_id) === key);
+
+    const toggleOpen = async () => {
+        const opening = !isOpen;
+        setIsOpen(opening);
+        if (opening) {
+            setLists(await getWatchlists(user.id));
+        }
+    };
+
+    const toggleList = async (list) => {
+        if (saving) return;
+        setSaving(true);
+
+        const existing = itemIn(list);
+        const saved = existing
+            ? await removeWatchlistItems([existing.id])
+            : await addToWatchlist(user.id, lists, list.id, media);
+
+        if (saved) {
+            toast.success(existing
+                ? `Removed from ${list.name}.`
+                : `Added '${media.title || media.name}' to ${list.name}.`);
+            if (list.kind === 'completed') {
+                fetchContinueWatching();
+            }
+        } else {
+            toast.error(`Could not update ${list.name}. Please try again.`);
+        }
+
+        setLists(await getWatchlists(user.id));
+        setSaving(false);
+    };
+
+    const inAnyList = lists?.some(itemIn);
+
+    return (
+        <div class="add-to-list" ref={containerRef}>
+            <button class={`favorite-btn add-to-list-btn ${inAnyList ? 'in-list' : ''}`} onClick={toggleOpen} aria-expanded={isOpen}>
+                {inAnyList ? '✓ In Lists' : '+ Add to List'}
+            </button>
+            {isOpen && (
+                <div class="add-to-list-menu">
+                    {!lists && <p class="add-to-list-empty">Loading lists...</p>}
+                    {lists?.map(list => (
+                        <button
+                            key={list.id}
+                            class={`add-to-list-option ${itemIn(list) ? 'selected' : ''}`}
+                            onClick={() => toggleList(list)}
+                            disabled={saving}
+                        >
+                            <span class="add-to-list-check">{itemIn(list) ? '✓' : ''}</span>
+                            {list.name}
+                        </button>
+                    ))}
+                    <Link class="add-to-list-manage" href="/lists">Manage lists</Link>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AddToListButton;
@@ -4,7 +4,9 @@ import { route } from 'preact-router';
 import { useStore } from '../store';
 import { useAuth } from '../context/Auth';
 import './AnimeCard.css';
-import { getProxiedImageUrl } from '../config';
+import { getProxiedImageUrl, IMAGE_BASE_URL } from '../config';
+import { getPlaceholderDataUri } from '../utils/placeholders';
+import { getCurrentTheme } from '../utils/themeUtils';
 
 const AnimeCard = ({ item, progress, duration, showDeleteButton, onDelete, onClick }) => {
     const [isVisible, setIsVisible] = useState(false);
@@ -238,30 +240,34 @@ const AnimeCard = ({ item, progress, duration, showDeleteButton, onDelete, onCli
     };
 
     // Enhanced image URL handling for AniList images with lazy loading
+    // Stable, theme-aware artwork for anime without a cover
+    const getPlaceholderUrl = () => getPlaceholderDataUri({
+        seed: item.anilist_id || id,
+        title: animeTitle,
+        theme: getCurrentTheme()
+    });
+
+    const handleImageError = (e) => {
+        e.target.onerror = null; // Prevent infinite error loop
+        e.target.src = getPlaceholderUrl();
+    };
+
     const getFullImageUrl = (path) => {
         if (!path) {
-            return 'https://via.placeholder.com/500x750/1a1a1a/ffffff?text=No+Image';
-        }
-        
-        // For AniList images (which already have full URLs), send them directly to the image proxy
-        if (path.includes('anilist.co') || path.includes('anili.st') || path.includes('anilistcdn')) {
-            return getProxiedImageUrl(path);
-        }
-        
-        // For other full URLs, use the proxy directly
-        if (path.startsWith('http')) {
-            return getProxiedImageUrl(path);
+            return getPlaceholderUrl();
         }
         
+        // Thumbnails until the card scrolls into view, then the full poster size.
+        // The proxy resizes AniList images and picks the matching TMDB rendition.
+        const imageOptions = { width: isVisible ? 500 : 200, format: 'webp' };
+
         // For TMDB relative paths, add resolution based on visibility
-        if (path.startsWith('/')) {
-            const resolution = isVisible ? 'w500' : 'w200';
-            const IMAGE_BASE_URL = `https://image.tmdb.org/t/p/${resolution}`;
-            return getProxiedImageUrl(`${IMAGE_BASE_URL}${path}`);
+        if (path.startsWith('/') && !path.startsWith('/anilist_images/') && !path.startsWith('/system/')) {
+            return getProxiedImageUrl(`${IMAGE_BASE_URL}${path}`, imageOptions);
         }
         
-        // For relative paths (TMDB), use the proxy with the base URL added
-        return getProxiedImageUrl(path);
+        // AniList, Shikimori and other full URLs go to the proxy as they are
+        return getProxiedImageUrl(path, imageOptions);
     };
 
     // Get rating with enhanced scoring
@@ -296,6 +302,7 @@ const AnimeCard = ({ item, progress, duration, showDeleteButton, onDelete, onCli
                         loading="lazy" 
                         width="500" 
                         height="750"
+                        onError={handleImageError}
                     />
                     
                     {/* Enhanced gradient overlay */}
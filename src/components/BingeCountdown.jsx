@@ -0,0 +1,37 @@
+import { h } from 'preact';
+import { getProxiedImageUrl } from '../config';
+import './BingeCountdown.css';
+
+// Card over the player at the end of an episode: the next episode and a
+// countdown to it, or the "are you still watching?" question once enough
+// episodes have played on their own.
+const BingeCountdown = ({ next, secondsLeft, askStillWatching, onPlay, onCancel }) => (
+    <div class="binge-countdown" role="dialog" aria-live="polite">
+        {next.still && (
+            <img
+                class="binge-countdown-still"
+                src={getProxiedImageUrl(next.still, { width: 300, format: 'webp' })}
+                alt=""
+            />
+        )}
+        <div class="binge-countdown-body">
+            {askStillWatching ? (
+                <p class="binge-countdown-heading">Are you still watching?</p>
+            ) : (
+                <p class="binge-countdown-heading">Next episode in {secondsLeft}</p>
+            )}
+            <p class="binge-countdown-label">{next.label}</p>
+            {next.title && <p class="binge-countdown-title">{next.title}</p>}
+            <div class="binge-countdown-actions">
+                <button type="button" class="binge-countdown-play" onClick={onPlay}>
+                    {askStillWatching ? 'Keep watching' : 'Play now'}
+                </button>
+                <button type="button" class="binge-countdown-cancel" onClick={onCancel}>
+                    {askStillWatching ? 'Stop' : 'Cancel'}
+                </button>
+            </div>
+        </div>
+    </div>
+);
+
+export default BingeCountdown;
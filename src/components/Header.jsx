@@ -4,6 +4,10 @@ import { Link, route } from 'preact-router';
 import { useAuth } from '../context/Auth';
 import { BlogAPI } from '../utils/blogApi';
 import ThemeToggle from './ThemeToggle';
+import NotificationBell from './NotificationBell';
+import PendingSync from './PendingSync';
+import ViewerProfileAvatar from './ViewerProfileAvatar';
+import { useStore } from '../store';
 import { getProxiedImageUrl } from '../config';
 import defaultAvatar from '../assets/default-avatar.png';
 import './Header.css';
@@ -14,6 +18,7 @@ const Header = () => {
     const [isSearchOpen, setIsSearchOpen] = useState(false);
     const [isAdmin, setIsAdmin] = useState(false);
     const { user, profile, signOut, authReady } = useAuth();
+    const activeViewerProfile = useStore((state) => state.activeViewerProfile);
     const menuRef = useRef(null);
     const hamburgerRef = useRef(null);
     const searchRef = useRef(null);
@@ -251,7 +256,9 @@ const Header = () => {
                             {user ? (
                                 <>
                                     <li><Link activeClassName="active" href="/favorites" onClick={closeMenu}>Favorites</Link></li>
+                                    <li><Link activeClassName="active" href="/lists" onClick={closeMenu}>Lists</Link></li>
                                     <li><Link activeClassName="active" href="/history" onClick={closeMenu}>History</Link></li>
+                                    <li><Link activeClassName="active" href="/calendar" onClick={closeMenu}>Calendar</Link></li>
     
                                         <li><Link activeClassName="active" href="/blog/admin" onClick={closeMenu}>Editor</Link></li>
 
@@ -259,7 +266,9 @@ const Header = () => {
                             ) : (
                                 <>
                                     <li><a href="/login" style={{ color: '#999', fontSize: '0.9em' }} onClick={closeMenu}>Favorites</a></li>
+                                    <li><a href="/login" style={{ color: '#999', fontSize: '0.9em' }} onClick={closeMenu}>Lists</a></li>
                                     <li><a href="/login" style={{ color: '#999', fontSize: '0.9em' }} onClick={closeMenu}>History</a></li>
+                                    <li><a href="/login" style={{ color: '#999', fontSize: '0.9em' }} onClick={closeMenu}>Calendar</a></li>
                                 </>
                             )}
                         </ul>
@@ -313,10 +322,17 @@ const Header = () => {
                         </svg>
                     </button>
                     
+                    <PendingSync />
+                    <NotificationBell />
                     <ThemeToggle />
                     <div class="auth-links">
                         {user ? (
                             <>
+                                {activeViewerProfile && (
+                                    <Link href="/profiles" class="viewer-profile-switch" onClick={closeMenu} title={`Watching as ${activeViewerProfile.name}. Switch profile`}>
+                                        <ViewerProfileAvatar profile={activeViewerProfile} size={28} />
+                                    </Link>
+                                )}
                                 <Link href="/profile" class="profile-link" onClick={closeMenu}>
                                     <img
                                         src={profile?.avatar_url ? getProxiedImageUrl(profile.avatar_url) : (user.user_metadata?.avatar_url ? getProxiedImageUrl(user.user_metadata.avatar_url) : defaultAvatar)}
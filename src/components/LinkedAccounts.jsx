@@ -0,0 +1,163 @@
+import { h } from 'preact';
+import { useState, useEffect } from 'preact/hooks';
+import { useStore } from '../store';
+import {
+    SYNC_PROVIDER_NAMES,
+    getLinkedAccounts,
+    connectAccount,
+    disconnectAccount,
+    importList
+} from '../utils/listSync';
+import toast from './Toast';
+import './LinkedAccounts.css';
+
+const STRATEGIES = [
+    { value: 'furthest', label: 'Keep whichever is further' },
+    { value: 'remote', label: 'Prefer the remote list' },
+    { value: 'local', label: 'Prefer Fylm' }
+];
+
+const ImportReport = ({ report }) => (
+    <div class="linked-account-report">
+        <p>
+            {report.total} titles: {report.pulled} imported, {report.pushed} sent back, {report.unchanged} already in sync
+            {report.unmatched > 0 && `, ${report.unmatched} not found here`}
+            {report.failed > 0 && `, ${report.failed} failed`}.
+        </p>
+        {report.conflicts.length > 0 && (
+            <details>
+                <summary>{report.conflicts.length} changed on both sides</summary>
+                <ul>
+                    {report.conflicts.map(conflict => (
+                        <li key={conflict.anilist_id}>
+                            {conflict.title || `Anime ${conflict.anilist_id}`}: episode {conflict.local} here,
+                            {' '}{conflict.remote} there. Kept {conflict.kept === 'local' ? 'Fylm' : 'the remote list'}.
+                        </li>
+                    ))}
+                </ul>
+            </details>
+        )}
+    </div>
+);
+
+// Connect, import and disconnect AniList, Shikimori and Trakt accounts
+const LinkedAccounts = ({ linked, linkError }) => {
+    const fetchContinueWatching = useStore((state) => state.fetchContinueWatching);
+    const [data, setData] = useState(null);
+    const [busy, setBusy] = useState(null);
+    const [strategy, setStrategy] = useState('furthest');
+    const [reports, setReports] = useState({});
+
+    const load = async () => {
+        try {
+            setData(await getLinkedAccounts());
+        } catch (error) {
+            console.error('Error loading linked accounts:', error);
+            setData({ providers: [], accounts: [] });
+        }
+    };
+
+    useEffect(() => {
+        load();
+    }, []);
+
+    // Back from the provider's consent page
+    useEffect(() => {
+        if (linked) toast.success(`${SYNC_PROVIDER_NAMES[linked] || linked} connected.`);
+        if (linkError) toast.error(linkError);
+    }, [linked, linkError]);
+
+    const handleConnect = async (provider) => {
+        setBusy(provider);
+        try {
+            await connectAccount(provider);
+        } catch (error) {
+            toast.error(`Could not connect ${SYNC_PROVIDER_NAMES[provider]}: ${error.message}`);
+            setBusy(null);
+        }
+    };
+
+    const handleDisconnect = async (provider) => {
+        if (!window.confirm(`Disconnect ${SYNC_PROVIDER_NAMES[provider]}? Your lists there are not changed.`)) return;
+        setBusy(provider);
+        try {
+            await disconnectAccount(provider);
+            setReports(({ [provider]: _, ...rest }) => rest);
+            await load();
+        } catch (error) {
+            toast.error(`Could not disconnect: ${error.message}`);
+        }
+        setBusy(null);
+    };
+
+    const handleImport = async (provider) => {
+        setBusy(provider);
+        try {
+            const report = await importList(provider, strategy);
+            setReports(current => ({ ...current, [provider]: report }));
+            toast.success(`${SYNC_PROVIDER_NAMES[provider]} list imported.`);
+            fetchContinueWatching();
+        } catch (error) {
+            toast.error(`Import failed: ${error.message}`);
+        }
+        setBusy(null);
+    };
+
+    if (!data) {
+        return <p class="linked-accounts-loading">Loading connected accounts...</p>;
+    }
+
+    return (
+        <section class="linked-accounts">
+            <h2>Connected Accounts</h2>
+            <p class="linked-accounts-hint">
+                Watched anime episodes are marked on your connected lists automatically,
+                and Trakt follows along with what you play.
+            </p>
+
+            {data.providers.map(({ provider, configured, imports }) => {
+                const account = data.accounts.find(item => item.provider === provider);
+                const name = SYNC_PROVIDER_NAMES[provider] || provider;
+
+                return (
+                    <div key={provider} class="linked-account">
+                        <div class="linked-account-header">
+                            <div>
+                                <strong>{name}</strong>
+                                <span class="linked-account-status">
+                                    {account ? `Connected as ${account.username}` : configured ? 'Not connected' : 'Not available'}
+                                </span>
+                            </div>
+                            {account ? (
+                                <button class="linked-account-secondary" onClick={() => handleDisconnect(provider)} disabled={busy === provider}>
+                                    Disconnect
+                                </button>
+                            ) : (
+                                <button onClick={() => handleConnect(provider)} disabled={!configured || busy === provider}>
+                                    Connect
+                                </button>
+                            )}
+                        </div>
+
+                        {account && imports && (
+                            <div class="linked-account-import">
+                                <select value={strategy} onChange={(e) => setStrategy(e.target.value)} aria-label="When a title changed on both sides">
+                                    {STRATEGIES.map(option => (
+                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                    ))}
+                                </select>
+                                <button onClick={() => handleImport(provider)} disabled={busy === provider}>
+                                    {busy === provider ? 'Syncing...' : 'Import list'}
+                                </button>
+                            </div>
+                        )}
+
+                        {reports[provider] && <ImportReport report={reports[provider]} />}
+                    </div>
+                );
+            })}
+        </section>
+    );
+};
+
+export default LinkedAccounts;
@@ -0,0 +1,44 @@
+import { h } from 'preact';
+import { useState } from 'preact/hooks';
+import './MarkEpisodeBar.css';
+
+const MARKS = [
+    { kind: 'intro_start', label: 'Intro starts' },
+    { kind: 'intro_end', label: 'Intro ends' },
+    { kind: 'credits_start', label: 'Credits start' }
+];
+
+// Lets signed-in viewers mark where the intro and credits are, at the
+// player's current position. Enough matching marks become the episode's
+// Skip Intro and Next Episode buttons for everyone.
+const MarkEpisodeBar = ({ onMark }) => {
+    const [busy, setBusy] = useState(null);
+
+    const handleMark = async (kind) => {
+        setBusy(kind);
+        try {
+            await onMark(kind);
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    return (
+        <div class="mark-episode-bar">
+            <span class="mark-episode-label">Mark here:</span>
+            {MARKS.map(({ kind, label }) => (
+                <button
+                    key={kind}
+                    type="button"
+                    class="mark-episode-button"
+                    onClick={() => handleMark(kind)}
+                    disabled={busy !== null}
+                >
+                    {busy === kind ? 'Saving…' : label}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+export default MarkEpisodeBar;
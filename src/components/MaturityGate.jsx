@@ -0,0 +1,97 @@
+import { h } from 'preact';
+import { useState, useEffect } from 'preact/hooks';
+import { useAuth } from '../context/Auth';
+import { checkTitleMaturity, unlockTitle } from '../utils/parental';
+import LoadingSpinner from './LoadingSpinner';
+import './MaturityGate.css';
+
+const RATING_LABELS = { kids: 'Kids', teen: 'Teen', adult: 'Adult', explicit: 'Explicit' };
+
+// Covers the player until the title is known to fit the profile's maturity
+// rating, or the parental PIN has been entered for it
+const MaturityGate = ({ type, id, onAllowed }) => {
+    const { user } = useAuth();
+    const [check, setCheck] = useState(null);
+    const [pin, setPin] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [pinError, setPinError] = useState(null);
+
+    const runCheck = async () => {
+        setCheck(null);
+        try {
+            const result = await checkTitleMaturity(type, id);
+            if (result.allowed) {
+                onAllowed();
+            } else {
+                setCheck(result);
+            }
+        } catch (error) {
+            console.error('Error checking maturity rating:', error);
+            setCheck({ failed: true });
+        }
+    };
+
+    useEffect(() => {
+        runCheck();
+    }, [type, id]);
+
+    const handleUnlock = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        setPinError(null);
+        try {
+            await unlockTitle(type, id, pin);
+            onAllowed();
+        } catch (error) {
+            setPinError(error.message);
+            setPin('');
+            setBusy(false);
+        }
+    };
+
+    if (!check) {
+        return <div class="maturity-gate"><LoadingSpinner /></div>;
+    }
+
+    return (
+        <div class="maturity-gate">
+            <div class="maturity-gate-panel">
+                {check.failed ? (
+                    <>
+                        <h3>Could not check this title's rating</h3>
+                        <button type="button" onClick={runCheck}>Try again</button>
+                    </>
+                ) : (
+                    <>
+                        <h3>Rated {RATING_LABELS[check.rating] || check.rating}</h3>
+                        <p>This profile is set to {RATING_LABELS[check.ceiling] || check.ceiling} titles.</p>
+                    </>
+                )}
+                {user ? (
+                    <form class="maturity-gate-form" onSubmit={handleUnlock}>
+                        <input
+                            class="input-field"
+                            type="password"
+                            inputMode="numeric"
+                            pattern="\d{4}"
+                            maxLength={4}
+                            autoComplete="off"
+                            value={pin}
+                            onInput={(e) => setPin(e.target.value)}
+                            placeholder="Parental PIN"
+                            aria-label="Parental PIN"
+                        />
+                        <button type="submit" disabled={busy || pin.length !== 4}>
+                            {busy ? 'Checking...' : 'Watch anyway'}
+                        </button>
+                    </form>
+                ) : (
+                    <p>Sign in to watch this title.</p>
+                )}
+                {pinError && <p class="maturity-gate-error">{pinError}</p>}
+            </div>
+        </div>
+    );
+};
+
+export default MaturityGate;
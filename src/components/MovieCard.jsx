@@ -5,6 +5,8 @@ import { useStore } from '../store';
 import { useAuth } from '../context/Auth';
 import './MovieCard.css';
 import { getProxiedImageUrl, IMAGE_BASE_URL } from '../config';
+import { getPlaceholderDataUri } from '../utils/placeholders';
+import { getCurrentTheme } from '../utils/themeUtils';
 
 const MovieCard = ({ item, type, progress, duration, showDeleteButton, onDelete, onClick, useFullResolution = false }) => {
     // Destructure all needed properties from item
@@ -37,6 +39,13 @@ const MovieCard = ({ item, type, progress, duration, showDeleteButton, onDelete,
         ? rawTitle.english || rawTitle.romaji || rawTitle.native
         : rawTitle;
 
+    // Stable, theme-aware artwork for items without a poster
+    const getPlaceholderUrl = useCallback(() => getPlaceholderDataUri({
+        seed: id,
+        title: seriesTitle,
+        theme: getCurrentTheme()
+    }), [id, seriesTitle]);
+
     // Calculate progress percentage
     const progressPercent = (progress && duration > 0) ? (progress / duration) * 100 : 0;
 
@@ -96,8 +105,8 @@ const MovieCard = ({ item, type, progress, duration, showDeleteButton, onDelete,
         // Replace broken image with placeholder
         const element = e.target;
         element.onerror = null; // Prevent infinite error loop
-        element.src = 'https://via.placeholder.com/400x600/1a1a1a/ffffff?text=No+Image';
-    }, []);
+        element.src = getPlaceholderUrl();
+    }, [getPlaceholderUrl]);
 
     // Enhanced subtitle text for anime
     const getSubtitleText = () => {
@@ -173,14 +182,15 @@ const MovieCard = ({ item, type, progress, duration, showDeleteButton, onDelete,
 
     const getFullImageUrl = useCallback((path, size = 'w500') => {
         if (!path) {
-            return 'https://via.placeholder.com/500x750/1a1a1a/ffffff?text=No+Image';
+            return getPlaceholderUrl();
         }
+        const imageOptions = { width: parseInt(size.replace('w', ''), 10), format: 'webp' };
         if (path.startsWith('http')) {
-            return getProxiedImageUrl(path);
+            return getProxiedImageUrl(path, imageOptions);
         }
         const baseUrl = IMAGE_BASE_URL.replace('w500', size);
-        return getProxiedImageUrl(`${baseUrl}${path}`);
-    }, []);
+        return getProxiedImageUrl(`${baseUrl}${path}`, imageOptions);
+    }, [getPlaceholderUrl]);
 
     // State for visibility-based image quality
     const [isVisible, setIsVisible] = useState(false);
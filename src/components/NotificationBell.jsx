@@ -0,0 +1,160 @@
+import { h } from 'preact';
+import { useState, useEffect, useRef, useCallback } from 'preact/hooks';
+import { route } from 'preact-router';
+import { useAuth } from '../context/Auth';
+import { getProxiedImageUrl } from '../config';
+import {
+    NOTIFICATION_POLL_INTERVAL,
+    getNotifications,
+    getUnreadCount,
+    markNotificationsRead,
+    setSeriesMuted
+} from '../utils/notifications';
+import toast from './Toast';
+import './NotificationBell.css';
+
+const episodeLabel = (notification) => (notification.media_type === 'anime'
+    ? `Episode ${notification.episode_number}`
+    : `S${notification.season_number} E${notification.episode_number}`);
+
+const NotificationBell = () => {
+    const { user } = useAuth();
+    const [isOpen, setIsOpen] = useState(false);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [notifications, setNotifications] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const containerRef = useRef(null);
+
+    const refreshCount = useCallback(async () => {
+        if (user) setUnreadCount(await getUnreadCount(user.id));
+    }, [user]);
+
+    // Poll for new notifications, and again whenever the tab comes back into view
+    useEffect(() => {
+        if (!user) return undefined;
+        refreshCount();
+        const interval = setInterval(refreshCount, NOTIFICATION_POLL_INTERVAL);
+        const handleVisibility = () => {
+            if (document.visibilityState === 'visible') refreshCount();
+        };
+        document.addEventListener('visibilitychange', handleVisibility);
+        return () => {
+            clearInterval(interval);
+            document.removeEventListener('visibilitychange', handleVisibility);
+        };
+    }, [user, refreshCount]);
+
+    // Close when clicking outside
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const handleClick = (event) => {
+            if (containerRef.current && !containerRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [isOpen]);
+
+    const toggle = async () => {
+        const opening = !isOpen;
+        setIsOpen(opening);
+        if (!opening) return;
+
+        setLoading(true);
+        setNotifications(await getNotifications(user.id));
+        setLoading(false);
+    };
+
+    const openNotification = async (notification) => {
+        setIsOpen(false);
+        if (!notification.read_at) {
+            await markNotificationsRead(user.id, [notification.id]);
+            refreshCount();
+        }
+        route(`/watch/${notification.media_type}/${notification.media_id}/season/${notification.season_number}/episode/${notification.episode_number}`);
+    };
+
+    const markAllRead = async () => {
+        await markNotificationsRead(user.id);
+        const readAt = new Date().toISOString();
+        setNotifications(current => current.map(item => ({ ...item, read_at: item.read_at || readAt })));
+        setUnreadCount(0);
+    };
+
+    const muteSeries = async (event, notification) => {
+        event.stopPropagation();
+        if (await setSeriesMuted(user.id, notification.media_type, notification.media_id, true)) {
+            toast.success(`You won't be notified about new episodes of '${notification.title}'.`);
+        } else {
+            toast.error('Could not mute this show. Please try again.');
+        }
+    };
+
+    if (!user) return null;
+
+    return (
+        <div class="notification-bell" ref={containerRef}>
+            <button
+                class="notification-bell-button"
+                onClick={toggle}
+                aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+                aria-expanded={isOpen}
+            >
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"></path>
+                    <path d="M13.73 21a2 2 0 0 1-3.46 0"></path>
+                </svg>
+                {unreadCount > 0 && (
+                    <span class="notification-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div class="notification-panel">
+                    <div class="notification-panel-header">
+                        <span>New episodes</span>
+                        {unreadCount > 0 && (
+                            <button class="notification-mark-read" onClick={markAllRead}>Mark all as read</button>
+                        )}
+                    </div>
+                    {loading && <p class="notification-empty">Loading...</p>}
+                    {!loading && notifications.length === 0 && (
+                        <p class="notification-empty">No notifications yet. New episodes of your favorite shows will show up here.</p>
+                    )}
+                    {!loading && notifications.map(notification => (
+                        <div
+                            key={notification.id}
+                            class={`notification-item ${notification.read_at ? '' : 'unread'}`}
+                            onClick={() => openNotification(notification)}
+                        >
+                            {notification.poster_path && (
+                                <img
+                                    class="notification-poster"
+                                    src={getProxiedImageUrl(notification.poster_path, { width: 92, format: 'webp' })}
+                                    alt=""
+                                    loading="lazy"
+                                />
+                            )}
+                            <div class="notification-text">
+                                <span class="notification-title">{notification.title}</span>
+                                <span class="notification-episode">
+                                    {episodeLabel(notification)} is out{notification.episode_name ? ` · ${notification.episode_name}` : ''}
+                                </span>
+                            </div>
+                            <button
+                                class="notification-mute"
+                                onClick={(event) => muteSeries(event, notification)}
+                                title="Stop notifications for this show"
+                            >
+                                Mute
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NotificationBell;
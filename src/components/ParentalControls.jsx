@@ -0,0 +1,94 @@
+import { h } from 'preact';
+import { useState, useEffect } from 'preact/hooks';
+import { getParentalControls, setParentalPin, removeParentalPin } from '../utils/parental';
+import toast from './Toast';
+import './ParentalControls.css';
+
+const PIN_INPUT = { type: 'password', inputMode: 'numeric', pattern: '\\d{4}', maxLength: 4, autoComplete: 'off' };
+
+// Set, change or remove the parental PIN
+const ParentalControls = () => {
+    const [pinSet, setPinSet] = useState(null);
+    const [currentPin, setCurrentPin] = useState('');
+    const [newPin, setNewPin] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    useEffect(() => {
+        getParentalControls()
+            .then(data => setPinSet(data.pin_set))
+            .catch(error => {
+                console.error('Error loading parental controls:', error);
+                setPinSet(false);
+            });
+    }, []);
+
+    const run = async (action, message) => {
+        setBusy(true);
+        try {
+            const data = await action();
+            setPinSet(data.pin_set);
+            setCurrentPin('');
+            setNewPin('');
+            toast.success(message);
+        } catch (error) {
+            toast.error(error.message);
+        }
+        setBusy(false);
+    };
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        run(() => setParentalPin(newPin, pinSet ? currentPin : undefined), pinSet ? 'PIN changed.' : 'PIN set.');
+    };
+
+    const handleRemove = () => {
+        if (!window.confirm('Remove the PIN? Anyone using this account could then change profile ratings.')) return;
+        run(() => removeParentalPin(currentPin), 'PIN removed.');
+    };
+
+    return (
+        <section class="parental-controls">
+            <h2>Parental Controls</h2>
+            <p class="parental-controls-hint">
+                Each profile only sees titles up to its maturity rating. With a PIN set, ratings can only
+                be changed with the PIN, and a title above a profile's rating needs it to play.
+            </p>
+            {pinSet === null ? (
+                <p class="parental-controls-hint">Loading...</p>
+            ) : (
+                <form class="parental-controls-form" onSubmit={handleSave}>
+                    {pinSet && (
+                        <input
+                            class="input-field"
+                            {...PIN_INPUT}
+                            value={currentPin}
+                            onInput={(e) => setCurrentPin(e.target.value)}
+                            placeholder="Current PIN"
+                            aria-label="Current PIN"
+                        />
+                    )}
+                    <input
+                        class="input-field"
+                        {...PIN_INPUT}
+                        value={newPin}
+                        onInput={(e) => setNewPin(e.target.value)}
+                        placeholder={pinSet ? 'New PIN' : 'Four-digit PIN'}
+                        aria-label="New PIN"
+                    />
+                    <div class="parental-controls-actions">
+                        <button type="submit" disabled={busy || newPin.length !== 4 || (pinSet && currentPin.length !== 4)}>
+                            {pinSet ? 'Change PIN' : 'Set PIN'}
+                        </button>
+                        {pinSet && (
+                            <button type="button" class="parental-controls-secondary" onClick={handleRemove} disabled={busy || currentPin.length !== 4}>
+                                Remove PIN
+                            </button>
+                        )}
+                    </div>
+                </form>
+            )}
+        </section>
+    );
+};
+
+export default ParentalControls;
@@ -0,0 +1,62 @@
+import { h } from 'preact';
+import { useState, useEffect } from 'preact/hooks';
+import { useAuth } from '../context/Auth';
+import { useStore } from '../store';
+import { subscribePendingProgress } from '../utils/progressOutbox';
+import { syncOfflineProgress } from '../utils/watchHistory';
+import toast from './Toast';
+import './PendingSync.css';
+
+// Watch progress saved on this device but not yet in the database. Replays
+// the queue on load and whenever the browser comes back online; the service
+// worker does the same in the background where Background Sync exists.
+const PendingSync = () => {
+    const { user } = useAuth();
+    const fetchContinueWatching = useStore((state) => state.fetchContinueWatching);
+    const [pending, setPending] = useState(0);
+    const [syncing, setSyncing] = useState(false);
+
+    useEffect(() => (user ? subscribePendingProgress(user.id, setPending) : undefined), [user]);
+
+    const sync = async ({ announce = false } = {}) => {
+        if (!user || !navigator.onLine) return;
+        setSyncing(true);
+        const result = await syncOfflineProgress(user.id);
+        setSyncing(false);
+        if (result?.applied) {
+            fetchContinueWatching();
+        }
+        if (announce) {
+            if (!result || result.pending) {
+                toast.error('Some progress could not be synced yet. It stays on this device until it can.');
+            } else {
+                toast.success('Watch progress synced.');
+            }
+        }
+    };
+
+    useEffect(() => {
+        if (!user) return undefined;
+        sync();
+        const handleOnline = () => sync();
+        window.addEventListener('online', handleOnline);
+        return () => window.removeEventListener('online', handleOnline);
+    }, [user]);
+
+    if (!user || pending === 0) return null;
+
+    return (
+        <button
+            type="button"
+            class="pending-sync"
+            onClick={() => sync({ announce: true })}
+            disabled={syncing}
+            title="Watch progress saved on this device that hasn't reached your account yet. Click to sync now."
+        >
+            <span class={`pending-sync-icon ${syncing ? 'spinning' : ''}`} aria-hidden="true">⟳</span>
+            {pending} pending sync
+        </button>
+    );
+};
+
+export default PendingSync;
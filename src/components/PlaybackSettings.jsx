@@ -0,0 +1,50 @@
+import { h } from 'preact';
+import { useStore } from '../store';
+import { DEFAULT_BINGE_SETTINGS } from '../utils/binge';
+import './PlaybackSettings.css';
+
+const STILL_WATCHING_OPTIONS = [
+    { value: 2, label: 'After 2 episodes' },
+    { value: 3, label: 'After 3 episodes' },
+    { value: 5, label: 'After 5 episodes' },
+    { value: 0, label: 'Never' }
+];
+
+// Binge mode settings, kept on this device
+const PlaybackSettings = () => {
+    const bingeSettings = { ...DEFAULT_BINGE_SETTINGS, ...useStore(state => state.bingeSettings) };
+    const setBingeSettings = useStore(state => state.setBingeSettings);
+
+    return (
+        <section class="playback-settings">
+            <h2>Playback</h2>
+            <p class="playback-settings-hint">
+                When an episode's credits start, the next one plays after a short countdown, rolling over
+                into the next season. These settings apply to this device.
+            </p>
+            <label class="playback-settings-row">
+                <input
+                    type="checkbox"
+                    checked={bingeSettings.autoplay}
+                    onChange={(e) => setBingeSettings({ autoplay: e.target.checked })}
+                />
+                Play the next episode automatically
+            </label>
+            <label class="playback-settings-row">
+                Ask "Are you still watching?"
+                <select
+                    class="input-field"
+                    value={bingeSettings.stillWatchingAfter}
+                    disabled={!bingeSettings.autoplay}
+                    onChange={(e) => setBingeSettings({ stillWatchingAfter: Number(e.target.value) })}
+                >
+                    {STILL_WATCHING_OPTIONS.map(({ value, label }) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+            </label>
+        </section>
+    );
+};
+
+export default PlaybackSettings;
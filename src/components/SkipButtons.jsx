@@ -0,0 +1,25 @@
+import { h } from 'preact';
+import './SkipButtons.css';
+
+// Sits over the player: Skip Intro while the intro plays, Next Episode once
+// the credits roll or the episode ends. `phase` comes from the episode's
+// markers and the player's events.
+const SkipButtons = ({ phase, canSkipIntro, onSkipIntro, onNextEpisode }) => {
+    if (phase === 'intro' && canSkipIntro) {
+        return (
+            <button type="button" class="skip-button" onClick={onSkipIntro}>
+                Skip Intro
+            </button>
+        );
+    }
+    if ((phase === 'credits' || phase === 'ended') && onNextEpisode) {
+        return (
+            <button type="button" class="skip-button" onClick={onNextEpisode}>
+                Next Episode ▸
+            </button>
+        );
+    }
+    return null;
+};
+
+export default SkipButtons;
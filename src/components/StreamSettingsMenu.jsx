@@ -0,0 +1,72 @@
+import { h } from 'preact';
+import { useState } from 'preact/hooks';
+import { AUTO_QUALITY } from '../utils/playbackEngine';
+import './StreamSettingsMenu.css';
+
+// The gear over a direct source's player: the stream's quality ladder and
+// its audio tracks. `playback` is the playback engine's state.
+const StreamSettingsMenu = ({ playback, onQualityChange, onAudioTrackChange }) => {
+    const [open, setOpen] = useState(false);
+    const { qualities, quality, playingQuality, audioTracks, audioTrack } = playback;
+
+    if (qualities.length < 2 && audioTracks.length < 2) return null;
+
+    const playing = qualities.find(option => option.id === playingQuality);
+
+    return (
+        <div class="stream-settings-menu">
+            <button
+                type="button"
+                class="stream-settings-toggle"
+                onClick={() => setOpen(!open)}
+                aria-expanded={open}
+                title="Quality and audio"
+            >
+                <i class="fas fa-cog"></i>
+            </button>
+            {open && (
+                <div class="stream-settings-panel">
+                    {qualities.length > 1 && (
+                        <div class="stream-settings-section">
+                            <h3>Quality</h3>
+                            <button
+                                type="button"
+                                class={quality === AUTO_QUALITY ? 'selected' : ''}
+                                onClick={() => onQualityChange(AUTO_QUALITY)}
+                            >
+                                Auto{quality === AUTO_QUALITY && playing ? ` (${playing.label})` : ''}
+                            </button>
+                            {qualities.map(option => (
+                                <button
+                                    key={option.id}
+                                    type="button"
+                                    class={quality === option.id ? 'selected' : ''}
+                                    onClick={() => onQualityChange(option.id)}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    {audioTracks.length > 1 && (
+                        <div class="stream-settings-section">
+                            <h3>Audio</h3>
+                            {audioTracks.map(track => (
+                                <button
+                                    key={track.id}
+                                    type="button"
+                                    class={audioTrack === track.id ? 'selected' : ''}
+                                    onClick={() => onAudioTrackChange(track.id)}
+                                >
+                                    {track.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default StreamSettingsMenu;
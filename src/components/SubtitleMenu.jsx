@@ -0,0 +1,81 @@
+import { h } from 'preact';
+import { useState } from 'preact/hooks';
+import { SUBTITLE_OFFSET_STEP, getLanguageName } from '../utils/subtitles';
+import './SubtitleMenu.css';
+
+const formatOffset = (offset) => `${offset > 0 ? '+' : ''}${offset.toFixed(1)}s`;
+
+// The CC button over a direct source's player: pick a subtitle track or turn
+// them off, and nudge their timing when they run early or late. Tracks from
+// the stream itself are listed first and are already in time.
+const SubtitleMenu = ({ results, loading, error, active, offset, onSelect, onOffsetChange }) => {
+    const [open, setOpen] = useState(false);
+
+    const select = (subtitle) => {
+        onSelect(subtitle);
+        setOpen(false);
+    };
+
+    return (
+        <div class="subtitle-menu">
+            <button
+                type="button"
+                class={active ? 'subtitle-menu-toggle active' : 'subtitle-menu-toggle'}
+                onClick={() => setOpen(!open)}
+                aria-expanded={open}
+                title="Subtitles"
+            >
+                CC
+            </button>
+            {open && (
+                <div class="subtitle-menu-panel">
+                    <ul class="subtitle-menu-tracks">
+                        <li>
+                            <button type="button" class={!active ? 'selected' : ''} onClick={() => select(null)}>
+                                Off
+                            </button>
+                        </li>
+                        {results.map(subtitle => (
+                            <li key={subtitle.id}>
+                                <button
+                                    type="button"
+                                    class={active?.id === subtitle.id ? 'selected' : ''}
+                                    onClick={() => select(subtitle)}
+                                    title={subtitle.label}
+                                >
+                                    <span class="subtitle-menu-language">
+                                        {getLanguageName(subtitle.language) || subtitle.label}
+                                        {subtitle.provider === 'stream' && <span class="subtitle-menu-tag">Stream</span>}
+                                        {subtitle.hearingImpaired && <span class="subtitle-menu-tag">SDH</span>}
+                                    </span>
+                                    <span class="subtitle-menu-release">{subtitle.label}</span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                    {loading && <p class="subtitle-menu-note">Searching for subtitles...</p>}
+                    {!loading && error && <p class="subtitle-menu-note">{error}</p>}
+                    {!loading && !error && results.length === 0 && <p class="subtitle-menu-note">No subtitles found.</p>}
+                    {active && active.provider !== 'stream' && (
+                        <div class="subtitle-menu-sync">
+                            <span>Sync</span>
+                            <button type="button" onClick={() => onOffsetChange(offset - SUBTITLE_OFFSET_STEP)} title="Show subtitles earlier">
+                                −{SUBTITLE_OFFSET_STEP}s
+                            </button>
+                            <span class="subtitle-menu-offset">{formatOffset(offset)}</span>
+                            <button type="button" onClick={() => onOffsetChange(offset + SUBTITLE_OFFSET_STEP)} title="Show subtitles later">
+                                +{SUBTITLE_OFFSET_STEP}s
+                            </button>
+                            <button type="button" onClick={() => onOffsetChange(0)} disabled={offset === 0}>
+                                Reset
+                            </button>
+                        </div>
+                    )}
+                    <a class="subtitle-menu-settings" href="/profile">Subtitle settings</a>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SubtitleMenu;
@@ -0,0 +1,30 @@
+import { h } from 'preact';
+import { parseCueText } from '../utils/subtitles';
+import './SubtitleOverlay.css';
+
+const renderRun = (run, index) => {
+    if (run.text === '\n') return <br key={index} />;
+    let content = run.text;
+    if (run.underline) content = <u>{content}</u>;
+    if (run.bold) content = <b>{content}</b>;
+    if (run.italic) content = <i>{content}</i>;
+    return <span key={index}>{content}</span>;
+};
+
+// Draws the active subtitle cues over the player. Cue text is rendered as
+// text, never as HTML; only <i>, <b> and <u> survive.
+const SubtitleOverlay = ({ cues, settings }) => {
+    if (!cues || cues.length === 0) return null;
+
+    return (
+        <div class={`subtitle-overlay subtitle-size-${settings.size} subtitle-background-${settings.background}`} aria-live="off">
+            {cues.map((text, index) => (
+                <div key={index} class="subtitle-cue">
+                    <span class="subtitle-cue-text">{parseCueText(text).map(renderRun)}</span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default SubtitleOverlay;
@@ -0,0 +1,116 @@
+import { h } from 'preact';
+import { useState } from 'preact/hooks';
+import { useAuth } from '../context/Auth';
+import { useStore } from '../store';
+import { updateViewerProfile } from '../utils/viewerProfiles';
+import {
+    SUBTITLE_LANGUAGES,
+    MAX_SUBTITLE_LANGUAGES,
+    DEFAULT_SUBTITLE_SETTINGS,
+    getLanguageName
+} from '../utils/subtitles';
+import SubtitleOverlay from './SubtitleOverlay';
+import toast from './Toast';
+import './SubtitleSettings.css';
+
+const CHOICE_LABELS = ['First choice', 'Second choice', 'Third choice'];
+
+const SIZE_OPTIONS = [
+    { value: 'small', label: 'Small' },
+    { value: 'medium', label: 'Medium' },
+    { value: 'large', label: 'Large' }
+];
+
+const BACKGROUND_OPTIONS = [
+    { value: 'shadow', label: 'Outline' },
+    { value: 'box', label: 'Dark box' }
+];
+
+// Subtitle languages for the active viewer profile, and how captions look
+// on this device
+const SubtitleSettings = () => {
+    const { user } = useAuth();
+    const profile = useStore(state => state.activeViewerProfile);
+    const fetchViewerProfiles = useStore(state => state.fetchViewerProfiles);
+    const subtitleSettings = { ...DEFAULT_SUBTITLE_SETTINGS, ...useStore(state => state.subtitleSettings) };
+    const setSubtitleSettings = useStore(state => state.setSubtitleSettings);
+    const [saving, setSaving] = useState(false);
+
+    const languages = profile?.subtitle_languages || [];
+
+    const setLanguage = async (index, code) => {
+        const next = [...languages];
+        next[index] = code;
+        const cleaned = next.filter((language, i) => language && next.indexOf(language) === i);
+
+        setSaving(true);
+        try {
+            await updateViewerProfile(profile.id, { subtitle_languages: cleaned });
+            await fetchViewerProfiles(user.id);
+        } catch (error) {
+            console.error('Error saving subtitle languages:', error);
+            toast.error(error.message || 'Could not save the subtitle languages.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Each choice after the first appears once the one before it is set
+    const choices = Array.from({ length: Math.min(languages.length + 1, MAX_SUBTITLE_LANGUAGES) }, (_, i) => i);
+
+    return (
+        <section class="subtitle-settings">
+            <h2>Subtitles</h2>
+            <p class="subtitle-settings-hint">
+                {profile
+                    ? `Subtitles in ${profile.name}'s languages turn on by themselves for direct sources. Embedded players have their own.`
+                    : 'Choose a viewer profile to set its subtitle languages.'}
+            </p>
+            {profile && choices.map(index => (
+                <label key={index} class="subtitle-settings-row">
+                    {CHOICE_LABELS[index]}
+                    <select
+                        class="input-field"
+                        value={languages[index] || ''}
+                        disabled={saving}
+                        onChange={(e) => setLanguage(index, e.target.value)}
+                    >
+                        <option value="">{index === 0 ? 'Off' : 'None'}</option>
+                        {SUBTITLE_LANGUAGES.map(code => (
+                            <option key={code} value={code}>{getLanguageName(code)}</option>
+                        ))}
+                    </select>
+                </label>
+            ))}
+            <label class="subtitle-settings-row">
+                Text size
+                <select
+                    class="input-field"
+                    value={subtitleSettings.size}
+                    onChange={(e) => setSubtitleSettings({ size: e.target.value })}
+                >
+                    {SIZE_OPTIONS.map(({ value, label }) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+            </label>
+            <label class="subtitle-settings-row">
+                Background
+                <select
+                    class="input-field"
+                    value={subtitleSettings.background}
+                    onChange={(e) => setSubtitleSettings({ background: e.target.value })}
+                >
+                    {BACKGROUND_OPTIONS.map(({ value, label }) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+            </label>
+            <div class="subtitle-settings-preview">
+                <SubtitleOverlay cues={['<i>See you,</i> space cowboy...']} settings={subtitleSettings} />
+            </div>
+        </section>
+    );
+};
+
+export default SubtitleSettings;
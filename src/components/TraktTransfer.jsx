@@ -0,0 +1,67 @@
+import { h } from 'preact';
+import { useState, useRef } from 'preact/hooks';
+import { useStore } from '../store';
+import { readTraktFile, importTraktItems, downloadTraktExport } from '../utils/trakt';
+import toast from './Toast';
+import './TraktTransfer.css';
+
+// Import a Trakt export file into watch history, or export history and
+// unfinished progress as Trakt JSON
+const TraktTransfer = ({ onImported }) => {
+    const fetchContinueWatching = useStore((state) => state.fetchContinueWatching);
+    const fileInput = useRef(null);
+    const [busy, setBusy] = useState(null);
+    const [status, setStatus] = useState('');
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setBusy('import');
+        try {
+            const items = await readTraktFile(file);
+            setStatus(`Importing 0 of ${items.length}...`);
+            const report = await importTraktItems(items, (done) => setStatus(`Importing ${done} of ${items.length}...`));
+
+            const skipped = report.duplicates + report.unmatched + report.invalid;
+            setStatus(`Imported ${report.history} watched and ${report.progress} in progress${skipped > 0 ? `, skipped ${skipped}` : ''}.`);
+            toast.success('Trakt history imported.');
+            fetchContinueWatching();
+            onImported?.();
+        } catch (error) {
+            setStatus('');
+            toast.error(`Import failed: ${error.message}`);
+        }
+        setBusy(null);
+    };
+
+    const handleExport = async (kind) => {
+        setBusy(kind);
+        try {
+            const count = await downloadTraktExport(kind);
+            setStatus(`Exported ${count} ${kind === 'history' ? 'watched items' : 'items in progress'}.`);
+        } catch (error) {
+            toast.error(`Export failed: ${error.message}`);
+        }
+        setBusy(null);
+    };
+
+    return (
+        <div class="trakt-transfer">
+            <input ref={fileInput} type="file" accept="application/json,.json" onChange={handleFile} hidden />
+            <button onClick={() => fileInput.current.click()} disabled={busy !== null}>
+                {busy === 'import' ? 'Importing...' : 'Import from Trakt'}
+            </button>
+            <button onClick={() => handleExport('history')} disabled={busy !== null}>
+                Export history
+            </button>
+            <button onClick={() => handleExport('playback')} disabled={busy !== null}>
+                Export progress
+            </button>
+            {status && <span class="trakt-transfer-status">{status}</span>}
+        </div>
+    );
+};
+
+export default TraktTransfer;
@@ -0,0 +1,21 @@
+import { h } from 'preact';
+import { getProxiedImageUrl } from '../config';
+import './ViewerProfileAvatar.css';
+
+// A viewer profile's picture, or the first letter of its name without one.
+const ViewerProfileAvatar = ({ profile, size = 96 }) => (
+    profile?.avatar_url ? (
+        <img
+            class="viewer-profile-avatar"
+            src={getProxiedImageUrl(profile.avatar_url)}
+            alt=""
+            style={{ width: size, height: size }}
+        />
+    ) : (
+        <span class="viewer-profile-avatar viewer-profile-initial" style={{ width: size, height: size, fontSize: size * 0.45 }}>
+            {(profile?.name || '?').charAt(0).toUpperCase()}
+        </span>
+    )
+);
+
+export default ViewerProfileAvatar;
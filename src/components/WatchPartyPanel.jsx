@@ -0,0 +1,85 @@
+import { h } from 'preact';
+import { useState, useEffect, useRef } from 'preact/hooks';
+import './WatchPartyPanel.css';
+
+const STATUS_LABELS = {
+    connecting: 'Connecting…',
+    open: 'Connected',
+    reconnecting: 'Reconnecting…',
+    closed: 'Disconnected'
+};
+
+// The sidebar next to the player while in a watch party: who is here, the
+// invite link and the chat. Playback itself is kept in step by the Watch page.
+const WatchPartyPanel = ({ party, status, canSync, onSend, onCopyLink, onLeave, onBackToParty }) => {
+    const [draft, setDraft] = useState('');
+    const chatRef = useRef(null);
+    const messages = party?.messages || [];
+
+    useEffect(() => {
+        if (chatRef.current) chatRef.current.scrollTop = chatRef.current.scrollHeight;
+    }, [messages.length]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!draft.trim()) return;
+        onSend(draft);
+        setDraft('');
+    };
+
+    return (
+        <aside class="watch-party-panel" aria-label="Watch party">
+            <header class="watch-party-header">
+                <h2>Watch party</h2>
+                <span class={`watch-party-status ${status}`}>{STATUS_LABELS[status]}</span>
+            </header>
+            <div class="watch-party-actions">
+                <button type="button" onClick={onCopyLink}>Copy invite link</button>
+                <button type="button" onClick={onLeave}>Leave</button>
+            </div>
+            {!canSync && (
+                <p class="watch-party-note">
+                    This server can't be kept in step with the others. Pick another one below.
+                </p>
+            )}
+            {onBackToParty && (
+                <button type="button" class="watch-party-back" onClick={onBackToParty}>
+                    Back to the party's episode
+                </button>
+            )}
+            {party && (
+                <ul class="watch-party-people">
+                    {party.participants.map(participant => (
+                        <li key={participant.id}>
+                            {participant.name}
+                            {participant.host && <span class="watch-party-tag">host</span>}
+                            {participant.id === party.you.id && <span class="watch-party-tag">you</span>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <ol class="watch-party-chat" ref={chatRef}>
+                {messages.length === 0 && <li class="watch-party-empty">No messages yet.</li>}
+                {messages.map(message => (
+                    <li key={message.id}>
+                        <strong>{message.name}</strong> {message.text}
+                    </li>
+                ))}
+            </ol>
+            <form class="watch-party-form" onSubmit={handleSubmit}>
+                <input
+                    class="input-field"
+                    type="text"
+                    value={draft}
+                    maxLength={500}
+                    placeholder="Say something…"
+                    disabled={status !== 'open'}
+                    onInput={(e) => setDraft(e.target.value)}
+                />
+                <button type="submit" disabled={status !== 'open' || !draft.trim()}>Send</button>
+            </form>
+        </aside>
+    );
+};
+
+export default WatchPartyPanel;
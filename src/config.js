@@ -1,5 +1,7 @@
 // config.js
 
+import { getCurrentTheme } from './utils/themeUtils';
+
 // The client-side application now communicates with our own backend proxy.
 // The proxy is responsible for securely adding the API key to requests.
 // The API key is no longer stored on the client.
@@ -39,32 +41,35 @@ export const DEFAULT_ANIME_PROVIDER = import.meta.env.VITE_DEFAULT_ANIME_PROVIDE
 
 export const API_BASE_URL = getApiBaseUrl();
 
-export function getProxiedImageUrl(url) {
+// Route an image through the API's image proxy. `width` asks the proxy for a
+// smaller rendition and `format: 'webp'` re-encodes it; both are optional.
+export function getProxiedImageUrl(url, { width, format } = {}) {
   if (!url) return '';
   
-  // Check if this is an AniList URL (either direct or with our special prefix)
-  if (url.includes('anilist.co') || url.includes('anilistcdn') || url.includes('anili.st')) {
-    return `${API_BASE_URL}/image-proxy?url=${encodeURIComponent(url)}`;
+  // Placeholders are rendered by the proxy itself in the current theme
+  if (url.startsWith('/placeholder/')) {
+    return `${API_BASE_URL}/image-proxy?${new URLSearchParams({ url, theme: getCurrentTheme() })}`;
   }
-  
-  // Check if this is our special format for AniList images
+
+  let target;
   if (url.startsWith('/anilist_images/')) {
-    const actualImageUrl = decodeURIComponent(url.substring('/anilist_images/'.length));
-    return `${API_BASE_URL}/image-proxy?url=${encodeURIComponent(actualImageUrl)}`;
-  }
-  
-  // Check if this is a Shikimori image URL
-  if (url.startsWith('/system/')) {
-    return `${API_BASE_URL}/image-proxy?url=${encodeURIComponent(`${SHIKIMORI_IMAGE_BASE_URL}${url}`)}`;
+    // Our special format for AniList images
+    target = decodeURIComponent(url.substring('/anilist_images/'.length));
+  } else if (url.startsWith('/system/')) {
+    // Shikimori image paths
+    target = `${SHIKIMORI_IMAGE_BASE_URL}${url}`;
+  } else if (url.startsWith('http')) {
+    // AniList and other full http/https URLs
+    target = url;
+  } else {
+    // For TMDB relative paths, prepend the TMDB base URL
+    target = `${IMAGE_BASE_URL}${url}`;
   }
-  
-  // For regular http/https URLs
-  if (url.startsWith('http')) {
-    return `${API_BASE_URL}/image-proxy?url=${encodeURIComponent(url)}`;
-  }
-  
-  // For TMDB relative paths, prepend the TMDB base URL
-  return `${API_BASE_URL}/image-proxy?url=${encodeURIComponent(`${IMAGE_BASE_URL}${url}`)}`;
+
+  const params = new URLSearchParams({ url: target });
+  if (width) params.set('w', width);
+  if (format) params.set('format', format);
+  return `${API_BASE_URL}/image-proxy?${params}`;
 }
 
 // Convert Shikimori anime object to our standardized format
@@ -2,6 +2,8 @@ import { createContext } from 'preact';
 import { useContext, useState, useEffect, useCallback } from 'preact/hooks';
 import { supabase } from '../supabase';
 import { BlogAPI } from '../utils/blogApi';
+import { saveViewerProfileId } from '../utils/viewerProfiles';
+import { forgetOutboxSession } from '../utils/progressOutbox';
 
 const AuthContext = createContext();
 
@@ -177,6 +179,12 @@ export function AuthProvider({ children }) {
   const signOut = async () => {
     try {
       console.log('Auth: Starting signOut process');
+      // The next person on this device picks their own profile
+      if (user) {
+        saveViewerProfileId(user.id, null);
+      }
+      // Queued progress stays, but the service worker loses the token
+      await forgetOutboxSession().catch(() => {});
       const { error } = await supabase.auth.signOut();
       if (error) {
         console.error('Auth: Error during sign out:', error);
@@ -2,4 +2,13 @@ import { render } from 'preact';
 import App from './App';
 import './index.css'; // We'll create this file next
 
-render(<App />, document.getElementById('app')); 
\ No newline at end of file
+render(<App />, document.getElementById('app')); 
+
+// Replays watch progress queued while offline (see public/sw.js)
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch((error) => {
+            console.warn('Service worker registration failed:', error);
+        });
+    });
+}
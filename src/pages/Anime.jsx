@@ -7,6 +7,7 @@ import AnimeCard from '../components/AnimeCard';
 import { getLastWatchedEpisodeWithProgress } from '../utils/watchHistory';
 import { useAuth } from '../context/Auth';
 import { API_BASE_URL } from '../config';
+import { getViewerHeaders } from '../utils/authFetch';
 import LoadingSpinner from '../components/LoadingSpinner';
 import './Home.css';
 import './Anime.css';
@@ -37,7 +38,7 @@ const Anime = () => {
 
     const fetchCombinedAnimeData = useCallback(async (retries = 3) => {
 	    try {
-            const response = await fetch(`${API_BASE_URL}/trending/anime/combined`);
+            const response = await fetch(`${API_BASE_URL}/trending/anime/combined`, { headers: await getViewerHeaders() });
 	        if (!response.ok) {
                 throw new Error(`API error: ${response.status}`);
 	        }
@@ -0,0 +1,160 @@
+import { h } from 'preact';
+import './Calendar.css';
+import Helmet from 'preact-helmet';
+import { Link } from 'preact-router/match';
+import { useState, useEffect, useCallback } from 'preact/hooks';
+import { getProxiedImageUrl } from '../config';
+import { getPlaceholderDataUri } from '../utils/placeholders';
+import { getCurrentTheme } from '../utils/themeUtils';
+import { authFetch } from '../utils/authFetch';
+import toast from '../components/Toast';
+
+const SCHEDULE_DAYS = 14;
+
+// YYYY-MM-DD of an instant in the viewer's own timezone
+const localDayKey = (date) => date.toLocaleDateString('en-CA');
+
+// Timed airings land on the viewer's local day; TMDB only has a date, which is kept as is
+const dayKeyOf = (item) => (item.airing_at ? localDayKey(new Date(item.airing_at)) : item.air_date);
+
+const groupByDay = (items) => {
+    const days = new Map();
+    items.forEach(item => {
+        const key = dayKeyOf(item);
+        if (!days.has(key)) days.set(key, []);
+        days.get(key).push(item);
+    });
+    return [...days.entries()].sort(([a], [b]) => a.localeCompare(b));
+};
+
+const formatDayHeading = (key) => {
+    const today = new Date();
+    const tomorrow = new Date(today);
+    tomorrow.setDate(today.getDate() + 1);
+    const [year, month, day] = key.split('-').map(Number);
+    const label = new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' });
+
+    if (key === localDayKey(today)) return `Today · ${label}`;
+    if (key === localDayKey(tomorrow)) return `Tomorrow · ${label}`;
+    return label;
+};
+
+const episodeLabel = (item) => (item.season_number
+    ? `S${item.season_number} E${item.episode_number}`
+    : `Episode ${item.episode_number}`);
+
+const watchUrl = (item) => `/watch/${item.media_type}/${item.media_id}/season/${item.season_number || 1}/episode/${item.episode_number}`;
+
+const ScheduleItem = ({ item }) => {
+    const fallback = getPlaceholderDataUri({ seed: item.media_id, title: item.title, theme: getCurrentTheme() });
+    return (
+        <Link href={watchUrl(item)} class="schedule-item">
+            <img
+                class="schedule-poster"
+                src={item.poster_path ? getProxiedImageUrl(item.poster_path, { width: 92, format: 'webp' }) : fallback}
+                alt=""
+                loading="lazy"
+                onError={(e) => { e.target.onerror = null; e.target.src = fallback; }}
+            />
+            <div class="schedule-info">
+                <span class="schedule-time">
+                    {item.airing_at
+                        ? new Date(item.airing_at).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })
+                        : 'Time TBA'}
+                </span>
+                <span class="schedule-title">{item.title}</span>
+                <span class="schedule-episode">
+                    {episodeLabel(item)}{item.episode_name ? ` · ${item.episode_name}` : ''}
+                </span>
+            </div>
+            <span class={`schedule-type schedule-type-${item.media_type}`}>{item.media_type === 'anime' ? 'Anime' : 'TV'}</span>
+        </Link>
+    );
+};
+
+const Calendar = () => {
+    const [schedule, setSchedule] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const fetchSchedule = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            setSchedule(await authFetch(`/schedule?days=${SCHEDULE_DAYS}`));
+        } catch (err) {
+            console.error('Error fetching airing schedule:', err);
+            setError('Failed to load the airing schedule. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchSchedule();
+    }, [fetchSchedule]);
+
+    const copyFeedUrl = async () => {
+        try {
+            await navigator.clipboard.writeText(schedule.feed_url);
+            toast.success('Calendar feed link copied. Add it to your calendar app as a subscription.');
+        } catch {
+            toast.error('Could not copy the link.');
+        }
+    };
+
+    if (loading) {
+        return <div class="container"><p>Loading airing schedule...</p></div>;
+    }
+
+    const days = schedule ? groupByDay(schedule.items) : [];
+
+    return (
+        <div class="container calendar-page">
+            <Helmet>
+                <title>Airing Calendar - Fylm</title>
+            </Helmet>
+            <div class="calendar-header">
+                <h1>Airing Calendar</h1>
+                {schedule?.feed_url && (
+                    <div class="calendar-feed">
+                        <a class="calendar-feed-btn" href={schedule.feed_url.replace(/^https?:/, 'webcal:')}>Subscribe</a>
+                        <a class="calendar-feed-btn secondary" href={schedule.feed_url} download="fylm-schedule.ics">Download .ics</a>
+                        <button class="calendar-feed-btn secondary" onClick={copyFeedUrl}>Copy link</button>
+                    </div>
+                )}
+            </div>
+            <p class="calendar-subtitle">
+                New episodes of your favorite anime and TV shows in the next {SCHEDULE_DAYS} days, in your local time.
+            </p>
+
+            {error && (
+                <div class="error-message">
+                    <p>{error}</p>
+                    <button onClick={fetchSchedule} class="retry-button">Retry</button>
+                </div>
+            )}
+
+            {schedule?.errors?.length > 0 && (
+                <p class="calendar-warning">Some schedules could not be loaded right now, so this list may be incomplete.</p>
+            )}
+
+            {schedule && days.length === 0 && (
+                <p>Nothing from your favorites airs in the next {SCHEDULE_DAYS} days. Add airing anime or TV shows to your favorites to see them here.</p>
+            )}
+
+            {days.map(([key, items]) => (
+                <section class="schedule-day" key={key}>
+                    <h2 class="schedule-day-heading">{formatDayHeading(key)}</h2>
+                    <div class="schedule-list">
+                        {items.map(item => (
+                            <ScheduleItem key={`${item.media_type}-${item.media_id}-${item.season_number}-${item.episode_number}`} item={item} />
+                        ))}
+                    </div>
+                </section>
+            ))}
+        </div>
+    );
+};
+
+export default Calendar;
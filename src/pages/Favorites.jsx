@@ -6,11 +6,14 @@ import { useStore } from '../store';
 import { useAuth } from '../context/Auth';
 import MovieCard from '../components/MovieCard';
 import { getProgressForHistoryItems } from '../utils/watchHistory';
+import { getMutedSeries, setSeriesMuted, seriesKey } from '../utils/notifications';
+import toast from '../components/Toast';
 
 const Favorites = () => {
     const { user } = useAuth();
     const favorites = useStore((state) => state.favorites);
     const [progressData, setProgressData] = useState({});
+    const [mutedSeries, setMutedSeries] = useState(new Set());
 
     useEffect(() => {
         document.title = 'My Favorites - Fylm';
@@ -43,6 +46,31 @@ const Favorites = () => {
         fetchProgressData();
     }, [user, favorites]);
 
+    useEffect(() => {
+        if (user) {
+            getMutedSeries(user.id).then(setMutedSeries);
+        }
+    }, [user]);
+
+    // One entry per followed series, even when single episodes are favorited too
+    const series = favorites
+        .filter(item => item.type === 'tv' || item.type === 'anime')
+        .filter((item, index, all) => all.findIndex(other => other.type === item.type && other.id === item.id) === index);
+
+    const toggleMuted = async (item) => {
+        const key = seriesKey(item.type, item.id);
+        const muted = !mutedSeries.has(key);
+        const next = new Set(mutedSeries);
+        if (muted) next.add(key);
+        else next.delete(key);
+        setMutedSeries(next);
+
+        if (!await setSeriesMuted(user.id, item.type, item.id, muted)) {
+            setMutedSeries(mutedSeries);
+            toast.error('Could not update notifications for this show. Please try again.');
+        }
+    };
+
     return (
         <div class="container">
             <Helmet>
@@ -70,6 +98,29 @@ const Favorites = () => {
             ) : (
                 <p>You haven't added any favorites yet.</p>
             )}
+            {series.length > 0 && (
+                <section class="notification-settings">
+                    <h2>New-episode notifications</h2>
+                    <p class="notification-settings-hint">The bell in the header lets you know when a favorited show airs a new episode.</p>
+                    <ul class="notification-settings-list">
+                        {series.map(item => {
+                            const muted = mutedSeries.has(seriesKey(item.type, item.id));
+                            return (
+                                <li key={seriesKey(item.type, item.id)}>
+                                    <span>{item.name || item.title}</span>
+                                    <button
+                                        class={`notification-toggle ${muted ? 'muted' : ''}`}
+                                        onClick={() => toggleMuted(item)}
+                                        aria-pressed={!muted}
+                                    >
+                                        {muted ? 'Muted' : 'On'}
+                                    </button>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                </section>
+            )}
         </div>
     );
 };
@@ -7,6 +7,7 @@ import { getFullWatchHistory, deleteWatchItem, getBatchedWatchHistory } from '..
 import { useAuth } from '../context/Auth';
 import { API_BASE_URL } from '../config';
 import MovieCard from '../components/MovieCard';
+import TraktTransfer from '../components/TraktTransfer';
 import { useStore } from '../store';
 
 // Helper function to fetch with retry logic
@@ -172,6 +173,7 @@ const History = () => {
                 <title>Watch History - Fylm</title>
             </Helmet>
             <h1>Watch History</h1>
+            <TraktTransfer onImported={fetchHistory} />
             {history.length > 0 ? (
                 <>
                     <div class="movie-grid">
@@ -5,6 +5,7 @@ import MovieCard from '../components/MovieCard';
 import { getContinueWatching } from '../utils/watchHistory';
 import { useAuth } from '../context/Auth';
 import { API_BASE_URL } from '../config';
+import { getViewerHeaders } from '../utils/authFetch';
 import FeaturesShowcase from '../components/FeaturesShowcase';
 import LoadingSpinner from '../components/LoadingSpinner';
 import WelcomeMessage from '../components/WelcomeMessage';
@@ -28,6 +29,7 @@ const Home = (props) => {
         fetchUpcomingMovies,
         fetchNowPlayingMovies,
         fetchAiringTodayTv,
+        railsRating,
         continueWatching,
         continueWatchingFetched,
         fetchContinueWatching,
@@ -75,6 +77,7 @@ const Home = (props) => {
         }
     }, [activeStreamingService, mediaType]);
 
+    // Runs again when a profile switch empties the rails
     useEffect(() => {
         // Fetch initial data if not already in store
         fetchTrending();
@@ -85,7 +88,7 @@ const Home = (props) => {
         fetchUpcomingMovies();
         fetchNowPlayingMovies();
         fetchAiringTodayTv();
-    }, [fetchTrending, fetchPopularMovies, fetchPopularTv, fetchTopRatedMovies, fetchTopRatedTv, fetchUpcomingMovies, fetchNowPlayingMovies, fetchAiringTodayTv]);
+    }, [fetchTrending, fetchPopularMovies, fetchPopularTv, fetchTopRatedMovies, fetchTopRatedTv, fetchUpcomingMovies, fetchNowPlayingMovies, fetchAiringTodayTv, railsRating]);
 
     useEffect(() => {
         if (user && !continueWatchingFetched) {
@@ -163,12 +166,13 @@ const Home = (props) => {
         setLoadingGenre(true);
         try {
             let results = [];
+            const headers = await getViewerHeaders();
             
             if (mediaType === 'all') {
                 // For 'all' media type, fetch both movies and TV shows
                 const [movieResponse, tvResponse] = await Promise.all([
-                    fetch(`${API_BASE_URL}/tmdb/discover/movie?with_genres=${genreId}&sort_by=popularity.desc&page=1`),
-                    fetch(`${API_BASE_URL}/tmdb/discover/tv?with_genres=${genreId}&sort_by=popularity.desc&page=1`)
+                    fetch(`${API_BASE_URL}/tmdb/discover/movie?with_genres=${genreId}&sort_by=popularity.desc&page=1`, { headers }),
+                    fetch(`${API_BASE_URL}/tmdb/discover/tv?with_genres=${genreId}&sort_by=popularity.desc&page=1`, { headers })
                 ]);
                 
                 const movieData = await movieResponse.json();
@@ -184,7 +188,7 @@ const Home = (props) => {
                     .slice(0, 20); // Limit to 20 items
             } else {
                 // Use specific media type for discover endpoint
-                const response = await fetch(`${API_BASE_URL}/tmdb/discover/${mediaType}?with_genres=${genreId}&sort_by=popularity.desc&page=1`);
+                const response = await fetch(`${API_BASE_URL}/tmdb/discover/${mediaType}?with_genres=${genreId}&sort_by=popularity.desc&page=1`, { headers });
                 const data = await response.json();
                 results = (data.results || []).map(item => ({ ...item, media_type: mediaType }));
             }
@@ -227,14 +231,15 @@ const Home = (props) => {
             }
             
             let results = [];
+            const headers = await getViewerHeaders();
             
             if (mediaType === 'all') {
                 // For 'all' media type, try both movies and TV shows and combine results using TMDB Discover API
                 try {
                     console.log(`Fetching content for ${service} (${providerId}) - both movies and TV`);
                     const [movieResponse, tvResponse] = await Promise.all([
-                        fetch(`${API_BASE_URL}/tmdb/discover/movie?with_watch_providers=${providerId}&watch_region=US&sort_by=popularity.desc&page=1`),
-                        fetch(`${API_BASE_URL}/tmdb/discover/tv?with_watch_providers=${providerId}&watch_region=US&sort_by=popularity.desc&page=1`)
+                        fetch(`${API_BASE_URL}/tmdb/discover/movie?with_watch_providers=${providerId}&watch_region=US&sort_by=popularity.desc&page=1`, { headers }),
+                        fetch(`${API_BASE_URL}/tmdb/discover/tv?with_watch_providers=${providerId}&watch_region=US&sort_by=popularity.desc&page=1`, { headers })
                     ]);
                     
                     console.log(`Movie response status: ${movieResponse.status}, TV response status: ${tvResponse.status}`);
@@ -263,7 +268,7 @@ const Home = (props) => {
             } else {
                 // For specific media type, use that type with TMDB Discover API
                 console.log(`Fetching ${mediaType} content for ${service} (${providerId})`);
-                const response = await fetch(`${API_BASE_URL}/tmdb/discover/${mediaType}?with_watch_providers=${providerId}&watch_region=US&sort_by=popularity.desc&page=1`);
+                const response = await fetch(`${API_BASE_URL}/tmdb/discover/${mediaType}?with_watch_providers=${providerId}&watch_region=US&sort_by=popularity.desc&page=1`, { headers });
                 
                 console.log(`${mediaType} response status: ${response.status}`);
                 
@@ -56,6 +56,7 @@ const PrivacyPolicy = () => {
               <li>Opt out of certain communications</li>
               <li>Request a copy of your data</li>
             </ul>
+            <p>You can download a copy of your data or delete your account at any time from the "Your Data" section of your Profile page.</p>
           </section>
 
           <section style={{ marginBottom: '2rem' }}>
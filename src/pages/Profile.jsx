@@ -4,6 +4,11 @@ import { route } from 'preact-router';
 import { useAuth } from '../context/Auth';
 import { supabase } from '../supabase';
 import toast from '../components/Toast';
+import LinkedAccounts from '../components/LinkedAccounts';
+import AccountData from '../components/AccountData';
+import ParentalControls from '../components/ParentalControls';
+import PlaybackSettings from '../components/PlaybackSettings';
+import SubtitleSettings from '../components/SubtitleSettings';
 import './Profile.css';
 import { getProxiedImageUrl } from '../config';
 
@@ -15,7 +20,8 @@ const getAvatarUrl = (profile, user) => {
   return '/assets/default-avatar.png';
 };
 
-const Profile = () => {
+// `linked` and `link_error` are set by the API when an account connection finishes
+const Profile = ({ linked, link_error: linkError }) => {
   const { user, profile, updateUser } = useAuth();
   // Initialize fullName from profile or user, which are now reliable
   const [fullName, setFullName] = useState(profile?.full_name || user?.user_metadata?.full_name || '');
@@ -173,6 +179,21 @@ const Profile = () => {
             </button>
           </form>
         </div>
+        <div className="profile-form" style={{ maxWidth: 420 }}>
+          <LinkedAccounts linked={linked} linkError={linkError} />
+        </div>
+        <div className="profile-form" style={{ maxWidth: 420 }}>
+          <PlaybackSettings />
+        </div>
+        <div className="profile-form" style={{ maxWidth: 420 }}>
+          <SubtitleSettings />
+        </div>
+        <div className="profile-form" style={{ maxWidth: 420 }}>
+          <ParentalControls />
+        </div>
+        <div className="profile-form" style={{ maxWidth: 420 }}>
+          <AccountData />
+        </div>
       </div>
   );
 };
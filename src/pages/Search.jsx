@@ -4,6 +4,7 @@ import MovieCard from '../components/MovieCard';
 import LoadingSpinner from '../components/LoadingSpinner';
 import './Home.css'; // Re-use some styling
 import { API_BASE_URL } from '../config';
+import { getViewerHeaders } from '../utils/authFetch';
 
 const SearchPage = (props) => {
   const [results, setResults] = useState([]);
@@ -52,7 +53,8 @@ const SearchPage = (props) => {
     try {
       // First try our new unified search endpoint with language support
       const unifiedUrl = `${API_BASE_URL}/search/unified?query=${encodeURIComponent(searchQuery)}&type=${filter}&language=${encodeURIComponent(searchLanguage)}`;
-      const unifiedRes = await fetch(unifiedUrl);
+      const headers = await getViewerHeaders();
+      const unifiedRes = await fetch(unifiedUrl, { headers });
       
       if (unifiedRes.ok) {
         const unifiedData = await unifiedRes.json();
@@ -80,7 +82,7 @@ const SearchPage = (props) => {
       
       // Fallback to traditional TMDB search if unified endpoint fails
       console.log('Falling back to TMDB search API');
-      const res = await fetch(`${API_BASE_URL}/tmdb/search/multi?query=${encodeURIComponent(searchQuery)}&language=${encodeURIComponent(searchLanguage)}`);
+      const res = await fetch(`${API_BASE_URL}/tmdb/search/multi?query=${encodeURIComponent(searchQuery)}&language=${encodeURIComponent(searchLanguage)}`, { headers });
       const data = await res.json();
       
       if (data && data.results) {
@@ -0,0 +1,298 @@
+import { h } from 'preact';
+import './ViewerProfiles.css';
+import Helmet from 'preact-helmet';
+import { route } from 'preact-router';
+import { useState, useEffect } from 'preact/hooks';
+import { useAuth } from '../context/Auth';
+import { useStore } from '../store';
+import {
+    MAX_VIEWER_PROFILES,
+    MATURITY_RATINGS,
+    createViewerProfile,
+    updateViewerProfile,
+    deleteViewerProfile,
+    uploadViewerProfileAvatar
+} from '../utils/viewerProfiles';
+import { getParentalControls, setProfileMaturity, activateViewerProfile } from '../utils/parental';
+import ViewerProfileAvatar from '../components/ViewerProfileAvatar';
+import toast from '../components/Toast';
+
+const ProfileEditor = ({ profile, userId, position, pinSet, onSaved, onDeleted, onCancel }) => {
+    const [name, setName] = useState(profile?.name || '');
+    const [maturity, setMaturity] = useState(profile?.maturity_rating || (pinSet ? 'kids' : 'adult'));
+    const [pin, setPin] = useState('');
+    const [avatarFile, setAvatarFile] = useState(null);
+
+    // With a parental PIN, new profiles start as kids and any other rating
+    // goes through the API with the PIN
+    const ratingNeedsPin = pinSet && maturity !== (profile?.maturity_rating || 'kids');
+    const [saving, setSaving] = useState(false);
+
+    const handleAvatarChange = (e) => {
+        const file = e.target.files[0];
+        if (file && !file.type.startsWith('image/')) {
+            toast.error('Please select a valid image file.');
+            return;
+        }
+        setAvatarFile(file || null);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+        setSaving(true);
+        try {
+            const directRating = ratingNeedsPin ? (profile?.maturity_rating || 'kids') : maturity;
+            let saved = profile
+                ? await updateViewerProfile(profile.id, { name, maturity_rating: directRating })
+                : await createViewerProfile(userId, { name, maturity_rating: directRating }, position);
+            if (ratingNeedsPin) {
+                await setProfileMaturity(saved.id, maturity, pin);
+                saved = { ...saved, maturity_rating: maturity };
+            }
+            if (avatarFile) {
+                const avatarUrl = await uploadViewerProfileAvatar(userId, saved.id, avatarFile);
+                saved = await updateViewerProfile(saved.id, { avatar_url: avatarUrl });
+            }
+            onSaved(saved);
+        } catch (error) {
+            console.error('Error saving viewer profile:', error);
+            toast.error(error.message || 'Could not save the profile.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete "${profile.name}"? Their history, progress and favorites are deleted too.`)) return;
+        setSaving(true);
+        try {
+            await deleteViewerProfile(profile.id);
+            onDeleted(profile);
+        } catch (error) {
+            console.error('Error deleting viewer profile:', error);
+            toast.error(error.message || 'Could not delete the profile.');
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form class="viewer-profile-editor" onSubmit={handleSubmit}>
+            <input
+                type="text"
+                value={name}
+                maxLength={40}
+                placeholder="Name"
+                onInput={(e) => setName(e.target.value)}
+                aria-label="Profile name"
+                required
+            />
+            <label>
+                Maturity
+                <select value={maturity} onChange={(e) => setMaturity(e.target.value)}>
+                    {MATURITY_RATINGS.map(rating => (
+                        <option key={rating.value} value={rating.value}>{rating.label}</option>
+                    ))}
+                </select>
+            </label>
+            {ratingNeedsPin && (
+                <input
+                    type="password"
+                    inputMode="numeric"
+                    pattern="\d{4}"
+                    maxLength={4}
+                    autoComplete="off"
+                    value={pin}
+                    placeholder="Parental PIN"
+                    onInput={(e) => setPin(e.target.value)}
+                    aria-label="Parental PIN"
+                    required
+                />
+            )}
+            <label>
+                Picture
+                <input type="file" accept="image/*" onChange={handleAvatarChange} />
+            </label>
+            <div class="viewer-profile-editor-actions">
+                <button type="submit" class="viewer-profiles-action" disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+                <button type="button" class="viewer-profiles-action" onClick={onCancel} disabled={saving}>Cancel</button>
+                {profile && !profile.is_default && (
+                    <button type="button" class="viewer-profiles-action viewer-profiles-danger" onClick={handleDelete} disabled={saving}>Delete</button>
+                )}
+            </div>
+        </form>
+    );
+};
+
+const ratingRank = (profile) => MATURITY_RATINGS.findIndex(rating => rating.value === profile?.maturity_rating);
+
+// Asks for the parental PIN before switching to a profile rated above the active one
+const PinPrompt = ({ profile, onUnlock, onCancel }) => {
+    const [pin, setPin] = useState('');
+    const [checking, setChecking] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setChecking(true);
+        try {
+            await onUnlock(pin);
+        } catch (error) {
+            toast.error(error.message || 'Could not switch profiles.');
+            setPin('');
+            setChecking(false);
+        }
+    };
+
+    return (
+        <form class="viewer-profile-editor" onSubmit={handleSubmit}>
+            <ViewerProfileAvatar profile={profile} />
+            <span class="viewer-profile-name">{profile.name}</span>
+            <input
+                type="password"
+                inputMode="numeric"
+                pattern="\d{4}"
+                maxLength={4}
+                autoComplete="off"
+                value={pin}
+                placeholder="Parental PIN"
+                onInput={(e) => setPin(e.target.value)}
+                aria-label="Parental PIN"
+                required
+                autoFocus
+            />
+            <div class="viewer-profile-editor-actions">
+                <button type="submit" class="viewer-profiles-action" disabled={checking}>{checking ? 'Checking...' : 'Switch'}</button>
+                <button type="button" class="viewer-profiles-action" onClick={onCancel} disabled={checking}>Cancel</button>
+            </div>
+        </form>
+    );
+};
+
+// "Who's watching?" Shown instead of the app until a profile is picked, and
+// at /profiles to switch or manage them. `matches` is only set by the router.
+const ViewerProfiles = ({ matches }) => {
+    const { user } = useAuth();
+    const viewerProfiles = useStore((state) => state.viewerProfiles);
+    const activeViewerProfile = useStore((state) => state.activeViewerProfile);
+    const fetchViewerProfiles = useStore((state) => state.fetchViewerProfiles);
+    const selectViewerProfile = useStore((state) => state.selectViewerProfile);
+    const [managing, setManaging] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [unlockingId, setUnlockingId] = useState(null);
+    const [pinSet, setPinSet] = useState(false);
+
+    useEffect(() => {
+        getParentalControls()
+            .then(data => setPinSet(data.pin_set))
+            .catch(error => console.error('Error loading parental controls:', error));
+    }, [managing]);
+
+    const switchTo = (profile) => {
+        setUnlockingId(null);
+        if (profile.id !== activeViewerProfile?.id) {
+            selectViewerProfile(profile, user.id);
+        }
+        if (matches) {
+            route('/');
+        }
+    };
+
+    // The API holds this sign-in to the activated profile's rating, so a
+    // profile above it needs the PIN first
+    const handleSelect = async (profile) => {
+        if (pinSet && activeViewerProfile && ratingRank(profile) > ratingRank(activeViewerProfile)) {
+            setUnlockingId(profile.id);
+            return;
+        }
+        try {
+            await activateViewerProfile(profile.id);
+        } catch (error) {
+            if (pinSet) {
+                setUnlockingId(profile.id);
+                return;
+            }
+            console.error('Error activating viewer profile:', error);
+        }
+        switchTo(profile);
+    };
+
+    const handleUnlock = async (profile, pin) => {
+        await activateViewerProfile(profile.id, pin);
+        switchTo(profile);
+    };
+
+    const handleSaved = async (profile) => {
+        toast.success(`"${profile.name}" saved.`);
+        setEditingId(null);
+        await fetchViewerProfiles(user.id);
+    };
+
+    const handleDeleted = async (profile) => {
+        toast.success(`"${profile.name}" deleted.`);
+        setEditingId(null);
+        await fetchViewerProfiles(user.id);
+    };
+
+    const editorProps = {
+        userId: user.id,
+        pinSet,
+        position: viewerProfiles.length,
+        onSaved: handleSaved,
+        onDeleted: handleDeleted,
+        onCancel: () => setEditingId(null)
+    };
+
+    return (
+        <div class="container viewer-profiles-page">
+            <Helmet>
+                <title>Who's watching? - Fylm</title>
+            </Helmet>
+            <h1>{managing ? 'Manage Profiles' : 'Who\'s watching?'}</h1>
+
+            <ul class="viewer-profiles-grid">
+                {viewerProfiles.map(profile => (
+                    <li key={profile.id} class={`viewer-profile-tile ${profile.id === activeViewerProfile?.id ? 'active' : ''}`}>
+                        {managing && editingId === profile.id ? (
+                            <ProfileEditor profile={profile} {...editorProps} />
+                        ) : !managing && unlockingId === profile.id ? (
+                            <PinPrompt profile={profile} onUnlock={(pin) => handleUnlock(profile, pin)} onCancel={() => setUnlockingId(null)} />
+                        ) : (
+                            <button
+                                class="viewer-profile-button"
+                                onClick={() => (managing ? setEditingId(profile.id) : handleSelect(profile))}
+                            >
+                                <ViewerProfileAvatar profile={profile} />
+                                <span class="viewer-profile-name">{profile.name}</span>
+                                {profile.maturity_rating !== 'adult' && (
+                                    <span class="viewer-profile-rating">{MATURITY_RATINGS.find(rating => rating.value === profile.maturity_rating)?.label}</span>
+                                )}
+                                {managing && <span class="viewer-profile-edit-hint">Edit</span>}
+                            </button>
+                        )}
+                    </li>
+                ))}
+                {managing && viewerProfiles.length < MAX_VIEWER_PROFILES && (
+                    <li class="viewer-profile-tile">
+                        {editingId === 'new' ? (
+                            <ProfileEditor {...editorProps} />
+                        ) : (
+                            <button class="viewer-profile-button" onClick={() => setEditingId('new')}>
+                                <span class="viewer-profile-avatar viewer-profile-add">+</span>
+                                <span class="viewer-profile-name">Add Profile</span>
+                            </button>
+                        )}
+                    </li>
+                )}
+            </ul>
+
+            <button
+                class="viewer-profiles-action viewer-profiles-manage"
+                onClick={() => { setManaging(!managing); setEditingId(null); setUnlockingId(null); }}
+            >
+                {managing ? 'Done' : 'Manage Profiles'}
+            </button>
+        </div>
+    );
+};
+
+export default ViewerProfiles;
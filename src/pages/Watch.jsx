@@ -7,9 +7,29 @@ import MovieCard from '../components/MovieCard';
 import { getWatchProgressForMedia, saveWatchProgress, getSeriesHistory, getLastWatchedEpisode, getLastWatchedEpisodeWithProgress, syncOfflineProgress } from '../utils/watchHistory';
 import { useAuth } from '../context/Auth';
 import { addFavoriteShow, removeFavoriteShow } from '../utils/favorites';
+import { createScrobbler } from '../utils/trakt';
+import { enqueueProgress } from '../utils/progressOutbox';
+import { getPlayerAdapter, parsePlayerMessage, sendPlayerCommand, canSyncPlayer, watchPlayerReady, nextCandidate } from '../utils/playerEvents';
+import { getSeasonMarkers, markEpisode, isEpisodeComplete } from '../utils/episodeMarkers';
+import { DEFAULT_BINGE_SETTINGS, resolveNextEpisode, recordAutoplay, resetBingeStreak, shouldAskStillWatching } from '../utils/binge';
+import { createWatchParty, connectWatchParty, expectedPosition, DRIFT_TOLERANCE_SECONDS } from '../utils/watchParty';
+import { getPartyLink, watchPath } from '../utils/watchLinks';
+import { DEFAULT_SUBTITLE_SETTINGS, searchSubtitles, loadSubtitleTrack, shiftTrackCues, getLanguageName } from '../utils/subtitles';
+import { createPlaybackEngine, getStreamFormat, findSubDubTrack, OFF_TRACK } from '../utils/playbackEngine';
+import AddToListButton from '../components/AddToListButton';
+import MaturityGate from '../components/MaturityGate';
+import SkipButtons from '../components/SkipButtons';
+import MarkEpisodeBar from '../components/MarkEpisodeBar';
+import BingeCountdown from '../components/BingeCountdown';
+import WatchPartyPanel from '../components/WatchPartyPanel';
+import SubtitleOverlay from '../components/SubtitleOverlay';
+import SubtitleMenu from '../components/SubtitleMenu';
+import StreamSettingsMenu from '../components/StreamSettingsMenu';
+import toast from '../components/Toast';
 import './Watch.css';
 import { API_BASE_URL, IMAGE_BASE_URL, getProxiedImageUrl } from '../config';
 import { supabase } from '../supabase';
+import { getViewerHeaders } from '../utils/authFetch';
 
 const Watch = (props) => {
     const [mediaDetails, setMediaDetails] = useState(null);
@@ -23,10 +43,13 @@ const Watch = (props) => {
     const [currentEpisode, setCurrentEpisode] = useState(null);
     const [currentSource, setCurrentSource] = useState('videasy');
     const [availableSources, setAvailableSources] = useState(['videasy', 'vidsrc', 'embedsu']);
+    const [streamCandidates, setStreamCandidates] = useState([]); // Ordered failover list from /stream-url
     const [seasonDetails, setSeasonDetails] = useState(null);
     const [episodesLoading, setEpisodesLoading] = useState(false);
     const [isDubbed, setIsDubbed] = useState(false);
-    // Removed showNextEpisodePrompt and nextEpisodeCountdown - Videasy handles this automatically
+    const [streamDubbed, setStreamDubbed] = useState(false); // Ask /stream-url for the dub, for streams without both audio tracks
+    const [nextEpisode, setNextEpisode] = useState(null); // What binge mode plays after this episode
+    const [binge, setBinge] = useState(null); // { secondsLeft, askStillWatching } while the end-of-episode card is up
     const [streamError, setStreamError] = useState(null);
     const [isRetrying, setIsRetrying] = useState(false);
     const [streamTimeoutError, setStreamTimeoutError] = useState(false);
@@ -37,14 +60,19 @@ const Watch = (props) => {
     const [mediaType, setMediaType] = useState(type === 'anime' ? 'anime' : type);
     const [showTrailer, setShowTrailer] = useState(false);
 
-
     const [isDirectSource, setIsDirectSource] = useState(false);
     const [qualities, setQualities] = useState([]);
     const videoRef = useRef(null);
+    const playbackEngineRef = useRef(null); // Plays direct sources on videoRef, see src/utils/playbackEngine.js
+    const [playback, setPlayback] = useState(null); // The engine's qualities and tracks
     const [seriesWatchHistory, setSeriesWatchHistory] = useState([]);
     const [movieProgress, setMovieProgress] = useState(null);
     const [playerReady, setPlayerReady] = useState(false);
+    const readyWatchdogRef = useRef(null); // Set while an embedded player has yet to prove it plays
+    const [maturityAllowed, setMaturityAllowed] = useState(false);
     const [progressToResume, setProgressToResume] = useState(0);
+    const [episodeMarkers, setEpisodeMarkers] = useState({}); // Skip markers for the current season, by episode
+    const [playbackPhase, setPlaybackPhase] = useState(null); // 'intro' or 'credits' while the player is in one
     const [currentEpisodePage, setCurrentEpisodePage] = useState(1);
     const [paginationPage, setPaginationPage] = useState(1);
     const [initialPageSet, setInitialPageSet] = useState(false);
@@ -63,6 +91,30 @@ const Watch = (props) => {
     const ignoredLegacyNavigation = useRef(null); // Track ignored legacy navigation to prevent log spam
     const lastHistoryUpdateRef = useRef({});
     const lastProgressSaveTime = useRef(0); // For throttling
+    const failedSourcesRef = useRef(new Set()); // Sources that already failed for the current episode
+    const trustedOriginsRef = useRef(['player.videasy.net', 'vidsrc.to', 'embed.su', 'vidsrc.xyz', 'vidsrc.in', 'vidsrc.pm']);
+    const iframeRef = useRef(null);
+    const playerSourceRef = useRef(currentSource); // Source whose messages the listener parses
+    const resumeRef = useRef({ target: 0, attempts: 0, done: true }); // Seek to the resume point for the current stream
+    const markersRef = useRef(null); // The current episode's markers, for the player listeners
+    const bingeDismissedRef = useRef(null); // Episode whose countdown the viewer cancelled
+    const playbackRef = useRef({ currentTime: null, duration: null }); // Last position the player reported
+    const [partyId, setPartyId] = useState(props.matches.party || null); // Watch party room, from an invite link or started here
+    const [party, setParty] = useState(null); // { you, media, participants, messages } once the room has welcomed us
+    const [partyStatus, setPartyStatus] = useState('connecting');
+    const partyConnectionRef = useRef(null);
+    const partyStateRef = useRef(null); // { state, receivedAt }: the room's play/pause/seek state
+    const partyQuietUntilRef = useRef(0); // Player events before then are the room's own commands coming back
+    const playerPlayingRef = useRef(false); // Whether the player last said it was playing
+    const [subtitleResults, setSubtitleResults] = useState([]); // Subtitles found for a direct source, preferred languages first
+    const [subtitleSearch, setSubtitleSearch] = useState({ loading: false, error: null });
+    const [activeSubtitle, setActiveSubtitle] = useState(null);
+    const [subtitleTrackUrl, setSubtitleTrackUrl] = useState(null); // Object URL of the active subtitle's WebVTT
+    const [subtitleOffset, setSubtitleOffset] = useState(0); // Seconds the viewer moved the subtitles by
+    const [subtitleCues, setSubtitleCues] = useState([]); // Text of the cues on screen
+    const [subtitleTextTrack, setSubtitleTextTrack] = useState(null); // TextTrack the overlay draws: the file's or the stream's own
+    const subtitleTrackRef = useRef(null);
+    const subtitleShiftRef = useRef(0); // Offset already applied to the loaded cues
 
     const { user } = useAuth(); // Get authentication state
     const userId = user?.id;
@@ -83,7 +135,15 @@ const Watch = (props) => {
         checkAuthStatus();
     }, []);
 
-    const { setCurrentMediaItem, favoritesFetched, fetchContinueWatching, isShowFavorited } = useStore();
+    const { setCurrentMediaItem, favoritesFetched, fetchContinueWatching, isShowFavorited, activeViewerProfile } = useStore();
+    const bingeSettings = { ...DEFAULT_BINGE_SETTINGS, ...useStore(state => state.bingeSettings) };
+    const subtitleSettings = { ...DEFAULT_SUBTITLE_SETTINGS, ...useStore(state => state.subtitleSettings) };
+    const subtitleLanguages = activeViewerProfile?.subtitle_languages || [];
+
+    // Checked again for every title and whenever the profile changes
+    useEffect(() => {
+        setMaturityAllowed(false);
+    }, [type, id, activeViewerProfile?.id]);
 
     // Initialize season and episode from URL parameters immediately
     useEffect(() => {
@@ -246,14 +306,12 @@ const Watch = (props) => {
         // For non-anime, we need a tmdbId. For anime, we use the main `id` from props.
         if ((type !== 'anime' && !tmdbId) || (type === 'anime' && !id)) return;
 
-
         // Reset state on new content
         setStreamUrl('');
         setIsDirectSource(false);
         setQualities([]);
         setMediaDetails(null);
         setLoading(true);
-        // Removed prompt reset - Videasy handles this automatically
         setSeriesWatchHistory([]);
         // Reset navigation tracking for new content
         userNavigatedRef.current = false;
@@ -300,7 +358,7 @@ const Watch = (props) => {
                     if (!url) return null; // Skip null URLs
                     
                     try {
-                        const res = await fetch(url, { signal: controller.signal });
+                        const res = await fetch(url, { signal: controller.signal, headers: await getViewerHeaders() });
                         if (!res.ok) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
                         const data = await res.json();
                         // When using the anime route, update the tmdbId from the response
@@ -354,7 +412,8 @@ const Watch = (props) => {
             }
         };
         fetchAllData();
-    }, [tmdbId, mediaType, season, episode, userId]);
+        // `id` matters for anime: switching franchise entries changes only the AniList ID
+    }, [id, tmdbId, mediaType, season, episode, userId]);
 
     // Separate effect to handle authentication-dependent data loading - ONLY run once to avoid overriding user selections
     useEffect(() => {
@@ -413,6 +472,118 @@ const Watch = (props) => {
         loadUserSpecificData();
     }, [userId, mediaDetails, id, type, season, episode, tmdbType]); // Remove season and episode from dependencies to prevent re-running when user changes selection
 
+    // Where playback of the current movie or episode picks up, and the
+    // episode's skip markers. Read once per episode rather than from live
+    // progress, which would restart the player on every save. Finished items
+    // (past the credits, for episodes) start over.
+    useEffect(() => {
+        let cancelled = false;
+        setProgressToResume(0);
+        setPlaybackPhase(null);
+        playbackRef.current = { currentTime: null, duration: null };
+        const isSeries = type === 'tv' || type === 'anime';
+        if (isSeries && (currentSeason === null || currentEpisode === null)) return;
+
+        const loadMarkers = isSeries ? getSeasonMarkers(type, id, currentSeason) : Promise.resolve({});
+        const loadProgress = userId ? getWatchProgressForMedia(userId, id, type, currentSeason, currentEpisode) : Promise.resolve(null);
+        Promise.all([loadMarkers, loadProgress]).then(([markers, saved]) => {
+            if (cancelled) return;
+            setEpisodeMarkers(markers);
+            if (!saved?.progress_seconds) return;
+            const finished = isSeries
+                ? isEpisodeComplete(saved.progress_seconds, saved.duration_seconds, markers[currentEpisode])
+                : saved.duration_seconds > 0 && saved.progress_seconds / saved.duration_seconds >= 0.95;
+            setProgressToResume(finished ? 0 : saved.progress_seconds);
+        });
+        return () => { cancelled = true; };
+    }, [userId, id, type, currentSeason, currentEpisode]);
+
+    const currentMarkers = (type === 'tv' || type === 'anime') ? episodeMarkers[currentEpisode] || null : null;
+    markersRef.current = currentMarkers;
+
+    // Keeps the last reported position and whether it is in the intro or the credits
+    const trackPlayback = useCallback((currentTime, duration) => {
+        if (!(currentTime >= 0)) return;
+        playbackRef.current = { currentTime, duration: duration || playbackRef.current.duration };
+
+        const markers = markersRef.current;
+        let phase = null;
+        if (markers?.intro_start != null && markers.intro_end != null
+            && currentTime >= markers.intro_start && currentTime < markers.intro_end - 1) {
+            phase = 'intro';
+        } else if (markers?.credits_start != null && currentTime >= markers.credits_start) {
+            phase = 'credits';
+        } else if (playbackRef.current.duration > 0 && currentTime >= playbackRef.current.duration - 2) {
+            // For players that never send `ended`
+            phase = 'ended';
+        }
+        setPlaybackPhase(phase);
+    }, []);
+
+    // --- Binge mode ---
+    // `auto` when the countdown ran out rather than the viewer asking for it
+    const playNextEpisode = (auto = false) => {
+        if (!nextEpisode) return;
+        console.log(`⏭️ ${auto ? 'Binge mode' : 'Viewer'} moving on to ${nextEpisode.url}`);
+        if (auto) recordAutoplay();
+        else resetBingeStreak();
+        setBinge(null);
+        userNavigatedRef.current = true;
+        route(nextEpisode.url, true);
+    };
+
+    const cancelBinge = () => {
+        bingeDismissedRef.current = `${type}-${id}-${currentSeason}-${currentEpisode}`;
+        setBinge(null);
+    };
+
+    useEffect(() => {
+        setNextEpisode(null);
+        setBinge(null);
+        const isSeries = type === 'tv' || type === 'anime';
+        // Wait for the current season's episodes, or the rollover would skip the rest of it
+        if (!isSeries || currentEpisode === null || !mediaDetails || episodesLoading) return;
+        if (seasonDetails?.season_number !== undefined && seasonDetails.season_number !== currentSeason) return;
+
+        let cancelled = false;
+        resolveNextEpisode({ type, id, tmdbId, season: currentSeason, episode: currentEpisode, seasonDetails, mediaDetails })
+            .then(next => { if (!cancelled) setNextEpisode(next); });
+        return () => { cancelled = true; };
+    }, [type, id, tmdbId, currentSeason, currentEpisode, seasonDetails, mediaDetails, episodesLoading]);
+
+    // The credits (or the end, where nobody marked them) bring up the countdown
+    useEffect(() => {
+        if (playbackPhase !== 'credits' && playbackPhase !== 'ended') return;
+        if (!bingeSettings.autoplay || !nextEpisode || binge) return;
+        // In a watch party the host's countdown moves everyone
+        if (party && !party.you.host) return;
+        if (bingeDismissedRef.current === `${type}-${id}-${currentSeason}-${currentEpisode}`) return;
+        setBinge({
+            secondsLeft: bingeSettings.countdownSeconds,
+            askStillWatching: shouldAskStillWatching(bingeSettings.stillWatchingAfter)
+        });
+    }, [playbackPhase, nextEpisode, bingeSettings.autoplay]);
+
+    useEffect(() => {
+        if (!binge || binge.askStillWatching) return;
+        const tick = setTimeout(() => {
+            if (binge.secondsLeft <= 1) playNextEpisode(true);
+            else setBinge({ ...binge, secondsLeft: binge.secondsLeft - 1 });
+        }, 1000);
+        return () => clearTimeout(tick);
+    }, [binge]);
+
+    // Clicks inside the player's iframe never reach the page, so only
+    // interaction with the page itself proves someone is still there
+    useEffect(() => {
+        window.addEventListener('pointerdown', resetBingeStreak);
+        window.addEventListener('keydown', resetBingeStreak);
+        return () => {
+            window.removeEventListener('pointerdown', resetBingeStreak);
+            window.removeEventListener('keydown', resetBingeStreak);
+        };
+    }, []);
+
     // Reset pagination when season changes, but respect initial page setting
     useEffect(() => {
         if (currentSeason !== null && !initialPageSet) {
@@ -475,12 +646,12 @@ const Watch = (props) => {
 
         if (episodeChanged) {
             sourceUpdatedFromBackend.current = false;
+            failedSourcesRef.current.clear();
         }
 
         const fetchStreamUrl = async () => {
             if (!tmdbId || !mediaType) return;
 
-
             // Use AniList ID for anime, TMDB ID for others.
             const streamId = type === 'anime' ? id : tmdbId;
             if (!streamId) return;
@@ -506,14 +677,16 @@ const Watch = (props) => {
                 url += `&season=${currentSeason}&episode=${currentEpisode}`;
             }
             
-            if (type === 'anime' && isDubbed) {
+            if (type === 'anime' && streamDubbed) {
                 url += `&dub=true`;
             }
             
+            // The next episode is played by binge mode on every source, so
+            // Videasy's own next-episode button and autoplay stay off
             if (currentSource === 'videasy') {
                 if (progressToResume > 0) url += `&progress=${Math.round(progressToResume)}`;
                 if (type === 'tv' || type === 'anime') {
-                    url += `&nextEpisode=true&episodeSelector=true&autoplayNextEpisode=true`;
+                    url += `&episodeSelector=true`;
                 }
             }
 
@@ -527,8 +700,14 @@ const Watch = (props) => {
                 if (data.url) {
                     console.log(`Stream URL generated: ${data.url}`);
                     setStreamUrl(data.url);
+                    setPlayerReady(false); // Until the new player proves it plays
                     setIsDirectSource(data.isDirectSource || false);
                     setQualities(data.qualities || []);
+                    setStreamCandidates(data.candidates || []);
+                    if (data.candidates) {
+                        const origins = data.candidates.flatMap(c => c.origins || []);
+                        trustedOriginsRef.current = [...new Set([...trustedOriginsRef.current, ...origins])];
+                    }
                     if (data.availableSources && data.availableSources.length > 0) {
                         setAvailableSources(data.availableSources);
                     }
@@ -537,22 +716,448 @@ const Watch = (props) => {
                         setCurrentSource(data.currentSource);
                 }
                 setStreamError(null);
-                    setPlayerReady(true);
                 } else {
                     throw new Error(data.message || 'No stream URL returned from API');
                 }
             } catch (error) {
                 clearTimeout(streamTimeoutRef.current);
                 console.error('Error fetching stream URL:', error.message);
-                setStreamError(`Failed to load video: ${error.message}. Try changing the source or refreshing.`);
+                setStreamError({ message: `Failed to load video: ${error.message}.`, canRetry: true });
                 setPlayerReady(false);
             }
         };
 
         fetchStreamUrl();
-    }, [tmdbId, mediaType, currentSeason, currentEpisode, currentSource, isDubbed, mediaDetails, progressToResume, userId]);
+    }, [tmdbId, mediaType, currentSeason, currentEpisode, currentSource, streamDubbed, mediaDetails, progressToResume, userId]);
+
+    // Switch to the next candidate source returned by /stream-url without
+    // another round-trip. Returns false once every candidate has failed.
+    const failoverToNextCandidate = useCallback((reason) => {
+        failedSourcesRef.current.add(currentSource);
+        const next = nextCandidate(streamCandidates, failedSourcesRef.current);
+
+        if (!next) {
+            console.warn(`⚠️ Source ${currentSource} failed (${reason}) and no candidates are left`);
+            setStreamError({
+                message: 'None of the available sources could play this title right now.',
+                canRetry: true
+            });
+            setStreamUrl('');
+            return false;
+        }
+
+        console.log(`🔀 Source ${currentSource} failed (${reason}), failing over to ${next.source}`);
+        sourceUpdatedFromBackend.current = true;
+        setPlayerReady(false);
+        setIsDirectSource(next.isDirectSource || false);
+        setStreamUrl(next.url);
+        setCurrentSource(next.source);
+        return true;
+    }, [currentSource, streamCandidates]);
+    const failoverRef = useRef(failoverToNextCandidate); // For the playback engine, which outlives renders
+    failoverRef.current = failoverToNextCandidate;
+
+    // Direct sources play through the engine for their format. The API says
+    // which format a candidate is; other URLs, such as the progressive
+    // quality variants, go by their extension. The engine only feeds the
+    // <video>, so progress is still saved from its events (handleTimeUpdate).
+    const streamFormat = isDirectSource
+        ? getStreamFormat(streamUrl, streamCandidates.find(c => c.url === streamUrl)?.format)
+        : null;
+    useEffect(() => {
+        const video = videoRef.current;
+        setPlayback(null);
+        // Tracks of the previous stream are gone with it
+        setActiveSubtitle(current => (current?.provider === 'stream' ? null : current));
+        if (!streamFormat || !streamUrl || !maturityAllowed || !video) return;
+
+        let cancelled = false;
+        let engine = null;
+        const handleError = (error) => {
+            if (cancelled) return;
+            console.warn(`Direct playback of ${currentSource} failed: ${error.message}`);
+            failoverRef.current('playback error');
+        };
+        createPlaybackEngine(video, {
+            url: streamUrl,
+            format: streamFormat,
+            onChange: (state) => { if (!cancelled) setPlayback(state); },
+            onError: handleError
+        })
+            .then(created => {
+                if (cancelled) return created.destroy();
+                engine = created;
+                playbackEngineRef.current = created;
+                setPlayback(created.getState());
+            })
+            .catch(handleError);
+        return () => {
+            cancelled = true;
+            engine?.destroy();
+            playbackEngineRef.current = null;
+        };
+    }, [streamFormat, streamUrl, maturityAllowed]);
+
+    // Anime streams that carry both the Japanese and a dubbed audio track
+    // switch between them in place; the rest are fetched again with `dub`
+    const audioTracksKey = playback?.audioTracks.map(track => track.label).join('|') || '';
+    useEffect(() => {
+        if (type !== 'anime' || !playback) return;
+        const track = findSubDubTrack(playback.audioTracks, isDubbed);
+        if (track && track.id !== playback.audioTrack) playbackEngineRef.current?.setAudioTrack(track.id);
+    }, [audioTracksKey]);
+
+    const handleDubChange = (dubbed) => {
+        setIsDubbed(dubbed);
+        const track = playback && findSubDubTrack(playback.audioTracks, dubbed);
+        if (track) {
+            playbackEngineRef.current?.setAudioTrack(track.id);
+        } else {
+            setStreamDubbed(dubbed);
+        }
+    };
+
+    // Each new stream starts from the saved position. Players that cannot
+    // take it in their URL are sent a seek once they are up. In a watch
+    // party the room says where to start instead.
+    useEffect(() => {
+        playerSourceRef.current = currentSource;
+        const resumesFromUrl = getPlayerAdapter(currentSource).resumesFromUrl(streamUrl || '');
+        resumeRef.current = {
+            target: progressToResume,
+            attempts: 0,
+            done: !streamUrl || isDirectSource || progressToResume <= 30 || resumesFromUrl || Boolean(partyId)
+        };
+    }, [streamUrl, progressToResume, partyId]);
+
+    const playerOrigin = () => {
+        try {
+            return new URL(iframeRef.current?.src).origin;
+        } catch {
+            // Keep the wildcard for players whose URL cannot be parsed
+            return '*';
+        }
+    };
+
+    // Sends the seek to the resume point, up to three times for players that
+    // drop commands sent too early. Players without a seek command just
+    // start from the beginning.
+    const requestResume = useCallback(() => {
+        const resume = resumeRef.current;
+        if (resume.done) return;
+        if (resume.attempts >= 3) {
+            console.warn(`📍 ${playerSourceRef.current} player ignored the seek to ${resume.target}s`);
+            resume.done = true;
+            return;
+        }
+
+        resume.attempts++;
+        if (sendPlayerCommand(playerSourceRef.current, iframeRef.current, 'seek', Math.round(resume.target), playerOrigin())) {
+            console.log(`📍 Sent seek command to restore progress: ${resume.target}s`);
+        } else {
+            console.log(`📍 ${playerSourceRef.current} player has no seek command, starting from the beginning`);
+            resume.done = true;
+        }
+    }, []);
+
+    // --- Watch party ---
+    // Brings the player to the room's state: where the room is now, playing
+    // or paused. The events the player answers with are not passed back.
+    const applyPartyState = useCallback(() => {
+        const room = partyStateRef.current;
+        if (!room) return;
+        const position = expectedPosition(room.state, room.receivedAt);
+        partyQuietUntilRef.current = Date.now() + 1500;
+        playerPlayingRef.current = room.state.playing;
+
+        const video = videoRef.current;
+        if (video) {
+            if (Math.abs(video.currentTime - position) > DRIFT_TOLERANCE_SECONDS) video.currentTime = position;
+            if (room.state.playing) video.play().catch(() => {});
+            else video.pause();
+            return;
+        }
+        const source = playerSourceRef.current;
+        sendPlayerCommand(source, iframeRef.current, 'seek', Math.round(position), playerOrigin());
+        sendPlayerCommand(source, iframeRef.current, room.state.playing ? 'play' : 'pause', undefined, playerOrigin());
+    }, []);
+
+    // This viewer's play, pause and seek go to the room; a player that
+    // drifted from the room is pulled back
+    const reportToParty = useCallback((event) => {
+        if (Date.now() < partyQuietUntilRef.current) return;
+        // Some players only ever report progress, which they do while playing
+        if (event.type === 'play' || event.type === 'timeupdate') playerPlayingRef.current = true;
+        if (event.type === 'pause') playerPlayingRef.current = false;
+
+        const connection = partyConnectionRef.current;
+        if (!connection || !partyStateRef.current || !(event.currentTime >= 0)) return;
+
+        if (event.type === 'play' || event.type === 'pause' || event.type === 'seek') {
+            const state = { playing: playerPlayingRef.current, position: event.currentTime };
+            connection.send('state', state);
+            partyStateRef.current = { state, receivedAt: Date.now() };
+        } else if (event.type === 'timeupdate') {
+            const room = partyStateRef.current;
+            if (Math.abs(event.currentTime - expectedPosition(room.state, room.receivedAt)) > DRIFT_TOLERANCE_SECONDS) {
+                applyPartyState();
+            }
+        }
+    }, [applyPartyState]);
+
+    useEffect(() => {
+        if (props.matches.party) setPartyId(props.matches.party);
+    }, [props.matches.party]);
+
+    useEffect(() => {
+        if (!partyId) return;
+        setParty(null);
+
+        const receiveState = (state) => {
+            partyStateRef.current = { state, receivedAt: Date.now() };
+        };
 
-    // Removed handleNextEpisode and countdown logic - Videasy handles episode navigation automatically
+        const connection = connectWatchParty(partyId, {
+            name: activeViewerProfile?.name || user?.user_metadata?.full_name,
+            onStatusChange: setPartyStatus,
+            onMessage: (message) => {
+                switch (message.type) {
+                    case 'welcome': {
+                        setParty({ you: message.you, media: message.media, participants: message.participants, messages: message.messages });
+                        // A host who just opened the room brings it to where they already are
+                        const { currentTime } = playbackRef.current;
+                        if (message.you.host && message.state.by === null && currentTime !== null) {
+                            receiveState({ playing: playerPlayingRef.current, position: currentTime });
+                            partyConnectionRef.current?.send('state', partyStateRef.current.state);
+                        } else {
+                            receiveState(message.state);
+                            applyPartyState();
+                        }
+                        break;
+                    }
+                    case 'state':
+                        receiveState(message.state);
+                        applyPartyState();
+                        break;
+                    case 'media':
+                        // Applied once the new episode's player is up
+                        receiveState(message.state);
+                        setParty(prev => prev && { ...prev, media: message.media });
+                        break;
+                    case 'participants':
+                        setParty(prev => prev && { ...prev, participants: message.participants });
+                        break;
+                    case 'chat':
+                        setParty(prev => prev && { ...prev, messages: [...prev.messages, message.message].slice(-50) });
+                        break;
+                    case 'error':
+                        toast.error(message.error);
+                        if (message.code === 'not_found') setPartyId(null);
+                        break;
+                }
+            }
+        });
+        partyConnectionRef.current = connection;
+
+        return () => {
+            connection.close();
+            partyConnectionRef.current = null;
+            partyStateRef.current = null;
+            setParty(null);
+        };
+    }, [partyId]);
+
+    // This page as a room's media, once the episode is known
+    const pageMedia = (type === 'tv' || type === 'anime')
+        ? (currentSeason !== null && currentEpisode !== null ? { type, id, season: currentSeason, episode: currentEpisode } : null)
+        : { type, id, season: null, episode: null };
+    const pagePath = pageMedia && watchPath(pageMedia);
+    const partyPath = party && watchPath(party.media);
+
+    // The room moving to another episode takes everyone there...
+    useEffect(() => {
+        if (partyPath && pagePath && partyPath !== pagePath) {
+            userNavigatedRef.current = true;
+            route(partyPath, true);
+        }
+    }, [partyPath]);
+
+    // ...and the host moving to another episode takes the room along
+    useEffect(() => {
+        if (!party?.you.host || !pagePath || pagePath === partyPath) return;
+        partyConnectionRef.current?.send('media', { media: pageMedia });
+        setParty(prev => prev && { ...prev, media: pageMedia });
+    }, [pagePath]);
+
+    // Rooms need a player the page can steer, so switch to one when the
+    // source has no play, pause and seek commands
+    useEffect(() => {
+        if (!partyId || !streamUrl || isDirectSource || canSyncPlayer(currentSource)) return;
+        const next = streamCandidates.find(c => !failedSourcesRef.current.has(c.source) && (c.isDirectSource || canSyncPlayer(c.source)));
+        if (!next) return;
+
+        console.log(`🎉 Watch party: switching from ${currentSource} to ${next.source}, which can be kept in step`);
+        sourceUpdatedFromBackend.current = true;
+        setPlayerReady(false);
+        setIsDirectSource(next.isDirectSource || false);
+        setStreamUrl(next.url);
+        setCurrentSource(next.source);
+    }, [partyId, streamUrl, currentSource, streamCandidates]);
+
+    // Subtitles, for direct sources only: embedded players have their own.
+    // The stream's own tracks come first, then what the API finds. A profile
+    // with subtitle languages gets the best match turned on.
+    const subtitleLanguagesKey = subtitleLanguages.join(',');
+    const subtitlesWanted = isDirectSource && maturityAllowed && Boolean(pagePath);
+    const subtitleAutoPickedRef = useRef(false); // Only the first match is turned on, so Off stays off
+    const streamSubtitles = (playback?.textTracks || []).map(track => ({
+        id: `stream:${track.id}`,
+        provider: 'stream',
+        trackId: track.id,
+        language: track.language,
+        label: track.label
+    }));
+    const subtitleOptions = [...streamSubtitles, ...subtitleResults];
+    const subtitleOptionsKey = subtitleOptions.map(option => option.id).join(',');
+
+    useEffect(() => {
+        setActiveSubtitle(null);
+        setSubtitleResults([]);
+        subtitleAutoPickedRef.current = false;
+        if (!subtitlesWanted) return;
+
+        let cancelled = false;
+        setSubtitleSearch({ loading: true, error: null });
+        searchSubtitles(pageMedia, subtitleLanguages)
+            .then(results => {
+                if (cancelled) return;
+                setSubtitleResults(results);
+                setSubtitleSearch({ loading: false, error: null });
+            })
+            .catch(error => {
+                if (cancelled) return;
+                console.warn('Subtitle search failed:', error.message);
+                setSubtitleSearch({ loading: false, error: 'Subtitles are unavailable right now.' });
+            });
+        return () => { cancelled = true; };
+    }, [subtitlesWanted, pagePath, subtitleLanguagesKey]);
+
+    useEffect(() => {
+        if (subtitleAutoPickedRef.current || activeSubtitle) return;
+        const matches = (option, code) => {
+            const language = (option.language || '').toLowerCase();
+            return language === code || language.split('-')[0] === code;
+        };
+        const preferred = subtitleLanguages
+            .map(code => subtitleOptions.find(option => matches(option, code)))
+            .find(Boolean);
+        if (preferred) {
+            subtitleAutoPickedRef.current = true;
+            setActiveSubtitle(preferred);
+        }
+    }, [subtitleOptionsKey, subtitleLanguagesKey]);
+
+    // A found file is downloaded into a <track> of our own...
+    useEffect(() => {
+        setSubtitleTrackUrl(null);
+        setSubtitleCues([]);
+        setSubtitleOffset(0);
+        if (!activeSubtitle || activeSubtitle.provider === 'stream') return;
+
+        let cancelled = false;
+        let trackUrl = null;
+        loadSubtitleTrack(activeSubtitle)
+            .then(url => {
+                if (cancelled) return URL.revokeObjectURL(url);
+                trackUrl = url;
+                setSubtitleTrackUrl(url);
+            })
+            .catch(error => {
+                if (cancelled) return;
+                console.error('Error loading subtitles:', error);
+                toast.error('Could not load those subtitles.');
+                setActiveSubtitle(null);
+            });
+        return () => {
+            cancelled = true;
+            if (trackUrl) URL.revokeObjectURL(trackUrl);
+        };
+    }, [activeSubtitle]);
+
+    useEffect(() => {
+        const element = subtitleTrackRef.current;
+        if (!subtitleTrackUrl || !element) return;
+
+        subtitleShiftRef.current = 0;
+        const handleLoad = () => shiftTrackCues(element.track, subtitleShiftRef.current);
+        element.addEventListener('load', handleLoad);
+        setSubtitleTextTrack(element.track);
+        return () => {
+            element.removeEventListener('load', handleLoad);
+            setSubtitleTextTrack(null);
+        };
+    }, [subtitleTrackUrl]);
+
+    // ...while the stream's own tracks are switched on in the engine, which
+    // adds them to the video when their first cues arrive
+    useEffect(() => {
+        const engine = playbackEngineRef.current;
+        const video = videoRef.current;
+        if (activeSubtitle?.provider !== 'stream' || !engine || !video) return;
+
+        engine.setTextTrack(activeSubtitle.trackId);
+        const findTrack = () => setSubtitleTextTrack(engine.getActiveTextTrack());
+        findTrack();
+        video.textTracks.addEventListener('addtrack', findTrack);
+        return () => {
+            video.textTracks.removeEventListener('addtrack', findTrack);
+            if (playbackEngineRef.current === engine) engine.setTextTrack(OFF_TRACK);
+            setSubtitleTextTrack(null);
+        };
+    }, [activeSubtitle]);
+
+    // The browser times the cues on the hidden track and the overlay draws
+    // them. In the video's own fullscreen the overlay can't be seen, so the
+    // browser shows the track itself.
+    useEffect(() => {
+        const track = subtitleTextTrack;
+        const video = videoRef.current;
+        if (!track || !video) return;
+
+        const updateCues = () => setSubtitleCues(Array.from(track.activeCues || []).map(cue => cue.text));
+        const updateMode = () => {
+            const videoFullscreen = document.fullscreenElement === video
+                || document.webkitFullscreenElement === video
+                || video.webkitDisplayingFullscreen;
+            track.mode = videoFullscreen ? 'showing' : 'hidden';
+        };
+
+        updateMode();
+        updateCues();
+        track.addEventListener('cuechange', updateCues);
+        document.addEventListener('fullscreenchange', updateMode);
+        document.addEventListener('webkitfullscreenchange', updateMode);
+        video.addEventListener('webkitbeginfullscreen', updateMode);
+        video.addEventListener('webkitendfullscreen', updateMode);
+        return () => {
+            track.removeEventListener('cuechange', updateCues);
+            document.removeEventListener('fullscreenchange', updateMode);
+            document.removeEventListener('webkitfullscreenchange', updateMode);
+            video.removeEventListener('webkitbeginfullscreen', updateMode);
+            video.removeEventListener('webkitendfullscreen', updateMode);
+            setSubtitleCues([]);
+        };
+    }, [subtitleTextTrack]);
+
+    // Sync offset, for downloaded files: move the loaded cues by however much
+    // it changed. Cues that haven't loaded yet are moved by the whole offset
+    // once they do. A stream's own tracks are timed with the stream.
+    useEffect(() => {
+        const track = subtitleTrackRef.current?.track;
+        const delta = subtitleOffset - subtitleShiftRef.current;
+        subtitleShiftRef.current = subtitleOffset;
+        if (track?.cues?.length) shiftTrackCues(track, delta);
+    }, [subtitleOffset, subtitleTrackUrl]);
 
     // Add immediate watch history entry when user navigates to watch page (throttled)
     // This useEffect hook has been removed as it was causing logic conflicts.
@@ -605,6 +1210,9 @@ const Watch = (props) => {
             return;
         }
 
+        // Mirrors playback to a linked Trakt account
+        const scrobbler = createScrobbler({ type, id });
+
         // This function will be called by the message event listener
         const handleProgressUpdate = async (progressData, messageType) => {
             console.log(`📊 Progress update received via ${messageType}: `, progressData);
@@ -615,6 +1223,8 @@ const Watch = (props) => {
             const episodeToSave = progressData.episode || currentEpisode;
 
             if (progressData && progressData.progress >= 0 && progressData.duration > 0) {
+                scrobbler.update({ season: seasonToSave, episode: episodeToSave, progress: progressData.progress, duration: progressData.duration });
+
                 const now = Date.now();
                 if (now - lastProgressSaveTime.current < 1000) { // 1-second throttle
                     return;
@@ -629,35 +1239,30 @@ const Watch = (props) => {
                         episode: episodeToSave
                     });
                     
+                    const offlineItem = { id: mediaDetails.id, type, season: seasonToSave, episode: episodeToSave };
                     const saveResult = await saveWatchProgress(
                         currentUserId,
                         { ...mediaDetails, id: mediaDetails.id, type, season: seasonToSave, episode: episodeToSave },
                         progressData.progress,
                         progressData.duration
-                    ).catch(error => {
+                    ).catch(async error => {
                         console.error('❌ Progress save error caught:', error);
                         if (error.message?.includes('timeout') || error.message?.includes('auth')) {
-                            // For auth timeouts, use localStorage fallback
-                            const key = `offline_progress_${type}_${id}_${seasonToSave || 0}_${episodeToSave || 0}`;
-                            const offlineData = {
-                                media_id: id,
-                                media_type: type,
-                                season_number: seasonToSave,
-                                episode_number: episodeToSave,
-                                progress_seconds: progressData.progress,
-                                duration_seconds: progressData.duration,
-                                timestamp: new Date().toISOString()
-                            };
-                            localStorage.setItem(key, JSON.stringify(offlineData));
-                            console.log('📱 Saved to localStorage after error');
-                            return true; // Pretend success for UI consistency
+                            // Queued for replay; the header shows it as pending
+                            const entry = await enqueueProgress(currentUserId, offlineItem, progressData.progress, progressData.duration).catch(() => null);
+                            return entry ? { queued: true, progress_seconds: entry.progress_seconds, duration_seconds: entry.duration_seconds } : false;
                         }
                         return false;
                     });
                     
-                    if (saveResult) {
+                    if (saveResult?.queued) {
+                        console.log('📱 Progress queued until it can be synced');
+                    } else if (saveResult) {
                         console.log('✅ Progress saved successfully');
                         fetchContinueWatching(); // Refresh continue watching list
+                    }
+
+                    if (saveResult) {
 
                         // Update state in real-time only if the progress applies to the currently viewed item
                         if (seasonToSave === currentSeason && episodeToSave === currentEpisode) {
@@ -704,20 +1309,10 @@ const Watch = (props) => {
                     }
                 } catch (error) {
                     console.error('❌ An unexpected error occurred while saving progress:', error);
-                    // For any unexpected error, still try to use localStorage
+                    // For any unexpected error, still queue it for later
                     try {
-                        const key = `offline_progress_${type}_${id}_${seasonToSave || 0}_${episodeToSave || 0}`;
-                        const offlineData = {
-                            media_id: id,
-                            media_type: type,
-                            season_number: seasonToSave,
-                            episode_number: episodeToSave,
-                            progress_seconds: progressData.progress,
-                            duration_seconds: progressData.duration,
-                            timestamp: new Date().toISOString()
-                        };
-                        localStorage.setItem(key, JSON.stringify(offlineData));
-                        console.log('📱 Saved to localStorage after exception');
+                        await enqueueProgress(currentUserId, { id: mediaDetails.id, type, season: seasonToSave, episode: episodeToSave }, progressData.progress, progressData.duration);
+                        console.log('📱 Progress queued after exception');
                     } catch (storageError) {
                         console.error('💔 All save mechanisms failed:', storageError);
                     }
@@ -732,7 +1327,6 @@ const Watch = (props) => {
             }
         };
 
-        let progressHandler;
         let messageListener;
 
         if (isDirectSource) {
@@ -741,6 +1335,10 @@ const Watch = (props) => {
             if (!videoElement) return;
 
             const handleLoadedMetadata = async () => {
+                if (partyStateRef.current) {
+                    applyPartyState();
+                    return;
+                }
                 const history = await getWatchProgressForMedia(userId, id, type, currentSeason, currentEpisode);
                 if (history && history.progress_seconds) {
                     videoElement.currentTime = history.progress_seconds;
@@ -748,7 +1346,11 @@ const Watch = (props) => {
             };
 
             const handleTimeUpdate = async () => {
+                trackPlayback(videoElement.currentTime, videoElement.duration);
+                reportToParty({ type: 'timeupdate', currentTime: videoElement.currentTime });
                 if (videoElement.currentTime > 0) {
+                    scrobbler.update({ season: currentSeason, episode: currentEpisode, progress: videoElement.currentTime, duration: videoElement.duration });
+
                     const now = Date.now();
                     if (now - lastProgressSaveTime.current < 1000) { // 5-second throttle
                         return;
@@ -814,96 +1416,107 @@ const Watch = (props) => {
                     } else {
                         console.error('❌ Failed to save direct video progress');
                     }
-
-                    // Removed next episode prompt logic - Videasy handles autoplay automatically
-                    const timeRemaining = progressData.duration - progressData.progress;
-                    // Videasy will handle next episode prompts automatically
                 }
             };
 
+            const handleEnded = () => setPlaybackPhase('ended');
+            const handlePlayPauseSeek = (e) => reportToParty({
+                type: e.type === 'seeked' ? 'seek' : e.type,
+                currentTime: videoElement.currentTime
+            });
+
             videoElement.addEventListener('loadedmetadata', handleLoadedMetadata);
             videoElement.addEventListener('timeupdate', handleTimeUpdate);
+            videoElement.addEventListener('pause', scrobbler.pause);
+            videoElement.addEventListener('ended', handleEnded);
+            ['play', 'pause', 'seeked'].forEach(name => videoElement.addEventListener(name, handlePlayPauseSeek));
 
             return () => {
                 videoElement.removeEventListener('loadedmetadata', handleLoadedMetadata);
                 videoElement.removeEventListener('timeupdate', handleTimeUpdate);
+                videoElement.removeEventListener('pause', scrobbler.pause);
+                videoElement.removeEventListener('ended', handleEnded);
+                ['play', 'pause', 'seeked'].forEach(name => videoElement.removeEventListener(name, handlePlayPauseSeek));
+                scrobbler.end();
             };
         } else {
-            messageListener = (event) => {
-                const trustedDomains = ['player.videasy.net', 'vidsrc.to', 'embed.su', 'vidsrc.xyz', 'vidsrc.in', 'vidsrc.pm'];
-                const origin = new URL(event.origin);
-                
-                if (!trustedDomains.includes(origin.hostname)) {
-                    return;
-                }
-
-                try {
-                    // Attempt to parse the data if it's a string, otherwise use it directly
-                    const data = typeof event.data === 'string' ? JSON.parse(event.data) : event.data;
-
-                    // New: Efficient `PROGRESS_UPDATE` format from Videasy/other players
-                    if (data && data.type === 'PROGRESS_UPDATE' && data.data) {
-                        const progressData = {
-                            progress: data.data.progress?.watched,
-                            duration: data.data.progress?.duration,
-                            // Ensure season/episode from the message are used if available
-                            season: data.data.season || currentSeason,
-                            episode: data.data.episode || currentEpisode
-                        };
-                        handleProgressUpdate(progressData, 'PROGRESS_UPDATE');
-                        return; // Exit after handling
-                    }
+            const isSeries = type === 'tv' || type === 'anime';
 
-                    // Deprecated: Legacy `MEDIA_DATA` format for backward compatibility
-                    if (data.type === 'MEDIA_DATA' && data.data) {
-                    
-                        let mediaData = data.data;
-                        if (typeof mediaData === 'string') {
-                            try {
-                                mediaData = JSON.parse(mediaData);
-                            } catch (e) {
-                                console.error('Error parsing double-encoded MEDIA_DATA string:', e);
-                                return;
-                            }
-                        }
-
-                        // The data can be an object keyed by `tv-id`.
-                        const mediaKey = `${type}-${id}`;
-                        const media = mediaData[mediaKey];
-                        
-                        if (media && media.progress) {
-                            const normalizedProgress = {
-                                progress: media.progress.watched,
-                                duration: media.progress.duration,
-                                season: media.last_season_watched,
-                                episode: media.last_episode_watched,
-                            };
-                            handleProgressUpdate(normalizedProgress, 'MEDIA_DATA');
+            const handlePlayerEvent = (event) => {
+                const resume = resumeRef.current;
+                if (event.type === 'timeupdate' || event.type === 'play' || event.type === 'seek') {
+                    trackPlayback(event.currentTime, event.duration);
+                }
+                reportToParty(event);
+                readyWatchdogRef.current?.handleEvent(event);
+                switch (event.type) {
+                    case 'ready':
+                        console.log('Player is ready.');
+                        requestResume();
+                        applyPartyState();
+                        if (isSeries) {
+                            sendPlayerCommand(playerSourceRef.current, iframeRef.current, 'autoplay', true);
                         }
-                        return; // Exit after handling
-                    }
-
-                    // Generic event handling for other player messages
-                    if (data.type === 'PLAYER_EVENT' && data.data) {
-                        if (data.data.event === 'timeupdate') {
-                            const progressData = {
-                                progress: data.data.time,
-                                duration: data.data.duration
-                            };
-                            if (progressData.progress && progressData.duration) {
-                                handleProgressUpdate(progressData, 'PLAYER_EVENT');
+                        break;
+                    case 'timeupdate':
+                    case 'play':
+                        if (!resume.done) {
+                            // Until the seek lands, early times would overwrite the saved position
+                            if (event.currentTime >= resume.target - 5) {
+                                resume.done = true;
+                            } else {
+                                requestResume();
+                                break;
                             }
-                        } else if (data.data.event === 'ended' && (type === 'tv' || type === 'anime')) {
-                            console.log('Player reported "ended" event - Videasy will handle next episode automatically.');
-                            // Removed handleNextEpisode() - Videasy handles this automatically
-                        } else if (data.data.event === 'player_ready') {
-                            console.log('Player is ready.');
-                            setPlayerReady(true);
                         }
-                    }
+                        handleProgressUpdate({
+                            progress: event.currentTime,
+                            duration: event.duration,
+                            season: event.season,
+                            episode: event.episode
+                        }, `${playerSourceRef.current} ${event.type}`);
+                        break;
+                    case 'seek':
+                        // The viewer picked a position, so stop steering towards the resume point
+                        resume.done = true;
+                        lastProgressSaveTime.current = 0;
+                        handleProgressUpdate({ progress: event.currentTime, duration: event.duration, season: event.season, episode: event.episode }, `${playerSourceRef.current} seek`);
+                        break;
+                    case 'pause':
+                        scrobbler.pause();
+                        break;
+                    case 'ended':
+                        // Saved as fully watched; binge mode takes it from here
+                        setPlaybackPhase('ended');
+                        lastProgressSaveTime.current = 0;
+                        handleProgressUpdate({
+                            progress: event.duration ?? event.currentTime,
+                            duration: event.duration,
+                            season: event.season,
+                            episode: event.episode
+                        }, `${playerSourceRef.current} ended`);
+                        break;
+                    case 'error':
+                        console.warn(`Player error from ${playerSourceRef.current}: ${event.message}`);
+                        failoverToNextCandidate('player error');
+                        break;
+                }
+            };
 
+            messageListener = (event) => {
+                let origin;
+                try {
+                    origin = new URL(event.origin);
+                } catch {
+                    return;
+                }
+                if (!trustedOriginsRef.current.includes(origin.hostname)) {
+                    return;
+                }
+
+                try {
+                    parsePlayerMessage(playerSourceRef.current, event.data, { type, id }).forEach(handlePlayerEvent);
                 } catch (error) {
-                    // This will catch JSON parsing errors or other exceptions
                     console.error("Error processing message from player:", {
                         origin: event.origin,
                         data: event.data,
@@ -914,46 +1527,35 @@ const Watch = (props) => {
             
             window.addEventListener('message', messageListener);
             
-            // Fallback for players that don't send `player_ready` has been moved
-            // to a dedicated useEffect hook that depends on streamUrl.
+            // Players that never send `ready` are handled by the ready timeout below
 
             return () => {
                 window.removeEventListener('message', messageListener);
-                if (progressHandler) clearInterval(progressHandler);
+                scrobbler.end();
             };
         }
-    }, [mediaDetails, isDirectSource, videoRef, currentSeason, currentEpisode, userId]);
+    }, [mediaDetails, isDirectSource, videoRef, currentSeason, currentEpisode, userId, failoverToNextCandidate, requestResume, trackPlayback, applyPartyState, reportToParty]);
 
-    // This effect specifically handles the player ready timeout logic.
-    // It only runs when a stream URL for an iframe is present.
+    // An embedded player that never proves it plays (see watchPlayerReady)
+    // hands over to the next candidate. Player events reach the watchdog
+    // through readyWatchdogRef.
     useEffect(() => {
-        if (streamUrl && !isDirectSource && !playerReady) {
-            const readyTimeout = setTimeout(() => {
-                // Re-check playerReady state inside timeout to avoid race conditions
-                if (!playerReady) {
-                    console.warn('Player ready timeout, starting fallback progress tracking.');
-                    startFallbackTracking();
-                }
-            }, 10000); // Increased timeout to 10 seconds for better reliability
+        if (!streamUrl || isDirectSource || playerReady || !maturityAllowed) return;
 
-            return () => clearTimeout(readyTimeout);
-        }
-    }, [streamUrl, isDirectSource, playerReady]);
-
-    const startFallbackTracking = () => {
-        // Fallback progress tracking if player doesn't post messages
-        // This is a failsafe and should ideally not be relied upon
-        const progressHandler = setInterval(() => {
-            if (document.hasFocus()) {
-                console.log('Fallback: Checking for progress...');
-                // You would need a way to get progress from the iframe if possible,
-                // but cross-origin restrictions make this very difficult.
-                // This is a placeholder for a potential future implementation.
+        const watchdog = watchPlayerReady({
+            onReady: () => setPlayerReady(true),
+            onTimeout: () => {
+                if (!failoverToNextCandidate('player ready timeout')) {
+                    console.warn('Player ready timeout and no other source left to try.');
+                }
             }
-        }, 15000);
-
-        return () => clearInterval(progressHandler);
-    };
+        });
+        readyWatchdogRef.current = watchdog;
+        return () => {
+            watchdog.cancel();
+            if (readyWatchdogRef.current === watchdog) readyWatchdogRef.current = null;
+        };
+    }, [streamUrl, isDirectSource, playerReady, maturityAllowed, failoverToNextCandidate]);
 
     useEffect(() => {
         // Reset timeout error when streamUrl or error changes
@@ -1023,6 +1625,68 @@ const Watch = (props) => {
     
     const year = release_date || first_air_date ? new Date(release_date || first_air_date).getFullYear() : '';
 
+    const canSeekPlayer = isDirectSource || Boolean(getPlayerAdapter(currentSource).commands.seek);
+
+    const handleSkipIntro = () => {
+        const target = currentMarkers?.intro_end;
+        if (target == null) return;
+        if (isDirectSource) {
+            if (videoRef.current) videoRef.current.currentTime = target;
+        } else {
+            sendPlayerCommand(currentSource, iframeRef.current, 'seek', target, playerOrigin());
+        }
+        setPlaybackPhase(null);
+    };
+
+    const handleMarkEpisode = async (kind) => {
+        const { currentTime, duration } = playbackRef.current;
+        if (currentTime === null) {
+            toast.error('The player hasn\'t reported its position yet. Try again once it is playing.');
+            return;
+        }
+        try {
+            const markers = await markEpisode({ type, id, season: currentSeason, episode: currentEpisode }, kind, currentTime, duration);
+            setEpisodeMarkers(prev => ({ ...prev, [currentEpisode]: markers }));
+            toast.success(`Marked at ${Math.floor(currentTime / 60)}:${String(Math.floor(currentTime % 60)).padStart(2, '0')}. Thanks!`);
+        } catch (error) {
+            toast.error(`Could not save the mark: ${error.message}`);
+        }
+    };
+
+    const copyPartyLink = async (roomId, media) => {
+        try {
+            await navigator.clipboard.writeText(getPartyLink(roomId, media));
+            return true;
+        } catch {
+            return false;
+        }
+    };
+
+    const handleStartParty = async () => {
+        if (!pageMedia) return;
+        try {
+            const room = await createWatchParty(pageMedia);
+            setPartyId(room.id);
+            const copied = await copyPartyLink(room.id, room.media);
+            toast.success(copied
+                ? 'Watch party started. The invite link is copied, so send it to whoever is joining.'
+                : 'Watch party started. Copy the invite link from the party panel.');
+        } catch (error) {
+            toast.error(`Could not start a watch party: ${error.message}`);
+        }
+    };
+
+    const handleCopyPartyLink = async () => {
+        if (await copyPartyLink(partyId, party?.media || pageMedia)) toast.success('Invite link copied.');
+        else toast.error('Could not copy the invite link.');
+    };
+
+    const handleLeaveParty = () => {
+        setPartyId(null);
+        // So reloading doesn't join again
+        window.history.replaceState(null, '', window.location.pathname);
+    };
+
     const handleFavoriteClick = () => {
         // Ensure the correct ID (AniList for anime) and type are passed for both add and remove
         const itemToFavorite = { ...mediaDetails, id: favoritedId, type: type };
@@ -1054,124 +1718,191 @@ const Watch = (props) => {
                 </div>
             )}
 
-            <div class="player-container">
-                {!streamUrl && streamError && (
-                    <div class="stream-error-message">
-                        <p>{streamError.message}</p>
-                        {streamError.canRetry && (
-                            <div class="error-actions">
-                                <button 
-                                    onClick={async () => {
-                                        setIsRetrying(true);
-                                        // Wait a bit then retry
-                                        setTimeout(() => {
-                                            const fetchStreamUrl = async () => {
-                                                const url = `${API_BASE_URL}/stream-url?type=${type}&id=${id}&source=${currentSource}${(type === 'tv' || type === 'anime') ? `&season=${currentSeason}&episode=${currentEpisode}` : ''}${type === 'anime' ? `&dub=${isDubbed}` : ''}`;
+            <div class={partyId ? 'watch-stage with-party' : 'watch-stage'}>
+                <div class="player-container">
+                    {!maturityAllowed && (
+                        <MaturityGate
+                            key={`${type}:${id}:${activeViewerProfile?.id}`}
+                            type={type}
+                            id={id}
+                            onAllowed={() => setMaturityAllowed(true)}
+                        />
+                    )}
+                    {!streamUrl && streamError && (
+                        <div class="stream-error-message">
+                            <p>{streamError.message}</p>
+                            {streamError.canRetry && (
+                                <div class="error-actions">
+                                    <button 
+                                        onClick={async () => {
+                                            setIsRetrying(true);
+                                            failedSourcesRef.current.clear();
+                                            // Wait a bit then retry
+                                            setTimeout(() => {
+                                                const fetchStreamUrl = async () => {
+                                                    const url = `${API_BASE_URL}/stream-url?type=${type}&id=${id}&source=${currentSource}${(type === 'tv' || type === 'anime') ? `&season=${currentSeason}&episode=${currentEpisode}` : ''}${type === 'anime' ? `&dub=${streamDubbed}` : ''}`;
                                                 
-                                                try {
-                                                    const response = await fetch(url);
-                                                    const streamUrlData = await response.json();
+                                                    try {
+                                                        const response = await fetch(url);
+                                                        const streamUrlData = await response.json();
                                                     
-                                                    if (response.ok) {
-                                                        setStreamUrl(streamUrlData.url);
-                                                        setIsDirectSource(streamUrlData.isDirectSource);
-                                                        setQualities(streamUrlData.qualities || []);
-                                                        setStreamError(null);
-                                                    } else {
-                                                        throw new Error(streamUrlData.message);
+                                                        if (response.ok) {
+                                                            setStreamUrl(streamUrlData.url);
+                                                            setIsDirectSource(streamUrlData.isDirectSource);
+                                                            setQualities(streamUrlData.qualities || []);
+                                                            setStreamCandidates(streamUrlData.candidates || []);
+                                                            if (streamUrlData.currentSource) {
+                                                                sourceUpdatedFromBackend.current = true;
+                                                                setCurrentSource(streamUrlData.currentSource);
+                                                            }
+                                                            setStreamError(null);
+                                                        } else {
+                                                            throw new Error(streamUrlData.message);
+                                                        }
+                                                    } catch (error) {
+                                                        console.error('Retry failed:', error);
+                                                        setStreamError({ 
+                                                            message: "Retry failed. Please try again in a moment.", 
+                                                            canRetry: true 
+                                                        });
                                                     }
-                                                } catch (error) {
-                                                    console.error('Retry failed:', error);
-                                                    setStreamError({ 
-                                                        message: "Retry failed. Please try selecting a different source.", 
-                                                        canRetry: true 
-                                                    });
-                                                }
-                                                setIsRetrying(false);
-                                            };
-                                            fetchStreamUrl();
-                                        }, 1000);
-                                    }}
-                                    disabled={isRetrying}
+                                                    setIsRetrying(false);
+                                                };
+                                                fetchStreamUrl();
+                                            }, 1000);
+                                        }}
+                                        disabled={isRetrying}
+                                        class="btn retry-btn"
+                                    >
+                                        {isRetrying ? 'Retrying...' : 'Retry'}
+                                    </button>
+                                    <p>Every available source was tried automatically.</p>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                    {!streamUrl && !streamError && !streamTimeoutError && (
+                        <div class="stream-loading">
+                            <p>Loading video stream... </p>
+                            <p>If your video doesnt load refresh the page or pick a new server.</p>
+                        </div>
+                    )}
+                    {/* PATCH: Show error if stream never loads */}
+                    {!streamUrl && !streamError && streamTimeoutError && (
+                        <div class="stream-error-message">
+                            <p>Sorry, this episode failed to load. Please refresh the page.</p>
+                            <div class="error-actions">
+                                <button 
+                                    onClick={() => window.location.reload()} 
                                     class="btn retry-btn"
                                 >
-                                    {isRetrying ? 'Retrying...' : 'Retry'}
+                                    Refresh
                                 </button>
-                                <p>Or try selecting a different source from the list below.</p>
+                                <p>Or try selecting a different source from the list below if refreshing doesn't work.</p>
                             </div>
-                        )}
-                    </div>
-                )}
-                {!streamUrl && !streamError && !streamTimeoutError && (
-                    <div class="stream-loading">
-                        <p>Loading video stream... </p>
-                        <p>If your video doesnt load refresh the page or pick a new server.</p>
-                    </div>
-                )}
-                {/* PATCH: Show error if stream never loads */}
-                {!streamUrl && !streamError && streamTimeoutError && (
-                    <div class="stream-error-message">
-                        <p>Sorry, this episode failed to load. Please refresh the page.</p>
-                        <div class="error-actions">
-                            <button 
-                                onClick={() => window.location.reload()} 
-                                class="btn retry-btn"
-                            >
-                                Refresh
-                            </button>
-                            <p>Or try selecting a different source from the list below if refreshing doesn't work.</p>
                         </div>
-                    </div>
-                )}
-                {isDirectSource ? (
-                    <video ref={videoRef} src={streamUrl} controls autoPlay width="100%"></video>
-                ) : (
-                    streamUrl && (
-                        <iframe 
-                            src={streamUrl}
-                            width="100%"
-                            height="100%"
-                            style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%' }}
-                            frameBorder="0"
-                            allowFullScreen
-                            allow="autoplay; fullscreen; picture-in-picture"
-                            sandbox="allow-forms allow-pointer-lock allow-same-origin allow-scripts allow-top-navigation allow-popups allow-popups-to-escape-sandbox"
-                            title="Video Player"
-                            loading="eager"
-                            referrerPolicy="no-referrer-when-downgrade"
-                            importance="high"
-                            onLoad={() => {
-                                console.log('🎬 Player iframe loaded');
-                                setPlayerReady(true);
-                                
-                                // Handle progress restoration via postMessage (only for non-Videasy sources)
-                                // Videasy handles progress natively via URL parameters for faster loading
-                                if (currentSource !== 'videasy' && progressToResume > 30) {
+                    )}
+                    {isDirectSource ? (
+                        <>
+                            <video
+                                ref={videoRef}
+                                class={`subtitle-size-${subtitleSettings.size} subtitle-background-${subtitleSettings.background}`}
+                                controls
+                                autoPlay
+                                width="100%"
+                            >
+                                {activeSubtitle && subtitleTrackUrl && (
+                                    <track
+                                        key={subtitleTrackUrl}
+                                        ref={subtitleTrackRef}
+                                        kind="subtitles"
+                                        src={subtitleTrackUrl}
+                                        srclang={activeSubtitle.language}
+                                        label={getLanguageName(activeSubtitle.language)}
+                                    />
+                                )}
+                            </video>
+                            {activeSubtitle && <SubtitleOverlay cues={subtitleCues} settings={subtitleSettings} />}
+                            {subtitlesWanted && (
+                                <div class="player-menus">
+                                    {playback && (
+                                        <StreamSettingsMenu
+                                            playback={playback}
+                                            onQualityChange={(quality) => playbackEngineRef.current?.setQuality(quality)}
+                                            onAudioTrackChange={(track) => playbackEngineRef.current?.setAudioTrack(track)}
+                                        />
+                                    )}
+                                    <SubtitleMenu
+                                        results={subtitleOptions}
+                                        loading={subtitleSearch.loading}
+                                        error={subtitleSearch.error}
+                                        active={activeSubtitle}
+                                        offset={subtitleOffset}
+                                        onSelect={setActiveSubtitle}
+                                        onOffsetChange={setSubtitleOffset}
+                                    />
+                                </div>
+                            )}
+                        </>
+                    ) : (
+                        streamUrl && maturityAllowed && (
+                            <iframe 
+                                ref={iframeRef}
+                                src={streamUrl}
+                                width="100%"
+                                height="100%"
+                                style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%' }}
+                                frameBorder="0"
+                                allowFullScreen
+                                allow="autoplay; fullscreen; picture-in-picture"
+                                sandbox="allow-forms allow-pointer-lock allow-same-origin allow-scripts allow-top-navigation allow-popups allow-popups-to-escape-sandbox"
+                                title="Video Player"
+                                loading="eager"
+                                referrerPolicy="no-referrer-when-downgrade"
+                                importance="high"
+                                onLoad={() => {
+                                    console.log('🎬 Player iframe loaded');
+                                    // For players that never announce `ready`
                                     setTimeout(() => {
-                                        const iframe = document.querySelector('iframe');
-                                        if (iframe && iframe.contentWindow) {
-                                            try {
-                                                iframe.contentWindow.postMessage({
-                                                    type: 'SEEK_TO',
-                                                    time: progressToResume
-                                                }, '*');
-                                                console.log(`📍 Sent seek command to restore progress: ${progressToResume}s`);
-                                            } catch (e) {
-                                                console.log('Could not send seek command:', e);
-                                            }
-                                        }
-                                    }, 500); // Reduced to 500ms for faster response
-                                } else if (currentSource === 'videasy') {
-                                    console.log('📍 Videasy native resume - no seeking needed');
-                                } else {
-                                    console.log('📍 No significant progress to resume, starting from beginning');
-                                }
-                            }}
-                        ></iframe>
-                    )
+                                        requestResume();
+                                        applyPartyState();
+                                    }, 500);
+                                }}
+                            ></iframe>
+                        )
+                    )}
+                    {maturityAllowed && (binge && nextEpisode ? (
+                        <BingeCountdown
+                            next={nextEpisode}
+                            secondsLeft={binge.secondsLeft}
+                            askStillWatching={binge.askStillWatching}
+                            onPlay={() => playNextEpisode()}
+                            onCancel={cancelBinge}
+                        />
+                    ) : (
+                        <SkipButtons
+                            phase={playbackPhase}
+                            canSkipIntro={canSeekPlayer}
+                            onSkipIntro={handleSkipIntro}
+                            onNextEpisode={nextEpisode ? () => playNextEpisode() : null}
+                        />
+                    ))}
+                </div>
+                {partyId && (
+                    <WatchPartyPanel
+                        party={party}
+                        status={partyStatus}
+                        canSync={isDirectSource || canSyncPlayer(currentSource)}
+                        onSend={(text) => partyConnectionRef.current?.send('chat', { text })}
+                        onCopyLink={handleCopyPartyLink}
+                        onLeave={handleLeaveParty}
+                        onBackToParty={party && !party.you.host && pagePath !== partyPath ? () => route(partyPath) : null}
+                    />
                 )}
-                {/* Removed next episode prompt UI - Videasy handles this automatically */}
             </div>
+            {user && (type === 'tv' || type === 'anime') && currentEpisode !== null && streamUrl && maturityAllowed && (
+                <MarkEpisodeBar onMark={handleMarkEpisode} />
+            )}
             <div class="container">
                 <div class="media-details-layout">
                     <div class="poster">
@@ -1203,12 +1934,21 @@ const Watch = (props) => {
                             >
                                 {favoritesFetched ? (favorited ? '♥ Favorited' : '♡ Favorite') : '...'}
                             </button>
+                            <AddToListButton media={{ id: favoritedId, type, title: title || name, poster_path }} />
                             <button
                                 onClick={handleTrailerClick}
                                 class="favorite-btn trailer-btn"
                             >
                                 <i class="fas fa-film"></i> Trailer
                             </button>
+                            {!partyId && pageMedia && (
+                                <button
+                                    onClick={handleStartParty}
+                                    class="favorite-btn"
+                                >
+                                    <i class="fas fa-users"></i> Watch together
+                                </button>
+                            )}
                             {!user && (
                                 <span class="login-hint">
                                     <small>
@@ -1272,7 +2012,7 @@ const Watch = (props) => {
                         <select
                             id="dub-select"
                             value={isDubbed}
-                            onChange={(e) => setIsDubbed(e.target.value === 'true')}
+                            onChange={(e) => handleDubChange(e.target.value === 'true')}
                         >
                             <option value="false">Subbed</option>
                             <option value="true">Dubbed</option>
@@ -1281,7 +2021,34 @@ const Watch = (props) => {
                 )}
 
                 <div class="selectors-container">
-                    {(type === 'tv' || type === 'anime') && mediaDetails && mediaDetails.seasons && (
+                    {type === 'anime' && mediaDetails?.franchise?.length > 1 && (
+                        <div class="select-container">
+                            <label>Season:</label>
+                            <div class="selector-buttons">
+                                {/* Each franchise entry is its own AniList ID, so switching entries switches IDs */}
+                                {mediaDetails.franchise.map(entry => (
+                                    <button
+                                        key={entry.anilist_id}
+                                        class={`selector-btn ${entry.current ? 'active' : ''}`}
+                                        title={[entry.title, entry.season_year].filter(Boolean).join(' · ')}
+                                        onClick={() => {
+                                            if (entry.current) return;
+                                            console.log(`🎯 User selected franchise entry ${entry.anilist_id}`);
+                                            userNavigatedRef.current = true;
+                                            ignoredLegacyNavigation.current = null; // Reset ignored navigation log
+                                            route(`/watch/anime/${entry.anilist_id}/season/1/episode/1`, true);
+                                        }}
+                                    >
+                                        {entry.season_number ? `Season ${entry.season_number}` : entry.title}
+                                        {entry.relation !== 'main' && (
+                                            <span class="franchise-format">{entry.relation === 'movie' ? 'Movie' : 'Side story'}</span>
+                                        )}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                    {(type === 'tv' || (type === 'anime' && !(mediaDetails?.franchise?.length > 1))) && mediaDetails && mediaDetails.seasons && (
                         <div class="select-container">
                             <label>Season:</label>
                             <div class="selector-buttons">
@@ -1374,8 +2141,11 @@ const Watch = (props) => {
                                                     }}
                                                 >
                                                     <div class="episode-card-image">
-                                                        <img src={getProxiedImageUrl(episode.still_path ? (episode.still_path.startsWith('/anilist_images/') || episode.still_path.startsWith('http') ? episode.still_path : `${IMAGE_BASE_URL}${episode.still_path}`) : `https://via.placeholder.com/300x169.png?text=${encodeURIComponent(episode.name)}`)} alt={episode.name} />
+                                                        <img src={getProxiedImageUrl(episode.still_path || `/placeholder/${type}_${id}_episode_${episode.episode_number}.jpg?title=${encodeURIComponent(title || name || '')}`, { width: 300, format: 'webp' })} alt={episode.name} />
                                                         <div class="episode-number-badge">{episode.episode_number}</div>
+                                                        {(episode.filler || episode.recap) && (
+                                                            <div class="episode-flag-badge">{episode.recap ? 'Recap' : 'Filler'}</div>
+                                                        )}
                                                         {progressPercent > 0 && (
                                                             <div class="episode-progress-container">
                                                                 <div class="episode-progress-bar">
@@ -0,0 +1,288 @@
+import { h } from 'preact';
+import './Watchlists.css';
+import Helmet from 'preact-helmet';
+import { Link } from 'preact-router';
+import { useState, useEffect, useCallback } from 'preact/hooks';
+import { useAuth } from '../context/Auth';
+import { useStore } from '../store';
+import { getProxiedImageUrl } from '../config';
+import { getPlaceholderDataUri } from '../utils/placeholders';
+import { getCurrentTheme } from '../utils/themeUtils';
+import {
+    getWatchlists,
+    createWatchlist,
+    renameWatchlist,
+    deleteWatchlist,
+    moveWatchlistItems,
+    removeWatchlistItems,
+    reorderWatchlist,
+    updateWatchlistItemNote
+} from '../utils/watchlists';
+import toast from '../components/Toast';
+
+const WatchlistItem = ({ item, index, count, selected, onSelect, onMove, onRemove, onNoteSave }) => {
+    const [note, setNote] = useState(item.note || '');
+    const fallback = getPlaceholderDataUri({ seed: item.media_id, title: item.title, theme: getCurrentTheme() });
+
+    useEffect(() => { setNote(item.note || ''); }, [item.note]);
+
+    return (
+        <li class={`watchlist-item ${selected ? 'selected' : ''}`}>
+            <input
+                type="checkbox"
+                checked={selected}
+                onChange={() => onSelect(item.id)}
+                aria-label={`Select ${item.title}`}
+            />
+            <Link href={`/watch/${item.media_type}/${item.media_id}`} class="watchlist-item-poster">
+                <img
+                    src={item.poster_path ? getProxiedImageUrl(item.poster_path, { width: 92, format: 'webp' }) : fallback}
+                    alt=""
+                    loading="lazy"
+                    onError={(e) => { e.target.onerror = null; e.target.src = fallback; }}
+                />
+            </Link>
+            <div class="watchlist-item-body">
+                <Link href={`/watch/${item.media_type}/${item.media_id}`} class="watchlist-item-title">
+                    {item.title || `${item.media_type} ${item.media_id}`}
+                </Link>
+                <span class="watchlist-item-type">{item.media_type === 'movie' ? 'Movie' : item.media_type === 'anime' ? 'Anime' : 'TV'}</span>
+                <textarea
+                    class="watchlist-item-note"
+                    placeholder="Add a note..."
+                    rows="1"
+                    value={note}
+                    onInput={(e) => setNote(e.target.value)}
+                    onBlur={() => { if (note !== (item.note || '')) onNoteSave(item, note); }}
+                />
+            </div>
+            <div class="watchlist-item-actions">
+                <button onClick={() => onMove(index, -1)} disabled={index === 0} aria-label="Move up">▲</button>
+                <button onClick={() => onMove(index, 1)} disabled={index === count - 1} aria-label="Move down">▼</button>
+                <button onClick={() => onRemove([item.id])} aria-label="Remove">✕</button>
+            </div>
+        </li>
+    );
+};
+
+const Watchlists = () => {
+    const { user } = useAuth();
+    const fetchContinueWatching = useStore((state) => state.fetchContinueWatching);
+    const [lists, setLists] = useState([]);
+    const [activeId, setActiveId] = useState(null);
+    const [selected, setSelected] = useState(new Set());
+    const [loading, setLoading] = useState(true);
+    const [newListName, setNewListName] = useState('');
+
+    const loadLists = useCallback(async () => {
+        if (!user) return;
+        const data = await getWatchlists(user.id);
+        setLists(data);
+        setActiveId(current => (data.some(list => list.id === current) ? current : data[0]?.id ?? null));
+        setLoading(false);
+    }, [user]);
+
+    useEffect(() => {
+        loadLists();
+    }, [loadLists]);
+
+    useEffect(() => {
+        setSelected(new Set());
+    }, [activeId]);
+
+    const activeList = lists.find(list => list.id === activeId);
+
+    const toggleSelected = (itemId) => {
+        const next = new Set(selected);
+        if (next.has(itemId)) next.delete(itemId);
+        else next.add(itemId);
+        setSelected(next);
+    };
+
+    const selectAll = () => {
+        setSelected(selected.size === activeList.items.length ? new Set() : new Set(activeList.items.map(item => item.id)));
+    };
+
+    const handleMoveSelected = async (targetId) => {
+        const target = lists.find(list => list.id === targetId);
+        if (!target || selected.size === 0) return;
+
+        const saved = await moveWatchlistItems(lists, [...selected], targetId);
+        if (saved) {
+            toast.success(`Moved ${selected.size} ${selected.size === 1 ? 'title' : 'titles'} to ${target.name}.`);
+        } else {
+            toast.error('Some titles could not be moved. Please try again.');
+        }
+        if (target.kind === 'completed' || activeList.kind === 'completed') {
+            fetchContinueWatching();
+        }
+        setSelected(new Set());
+        loadLists();
+    };
+
+    const handleRemove = async (itemIds) => {
+        if (!await removeWatchlistItems(itemIds)) {
+            toast.error('Could not remove from the list. Please try again.');
+        }
+        setSelected(new Set());
+        loadLists();
+    };
+
+    const handleReorder = async (index, direction) => {
+        const items = [...activeList.items];
+        const [moved] = items.splice(index, 1);
+        items.splice(index + direction, 0, moved);
+
+        // Optimistic update
+        setLists(current => current.map(list => (list.id === activeList.id ? { ...list, items } : list)));
+        if (!await reorderWatchlist(items.map(item => item.id))) {
+            toast.error('Could not save the new order.');
+            loadLists();
+        }
+    };
+
+    const handleNoteSave = async (item, note) => {
+        if (await updateWatchlistItemNote(item.id, note)) {
+            setLists(current => current.map(list => ({
+                ...list,
+                items: list.items.map(other => (other.id === item.id ? { ...other, note: note.trim() || null } : other))
+            })));
+        } else {
+            toast.error('Could not save the note.');
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!newListName.trim()) return;
+        const list = await createWatchlist(user.id, newListName, lists);
+        if (list) {
+            setLists([...lists, list]);
+            setActiveId(list.id);
+            setNewListName('');
+        } else {
+            toast.error('Could not create the list.');
+        }
+    };
+
+    const handleRename = async () => {
+        const name = window.prompt('Rename list', activeList.name);
+        if (!name || !name.trim() || name.trim() === activeList.name) return;
+        if (await renameWatchlist(activeList.id, name)) {
+            loadLists();
+        } else {
+            toast.error('Could not rename the list.');
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete "${activeList.name}" and everything in it?`)) return;
+        if (await deleteWatchlist(activeList.id)) {
+            setActiveId(null);
+            loadLists();
+        } else {
+            toast.error('Could not delete the list.');
+        }
+    };
+
+    if (loading) {
+        return <div class="container"><p>Loading your lists...</p></div>;
+    }
+
+    return (
+        <div class="container watchlists-page">
+            <Helmet>
+                <title>My Lists - Fylm</title>
+            </Helmet>
+            <h1>My Lists</h1>
+
+            <div class="watchlists-layout">
+                <aside class="watchlists-sidebar">
+                    <ul class="watchlists-tabs">
+                        {lists.map(list => (
+                            <li key={list.id}>
+                                <button
+                                    class={`watchlists-tab ${list.id === activeId ? 'active' : ''}`}
+                                    onClick={() => setActiveId(list.id)}
+                                >
+                                    <span>{list.name}</span>
+                                    <span class="watchlists-count">{list.items.length}</span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                    <form class="watchlists-new" onSubmit={handleCreate}>
+                        <input
+                            type="text"
+                            placeholder="New list name"
+                            value={newListName}
+                            onInput={(e) => setNewListName(e.target.value)}
+                            maxLength={60}
+                        />
+                        <button type="submit" disabled={!newListName.trim()}>Create</button>
+                    </form>
+                </aside>
+
+                {activeList && (
+                    <section class="watchlists-content">
+                        <div class="watchlists-toolbar">
+                            <h2>{activeList.name}</h2>
+                            <div class="watchlists-toolbar-actions">
+                                <button onClick={handleRename}>Rename</button>
+                                {!activeList.kind && <button class="danger" onClick={handleDelete}>Delete list</button>}
+                            </div>
+                        </div>
+
+                        {activeList.items.length > 0 && (
+                            <div class="watchlists-bulk">
+                                <label>
+                                    <input
+                                        type="checkbox"
+                                        checked={selected.size > 0 && selected.size === activeList.items.length}
+                                        onChange={selectAll}
+                                    />
+                                    {selected.size > 0 ? `${selected.size} selected` : 'Select all'}
+                                </label>
+                                <select
+                                    disabled={selected.size === 0}
+                                    value=""
+                                    onChange={(e) => handleMoveSelected(Number(e.target.value))}
+                                >
+                                    <option value="" disabled>Move to...</option>
+                                    {lists.filter(list => list.id !== activeList.id).map(list => (
+                                        <option key={list.id} value={list.id}>{list.name}</option>
+                                    ))}
+                                </select>
+                                <button disabled={selected.size === 0} onClick={() => handleRemove([...selected])}>
+                                    Remove
+                                </button>
+                            </div>
+                        )}
+
+                        {activeList.items.length > 0 ? (
+                            <ul class="watchlist-items">
+                                {activeList.items.map((item, index) => (
+                                    <WatchlistItem
+                                        key={item.id}
+                                        item={item}
+                                        index={index}
+                                        count={activeList.items.length}
+                                        selected={selected.has(item.id)}
+                                        onSelect={toggleSelected}
+                                        onMove={handleReorder}
+                                        onRemove={handleRemove}
+                                        onNoteSave={handleNoteSave}
+                                    />
+                                ))}
+                            </ul>
+                        ) : (
+                            <p class="watchlists-empty">This list is empty. Use "Add to List" on any movie, show or anime to add it here.</p>
+                        )}
+                    </section>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default Watchlists;
@@ -1,15 +1,32 @@
 import { create } from 'zustand';
-import { supabase } from './supabase';
+import { supabase, setActiveViewerProfileId } from './supabase';
 import { persist } from 'zustand/middleware';
 import { getContinueWatching } from './utils/watchHistory';
+import { getViewerProfiles, getSavedViewerProfileId, saveViewerProfileId } from './utils/viewerProfiles';
+import { getViewerHeaders } from './utils/authFetch';
+import { DEFAULT_BINGE_SETTINGS } from './utils/binge';
+import { DEFAULT_SUBTITLE_SETTINGS } from './utils/subtitles';
 import toast from './components/Toast';
 
 
+// Listing rails, filtered server-side to the active profile's maturity rating
+const EMPTY_RAILS = {
+    trending: [],
+    popularMovies: [],
+    popularTv: [],
+    topRatedMovies: [],
+    topRatedTv: [],
+    upcomingMovies: [],
+    nowPlayingMovies: [],
+    airingTodayTv: []
+};
+
 const fetchAllPages = async (url, totalPages = 3) => {
     let allResults = [];
+    const headers = await getViewerHeaders();
     for (let page = 1; page <= totalPages; page++) {
         try {
-            const response = await fetch(`${url}?page=${page}`);
+            const response = await fetch(`${url}?page=${page}`, { headers });
             if (response.ok) {
                 const data = await response.json();
                 allResults = [...allResults, ...(data.results || [])];
@@ -25,14 +42,8 @@ const fetchAllPages = async (url, totalPages = 3) => {
 export const useStore = create(
     persist(
     (set, get) => ({
-      trending: [],
-      popularMovies: [],
-      popularTv: [],
-      topRatedMovies: [],
-      topRatedTv: [],
-      upcomingMovies: [],
-      nowPlayingMovies: [],
-      airingTodayTv: [],
+      ...EMPTY_RAILS,
+      railsRating: null,
       favorites: [],
       favoritesFetched: false,
       favoritedMedia: new Set(),
@@ -40,6 +51,68 @@ export const useStore = create(
       continueWatching: [],
       continueWatchingFetched: false,
       continueWatchingLoading: false,
+      viewerProfiles: [],
+      viewerProfilesFetched: false,
+      activeViewerProfile: null,
+      bingeSettings: DEFAULT_BINGE_SETTINGS,
+      subtitleSettings: DEFAULT_SUBTITLE_SETTINGS,
+
+      // Binge mode, per device
+      setBingeSettings: (changes) => set({ bingeSettings: { ...get().bingeSettings, ...changes } }),
+
+      // Subtitle appearance, per device; languages belong to the viewer profile
+      setSubtitleSettings: (changes) => set({ subtitleSettings: { ...get().subtitleSettings, ...changes } }),
+
+      // Viewer profiles
+      fetchViewerProfiles: async (userId) => {
+        if (!userId) {
+          get().selectViewerProfile(null);
+          set({ viewerProfiles: [], viewerProfilesFetched: false });
+          return;
+        }
+
+        const profiles = await getViewerProfiles(userId);
+        const current = get().activeViewerProfile;
+        // Keep the profile in use, else the one last picked on this device;
+        // a lone profile needs no picking at all
+        const active = profiles.find(profile => profile.id === current?.id)
+          || profiles.find(profile => profile.id === getSavedViewerProfileId(userId))
+          || (profiles.length === 1 ? profiles[0] : null);
+
+        set({ viewerProfiles: profiles, viewerProfilesFetched: true });
+        if (active?.id !== current?.id) {
+          get().selectViewerProfile(active, userId);
+        } else if (active) {
+          set({ activeViewerProfile: active });
+          get().matchRailsToRating(active.maturity_rating);
+        }
+      },
+
+      // Rails fetched under another maturity rating are dropped so they are
+      // fetched again; the persisted ones may be from another profile
+      matchRailsToRating: (rating) => {
+        if (get().railsRating !== (rating || null)) {
+          set({ ...EMPTY_RAILS, railsRating: rating || null });
+        }
+      },
+
+      // Switches whose history and favorites the app shows. Everything loaded
+      // for the previous profile is dropped and fetched again.
+      selectViewerProfile: (profile, userId) => {
+        setActiveViewerProfileId(profile?.id);
+        if (userId) {
+          saveViewerProfileId(userId, profile?.id);
+        }
+        set({
+          activeViewerProfile: profile || null,
+          favorites: [],
+          favoritedMedia: new Set(),
+          favoritesFetched: false,
+          continueWatching: [],
+          continueWatchingFetched: false
+        });
+        get().matchRailsToRating(profile?.maturity_rating);
+      },
 
       fetchContinueWatching: async () => {
         if (get().continueWatchingLoading) return;
@@ -67,7 +140,7 @@ export const useStore = create(
       fetchTrending: async () => {
         if (get().trending.length > 0) return;
         try {
-            const response = await fetch(`/api/tmdb/trending/all/week`);
+            const response = await fetch(`/api/tmdb/trending/all/week`, { headers: await getViewerHeaders() });
             if (response.ok) {
                 const data = await response.json();
                 set({ trending: data.results || [] });
@@ -254,6 +327,9 @@ export const useStore = create(
             upcomingMovies: state.upcomingMovies,
             nowPlayingMovies: state.nowPlayingMovies,
             airingTodayTv: state.airingTodayTv,
+            railsRating: state.railsRating,
+            bingeSettings: state.bingeSettings,
+            subtitleSettings: state.subtitleSettings,
             continueWatching: state.continueWatching
         }),
     }
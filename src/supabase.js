@@ -42,6 +42,29 @@ const customStorage = {
 // VITE_SUPABASE_URL=your_supabase_url
 // VITE_SUPABASE_ANON_KEY=your_supabase_anon_key
 
+// The viewer profile the app is acting as. Sent with every database request
+// so RLS and the watch progress functions scope history, progress and
+// favorites to it (see public.active_viewer_profile()).
+let activeViewerProfileId = null;
+
+export const setActiveViewerProfileId = (id) => {
+    activeViewerProfileId = id || null;
+};
+
+export const getActiveViewerProfileId = () => activeViewerProfileId;
+
+// A request that names its own profile (the offline progress replay) keeps it
+const withViewerProfile = (url, headers) => {
+    if (!activeViewerProfileId || !String(url).includes('/rest/v1/')) {
+        return headers;
+    }
+    const merged = new Headers(headers);
+    if (!merged.has('X-Viewer-Profile')) {
+        merged.set('X-Viewer-Profile', activeViewerProfileId);
+    }
+    return merged;
+};
+
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
 
@@ -99,6 +122,7 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
 
                     const response = await fetch(url, {
                         ...options,
+                        headers: withViewerProfile(url, options.headers),
                         signal: controller.signal,
                         // Safari has stricter CORS requirements
                         credentials: 'same-origin',
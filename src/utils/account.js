@@ -0,0 +1,33 @@
+import { authFetch } from './authFetch';
+
+// "Download my data" and "Delete my account". Both run in the API, which can
+// read every table and remove storage objects and the auth user.
+
+/**
+ * Downloads everything stored about the signed-in user as one JSON file:
+ * profile, viewer profiles, favorites, watch history and progress,
+ * watchlists, notifications, linked accounts (without tokens) and authored
+ * blog posts.
+ */
+export const downloadMyData = async () => {
+  const bundle = await authFetch('/account/export');
+  const url = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `fylm-data-${bundle.exported_at.slice(0, 10)}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Deletes the account, its files and all of its data. The caller signs out
+ * afterwards; the session is no longer valid.
+ *
+ * @param {string} confirmEmail - Must match the account's email.
+ * @returns {Promise<object>} { files }
+ */
+export const deleteMyAccount = (confirmEmail) => authFetch('/account', {
+  method: 'DELETE',
+  body: JSON.stringify({ confirm_email: confirmEmail }),
+});
@@ -0,0 +1,55 @@
+import { supabase, getActiveViewerProfileId } from '../supabase';
+import { API_BASE_URL } from '../config';
+
+/**
+ * Calls an API route that acts on the signed-in user's data, sending the
+ * current Supabase access token as a Bearer token, and the active viewer
+ * profile, if any, in X-Viewer-Profile.
+ *
+ * @param {string} path - API path, e.g. '/schedule?days=14'.
+ * @param {RequestInit} [options] - Extra fetch options.
+ * @returns {Promise<any>} The parsed JSON response.
+ */
+export const authFetch = async (path, options = {}) => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) {
+    throw new Error('You need to be logged in.');
+  }
+
+  const viewerProfileId = getActiveViewerProfileId();
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: {
+      'Accept': 'application/json',
+      ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+      ...(viewerProfileId ? { 'X-Viewer-Profile': viewerProfileId } : {}),
+      ...options.headers,
+      'Authorization': `Bearer ${session.access_token}`
+    }
+  });
+
+  const data = response.status === 204 ? null : await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(data?.error || `HTTP ${response.status}`);
+  }
+  return data;
+};
+
+/**
+ * Headers that identify the signed-in viewer to public listing routes, which
+ * filter titles to the active profile's maturity rating. Empty when signed
+ * out, so the request gets the signed-out listing.
+ *
+ * @returns {Promise<Record<string, string>>}
+ */
+export const getViewerHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) {
+    return {};
+  }
+  const viewerProfileId = getActiveViewerProfileId();
+  return {
+    'Authorization': `Bearer ${session.access_token}`,
+    ...(viewerProfileId ? { 'X-Viewer-Profile': viewerProfileId } : {})
+  };
+};
@@ -0,0 +1,101 @@
+import { API_BASE_URL } from '../config';
+
+// Binge mode: when an episode's credits start (or it ends), the Watch page
+// counts down and plays the next one. After the next episode in the season
+// comes the first episode of the next season, or for anime the next entry
+// of the franchise's main line.
+//
+// Episodes that advanced on their own count towards the "are you still
+// watching?" limit; any click or key press on the page starts the count over.
+
+export const DEFAULT_BINGE_SETTINGS = { autoplay: true, countdownSeconds: 10, stillWatchingAfter: 3 };
+
+let streak = 0;
+
+export const recordAutoplay = () => {
+  streak++;
+};
+
+export const resetBingeStreak = () => {
+  streak = 0;
+};
+
+/**
+ * Whether to ask before playing another episode on its own.
+ *
+ * @param {number} limit - Episodes in a row; 0 never asks.
+ * @returns {boolean}
+ */
+export const shouldAskStillWatching = (limit) => limit > 0 && streak >= limit;
+
+const loadSeason = async (type, id, season) => {
+  const url = type === 'anime'
+    ? `${API_BASE_URL}/tmdb/anime/${id}/season/${season}`
+    : `${API_BASE_URL}/tmdb/tv/${id}/season/${season}`;
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.json();
+};
+
+/**
+ * Works out what plays after the current episode.
+ *
+ * @param {object} options
+ * @param {string} options.type - 'tv' or 'anime'.
+ * @param {string} options.id - The page's ID: TMDB for TV, AniList for anime.
+ * @param {string} [options.tmdbId] - TMDB ID used for TV season requests.
+ * @param {number} options.season
+ * @param {number} options.episode
+ * @param {object} [options.seasonDetails] - The current season's episode list.
+ * @param {object} [options.mediaDetails] - Seasons, and the franchise for anime.
+ * @returns {Promise<object|null>} { url, title, still, label }, or null at the
+ *   end of the series.
+ */
+export const resolveNextEpisode = async ({ type, id, tmdbId, season, episode, seasonDetails, mediaDetails }) => {
+  const sameSeason = seasonDetails?.episodes?.find(item => item.episode_number === episode + 1);
+  if (sameSeason) {
+    return {
+      url: `/watch/${type}/${id}/season/${season}/episode/${sameSeason.episode_number}`,
+      title: sameSeason.name,
+      still: sameSeason.still_path || null,
+      label: `S${season} · E${sameSeason.episode_number}`
+    };
+  }
+
+  // Each anime season is its own AniList entry
+  const franchise = type === 'anime' ? mediaDetails?.franchise || [] : [];
+  if (franchise.length > 1) {
+    const at = franchise.findIndex(entry => entry.current);
+    const sequel = franchise.slice(at + 1).find(entry => entry.relation === 'main' && entry.status !== 'NOT_YET_RELEASED');
+    if (at === -1 || !sequel) return null;
+    return {
+      url: `/watch/anime/${sequel.anilist_id}/season/1/episode/1`,
+      title: sequel.title,
+      still: sequel.poster_path,
+      label: sequel.season_number ? `Season ${sequel.season_number} · E1` : 'Episode 1'
+    };
+  }
+
+  // Specials (season 0) are left out of the rollover
+  const nextSeason = (mediaDetails?.seasons || [])
+    .filter(item => item.season_number > season && item.episode_count !== 0)
+    .sort((a, b) => a.season_number - b.season_number)[0];
+  if (!nextSeason) return null;
+
+  const next = {
+    url: `/watch/${type}/${id}/season/${nextSeason.season_number}/episode/1`,
+    title: nextSeason.name || `Season ${nextSeason.season_number}`,
+    still: nextSeason.poster_path || null,
+    label: `S${nextSeason.season_number} · E1`
+  };
+  try {
+    const details = await loadSeason(type, type === 'anime' ? id : tmdbId || id, nextSeason.season_number);
+    const first = details?.episodes?.find(item => item.episode_number === 1);
+    if (first) {
+      return { ...next, title: first.name || next.title, still: first.still_path || next.still };
+    }
+  } catch (error) {
+    console.warn(`Could not load season ${nextSeason.season_number} for the next episode:`, error.message);
+  }
+  return next;
+};
@@ -0,0 +1,93 @@
+import { authFetch } from './authFetch';
+import { API_BASE_URL } from '../config';
+
+// Skip intro / next episode markers, crowd-sourced from the mark buttons on
+// the Watch page and aggregated by the API (api/markers/). An episode counts
+// as watched once its credits are reached; episodes without a credits
+// marker fall back to a share of the runtime.
+
+export const MARKER_KINDS = ['intro_start', 'intro_end', 'credits_start'];
+
+// Without markers, the last 2% of an episode is taken to be credits
+const FALLBACK_COMPLETION = 0.98;
+
+// Players report time in steps, so the credits count as reached a little early
+const CREDITS_SLACK_SECONDS = 3;
+
+/**
+ * Markers for the episodes of one season that have any.
+ *
+ * @param {string} type - 'tv' or 'anime'.
+ * @param {string|number} id
+ * @param {number} season
+ * @returns {Promise<Record<number, object>>} Markers keyed by episode number.
+ */
+export const getSeasonMarkers = async (type, id, season) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/markers/${type}/${id}/${season}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return (await response.json()).episodes || {};
+  } catch (error) {
+    console.warn('Could not load episode markers:', error.message);
+    return {};
+  }
+};
+
+/**
+ * Markers for episodes of any titles, in one request.
+ *
+ * @param {Array<{ type: string, id: string|number, season: number, episode: number }>} episodes
+ * @returns {Promise<Map<string, object>>} Markers keyed by `${type}-${id}-${season}-${episode}`.
+ */
+export const getMarkersForEpisodes = async (episodes) => {
+  const markers = new Map();
+  if (episodes.length === 0) return markers;
+  try {
+    const response = await fetch(`${API_BASE_URL}/markers/bulk`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ requests: episodes })
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    for (const { type, id, season, episode, markers: found } of await response.json()) {
+      if (found) markers.set(`${type}-${id}-${season}-${episode}`, found);
+    }
+  } catch (error) {
+    console.warn('Could not load episode markers:', error.message);
+  }
+  return markers;
+};
+
+/**
+ * Votes for where a marker is in the episode being watched.
+ *
+ * @param {object} episode - { type, id, season, episode }
+ * @param {'intro_start'|'intro_end'|'credits_start'} kind
+ * @param {number} position - Seconds into the episode.
+ * @param {number} [duration] - Length of the stream, to tell cuts apart.
+ * @returns {Promise<object>} The episode's markers with this vote counted.
+ */
+export const markEpisode = async ({ type, id, season, episode }, kind, position, duration) => {
+  const result = await authFetch(`/markers/${type}/${id}/${season}/${episode}`, {
+    method: 'PUT',
+    body: JSON.stringify({ kind, position, duration: duration || null })
+  });
+  return result.markers;
+};
+
+/**
+ * Whether an episode has been watched to the end: its credits reached, or
+ * nearly all of it watched when nobody has marked the credits.
+ *
+ * @param {number} progress - Seconds watched.
+ * @param {number} duration - Seconds in the episode.
+ * @param {object} [markers] - The episode's markers.
+ * @returns {boolean}
+ */
+export const isEpisodeComplete = (progress, duration, markers) => {
+  if (!progress) return false;
+  if (markers?.credits_start) {
+    return progress >= markers.credits_start - CREDITS_SLACK_SECONDS;
+  }
+  return duration > 0 && progress / duration >= FALLBACK_COMPLETION;
+};
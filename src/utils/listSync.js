@@ -0,0 +1,70 @@
+import { authFetch } from './authFetch';
+
+// Two-way sync with the user's AniList and Shikimori lists, and the Trakt
+// account used for scrobbling. The API holds the linked accounts and their
+// tokens; the browser only starts the OAuth flow, reports watched episodes
+// and asks for imports.
+
+export const SYNC_PROVIDER_NAMES = {
+  anilist: 'AniList',
+  shikimori: 'Shikimori',
+  trakt: 'Trakt',
+};
+
+// An episode counts as watched once this much of it has played; end credits
+// usually make up the rest
+const WATCHED_FRACTION = 0.9;
+
+const reported = new Set(); // Episodes already pushed this session
+
+/**
+ * @returns {Promise<object>} { providers: [{ provider, configured, imports }], accounts: [{ provider, username, linked_at }] }
+ */
+export const getLinkedAccounts = () => authFetch('/sync/accounts');
+
+// Sends the browser to the provider's consent page; it comes back to /profile.
+// The API answers with a cookie the callback checks, so it has to be kept.
+export const connectAccount = async (provider) => {
+  const { url } = await authFetch(`/sync/${provider}/authorize`, { credentials: 'include' });
+  window.location.href = url;
+};
+
+export const disconnectAccount = (provider) => authFetch(`/sync/${provider}`, { method: 'DELETE' });
+
+/**
+ * Pulls the provider's list into watch history, the status lists and
+ * favorites, pushing back titles that are further along here.
+ *
+ * @param {string} provider - 'anilist' or 'shikimori'.
+ * @param {string} [strategy] - How titles changed on both sides are settled:
+ *   'furthest' (default), 'local' or 'remote'.
+ * @returns {Promise<object>} { total, pulled, pushed, unchanged, unmatched, failed, conflicts }
+ */
+export const importList = (provider, strategy = 'furthest') => authFetch(`/sync/${provider}/import`, {
+  method: 'POST',
+  body: JSON.stringify({ strategy }),
+});
+
+/**
+ * Pushes a watched anime episode to the linked accounts. Called from
+ * saveWatchProgress; failures are logged and never reach the player.
+ *
+ * @param {object} item - { id, type, episode }. Anime use their AniList ID.
+ * @param {number} progress - Seconds watched.
+ * @param {number} [duration] - Episode length in seconds.
+ */
+export const syncWatchedEpisode = (item, progress, duration) => {
+  if (item?.type !== 'anime' || !item.episode || !duration || progress / duration < WATCHED_FRACTION) return;
+
+  const key = `${item.id}:${item.episode}`;
+  if (reported.has(key)) return;
+  reported.add(key);
+
+  authFetch('/sync/progress', {
+    method: 'POST',
+    body: JSON.stringify({ anilist_id: Number(item.id), episode: Number(item.episode) }),
+  }).catch((error) => {
+    reported.delete(key);
+    console.warn('Could not sync watched episode to linked accounts:', error.message);
+  });
+};
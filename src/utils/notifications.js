@@ -0,0 +1,114 @@
+import { supabase } from '../supabase';
+
+// New-episode notifications are written by the API's notification job; the
+// user reads, clears and mutes them directly under RLS.
+
+export const NOTIFICATION_POLL_INTERVAL = 5 * 60 * 1000;
+
+export const seriesKey = (mediaType, mediaId) => `${mediaType}:${mediaId}`;
+
+/**
+ * Fetches the user's most recent notifications, newest first.
+ *
+ * @param {string} userId - The signed-in user's ID.
+ * @param {number} [limit=20] - How many to fetch.
+ * @returns {Promise<Array>}
+ */
+export const getNotifications = async (userId, limit = 20) => {
+  const { data, error } = await supabase
+    .from('notifications')
+    .select('id, media_type, media_id, season_number, episode_number, title, episode_name, poster_path, air_date, read_at, created_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    console.error('Error fetching notifications:', error);
+    return [];
+  }
+  return data;
+};
+
+/**
+ * Counts the user's unread notifications.
+ *
+ * @param {string} userId - The signed-in user's ID.
+ * @returns {Promise<number>}
+ */
+export const getUnreadCount = async (userId) => {
+  const { count, error } = await supabase
+    .from('notifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('read_at', null);
+
+  if (error) {
+    console.error('Error counting unread notifications:', error);
+    return 0;
+  }
+  return count || 0;
+};
+
+/**
+ * Marks notifications as read.
+ *
+ * @param {string} userId - The signed-in user's ID.
+ * @param {Array<number>} [ids] - Only these notifications; all unread ones if omitted.
+ * @returns {Promise<void>}
+ */
+export const markNotificationsRead = async (userId, ids) => {
+  let query = supabase
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('read_at', null);
+  if (ids) {
+    query = query.in('id', ids);
+  }
+
+  const { error } = await query;
+  if (error) {
+    console.error('Error marking notifications as read:', error);
+  }
+};
+
+/**
+ * Fetches the series the user has muted.
+ *
+ * @param {string} userId - The signed-in user's ID.
+ * @returns {Promise<Set<string>>} Keys from seriesKey().
+ */
+export const getMutedSeries = async (userId) => {
+  const { data, error } = await supabase
+    .from('notification_mutes')
+    .select('media_type, media_id')
+    .eq('user_id', userId);
+
+  if (error) {
+    console.error('Error fetching muted series:', error);
+    return new Set();
+  }
+  return new Set(data.map(mute => seriesKey(mute.media_type, mute.media_id)));
+};
+
+/**
+ * Mutes or unmutes new-episode notifications for a series.
+ *
+ * @param {string} userId - The signed-in user's ID.
+ * @param {string} mediaType - 'tv' or 'anime'.
+ * @param {string|number} mediaId - TMDB ID for TV, AniList ID for anime.
+ * @param {boolean} muted - Whether the series should be muted.
+ * @returns {Promise<boolean>} Whether the change was saved.
+ */
+export const setSeriesMuted = async (userId, mediaType, mediaId, muted) => {
+  const match = { user_id: userId, media_type: mediaType, media_id: String(mediaId) };
+  const { error } = muted
+    ? await supabase.from('notification_mutes').upsert(match, { onConflict: 'user_id,media_type,media_id', ignoreDuplicates: true })
+    : await supabase.from('notification_mutes').delete().match(match);
+
+  if (error) {
+    console.error(`Error ${muted ? 'muting' : 'unmuting'} series:`, error);
+    return false;
+  }
+  return true;
+};
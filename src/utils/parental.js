@@ -0,0 +1,105 @@
+import { authFetch, getViewerHeaders } from './authFetch';
+import { getActiveViewerProfileId } from '../supabase';
+import { API_BASE_URL } from '../config';
+
+// Parental controls: listings are filtered to the active profile's maturity
+// rating by the API. A four-digit PIN, set from the Profile page, guards
+// rating changes and switches to a profile rated above the active one, and
+// lets a title above the rating play on the Watch page.
+
+const unlockKey = () => `Fylm-unlocked:${getActiveViewerProfileId() || 'none'}`;
+
+const readUnlocked = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(unlockKey()) || '[]');
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Whether the account has a parental PIN.
+ *
+ * @returns {Promise<{ pin_set: boolean }>}
+ */
+export const getParentalControls = () => authFetch('/parental');
+
+/**
+ * Sets or changes the PIN. Changing it needs the current one.
+ *
+ * @param {string} newPin - Four digits.
+ * @param {string} [currentPin]
+ */
+export const setParentalPin = (newPin, currentPin) => authFetch('/parental/pin', {
+  method: 'PUT',
+  body: JSON.stringify({ new_pin: newPin, pin: currentPin })
+});
+
+/**
+ * Removes the PIN, which lifts the lock on maturity ratings.
+ *
+ * @param {string} pin - The current PIN.
+ */
+export const removeParentalPin = (pin) => authFetch('/parental/pin', {
+  method: 'DELETE',
+  body: JSON.stringify({ pin })
+});
+
+/**
+ * Changes a profile's maturity rating while a PIN is set.
+ *
+ * @param {string} profileId
+ * @param {string} rating - 'kids', 'teen' or 'adult'.
+ * @param {string} pin
+ */
+export const setProfileMaturity = (profileId, rating, pin) => authFetch(`/parental/profiles/${profileId}/maturity`, {
+  method: 'PUT',
+  body: JSON.stringify({ maturity_rating: rating, pin })
+});
+
+/**
+ * Activates a profile for this sign-in before the app switches to it. The
+ * PIN is needed, while one is set, for a profile rated above the active one.
+ *
+ * @param {string} profileId
+ * @param {string} [pin]
+ * @returns {Promise<{ id: string, maturity_rating: string }>}
+ */
+export const activateViewerProfile = (profileId, pin) => authFetch(`/parental/profiles/${profileId}/activate`, {
+  method: 'POST',
+  body: JSON.stringify(pin === undefined ? {} : { pin })
+});
+
+/**
+ * Checks a title against the active profile's rating. Titles unlocked with
+ * the PIN earlier in this browser session pass without asking the API.
+ *
+ * @param {string} type - 'movie', 'tv' or 'anime'.
+ * @param {string|number} id - TMDB ID, or AniList ID for anime.
+ * @returns {Promise<{ rating: string, ceiling: string, allowed: boolean }>}
+ */
+export const checkTitleMaturity = async (type, id) => {
+  if (readUnlocked().includes(`${type}:${id}`)) {
+    return { allowed: true };
+  }
+  const response = await fetch(`${API_BASE_URL}/maturity/${type}/${id}`, { headers: await getViewerHeaders() });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.json();
+};
+
+/**
+ * Lets a title above the profile's rating play for the rest of the session.
+ *
+ * @param {string} type
+ * @param {string|number} id
+ * @param {string} pin
+ */
+export const unlockTitle = async (type, id, pin) => {
+  await authFetch(`/maturity/${type}/${id}/unlock`, {
+    method: 'POST',
+    body: JSON.stringify({ pin })
+  });
+  sessionStorage.setItem(unlockKey(), JSON.stringify([...readUnlocked(), `${type}:${id}`]));
+};
@@ -0,0 +1,111 @@
+/**
+ * Placeholder Artwork
+ * Deterministic SVG placeholders for missing posters, backdrops and episode stills.
+ * The same media ID always produces the same colors, so placeholders cache well
+ * and don't flicker between renders. This module has no DOM dependencies and is
+ * also used by the API's image proxy.
+ */
+
+// Aspect ratios match TMDB's poster, backdrop and still renditions
+export const PLACEHOLDER_SIZES = {
+  poster: { width: 500, height: 750 },
+  backdrop: { width: 1280, height: 720 },
+  still: { width: 640, height: 360 }
+};
+
+// Saturation/lightness per theme; only the hue comes from the media ID
+const THEME_TONES = {
+  dark: { from: [38, 18], to: [48, 30], initials: [35, 82], label: [20, 65] },
+  light: { from: [45, 90], to: [55, 78], initials: [40, 28], label: [25, 40] }
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * 32-bit FNV-1a hash, stable across browsers and Node
+ * @param {string} value - Value to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const hsl = (hue, [saturation, lightness]) => `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+
+/**
+ * Get up to two initials from a title ("Cowboy Bebop" -> "CB")
+ * @param {string} title - Media title
+ * @returns {string} Uppercase initials, or an empty string
+ */
+export const getInitials = (title) => {
+  const words = String(title || '').match(/[\p{L}\p{N}]+/gu) || [];
+  return words.slice(0, 2).map(word => word[0]).join('').toUpperCase();
+};
+
+/**
+ * Get the placeholder colors for a media ID
+ * @param {string|number} seed - Media ID (or any stable key)
+ * @param {string} theme - 'dark' or 'light'
+ * @returns {Object} { from, to, initials, label } CSS colors
+ */
+export const getPlaceholderPalette = (seed, theme = 'dark') => {
+  const tones = THEME_TONES[theme] || THEME_TONES.dark;
+  const hue = hashString(String(seed)) % 360;
+  const accentHue = (hue + 40) % 360;
+
+  return {
+    from: hsl(hue, tones.from),
+    to: hsl(accentHue, tones.to),
+    initials: hsl(hue, tones.initials),
+    label: hsl(hue, tones.label)
+  };
+};
+
+/**
+ * Render a placeholder as an SVG document
+ * @param {Object} options
+ * @param {string|number} options.seed - Media ID the colors are derived from
+ * @param {string} [options.title] - Title to take initials from
+ * @param {string} [options.label] - Small caption, e.g. "Episode 3"
+ * @param {string} [options.kind] - 'poster', 'backdrop' or 'still'
+ * @param {string} [options.theme] - 'dark' or 'light'
+ * @returns {string} SVG markup
+ */
+export const createPlaceholderSvg = ({ seed, title = '', label = '', kind = 'poster', theme = 'dark' }) => {
+  const { width, height } = PLACEHOLDER_SIZES[kind] || PLACEHOLDER_SIZES.poster;
+  const palette = getPlaceholderPalette(seed ?? title, theme);
+  const initials = getInitials(title) || '?';
+  const initialsSize = Math.round(Math.min(width, height) * 0.3);
+  const labelSize = Math.round(Math.min(width, height) * 0.06);
+  const caption = String(label).slice(0, 80);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    + '<defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">'
+    + `<stop offset="0" stop-color="${palette.from}"/><stop offset="1" stop-color="${palette.to}"/>`
+    + '</linearGradient></defs>'
+    + '<rect width="100%" height="100%" fill="url(#bg)"/>'
+    + `<text x="50%" y="50%" font-family="system-ui, sans-serif" font-weight="700" font-size="${initialsSize}" fill="${palette.initials}" text-anchor="middle" dominant-baseline="central">${escapeXml(initials)}</text>`
+    + (caption
+      ? `<text x="50%" y="${height - labelSize * 2}" font-family="system-ui, sans-serif" font-size="${labelSize}" fill="${palette.label}" text-anchor="middle">${escapeXml(caption)}</text>`
+      : '')
+    + '</svg>';
+};
+
+/**
+ * Render a placeholder as a data: URI for use directly in <img src>
+ * @param {Object} options - Same options as createPlaceholderSvg
+ * @returns {string} data:image/svg+xml URI
+ */
+export const getPlaceholderDataUri = (options) => {
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(createPlaceholderSvg(options))}`;
+};
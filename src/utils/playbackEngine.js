@@ -0,0 +1,313 @@
+// Direct playback on the Watch page's own <video>: progressive files, HLS
+// and DASH. Every format is driven through the same engine, so the page can
+// show the quality ladder and audio and subtitle tracks in its own controls
+// whatever the stream is. hls.js and dash.js are only downloaded for streams
+// that need them.
+//
+//   const engine = await createPlaybackEngine(video, { url, format, onChange, onError });
+//   engine.setQuality(AUTO_QUALITY); engine.setAudioTrack(id); engine.setTextTrack(id);
+//   engine.destroy();
+//
+// onChange(state) is called whenever the tracks or the selection change, with
+//   { qualities: [{ id, height, bitrate, label }], quality, playingQuality,
+//     audioTracks: [{ id, language, label }], audioTrack,
+//     textTracks: [{ id, language, label }], textTrack }
+// where `quality` is AUTO_QUALITY while the player picks, `playingQuality`
+// the rendition on screen and `textTrack` is OFF_TRACK when none is shown.
+// onError(error) is called once the stream cannot be played.
+
+export const STREAM_FORMATS = ['progressive', 'hls', 'dash'];
+
+export const AUTO_QUALITY = -1;
+export const OFF_TRACK = -1;
+
+const EMPTY_STATE = {
+  qualities: [],
+  quality: AUTO_QUALITY,
+  playingQuality: null,
+  audioTracks: [],
+  audioTrack: null,
+  textTracks: [],
+  textTrack: OFF_TRACK
+};
+
+/**
+ * Works out how to play a stream: from the format the API gave, or else from
+ * the URL's extension.
+ *
+ * @param {string} url
+ * @param {string} [format] - 'hls', 'dash' or 'progressive'.
+ * @returns {string} One of STREAM_FORMATS.
+ */
+export const getStreamFormat = (url, format) => {
+  if (STREAM_FORMATS.includes(format)) return format;
+  let path = '';
+  try {
+    path = new URL(url, window.location.href).pathname.toLowerCase();
+  } catch {
+    return 'progressive';
+  }
+  if (path.endsWith('.m3u8')) return 'hls';
+  if (path.endsWith('.mpd')) return 'dash';
+  return 'progressive';
+};
+
+const qualityLabel = (height, bitrate) => (height ? `${height}p` : `${Math.round(bitrate / 1000)} kbps`);
+
+// Highest first, the way quality menus read
+const byHeight = (a, b) => (b.height - a.height) || (b.bitrate - a.bitrate);
+
+const trackLabel = (label, language, index) => label || language || `Track ${index + 1}`;
+
+// --- Progressive and native HLS ---
+// The browser plays the URL itself. Safari lists HLS audio and subtitle
+// renditions on the element; it picks the quality on its own.
+const createNativeEngine = (video, { url, onChange, onError }) => {
+  let textTrack = OFF_TRACK;
+  const textTracks = () => {
+    // The page's own subtitle <track> is not part of the stream
+    const own = new Set(Array.from(video.querySelectorAll('track'), element => element.track));
+    return Array.from(video.textTracks || [])
+      .filter(track => (track.kind === 'subtitles' || track.kind === 'captions') && !own.has(track));
+  };
+
+  const getState = () => {
+    const audioTracks = Array.from(video.audioTracks || []);
+    const enabled = audioTracks.findIndex(track => track.enabled);
+    return {
+      ...EMPTY_STATE,
+      audioTracks: audioTracks.map((track, index) => ({ id: index, language: track.language, label: trackLabel(track.label, track.language, index) })),
+      audioTrack: enabled === -1 ? null : enabled,
+      textTracks: textTracks().map((track, index) => ({ id: index, language: track.language, label: trackLabel(track.label, track.language, index) })),
+      textTrack
+    };
+  };
+  const emit = () => onChange(getState());
+  const handleError = () => onError(new Error(video.error?.message || `The video could not be played (code ${video.error?.code}).`));
+
+  video.addEventListener('loadedmetadata', emit);
+  video.addEventListener('error', handleError);
+  video.audioTracks?.addEventListener?.('change', emit);
+  video.audioTracks?.addEventListener?.('addtrack', emit);
+  video.textTracks?.addEventListener?.('addtrack', emit);
+  video.src = url;
+
+  return {
+    getState,
+    setQuality: () => {},
+    setAudioTrack: (id) => {
+      Array.from(video.audioTracks || []).forEach((track, index) => { track.enabled = index === id; });
+      emit();
+    },
+    setTextTrack: (id) => {
+      textTrack = id;
+      textTracks().forEach((track, index) => { track.mode = index === id ? 'hidden' : 'disabled'; });
+      emit();
+    },
+    getActiveTextTrack: () => (textTrack === OFF_TRACK ? null : textTracks()[textTrack] || null),
+    destroy: () => {
+      video.removeEventListener('loadedmetadata', emit);
+      video.removeEventListener('error', handleError);
+      video.audioTracks?.removeEventListener?.('change', emit);
+      video.audioTracks?.removeEventListener?.('addtrack', emit);
+      video.textTracks?.removeEventListener?.('addtrack', emit);
+      video.removeAttribute('src');
+      video.load();
+    }
+  };
+};
+
+// --- HLS through hls.js ---
+const createHlsEngine = (Hls, video, { url, onChange, onError }) => {
+  const hls = new Hls({ renderTextTracksNatively: true });
+  let quality = AUTO_QUALITY;
+  let playingQuality = null;
+  let mediaErrorRecovered = false;
+  let textTrackChosen = false;
+
+  const getState = () => ({
+    qualities: hls.levels
+      .map((level, index) => ({ id: index, height: level.height, bitrate: level.bitrate, label: qualityLabel(level.height, level.bitrate) }))
+      .sort(byHeight),
+    quality,
+    playingQuality,
+    audioTracks: hls.audioTracks.map((track, index) => ({ id: index, language: track.lang || '', label: trackLabel(track.name, track.lang, index) })),
+    audioTrack: hls.audioTrack === -1 ? null : hls.audioTrack,
+    textTracks: hls.subtitleTracks.map((track, index) => ({ id: index, language: track.lang || '', label: trackLabel(track.name, track.lang, index) })),
+    textTrack: hls.subtitleTrack
+  });
+  const emit = () => onChange(getState());
+
+  // The page draws subtitles itself, so hls.js keeps its tracks hidden
+  hls.subtitleDisplay = false;
+
+  hls.on(Hls.Events.MANIFEST_PARSED, emit);
+  hls.on(Hls.Events.LEVEL_SWITCHED, (event, { level }) => {
+    playingQuality = level;
+    emit();
+  });
+  hls.on(Hls.Events.AUDIO_TRACKS_UPDATED, emit);
+  hls.on(Hls.Events.AUDIO_TRACK_SWITCHED, emit);
+  hls.on(Hls.Events.SUBTITLE_TRACKS_UPDATED, () => {
+    // Subtitles stay off until the page picks a track
+    if (!textTrackChosen) hls.subtitleTrack = OFF_TRACK;
+    emit();
+  });
+  hls.on(Hls.Events.SUBTITLE_TRACK_SWITCH, emit);
+  hls.on(Hls.Events.ERROR, (event, data) => {
+    if (!data.fatal) return;
+    // A decoding hiccup is worth one recovery before giving up on the stream
+    if (data.type === Hls.ErrorTypes.MEDIA_ERROR && !mediaErrorRecovered) {
+      mediaErrorRecovered = true;
+      hls.recoverMediaError();
+      return;
+    }
+    onError(new Error(`HLS playback failed: ${data.details}`));
+  });
+
+  hls.loadSource(url);
+  hls.attachMedia(video);
+
+  return {
+    getState,
+    setQuality: (id) => {
+      quality = id;
+      hls.currentLevel = id;
+      emit();
+    },
+    setAudioTrack: (id) => { hls.audioTrack = id; },
+    setTextTrack: (id) => {
+      textTrackChosen = true;
+      hls.subtitleTrack = id;
+    },
+    getActiveTextTrack: () => {
+      if (hls.subtitleTrack === OFF_TRACK) return null;
+      const track = hls.subtitleTracks[hls.subtitleTrack];
+      return Array.from(video.textTracks).find(textTrack => textTrack.mode !== 'disabled' && textTrack.label === track?.name) || null;
+    },
+    destroy: () => hls.destroy()
+  };
+};
+
+// --- DASH through dash.js ---
+const createDashEngine = (MediaPlayer, video, { url, onChange, onError }) => {
+  const player = MediaPlayer().create();
+  const events = MediaPlayer.events;
+  let quality = AUTO_QUALITY;
+  let playingQuality = null;
+  let textTrack = OFF_TRACK;
+
+  const getState = () => {
+    const audioTracks = player.getTracksFor('audio');
+    const currentAudio = player.getCurrentTrackFor('audio');
+    return {
+      qualities: player.getRepresentationsByType('video')
+        .map(representation => ({
+          id: representation.id,
+          height: representation.height,
+          bitrate: representation.bandwidth,
+          label: qualityLabel(representation.height, representation.bandwidth)
+        }))
+        .sort(byHeight),
+      quality,
+      playingQuality,
+      audioTracks: audioTracks.map((track, index) => ({ id: index, language: track.lang || '', label: trackLabel(track.labels?.[0]?.text, track.lang, index) })),
+      audioTrack: currentAudio ? audioTracks.findIndex(track => track.id === currentAudio.id && track.lang === currentAudio.lang) : null,
+      textTracks: player.getTracksFor('text').map((track, index) => ({ id: index, language: track.lang || '', label: trackLabel(track.labels?.[0]?.text, track.lang, index) })),
+      textTrack
+    };
+  };
+  const emit = () => onChange(getState());
+  const handleQualityRendered = (event) => {
+    if (event.mediaType !== 'video') return;
+    playingQuality = event.newRepresentation?.id ?? null;
+    emit();
+  };
+  const handleError = (event) => onError(new Error(`DASH playback failed: ${event.error?.message || event.error?.code || 'unknown error'}`));
+
+  player.updateSettings({ streaming: { text: { defaultEnabled: false } } });
+  player.on(events.STREAM_INITIALIZED, emit);
+  player.on(events.TRACK_CHANGE_RENDERED, emit);
+  player.on(events.TEXT_TRACKS_ADDED, emit);
+  player.on(events.QUALITY_CHANGE_RENDERED, handleQualityRendered);
+  player.on(events.ERROR, handleError);
+  player.initialize(video, url, true);
+
+  return {
+    getState,
+    setQuality: (id) => {
+      quality = id;
+      player.updateSettings({ streaming: { abr: { autoSwitchBitrate: { video: id === AUTO_QUALITY } } } });
+      if (id !== AUTO_QUALITY) player.setRepresentationForTypeById('video', id, true);
+      emit();
+    },
+    setAudioTrack: (id) => {
+      const track = player.getTracksFor('audio')[id];
+      if (track) player.setCurrentTrack(track);
+    },
+    setTextTrack: (id) => {
+      textTrack = id;
+      player.enableText(id !== OFF_TRACK);
+      player.setTextTrack(id);
+      emit();
+    },
+    getActiveTextTrack: () => {
+      if (textTrack === OFF_TRACK) return null;
+      return Array.from(video.textTracks).find(track => track.mode !== 'disabled') || null;
+    },
+    destroy: () => {
+      player.off(events.STREAM_INITIALIZED, emit);
+      player.off(events.TRACK_CHANGE_RENDERED, emit);
+      player.off(events.TEXT_TRACKS_ADDED, emit);
+      player.off(events.QUALITY_CHANGE_RENDERED, handleQualityRendered);
+      player.off(events.ERROR, handleError);
+      player.destroy();
+    }
+  };
+};
+
+/**
+ * Starts playing a stream on a <video> element.
+ *
+ * @param {HTMLVideoElement} video
+ * @param {object} options - { url, format, onChange, onError }. `format` is
+ *   one of STREAM_FORMATS; see getStreamFormat().
+ * @returns {Promise<object>} The engine: { getState, setQuality,
+ *   setAudioTrack, setTextTrack, getActiveTextTrack, destroy }.
+ * @throws {Error} When the browser cannot play the format at all.
+ */
+export const createPlaybackEngine = async (video, { url, format, onChange = () => {}, onError = () => {} }) => {
+  const options = { url, onChange, onError };
+
+  if (format === 'hls') {
+    const { default: Hls } = await import('hls.js');
+    if (Hls.isSupported()) return createHlsEngine(Hls, video, options);
+    if (video.canPlayType('application/vnd.apple.mpegurl')) return createNativeEngine(video, options);
+    throw new Error('This browser cannot play HLS streams.');
+  }
+
+  if (format === 'dash') {
+    const { MediaPlayer, supportsMediaSource } = await import('dashjs');
+    if (!supportsMediaSource()) throw new Error('This browser cannot play DASH streams.');
+    return createDashEngine(MediaPlayer, video, options);
+  }
+
+  return createNativeEngine(video, options);
+};
+
+/**
+ * Picks the subbed or dubbed audio track of an anime stream that carries
+ * both: the Japanese track is the sub, any other (English first) the dub.
+ *
+ * @param {Array<object>} audioTracks - The engine's audioTracks.
+ * @param {boolean} dubbed
+ * @returns {object|null} The track, or null if the stream has no such pair.
+ */
+export const findSubDubTrack = (audioTracks, dubbed) => {
+  const isJapanese = (track) => /^(ja|jpn)\b/i.test(track.language) || /japanese/i.test(track.label);
+  const original = audioTracks.find(isJapanese);
+  const dubs = audioTracks.filter(track => !isJapanese(track));
+  if (!original || dubs.length === 0) return null;
+  if (!dubbed) return original;
+  return dubs.find(track => /^(en|eng)\b/i.test(track.language)) || dubs[0];
+};
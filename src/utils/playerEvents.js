@@ -0,0 +1,269 @@
+// Embedded players report playback through postMessage, each in its own
+// format. An adapter per source (matching the ids in api/sources/) turns
+// those messages into one event stream, and builds the messages that steer
+// the player. Every event is one of:
+//
+//   { type: 'ready' }
+//   { type: 'play' | 'pause' | 'seek' | 'timeupdate', currentTime, duration }
+//   { type: 'ended', currentTime, duration }
+//   { type: 'error', message }
+//
+// with `season` and `episode` added when the player says what it is playing.
+
+export const PLAYER_EVENT_TYPES = ['ready', 'play', 'pause', 'timeupdate', 'ended', 'error', 'seek'];
+
+const toNumber = (value) => {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return Number.isFinite(number) ? number : undefined;
+};
+
+const toEpisode = (value) => {
+  const number = parseInt(value, 10);
+  return number > 0 ? number : undefined;
+};
+
+// Most players post objects, some post them as JSON strings
+const decode = (data) => {
+  if (typeof data !== 'string') return data;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+};
+
+// Event names differ between players (and player versions) for the same thing
+const EVENT_ALIASES = {
+  player_ready: 'ready',
+  ready: 'ready',
+  loaded: 'ready',
+  play: 'play',
+  playing: 'play',
+  pause: 'pause',
+  paused: 'pause',
+  seek: 'seek',
+  seeked: 'seek',
+  time: 'timeupdate',
+  timeupdate: 'timeupdate',
+  progress: 'timeupdate',
+  ended: 'ended',
+  complete: 'ended',
+  completed: 'ended',
+  error: 'error'
+};
+
+const playerEvent = (name, payload = {}) => {
+  const type = EVENT_ALIASES[String(name || '').toLowerCase()];
+  if (!type) return null;
+  if (type === 'ready') return { type };
+  if (type === 'error') return { type, message: payload.message || payload.error || 'Player error' };
+
+  return {
+    type,
+    currentTime: toNumber(payload.currentTime ?? payload.time ?? payload.position),
+    duration: toNumber(payload.duration),
+    season: toEpisode(payload.season),
+    episode: toEpisode(payload.episode)
+  };
+};
+
+// `{ type: 'PLAYER_EVENT', data: { event, currentTime | time, duration } }`,
+// the format vidsrc-family players share
+const parsePlayerEventMessage = (data) => {
+  if (data?.type !== 'PLAYER_EVENT' || !data.data) return [];
+  const event = playerEvent(data.data.event, data.data);
+  return event ? [event] : [];
+};
+
+const videasy = {
+  // Resume and next-episode autoplay are URL parameters (see
+  // api/sources/videasy.js), so there is nothing to send
+  resumesFromUrl: (url) => /[?&]progress=\d+/.test(url),
+
+  parse(data, { type, id }) {
+    // Progress every few seconds
+    if (data?.type === 'PROGRESS_UPDATE' && data.data) {
+      return [{
+        type: 'timeupdate',
+        currentTime: toNumber(data.data.progress?.watched),
+        duration: toNumber(data.data.progress?.duration),
+        season: toEpisode(data.data.season),
+        episode: toEpisode(data.data.episode)
+      }];
+    }
+
+    // Older players post their whole watch store, keyed by `${type}-${id}`
+    if (data?.type === 'MEDIA_DATA' && data.data) {
+      const store = decode(data.data);
+      const media = store?.[`${type}-${id}`];
+      if (!media?.progress) return [];
+      return [{
+        type: 'timeupdate',
+        currentTime: toNumber(media.progress.watched),
+        duration: toNumber(media.progress.duration),
+        season: toEpisode(media.last_season_watched),
+        episode: toEpisode(media.last_episode_watched)
+      }];
+    }
+
+    return parsePlayerEventMessage(data);
+  },
+
+  commands: {}
+};
+
+const vidsrc = {
+  resumesFromUrl: () => false,
+
+  parse(data) {
+    return parsePlayerEventMessage(data);
+  },
+
+  // Autoplay is the `autoplay` URL parameter; the rest take a message
+  commands: {
+    seek: (time) => ({ type: 'PLAYER_COMMAND', data: { command: 'seek', time } }),
+    play: () => ({ type: 'PLAYER_COMMAND', data: { command: 'play' } }),
+    pause: () => ({ type: 'PLAYER_COMMAND', data: { command: 'pause' } })
+  }
+};
+
+const embedsu = {
+  resumesFromUrl: () => false,
+
+  // `{ type: 'embedsu', event, currentTime, duration }` as a JSON string,
+  // though newer builds post PLAYER_EVENT like vidsrc
+  parse(data) {
+    if (data?.type === 'embedsu' && data.event) {
+      const event = playerEvent(data.event, data);
+      return event ? [event] : [];
+    }
+    return parsePlayerEventMessage(data);
+  },
+
+  commands: {
+    seek: (time) => ({ type: 'SEEK_TO', time }),
+    play: () => ({ type: 'PLAY' }),
+    pause: () => ({ type: 'PAUSE' }),
+    autoplay: (enabled) => ({ type: 'SET_AUTOPLAY', autoplay: enabled })
+  }
+};
+
+// Sources without an adapter of their own get the shared PLAYER_EVENT format
+// and the SEEK_TO, PLAY and PAUSE messages most players accept
+const generic = {
+  resumesFromUrl: () => false,
+  parse: parsePlayerEventMessage,
+  commands: {
+    seek: (time) => ({ type: 'SEEK_TO', time }),
+    play: () => ({ type: 'PLAY' }),
+    pause: () => ({ type: 'PAUSE' })
+  }
+};
+
+const adapters = { videasy, vidsrc, embedsu };
+
+/**
+ * @param {string} source - A source id from api/sources/.
+ * @returns {object} The adapter for it.
+ */
+export const getPlayerAdapter = (source) => adapters[source] || generic;
+
+/**
+ * Turns a message from an embedded player into normalized events. Anything
+ * that is not a player message yields no events.
+ *
+ * @param {string} source
+ * @param {*} data - `MessageEvent.data`.
+ * @param {{ type: string, id: string }} media - What the page is playing.
+ * @returns {Array<object>} Events, in the order they happened.
+ */
+export const parsePlayerMessage = (source, data, media) => {
+  const decoded = decode(data);
+  if (!decoded || typeof decoded !== 'object') return [];
+  return getPlayerAdapter(source).parse(decoded, media)
+    .filter(event => event && PLAYER_EVENT_TYPES.includes(event.type));
+};
+
+/**
+ * Whether the source's player can be played, paused and seeked from the
+ * page, which keeping a watch party in step needs.
+ *
+ * @param {string} source
+ * @returns {boolean}
+ */
+export const canSyncPlayer = (source) => {
+  const { commands } = getPlayerAdapter(source);
+  return Boolean(commands.seek && commands.play && commands.pause);
+};
+
+/**
+ * Sends a command to the player in `iframe`. Returns false when the source
+ * has no such command, so the caller can fall back to URL parameters.
+ *
+ * @param {string} source
+ * @param {HTMLIFrameElement} iframe
+ * @param {'seek'|'play'|'pause'|'autoplay'} command
+ * @param {*} [value] - Seconds for `seek`, a boolean for `autoplay`.
+ * @param {string} [targetOrigin] - The player's origin.
+ * @returns {boolean} Whether a message was posted.
+ */
+export const sendPlayerCommand = (source, iframe, command, value, targetOrigin = '*') => {
+  const build = getPlayerAdapter(source).commands[command];
+  if (!build || !iframe?.contentWindow) return false;
+  try {
+    iframe.contentWindow.postMessage(build(value), targetOrigin);
+    return true;
+  } catch (error) {
+    console.warn(`Could not send ${command} to the ${source} player:`, error.message);
+    return false;
+  }
+};
+
+// --- Readiness ---
+// An embedded player proves it plays by saying `ready` or reporting its
+// first `play` or `timeupdate`. A loaded iframe proves nothing: a dead source
+// still serves its page. The Watch page gives each candidate this long before
+// failing over to the next one.
+export const PLAYER_READY_TIMEOUT_MS = 10000;
+
+const READY_EVENT_TYPES = ['ready', 'play', 'timeupdate'];
+
+/**
+ * Waits for a player to start. Feed it the player's events: the first one
+ * that proves playback calls `onReady`, and if none comes within `timeoutMs`
+ * it calls `onTimeout` instead. At most one of the two is called.
+ *
+ * @param {object} options
+ * @param {() => void} options.onReady
+ * @param {() => void} options.onTimeout
+ * @param {number} [options.timeoutMs]
+ * @returns {{ handleEvent: (event: object) => void, cancel: () => void }}
+ */
+export const watchPlayerReady = ({ onReady, onTimeout, timeoutMs = PLAYER_READY_TIMEOUT_MS }) => {
+  let settled = false;
+  const timer = setTimeout(() => {
+    settled = true;
+    onTimeout();
+  }, timeoutMs);
+
+  const cancel = () => {
+    settled = true;
+    clearTimeout(timer);
+  };
+
+  return {
+    handleEvent: (event) => {
+      if (settled || !READY_EVENT_TYPES.includes(event?.type)) return;
+      cancel();
+      onReady();
+    },
+    cancel
+  };
+};
+
+/**
+ * @param {Array<object>} candidates - The /stream-url candidates, best first.
+ * @param {Set<string>} failed - Sources that have already failed.
+ * @returns {object|undefined} The candidate to try next.
+ */
+export const nextCandidate = (candidates, failed) => candidates.find(candidate => !failed.has(candidate.source));
@@ -0,0 +1,281 @@
+import { supabase, getActiveViewerProfileId } from '../supabase';
+
+// Watch progress that could not be saved is kept here, in IndexedDB, until
+// it reaches the database. There is one entry per episode or movie and
+// profile; a newer save replaces an older one. Entries are replayed in the
+// order they were recorded through public.sync_offline_progress, which only
+// overwrites rows last updated before the entry was recorded.
+//
+// public/sw.js replays the same store on Background Sync, so the database
+// name, stores and entry shape here must stay in step with it.
+
+export const OUTBOX_DB = 'fylm-offline';
+export const OUTBOX_SYNC_TAG = 'progress-outbox';
+const DB_VERSION = 1;
+const PROGRESS_STORE = 'progress';
+const META_STORE = 'meta';
+const CHANNEL = 'fylm-progress-outbox';
+
+const LEGACY_PREFIX = 'offline_progress_';
+
+let dbPromise = null;
+let lastSeq = 0;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OUTBOX_DB, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PROGRESS_STORE)) {
+          db.createObjectStore(PROGRESS_STORE, { keyPath: 'key' }).createIndex('seq', 'seq');
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs `work(store)` in one transaction and resolves with its result once
+// the transaction has committed
+const withStore = async (name, mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    let result;
+    Promise.resolve(work(tx.objectStore(name))).then((value) => { result = value; }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const notify = () => {
+  if (typeof BroadcastChannel === 'undefined') return;
+  const channel = new BroadcastChannel(CHANNEL);
+  channel.postMessage({ type: 'changed' });
+  channel.close();
+};
+
+// Strictly increasing, so two saves in the same millisecond keep their order
+const nextSeq = () => {
+  lastSeq = Math.max(Date.now(), lastSeq + 1);
+  return lastSeq;
+};
+
+const entryKey = (entry) => [
+  entry.user_id || '', entry.profile_id || '', entry.media_type, entry.media_id,
+  entry.season_number || 0, entry.episode_number || 0
+].join(':');
+
+// The service worker has no access to the page's Supabase client, so it gets
+// the current access token from here. An expired token makes it leave the
+// replay to the page.
+const rememberSession = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) return;
+  await withStore(META_STORE, 'readwrite', (store) => store.put({
+    id: 'session',
+    user_id: session.user.id,
+    access_token: session.access_token,
+    expires_at: session.expires_at,
+    supabase_url: import.meta.env.VITE_SUPABASE_URL,
+    anon_key: import.meta.env.VITE_SUPABASE_ANON_KEY
+  }));
+};
+
+/**
+ * Drops the access token kept for the service worker, on sign-out.
+ */
+export const forgetOutboxSession = async () => {
+  if (typeof indexedDB === 'undefined') return;
+  await withStore(META_STORE, 'readwrite', (store) => store.delete('session'));
+};
+
+const requestBackgroundSync = async () => {
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    await registration?.sync?.register(OUTBOX_SYNC_TAG);
+  } catch (error) {
+    // No Background Sync here; the page replays when it is back online
+    console.warn('Background Sync unavailable:', error.message);
+  }
+};
+
+/**
+ * Queues a progress save for later. An entry already queued for the same
+ * title, episode and profile is replaced, unless it was recorded later.
+ *
+ * @param {string|null} userId - The signed-in user, or null to let whoever
+ *   signs in next claim it.
+ * @param {object} item - { id, type, season, episode }
+ * @param {number} progress - Seconds watched.
+ * @param {number} [durationInSeconds]
+ * @param {string} [recordedAt] - ISO time of the save; defaults to now.
+ * @returns {Promise<object>} The queued entry.
+ */
+export const enqueueProgress = async (userId, item, progress, durationInSeconds, recordedAt = new Date().toISOString()) => {
+  const entry = {
+    user_id: userId || null,
+    profile_id: userId ? getActiveViewerProfileId() : null,
+    media_id: String(item.id),
+    media_type: item.type,
+    season_number: item.season || null,
+    episode_number: item.episode || null,
+    progress_seconds: Math.round(progress),
+    duration_seconds: durationInSeconds ? Math.round(durationInSeconds) : null,
+    recorded_at: recordedAt,
+    seq: nextSeq()
+  };
+  entry.key = entryKey(entry);
+
+  await withStore(PROGRESS_STORE, 'readwrite', async (store) => {
+    const existing = await requestResult(store.get(entry.key));
+    if (!existing || existing.recorded_at <= entry.recorded_at) {
+      store.put(entry);
+    }
+  });
+  notify();
+
+  if (userId) {
+    await rememberSession().catch(() => {});
+  }
+  await requestBackgroundSync();
+  return entry;
+};
+
+/**
+ * The queued entries, oldest first.
+ *
+ * @returns {Promise<Array>}
+ */
+export const getPendingProgress = async () => {
+  try {
+    return await withStore(PROGRESS_STORE, 'readonly', (store) => requestResult(store.index('seq').getAll()));
+  } catch (error) {
+    console.error('Error reading the offline progress queue:', error);
+    return [];
+  }
+};
+
+// Removes replayed entries, except those replaced by a newer save meanwhile
+const removeReplayed = (entries) => withStore(PROGRESS_STORE, 'readwrite', async (store) => {
+  for (const entry of entries) {
+    const current = await requestResult(store.get(entry.key));
+    if (current?.seq === entry.seq) {
+      store.delete(entry.key);
+    }
+  }
+});
+
+// Unclaimed entries were queued while signed out; the next user takes them
+const belongsTo = (entry, userId) => !entry.user_id || entry.user_id === userId;
+
+// Moves the localStorage entries older versions wrote into the queue
+const adoptLegacyEntries = async (userId) => {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key?.startsWith(LEGACY_PREFIX)) keys.push(key);
+  }
+  for (const key of keys) {
+    try {
+      const saved = JSON.parse(localStorage.getItem(key));
+      await enqueueProgress(userId, {
+        id: saved.media_id,
+        type: saved.media_type,
+        season: saved.season_number,
+        episode: saved.episode_number
+      }, saved.progress_seconds, saved.duration_seconds, saved.timestamp);
+      localStorage.removeItem(key);
+    } catch (error) {
+      console.error(`Could not move ${key} into the offline queue:`, error);
+    }
+  }
+};
+
+/**
+ * Sends the signed-in user's queued progress to the database, one call per
+ * viewer profile. Entries without a user are claimed for the active profile.
+ *
+ * @param {string} userId
+ * @returns {Promise<{ applied: number, skipped: number, pending: number }>}
+ *   Entries written, entries older than the saved row, and entries still
+ *   queued because their call failed.
+ */
+export const replayProgressOutbox = async (userId) => {
+  const totals = { applied: 0, skipped: 0, pending: 0 };
+  if (!userId || typeof indexedDB === 'undefined') return totals;
+
+  await adoptLegacyEntries(userId);
+  const entries = (await getPendingProgress()).filter(entry => belongsTo(entry, userId));
+  if (entries.length === 0) return totals;
+  await rememberSession().catch(() => {});
+
+  const byProfile = new Map();
+  for (const entry of entries) {
+    const profileId = entry.profile_id || getActiveViewerProfileId() || '';
+    byProfile.set(profileId, [...(byProfile.get(profileId) || []), entry]);
+  }
+
+  for (const [profileId, group] of byProfile) {
+    let query = supabase.rpc('sync_offline_progress', {
+      p_events: group.map(({ media_id, media_type, season_number, episode_number, progress_seconds, duration_seconds, recorded_at }) => ({
+        media_id, media_type, season_number, episode_number, progress_seconds, duration_seconds, recorded_at
+      }))
+    });
+    if (profileId) {
+      query = query.setHeader('X-Viewer-Profile', profileId);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('Error replaying offline progress:', error);
+      totals.pending += group.length;
+      continue;
+    }
+    await removeReplayed(group);
+    totals.applied += data?.applied || 0;
+    totals.skipped += data?.skipped || 0;
+  }
+
+  notify();
+  return totals;
+};
+
+/**
+ * Calls `listener(count)` with the number of entries queued for `userId`
+ * now and after every change, from this tab, another tab or the service
+ * worker.
+ *
+ * @param {string} userId
+ * @param {(count: number) => void} listener
+ * @returns {() => void} Unsubscribes.
+ */
+export const subscribePendingProgress = (userId, listener) => {
+  let active = true;
+  const update = () => getPendingProgress().then((entries) => {
+    if (active) listener(entries.filter(entry => belongsTo(entry, userId)).length);
+  });
+  update();
+
+  const channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(CHANNEL);
+  if (channel) channel.onmessage = update;
+  return () => {
+    active = false;
+    channel?.close();
+  };
+};
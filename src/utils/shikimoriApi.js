@@ -1,163 +1,30 @@
-import { supabaseClient } from '../supabase';
+import { connectAccount } from './listSync';
 
 // Shikimori API constants
 const SHIKIMORI_API_URL = 'https://shikimori.one/api';
-const SHIKIMORI_AUTH_URL = 'https://shikimori.one/oauth';
-const SHIKIMORI_CLIENT_ID = process.env.VITE_SHIKIMORI_CLIENT_ID;
-const SHIKIMORI_CLIENT_SECRET = process.env.VITE_SHIKIMORI_CLIENT_SECRET;
-const SHIKIMORI_REDIRECT_URI = `${window.location.origin}/auth/callback`;
 
 // ID mapping service URL
 const MAPPING_API_URL = 'https://find-my-anime.dtimur.de/api';
 
 /**
- * Initialize the OAuth process by redirecting to Shikimori login
+ * Initialize the OAuth process by redirecting to Shikimori login. The code
+ * exchange and tokens are handled by the API (see listSync.js), which keeps
+ * the client secret out of the bundle.
  */
-export const initiateShikimoriLogin = () => {
-  const authUrl = `${SHIKIMORI_AUTH_URL}/authorize?client_id=${SHIKIMORI_CLIENT_ID}&redirect_uri=${encodeURIComponent(SHIKIMORI_REDIRECT_URI)}&response_type=code`;
-  window.location.href = authUrl;
-};
-
-/**
- * Exchange auth code for access token
- * @param {string} code - Authorization code from callback
- * @returns {Promise<Object>} Token response
- */
-export const getShikimoriToken = async (code) => {
-  try {
-    const formData = new URLSearchParams();
-    formData.append('grant_type', 'authorization_code');
-    formData.append('client_id', SHIKIMORI_CLIENT_ID);
-    formData.append('client_secret', SHIKIMORI_CLIENT_SECRET);
-    formData.append('code', code);
-    formData.append('redirect_uri', SHIKIMORI_REDIRECT_URI);
-
-    const response = await fetch(`${SHIKIMORI_AUTH_URL}/token`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: formData
-    });
-
-    if (!response.ok) {
-      throw new Error(`Token exchange failed: ${response.status}`);
-    }
-
-    const tokenData = await response.json();
-    
-    // Store tokens in Supabase user metadata
-    const { user } = await supabaseClient.auth.getUser();
-    if (user) {
-      await supabaseClient.auth.updateUser({
-        data: {
-          shikimori_access_token: tokenData.access_token,
-          shikimori_refresh_token: tokenData.refresh_token,
-          shikimori_token_expiry: Date.now() + (tokenData.expires_in * 1000)
-        }
-      });
-    }
-    
-    return tokenData;
-  } catch (error) {
-    console.error('Error exchanging code for token:', error);
-    throw error;
-  }
-};
-
-/**
- * Refresh the access token using refresh token
- * @returns {Promise<Object>} New token data
- */
-export const refreshShikimoriToken = async () => {
-  try {
-    // Get current user and refresh token
-    const { data: { user } } = await supabaseClient.auth.getUser();
-    if (!user?.user_metadata?.shikimori_refresh_token) {
-      throw new Error('No refresh token available');
-    }
-    
-    const formData = new URLSearchParams();
-    formData.append('grant_type', 'refresh_token');
-    formData.append('client_id', SHIKIMORI_CLIENT_ID);
-    formData.append('client_secret', SHIKIMORI_CLIENT_SECRET);
-    formData.append('refresh_token', user.user_metadata.shikimori_refresh_token);
-    
-    const response = await fetch(`${SHIKIMORI_AUTH_URL}/token`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: formData
-    });
-
-    if (!response.ok) {
-      throw new Error(`Token refresh failed: ${response.status}`);
-    }
-
-    const tokenData = await response.json();
-    
-    // Update stored tokens
-    await supabaseClient.auth.updateUser({
-      data: {
-        shikimori_access_token: tokenData.access_token,
-        shikimori_refresh_token: tokenData.refresh_token,
-        shikimori_token_expiry: Date.now() + (tokenData.expires_in * 1000)
-      }
-    });
-    
-    return tokenData;
-  } catch (error) {
-    console.error('Error refreshing token:', error);
-    throw error;
-  }
-};
+export const initiateShikimoriLogin = () => connectAccount('shikimori');
 
 /**
- * Get a valid access token, refreshing if necessary
- * @returns {Promise<string>} Valid access token
- */
-export const getValidAccessToken = async () => {
-  try {
-    const { data: { user } } = await supabaseClient.auth.getUser();
-    if (!user) throw new Error('User not authenticated');
-    
-    const { shikimori_access_token, shikimori_token_expiry } = user.user_metadata || {};
-    
-    // Check if token is expired or will expire soon (5 minutes buffer)
-    if (!shikimori_access_token || !shikimori_token_expiry || 
-        Date.now() > (shikimori_token_expiry - 300000)) {
-      const newTokens = await refreshShikimoriToken();
-      return newTokens.access_token;
-    }
-    
-    return shikimori_access_token;
-  } catch (error) {
-    console.error('Failed to get valid access token:', error);
-    throw error;
-  }
-};
-
-/**
- * Make an authenticated API request to Shikimori
+ * Make a request to the public Shikimori API
  * @param {string} endpoint - API endpoint path
  * @param {Object} options - Fetch options
  * @returns {Promise<any>} API response
  */
 export const shikimoriApiRequest = async (endpoint, options = {}) => {
   try {
-    const accessToken = await getValidAccessToken();
-    
-    const headers = {
-      'Authorization': `Bearer ${accessToken}`,
-      'Content-Type': 'application/json',
-      'User-Agent': 'Fylm Streaming App'
-    };
-    
     const response = await fetch(`${SHIKIMORI_API_URL}${endpoint}`, {
       ...options,
       headers: {
-        ...headers,
+        'Accept': 'application/json',
         ...(options.headers || {})
       }
     });
@@ -0,0 +1,123 @@
+import { API_BASE_URL } from '../config';
+
+// Subtitles for direct video sources. The API finds them (api/subtitles/)
+// and converts them to WebVTT; the Watch page loads the chosen file into a
+// hidden <track>, so the browser does the timing, and draws the active cues
+// in the viewer's style. Embedded players bring their own subtitles.
+
+// Offered on the Profile page; any ISO 639 code the provider knows works
+export const SUBTITLE_LANGUAGES = [
+  'en', 'es', 'fr', 'de', 'it', 'pt-br', 'pt-pt', 'nl', 'sv', 'pl', 'ru', 'tr',
+  'ar', 'hi', 'id', 'vi', 'th', 'ja', 'ko', 'zh-cn', 'zh-tw'
+];
+
+// How many languages a profile can list, in order of preference
+export const MAX_SUBTITLE_LANGUAGES = 3;
+
+// Caption appearance, per device
+export const DEFAULT_SUBTITLE_SETTINGS = {
+  size: 'medium', // 'small' | 'medium' | 'large'
+  background: 'shadow' // 'shadow' | 'box'
+};
+
+// Each press of the sync buttons moves the captions this many seconds
+export const SUBTITLE_OFFSET_STEP = 0.5;
+
+let displayNames = null;
+
+/**
+ * @param {string} code - An ISO 639 code, optionally with a region ('pt-br').
+ * @returns {string} The language's name in the browser's language.
+ */
+export const getLanguageName = (code) => {
+  try {
+    displayNames = displayNames || new Intl.DisplayNames([navigator.language], { type: 'language' });
+    return displayNames.of(code) || code;
+  } catch {
+    return code;
+  }
+};
+
+/**
+ * Finds subtitles for a movie or episode.
+ *
+ * @param {object} media - { type, id, season, episode }, as on the Watch page.
+ * @param {string[]} languages - Preferred languages, first choice first.
+ * @returns {Promise<Array<object>>} Results, preferred languages first.
+ */
+export const searchSubtitles = async ({ type, id, season, episode }, languages = []) => {
+  const params = new URLSearchParams({ type, id });
+  if (type !== 'movie') {
+    params.set('season', season);
+    params.set('episode', episode);
+  }
+  if (languages.length > 0) params.set('languages', languages.join(','));
+
+  const response = await fetch(`${API_BASE_URL}/subtitles/search?${params}`);
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(data?.error || `HTTP ${response.status}`);
+  }
+  return data.results || [];
+};
+
+/**
+ * Downloads a result as WebVTT into an object URL for a <track>. The caller
+ * revokes it once the track is gone.
+ *
+ * @param {object} subtitle - A result from searchSubtitles().
+ * @returns {Promise<string>}
+ */
+export const loadSubtitleTrack = async (subtitle) => {
+  const response = await fetch(`${API_BASE_URL}${subtitle.url}`);
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    throw new Error(data?.error || `HTTP ${response.status}`);
+  }
+  const vtt = await response.text();
+  return URL.createObjectURL(new Blob([vtt], { type: 'text/vtt' }));
+};
+
+/**
+ * Moves every cue of a loaded track by `delta` seconds; positive is later.
+ *
+ * @param {TextTrack} track
+ * @param {number} delta
+ */
+export const shiftTrackCues = (track, delta) => {
+  if (!track?.cues || !delta) return;
+  Array.from(track.cues).forEach(cue => {
+    cue.startTime += delta;
+    cue.endTime += delta;
+  });
+};
+
+/**
+ * Splits cue text into runs for the overlay, honouring the <i>, <b> and <u>
+ * the API keeps and dropping any other markup.
+ *
+ * @param {string} text - VTTCue.text
+ * @returns {Array<{ text: string, italic: boolean, bold: boolean, underline: boolean }>}
+ *   One entry per run; '\n' runs are line breaks.
+ */
+export const parseCueText = (text) => {
+  const style = { i: 0, b: 0, u: 0 };
+  const runs = [];
+  const decode = (value) => value
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+
+  String(text).split(/(<\/?[ibu]>|\n)/).forEach(part => {
+    const tag = part.match(/^<(\/?)([ibu])>$/);
+    if (tag) {
+      style[tag[2]] = Math.max(0, style[tag[2]] + (tag[1] ? -1 : 1));
+      return;
+    }
+    const value = part === '\n' ? part : decode(part);
+    if (value) runs.push({ text: value, italic: style.i > 0, bold: style.b > 0, underline: style.u > 0 });
+  });
+  return runs;
+};
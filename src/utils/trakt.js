@@ -0,0 +1,178 @@
+import { authFetch } from './authFetch';
+import { getLinkedAccounts } from './listSync';
+
+// Trakt JSON import and export, and scrobbling to a linked Trakt account.
+// Exports are Trakt's history and playback formats, so a file exported from
+// trakt.tv (or another app that speaks it) can be imported here and back.
+
+// Items per import request; the API accepts up to 250
+const IMPORT_BATCH_SIZE = 200;
+
+// Trakt marks an item watched when a scrobble stops at or past this point
+const WATCHED_PERCENT = 80;
+
+// Players that never report pausing simply go quiet
+const STALL_MS = 30000;
+
+/**
+ * Reads a Trakt export file: a history or playback array, or an object
+ * holding either. Only the fields the import uses are kept.
+ *
+ * @param {File} file
+ * @returns {Promise<Array>} Trakt items.
+ */
+export const readTraktFile = async (file) => {
+  const parsed = JSON.parse(await file.text());
+  const items = Array.isArray(parsed)
+    ? parsed
+    : parsed?.history || parsed?.playback ? [...(parsed.history || []), ...(parsed.playback || [])] : null;
+  if (!items) {
+    throw new Error('This is not a Trakt history or playback export.');
+  }
+
+  return items.map(({ type, watched_at, progress, paused_at, movie, show, episode }) => ({
+    type,
+    watched_at,
+    progress,
+    paused_at,
+    movie: movie && { ids: movie.ids },
+    show: show && { ids: show.ids },
+    episode: episode && { season: episode.season, number: episode.number },
+  }));
+};
+
+/**
+ * Imports Trakt items in batches.
+ *
+ * @param {Array} items - From readTraktFile.
+ * @param {Function} [onProgress] - Called with the number of items sent so far.
+ * @returns {Promise<object>} Totals: { history, progress, duplicates, unmatched, invalid }
+ */
+export const importTraktItems = async (items, onProgress) => {
+  const totals = { history: 0, progress: 0, duplicates: 0, unmatched: 0, invalid: 0 };
+
+  for (let start = 0; start < items.length; start += IMPORT_BATCH_SIZE) {
+    const report = await authFetch('/trakt/import', {
+      method: 'POST',
+      body: JSON.stringify({ items: items.slice(start, start + IMPORT_BATCH_SIZE) }),
+    });
+    Object.keys(totals).forEach((key) => { totals[key] += report[key] || 0; });
+    onProgress?.(Math.min(start + IMPORT_BATCH_SIZE, items.length));
+  }
+
+  return totals;
+};
+
+/**
+ * Downloads watch history ('history') or unfinished progress ('playback') as
+ * a Trakt JSON file.
+ */
+export const downloadTraktExport = async (kind) => {
+  const items = await authFetch(`/trakt/export/${kind}`);
+  const url = URL.createObjectURL(new Blob([JSON.stringify(items, null, 2)], { type: 'application/json' }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `fylm-trakt-${kind}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+
+  return items.length;
+};
+
+// --- Scrobbling ---
+
+let traktLinked = null; // Promise<boolean>, checked once per page load
+
+const isTraktLinked = () => {
+  if (!traktLinked) {
+    traktLinked = getLinkedAccounts()
+      .then(({ accounts }) => accounts.some((account) => account.provider === 'trakt'))
+      .catch(() => false);
+  }
+  return traktLinked;
+};
+
+/**
+ * Creates a scrobbler for one Watch page session. Feed it progress updates
+ * and player events; it sends start, pause and stop to Trakt as playback
+ * starts, stalls, passes the watched mark or is torn down. Does nothing
+ * unless a Trakt account is linked.
+ *
+ * @param {object} media - { type, id }. Anime use their AniList ID.
+ * @returns {object} { update({ season, episode, progress, duration }), pause(), end() }
+ */
+export const createScrobbler = ({ type, id }) => {
+  let current = null; // { key, season, episode, percent, state: 'playing' | 'paused' | 'stopped' }
+  let stallTimer = null;
+  let ended = false;
+
+  const send = async (action, target, options = {}) => {
+    if (!(await isTraktLinked())) return;
+    try {
+      const result = await authFetch(`/trakt/scrobble/${action}`, {
+        method: 'POST',
+        body: JSON.stringify({
+          media_type: type,
+          media_id: id,
+          season: target.season,
+          episode: target.episode,
+          progress: target.percent,
+        }),
+        ...options,
+      });
+      if (result?.reason === 'not_linked') traktLinked = Promise.resolve(false);
+    } catch (error) {
+      console.warn(`Trakt scrobble ${action} failed:`, error.message);
+    }
+  };
+
+  const pause = () => {
+    clearTimeout(stallTimer);
+    if (current?.state !== 'playing') return;
+    current.state = 'paused';
+    send('pause', current);
+  };
+
+  const stop = (target, options) => {
+    clearTimeout(stallTimer);
+    if (!target || target.state === 'stopped') return;
+    target.state = 'stopped';
+    send('stop', target, options);
+  };
+
+  const update = ({ season, episode, progress, duration }) => {
+    if (ended || !duration || progress < 0) return;
+
+    const key = `${season || 0}:${episode || 0}`;
+    if (current?.key !== key) {
+      // The player moved on to another episode
+      if (current?.state === 'playing') stop(current);
+      current = { key, season, episode, percent: 0, state: 'paused' };
+    }
+
+    current.percent = Math.min(100, (progress / duration) * 100);
+    if (current.state === 'stopped') return;
+
+    if (current.percent >= WATCHED_PERCENT) {
+      stop(current);
+      return;
+    }
+    if (current.state === 'paused') {
+      current.state = 'playing';
+      send('start', current);
+    }
+
+    clearTimeout(stallTimer);
+    stallTimer = setTimeout(pause, STALL_MS);
+  };
+
+  // Leaving the page: keepalive lets the request outlive it
+  const end = () => {
+    ended = true;
+    if (current?.state === 'playing') stop(current, { keepalive: true });
+    clearTimeout(stallTimer);
+  };
+
+  return { update, pause, end };
+};
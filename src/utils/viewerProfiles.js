@@ -0,0 +1,132 @@
+import { supabase } from '../supabase';
+
+// Viewer profiles are the "Who's watching?" people sharing one account. Each
+// has its own watch history, progress and favorites; the database scopes
+// those to the profile named in the X-Viewer-Profile header (src/supabase.js).
+// Every account has a default profile, which cannot be deleted.
+
+export const MAX_VIEWER_PROFILES = 5;
+
+export const MATURITY_RATINGS = [
+  { value: 'kids', label: 'Kids' },
+  { value: 'teen', label: 'Teen' },
+  { value: 'adult', label: 'Adult' },
+];
+
+const PROFILE_COLUMNS = 'id, name, avatar_url, maturity_rating, subtitle_languages, is_default, position';
+
+const selectionKey = (userId) => `Fylm-viewer-profile:${userId}`;
+
+/**
+ * Fetches the account's viewer profiles, default first.
+ *
+ * @param {string} userId - The signed-in user's ID.
+ * @returns {Promise<Array>} The profiles, or [] if they could not be read.
+ */
+export const getViewerProfiles = async (userId) => {
+  const { data, error } = await supabase
+    .from('viewer_profiles')
+    .select(PROFILE_COLUMNS)
+    .eq('user_id', userId)
+    .order('is_default', { ascending: false })
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching viewer profiles:', error);
+    return [];
+  }
+  return data || [];
+};
+
+/**
+ * Adds a profile at the end.
+ *
+ * @param {string} userId - The signed-in user's ID.
+ * @param {object} values - { name, maturity_rating }
+ * @param {number} [position] - Where it sorts among the other profiles.
+ * @returns {Promise<object>} The new profile.
+ */
+export const createViewerProfile = async (userId, { name, maturity_rating = 'adult' }, position = 0) => {
+  const { data, error } = await supabase
+    .from('viewer_profiles')
+    .insert({ user_id: userId, name: name.trim(), maturity_rating, position })
+    .select(PROFILE_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Renames a profile or changes its maturity rating or avatar.
+ *
+ * @param {string} profileId
+ * @param {object} changes - Any of { name, maturity_rating, avatar_url }.
+ * @returns {Promise<object>} The updated profile.
+ */
+export const updateViewerProfile = async (profileId, changes) => {
+  const { data, error } = await supabase
+    .from('viewer_profiles')
+    .update({ ...changes, ...(changes.name !== undefined && { name: changes.name.trim() }) })
+    .eq('id', profileId)
+    .select(PROFILE_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Deletes a profile together with its history, progress and favorites.
+ *
+ * @param {string} profileId - Must not be the default profile.
+ */
+export const deleteViewerProfile = async (profileId) => {
+  const { error } = await supabase.from('viewer_profiles').delete().eq('id', profileId);
+  if (error) throw error;
+};
+
+/**
+ * Uploads a profile picture next to the account avatar and returns its
+ * public URL.
+ *
+ * @param {string} userId - The signed-in user's ID.
+ * @param {string} profileId
+ * @param {File} file - An image.
+ * @returns {Promise<string>}
+ */
+export const uploadViewerProfileAvatar = async (userId, profileId, file) => {
+  const filePath = `${userId}/profile-${profileId}.${file.name.split('.').pop()}`;
+  const { error } = await supabase.storage
+    .from('avatars')
+    .upload(filePath, file, { upsert: true, cacheControl: '3600' });
+
+  if (error) throw error;
+
+  const { data } = supabase.storage.from('avatars').getPublicUrl(filePath);
+  // Bust the cache, the path stays the same across uploads
+  return `${data.publicUrl}?t=${Date.now()}`;
+};
+
+// The profile picked on this device, remembered per account so a reload
+// doesn't ask "Who's watching?" again. Cleared on login and sign-out.
+export const getSavedViewerProfileId = (userId) => {
+  try {
+    return localStorage.getItem(selectionKey(userId));
+  } catch {
+    return null;
+  }
+};
+
+export const saveViewerProfileId = (userId, profileId) => {
+  try {
+    if (profileId) {
+      localStorage.setItem(selectionKey(userId), profileId);
+    } else {
+      localStorage.removeItem(selectionKey(userId));
+    }
+  } catch {
+    // Private browsing: the choice only lasts until the page is reloaded
+  }
+};
@@ -1,5 +1,9 @@
 import { supabase } from '../supabase';
 import { API_BASE_URL } from '../config';
+import { getCompletedMediaKeys, mediaKey } from './watchlists';
+import { syncWatchedEpisode } from './listSync';
+import { enqueueProgress, replayProgressOutbox } from './progressOutbox';
+import { getMarkersForEpisodes, isEpisodeComplete } from './episodeMarkers';
 
 // The `currentSession` and `onAuthStateChange` logic is now redundant
 // because session management is handled centrally in AuthContext.
@@ -413,15 +417,28 @@ export const getContinueWatching = async (userId) => {
 
         console.log(`🗺️ Found ${latestEntries.length} unique media items.`);
 
+        // Titles the user has moved to their Completed list leave the rail
+        const completed = await getCompletedMediaKeys(userId);
+        const unfinishedEntries = latestEntries.filter(entry => !completed.has(mediaKey(entry.media_type, entry.media_id)));
+
+        // Episodes are finished once their credits start, where viewers have marked them
+        const episodeEntries = unfinishedEntries.filter(entry => (entry.media_type === 'tv' || entry.media_type === 'anime') && entry.season_number && entry.episode_number);
+        const markers = await getMarkersForEpisodes(episodeEntries.map(entry => ({
+            type: entry.media_type,
+            id: entry.media_id,
+            season: entry.season_number,
+            episode: entry.episode_number
+        })));
+
         // 4. Process these latest entries to determine if they are "continuable".
-        const continueWatchingItems = await Promise.all(latestEntries.map(async (entry) => {
+        const continueWatchingItems = await Promise.all(unfinishedEntries.map(async (entry) => {
             const { progress_seconds, duration_seconds, media_type, season_number, episode_number } = entry;
             
             // For TV shows and anime, check if episode is completed and find next episode
             if ((media_type === 'tv' || media_type === 'anime') && season_number && episode_number) {
-                if (progress_seconds && duration_seconds > 0) {
-                    const completion = progress_seconds / duration_seconds;
-                    if (completion >= 0.98) {
+                if (progress_seconds) {
+                    const completion = duration_seconds > 0 ? progress_seconds / duration_seconds : 0;
+                    if (isEpisodeComplete(progress_seconds, duration_seconds, markers.get(`${media_type}-${entry.media_id}-${season_number}-${episode_number}`))) {
                         // Episode is completed, try to find the next episode
                         console.log(`🎯 Episode S${season_number}E${episode_number} is completed (${(completion * 100).toFixed(1)}%), finding next episode...`);
                         const nextEpisode = await getNextEpisode(entry.media_id, season_number, episode_number, media_type);
@@ -524,35 +541,24 @@ export const getContinueWatching = async (userId) => {
     }
 };
 
+// Queues a save that could not reach the database. The result is marked
+// `queued` so callers don't mistake it for a saved row; the header's pending
+// sync indicator shows it until it is replayed.
+const queueProgress = async (userId, item, progress, durationInSeconds) => {
+    try {
+        const entry = await enqueueProgress(userId, item, progress, durationInSeconds);
+        return { queued: true, progress_seconds: entry.progress_seconds, duration_seconds: entry.duration_seconds };
+    } catch (error) {
+        console.error('❌ Could not queue progress for later:', error);
+        return false;
+    }
+};
+
 export const saveWatchProgress = async (userId, item, progress, durationInSeconds, forceHistoryEntry = false) => {
     try {
         if (!userId) {
-            console.warn('⚠️ No authenticated user for saving progress. Storing locally...');
-            // Store progress in localStorage as fallback for fullscreen mode
-            try {
-                const key = `offline_progress_${item.type}_${item.id}_${item.season || 0}_${item.episode || 0}`;
-                const progressData = {
-                    media_id: item.id,
-                    media_type: item.type,
-                    season_number: item.season || null,
-                    episode_number: item.episode || null,
-                    progress_seconds: Math.round(progress),
-                    duration_seconds: durationInSeconds ? Math.round(durationInSeconds) : null,
-                    timestamp: new Date().toISOString()
-                };
-                localStorage.setItem(key, JSON.stringify(progressData));
-                console.log('📱 Progress saved to localStorage as fallback');
-                
-                // Schedule a retry when auth is restored
-                setTimeout(() => {
-                    syncOfflineProgress(userId);
-                }, 10000);
-                
-                return true; // Return success even though it's just local
-            } catch (localError) {
-                console.error('❌ Failed to save to localStorage:', localError);
-                return false;
-            }
+            console.warn('⚠️ No authenticated user for saving progress. Queuing it for later...');
+            return queueProgress(null, item, progress, durationInSeconds);
         }
 
     if (!item || typeof progress === 'undefined' || progress < 0) {
@@ -589,25 +595,9 @@ export const saveWatchProgress = async (userId, item, progress, durationInSecond
             console.error('❌ Direct DB write fallback failed:', fallbackError);
         }
         
-        // Store in localStorage as last resort
-        try {
-            const key = `offline_progress_${item.type}_${item.id}_${item.season || 0}_${item.episode || 0}`;
-            const progressData = {
-                media_id: item.id,
-                media_type: item.type,
-                season_number: item.season || null,
-                episode_number: item.episode || null,
-                progress_seconds: Math.round(progress),
-                duration_seconds: durationInSeconds ? Math.round(durationInSeconds) : null,
-                timestamp: new Date().toISOString()
-            };
-            localStorage.setItem(key, JSON.stringify(progressData));
-            console.log('📱 Progress saved to localStorage due to no session');
-            return true;
-        } catch (localError) {
-            console.error('❌ All progress saving methods failed');
-            return false;
-        }
+        // Queue it as a last resort
+        console.log('📱 No session, queuing progress for later');
+        return queueProgress(userId, item, progress, durationInSeconds);
     }
     
     console.log('✅ Session found, proceeding with RPC call');
@@ -644,30 +634,14 @@ export const saveWatchProgress = async (userId, item, progress, durationInSecond
                 const fallbackSuccess = await saveWatchProgressFallback(userId, item, progress, durationInSeconds, forceHistoryEntry);
                 if (fallbackSuccess) {
                     console.log('✅ Watch progress saved successfully via direct DB fallback');
+                    syncWatchedEpisode(item, progress, durationInSeconds);
                     // Fetch and return the saved progress data
                     const savedProgress = await getWatchProgressForMedia(userId, item.id, item.type, item.season, item.episode);
                     return savedProgress || true;
                 } else {
                     console.error('❌ Direct DB write fallback also failed.');
-                    // Store in localStorage as last resort
-                    try {
-                        const key = `offline_progress_${item.type}_${item.id}_${item.season || 0}_${item.episode || 0}`;
-                        const progressData = {
-                            media_id: item.id,
-                            media_type: item.type,
-                            season_number: item.season || null,
-                            episode_number: item.episode || null,
-                            progress_seconds: Math.round(progress),
-                            duration_seconds: durationInSeconds ? Math.round(durationInSeconds) : null,
-                            timestamp: new Date().toISOString()
-                        };
-                        localStorage.setItem(key, JSON.stringify(progressData));
-                        console.log('📱 Progress saved to localStorage after RPC and DB failures');
-                        return true;
-                    } catch (localError) {
-                        console.error('❌ All progress saving methods failed');
-                        return false;
-                    }
+                    console.log('📱 Queuing progress after RPC and DB failures');
+                    return queueProgress(userId, item, progress, durationInSeconds);
                 }
             } catch (fallbackError) {
                 console.error('❌ Direct DB write fallback threw an exception:', fallbackError);
@@ -677,6 +651,7 @@ export const saveWatchProgress = async (userId, item, progress, durationInSecond
 
         // RPC succeeded
         console.log('✅ Watch progress saved successfully via RPC.');
+        syncWatchedEpisode(item, progress, durationInSeconds);
         
         // Fetch and return the actual saved progress data from the database
         try {
@@ -1022,7 +997,13 @@ export const getLastWatchedEpisodeWithProgress = async (userId, seriesId) => {
         
         if (progress_seconds && duration_seconds > 0) {
             const completionPercentage = progress_seconds / duration_seconds;
-            const isCompleted = completionPercentage >= 0.9; // 90% considered complete
+            const markers = await getMarkersForEpisodes([{
+                type: lastWatched.media_type,
+                id: seriesId,
+                season: lastWatched.season_number,
+                episode: lastWatched.episode_number
+            }]);
+            const isCompleted = isEpisodeComplete(progress_seconds, duration_seconds, [...markers.values()][0]);
 
             console.log(`📊 [CW] Progress: ${(completionPercentage * 100).toFixed(1)}% - ${isCompleted ? 'COMPLETED' : 'INCOMPLETE'}`);
             
@@ -1158,80 +1139,20 @@ export const getWatchHistoryWithProgress = async (userId) => {
     }
 }; 
 
-// Sync offline progress saved in localStorage when connectivity returns
+// Replays progress queued while offline (src/utils/progressOutbox.js)
 export const syncOfflineProgress = async (userId) => {
+    if (!userId) {
+        console.log('Still not authenticated, cannot sync offline progress');
+        return null;
+    }
     try {
-        // Check if user is authenticated now
-        if (!userId) {
-            console.log('Still not authenticated, cannot sync offline progress');
-            return;
-        }
-        
-        // Find all localStorage keys for offline progress
-        const offlineKeys = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('offline_progress_')) {
-                offlineKeys.push(key);
-            }
-        }
-        
-        if (offlineKeys.length === 0) {
-            return; // No offline progress to sync
-        }
-        
-        console.log(`🔄 Found ${offlineKeys.length} offline progress items to sync`);
-        
-        // Process each offline progress item
-        let syncCount = 0;
-        for (const key of offlineKeys) {
-            try {
-                const progressDataStr = localStorage.getItem(key);
-                if (!progressDataStr) continue;
-                
-                const progressData = JSON.parse(progressDataStr);
-                
-                // Convert to item format expected by saveWatchProgress
-                const item = {
-                    id: progressData.media_id,
-                    type: progressData.media_type,
-                    season: progressData.season_number,
-                    episode: progressData.episode_number
-                };
-                
-                // Skip very old entries (older than 48 hours)
-                const timestamp = new Date(progressData.timestamp);
-                const now = new Date();
-                const hoursSinceSync = (now - timestamp) / (1000 * 60 * 60);
-                
-                if (hoursSinceSync > 48) {
-                    console.log(`Skipping old offline progress from ${hoursSinceSync.toFixed(1)} hours ago`);
-                    localStorage.removeItem(key);
-                    continue;
-                }
-                
-                // Try to sync with server
-                console.log(`Syncing offline progress for ${progressData.media_type} ${progressData.media_id}`);
-                const result = await saveWatchProgressFallback(
-                    userId,
-                    item,
-                    progressData.progress_seconds,
-                    progressData.duration_seconds,
-                    false // Don't force history entry for synced items
-                );
-                
-                if (result) {
-                    // Remove from localStorage on successful sync
-                    localStorage.removeItem(key);
-                    syncCount++;
-                }
-            } catch (itemError) {
-                console.error('Error syncing offline progress item:', itemError);
-            }
+        const result = await replayProgressOutbox(userId);
+        if (result.applied || result.skipped) {
+            console.log(`✅ Synced offline progress: ${result.applied} saved, ${result.skipped} older than the saved position`);
         }
-        
-        console.log(`✅ Successfully synced ${syncCount}/${offlineKeys.length} offline progress items`);
+        return result;
     } catch (error) {
         console.error('Error syncing offline progress:', error);
+        return null;
     }
 };
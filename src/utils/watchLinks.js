@@ -0,0 +1,22 @@
+// Links to the Watch page. The app routes on the URL hash (createHashHistory
+// in src/App.jsx), so a link from outside the app puts the path after `#/`,
+// like the ones the API builds for calendars and OAuth redirects.
+
+/**
+ * The Watch page path for a title or episode.
+ *
+ * @param {{ type: string, id: string, season: number|null, episode: number|null }} media
+ * @returns {string}
+ */
+export const watchPath = ({ type, id, season, episode }) => (type === 'movie'
+  ? `/watch/movie/${id}`
+  : `/watch/${type}/${id}/season/${season}/episode/${episode}`);
+
+/**
+ * @param {string} roomId
+ * @param {object} media - What the room is watching.
+ * @param {string} [origin] - Where the app is served.
+ * @returns {string} The invite link to share.
+ */
+export const getPartyLink = (roomId, media, origin = window.location.origin) =>
+  `${origin}/#${watchPath(media)}?party=${encodeURIComponent(roomId)}`;
@@ -0,0 +1,122 @@
+import { API_BASE_URL } from '../config';
+
+// Watch parties: rooms on the API where everyone's player follows the same
+// play/pause/seek state, with a chat alongside (api/party/). Rooms live in
+// the memory of an API process that keeps sockets open, so when the rest of
+// the API is serverless VITE_PARTY_API_URL points at the one that hosts them.
+
+const PARTY_API_URL = import.meta.env.VITE_PARTY_API_URL || API_BASE_URL;
+
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000];
+
+// Further than this from the room's position, a player is pulled back into step
+export const DRIFT_TOLERANCE_SECONDS = 4;
+
+const hostTokenKey = (roomId) => `watch-party-host:${roomId}`;
+
+/**
+ * Opens a room. The host token is kept on this device, so reopening the
+ * link here rejoins as host.
+ *
+ * @param {object} media - { type, id, season, episode }
+ * @returns {Promise<{ id: string, media: object }>}
+ */
+export const createWatchParty = async (media) => {
+  const response = await fetch(`${PARTY_API_URL}/party`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ media })
+  });
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(data?.error || `HTTP ${response.status}`);
+  }
+  localStorage.setItem(hostTokenKey(data.id), data.hostToken);
+  return { id: data.id, media: data.media };
+};
+
+const socketUrl = (roomId) => {
+  const url = new URL(`${PARTY_API_URL}/party/${encodeURIComponent(roomId)}/socket`, window.location.href);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  return url.href;
+};
+
+/**
+ * Joins a room over its socket, reconnecting when the connection drops.
+ * Rooms that turn the join down (ended, full) are not retried.
+ *
+ * @param {string} roomId
+ * @param {object} options
+ * @param {string} [options.name] - Shown to the others; the server picks
+ *   "Guest n" without one.
+ * @param {Function} options.onMessage - Called with each message from the room.
+ * @param {Function} [options.onStatusChange] - Called with 'connecting',
+ *   'open', 'reconnecting' or 'closed'.
+ * @returns {{ send: Function, close: Function }} `send(type, payload)`
+ *   drops messages while disconnected; the welcome on reconnecting brings
+ *   the state back.
+ */
+export const connectWatchParty = (roomId, { name, onMessage, onStatusChange = () => {} }) => {
+  let socket = null;
+  let attempts = 0;
+  let closed = false;
+  let retryTimer = null;
+
+  const open = () => {
+    onStatusChange(attempts === 0 ? 'connecting' : 'reconnecting');
+    socket = new WebSocket(socketUrl(roomId));
+
+    socket.onopen = () => {
+      attempts = 0;
+      socket.send(JSON.stringify({ type: 'hello', name, hostToken: localStorage.getItem(hostTokenKey(roomId)) }));
+      onStatusChange('open');
+    };
+
+    socket.onmessage = (event) => {
+      try {
+        onMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.warn('Ignoring a watch party message:', error.message);
+      }
+    };
+
+    socket.onclose = (event) => {
+      // 4xxx is the room turning us down; retrying would not change that
+      if (closed || (event.code >= 4000 && event.code < 5000)) {
+        onStatusChange('closed');
+        return;
+      }
+      const delay = RECONNECT_DELAYS_MS[Math.min(attempts, RECONNECT_DELAYS_MS.length - 1)];
+      attempts++;
+      onStatusChange('reconnecting');
+      retryTimer = setTimeout(open, delay);
+    };
+  };
+
+  open();
+
+  return {
+    send: (type, payload = {}) => {
+      if (socket?.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type, ...payload }));
+      }
+    },
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      socket?.close();
+    }
+  };
+};
+
+/**
+ * Where the room's playback is now, from a state received at `receivedAt`.
+ * Counting from when it arrived keeps clocks that disagree out of it.
+ *
+ * @param {{ playing: boolean, position: number }} state
+ * @param {number} receivedAt - Date.now() when the state arrived.
+ * @returns {number} Seconds.
+ */
+export const expectedPosition = (state, receivedAt) => (state.playing
+  ? state.position + (Date.now() - receivedAt) / 1000
+  : state.position);
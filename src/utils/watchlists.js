@@ -0,0 +1,272 @@
+import { supabase } from '../supabase';
+
+// Watchlists are separate from favorites: "I want to watch this" rather than
+// "I love this". Every user has the built-in status lists below and can add
+// custom lists. A title sits in at most one status list at a time, but can be
+// in any number of custom lists.
+
+export const BUILT_IN_WATCHLISTS = [
+  { kind: 'plan_to_watch', name: 'Plan to Watch' },
+  { kind: 'watching', name: 'Watching' },
+  { kind: 'completed', name: 'Completed' },
+  { kind: 'on_hold', name: 'On Hold' },
+  { kind: 'dropped', name: 'Dropped' },
+];
+
+const ITEM_COLUMNS = 'id, watchlist_id, media_id, media_type, title, poster_path, note, position, added_at';
+
+export const mediaKey = (mediaType, mediaId) => `${mediaType}-${mediaId}`;
+
+const isStatusList = (list) => Boolean(list?.kind);
+
+const allItems = (lists) => lists.flatMap(list => list.items);
+
+/**
+ * Fetches the user's lists with their items in order, creating the built-in
+ * lists the first time.
+ *
+ * @param {string} userId - The signed-in user's ID.
+ * @returns {Promise<Array>} Lists ordered by position, each with `items`.
+ */
+export const getWatchlists = async (userId) => {
+  const fetchLists = () => supabase
+    .from('watchlists')
+    .select('id, name, kind, position')
+    .eq('user_id', userId)
+    .order('position', { ascending: true })
+    .order('id', { ascending: true });
+
+  let { data: lists, error } = await fetchLists();
+  if (error) {
+    console.error('Error fetching watchlists:', error);
+    return [];
+  }
+
+  const missing = BUILT_IN_WATCHLISTS.filter(builtIn => !lists.some(list => list.kind === builtIn.kind));
+  if (missing.length > 0) {
+    const { error: insertError } = await supabase.from('watchlists').upsert(
+      missing.map(builtIn => ({
+        user_id: userId,
+        name: builtIn.name,
+        kind: builtIn.kind,
+        position: BUILT_IN_WATCHLISTS.indexOf(builtIn),
+      })),
+      { onConflict: 'user_id,kind', ignoreDuplicates: true }
+    );
+    if (insertError) {
+      console.error('Error creating built-in watchlists:', insertError);
+    }
+    ({ data: lists } = await fetchLists());
+  }
+
+  const { data: items, error: itemsError } = await supabase
+    .from('watchlist_items')
+    .select(ITEM_COLUMNS)
+    .eq('user_id', userId)
+    .order('position', { ascending: true })
+    .order('added_at', { ascending: true });
+
+  if (itemsError) {
+    console.error('Error fetching watchlist items:', itemsError);
+  }
+
+  return (lists || []).map(list => ({
+    ...list,
+    items: (items || []).filter(item => item.watchlist_id === list.id),
+  }));
+};
+
+/**
+ * Creates a custom list at the end.
+ *
+ * @param {string} userId - The signed-in user's ID.
+ * @param {string} name - The list's name.
+ * @param {Array} lists - The user's current lists from getWatchlists().
+ * @returns {Promise<object|null>} The new list, with no items.
+ */
+export const createWatchlist = async (userId, name, lists) => {
+  const position = Math.max(0, ...lists.map(list => list.position)) + 1;
+  const { data, error } = await supabase
+    .from('watchlists')
+    .insert({ user_id: userId, name: name.trim(), position })
+    .select('id, name, kind, position')
+    .single();
+
+  if (error) {
+    console.error('Error creating watchlist:', error);
+    return null;
+  }
+  return { ...data, items: [] };
+};
+
+export const renameWatchlist = async (listId, name) => {
+  const { error } = await supabase.from('watchlists').update({ name: name.trim() }).eq('id', listId);
+  if (error) {
+    console.error('Error renaming watchlist:', error);
+    return false;
+  }
+  return true;
+};
+
+// Only custom lists can be deleted; their items go with them
+export const deleteWatchlist = async (listId) => {
+  const { error } = await supabase.from('watchlists').delete().eq('id', listId).is('kind', null);
+  if (error) {
+    console.error('Error deleting watchlist:', error);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Moving a title into a status list takes it out of the other status lists.
+ * Returns the IDs of items to delete for that.
+ */
+const staleStatusItemIds = (lists, target, keys, keepIds = new Set()) => {
+  if (!isStatusList(target)) return [];
+  return lists
+    .filter(list => isStatusList(list) && list.id !== target.id)
+    .flatMap(list => list.items)
+    .filter(item => keys.has(mediaKey(item.media_type, item.media_id)) && !keepIds.has(item.id))
+    .map(item => item.id);
+};
+
+/**
+ * Adds a title to the end of a list.
+ *
+ * @param {string} userId - The signed-in user's ID.
+ * @param {Array} lists - The user's current lists from getWatchlists().
+ * @param {number} listId - The list to add to.
+ * @param {object} media - { id, type, title, poster_path }. Anime use their AniList ID.
+ * @returns {Promise<boolean>} Whether the title was added.
+ */
+export const addToWatchlist = async (userId, lists, listId, media) => {
+  const target = lists.find(list => list.id === listId);
+  if (!target) return false;
+
+  const key = mediaKey(media.type, media.id);
+  if (target.items.some(item => mediaKey(item.media_type, item.media_id) === key)) return true;
+
+  const stale = staleStatusItemIds(lists, target, new Set([key]));
+  if (stale.length > 0) {
+    await removeWatchlistItems(stale);
+  }
+
+  const { error } = await supabase.from('watchlist_items').insert({
+    watchlist_id: listId,
+    user_id: userId,
+    media_id: String(media.id),
+    media_type: media.type,
+    title: media.title || media.name || null,
+    poster_path: media.poster_path || null,
+    position: target.items.length,
+  });
+
+  if (error) {
+    console.error('Error adding to watchlist:', error);
+    return false;
+  }
+  return true;
+};
+
+export const removeWatchlistItems = async (itemIds) => {
+  if (itemIds.length === 0) return true;
+  const { error } = await supabase.from('watchlist_items').delete().in('id', itemIds);
+  if (error) {
+    console.error('Error removing watchlist items:', error);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Moves items to the end of another list. Items whose title is already in
+ * the target list are dropped instead of duplicated.
+ *
+ * @param {Array} lists - The user's current lists from getWatchlists().
+ * @param {Array<number>} itemIds - The items to move.
+ * @param {number} targetListId - The list to move them to.
+ * @returns {Promise<boolean>} Whether every change was saved.
+ */
+export const moveWatchlistItems = async (lists, itemIds, targetListId) => {
+  const target = lists.find(list => list.id === targetListId);
+  if (!target) return false;
+
+  const ids = new Set(itemIds);
+  const moving = allItems(lists).filter(item => ids.has(item.id) && item.watchlist_id !== targetListId);
+  const inTarget = new Set(target.items.map(item => mediaKey(item.media_type, item.media_id)));
+
+  const duplicates = moving.filter(item => inTarget.has(mediaKey(item.media_type, item.media_id)));
+  const toMove = moving.filter(item => !inTarget.has(mediaKey(item.media_type, item.media_id)));
+  const stale = staleStatusItemIds(
+    lists,
+    target,
+    new Set(toMove.map(item => mediaKey(item.media_type, item.media_id))),
+    ids
+  );
+
+  const removed = await removeWatchlistItems([...duplicates.map(item => item.id), ...stale]);
+  const results = await Promise.all(toMove.map((item, index) => supabase
+    .from('watchlist_items')
+    .update({ watchlist_id: targetListId, position: target.items.length + index, updated_at: new Date().toISOString() })
+    .eq('id', item.id)));
+
+  const failed = results.find(result => result.error);
+  if (failed) {
+    console.error('Error moving watchlist items:', failed.error);
+  }
+  return removed && !failed;
+};
+
+/**
+ * Saves a new order for a list.
+ *
+ * @param {Array<number>} orderedItemIds - Every item of the list, in the new order.
+ * @returns {Promise<boolean>}
+ */
+export const reorderWatchlist = async (orderedItemIds) => {
+  const results = await Promise.all(orderedItemIds.map((id, position) => supabase
+    .from('watchlist_items')
+    .update({ position })
+    .eq('id', id)));
+
+  const failed = results.find(result => result.error);
+  if (failed) {
+    console.error('Error reordering watchlist:', failed.error);
+    return false;
+  }
+  return true;
+};
+
+export const updateWatchlistItemNote = async (itemId, note) => {
+  const { error } = await supabase
+    .from('watchlist_items')
+    .update({ note: note.trim() || null, updated_at: new Date().toISOString() })
+    .eq('id', itemId);
+
+  if (error) {
+    console.error('Error saving watchlist note:', error);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Titles in the user's Completed list, which Continue Watching leaves out.
+ *
+ * @param {string} userId - The signed-in user's ID.
+ * @returns {Promise<Set<string>>} Keys from mediaKey().
+ */
+export const getCompletedMediaKeys = async (userId) => {
+  const { data, error } = await supabase
+    .from('watchlist_items')
+    .select('media_type, media_id, watchlists!inner(kind)')
+    .eq('user_id', userId)
+    .eq('watchlists.kind', 'completed');
+
+  if (error) {
+    console.error('Error fetching completed titles:', error);
+    return new Set();
+  }
+  return new Set(data.map(item => mediaKey(item.media_type, item.media_id)));
+};
@@ -0,0 +1,86 @@
+-- New-episode notifications for favorited series. The API's notification job
+-- (/api/cron/notifications) compares the latest aired episode of every
+-- favorited TV show and anime against `episode_watermarks` and writes one
+-- notification per follower when a new episode is out.
+
+-- The latest episode the job has seen per series. Only the API (service
+-- role) reads and writes it, so no policies are granted.
+CREATE TABLE IF NOT EXISTS public.episode_watermarks (
+    media_type TEXT NOT NULL,
+    media_id TEXT NOT NULL,
+    season_number INTEGER NOT NULL,
+    episode_number INTEGER NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    PRIMARY KEY (media_type, media_id),
+    CONSTRAINT episode_watermarks_media_type_check CHECK (media_type IN ('tv', 'anime'))
+);
+
+ALTER TABLE public.episode_watermarks ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS public.notifications (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    media_type TEXT NOT NULL,
+    media_id TEXT NOT NULL,
+    season_number INTEGER NOT NULL,
+    episode_number INTEGER NOT NULL,
+    title TEXT,
+    episode_name TEXT,
+    poster_path TEXT,
+    air_date DATE,
+    read_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    -- A rerun of the job never notifies twice about the same episode
+    CONSTRAINT notifications_user_episode_key UNIQUE (user_id, media_type, media_id, season_number, episode_number)
+);
+
+CREATE INDEX IF NOT EXISTS notifications_user_created_idx ON public.notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS notifications_user_unread_idx ON public.notifications(user_id) WHERE read_at IS NULL;
+
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own notifications" ON public.notifications;
+CREATE POLICY "Users can view their own notifications"
+ON public.notifications FOR SELECT
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update their own notifications" ON public.notifications;
+CREATE POLICY "Users can update their own notifications"
+ON public.notifications FOR UPDATE
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete their own notifications" ON public.notifications;
+CREATE POLICY "Users can delete their own notifications"
+ON public.notifications FOR DELETE
+USING (auth.uid() = user_id);
+
+-- Series a user still favorites but no longer wants notifications for
+CREATE TABLE IF NOT EXISTS public.notification_mutes (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    media_type TEXT NOT NULL,
+    media_id TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT notification_mutes_user_media_key UNIQUE (user_id, media_type, media_id)
+);
+
+ALTER TABLE public.notification_mutes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own notification mutes" ON public.notification_mutes;
+CREATE POLICY "Users can view their own notification mutes"
+ON public.notification_mutes FOR SELECT
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert their own notification mutes" ON public.notification_mutes;
+CREATE POLICY "Users can insert their own notification mutes"
+ON public.notification_mutes FOR INSERT
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete their own notification mutes" ON public.notification_mutes;
+CREATE POLICY "Users can delete their own notification mutes"
+ON public.notification_mutes FOR DELETE
+USING (auth.uid() = user_id);
@@ -0,0 +1,94 @@
+-- User-defined watchlists, separate from favorites. Every user has the
+-- built-in status lists (Plan to Watch, Watching, Completed, On Hold,
+-- Dropped), identified by `kind`, and may create custom lists (kind NULL).
+-- The client creates the built-in lists the first time they are loaded.
+CREATE TABLE IF NOT EXISTS public.watchlists (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    kind TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT watchlists_kind_check CHECK (kind IN ('plan_to_watch', 'watching', 'completed', 'on_hold', 'dropped')),
+    -- NULL kinds are distinct, so this only limits the built-in lists to one each
+    CONSTRAINT watchlists_user_kind_key UNIQUE (user_id, kind)
+);
+
+CREATE INDEX IF NOT EXISTS watchlists_user_id_idx ON public.watchlists(user_id);
+
+CREATE TABLE IF NOT EXISTS public.watchlist_items (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    watchlist_id BIGINT NOT NULL REFERENCES public.watchlists(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    media_id TEXT NOT NULL,
+    media_type TEXT NOT NULL,
+    -- Snapshot of the title and poster so a list renders without a lookup per item
+    title TEXT,
+    poster_path TEXT,
+    note TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    added_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT watchlist_items_media_type_check CHECK (media_type IN ('movie', 'tv', 'anime')),
+    CONSTRAINT watchlist_items_list_media_key UNIQUE (watchlist_id, media_type, media_id)
+);
+
+CREATE INDEX IF NOT EXISTS watchlist_items_watchlist_position_idx ON public.watchlist_items(watchlist_id, position);
+CREATE INDEX IF NOT EXISTS watchlist_items_user_media_idx ON public.watchlist_items(user_id, media_type, media_id);
+
+-- Enable RLS
+ALTER TABLE public.watchlists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.watchlist_items ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies
+DROP POLICY IF EXISTS "Users can view their own watchlists" ON public.watchlists;
+CREATE POLICY "Users can view their own watchlists"
+ON public.watchlists FOR SELECT
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert their own watchlists" ON public.watchlists;
+CREATE POLICY "Users can insert their own watchlists"
+ON public.watchlists FOR INSERT
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update their own watchlists" ON public.watchlists;
+CREATE POLICY "Users can update their own watchlists"
+ON public.watchlists FOR UPDATE
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- Built-in lists can be renamed but not deleted
+DROP POLICY IF EXISTS "Users can delete their own custom watchlists" ON public.watchlists;
+CREATE POLICY "Users can delete their own custom watchlists"
+ON public.watchlists FOR DELETE
+USING (auth.uid() = user_id AND kind IS NULL);
+
+DROP POLICY IF EXISTS "Users can view their own watchlist items" ON public.watchlist_items;
+CREATE POLICY "Users can view their own watchlist items"
+ON public.watchlist_items FOR SELECT
+USING (auth.uid() = user_id);
+
+-- Items may only be added to, or moved into, the user's own lists
+DROP POLICY IF EXISTS "Users can insert their own watchlist items" ON public.watchlist_items;
+CREATE POLICY "Users can insert their own watchlist items"
+ON public.watchlist_items FOR INSERT
+WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (SELECT 1 FROM public.watchlists w WHERE w.id = watchlist_id AND w.user_id = auth.uid())
+);
+
+DROP POLICY IF EXISTS "Users can update their own watchlist items" ON public.watchlist_items;
+CREATE POLICY "Users can update their own watchlist items"
+ON public.watchlist_items FOR UPDATE
+USING (auth.uid() = user_id)
+WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (SELECT 1 FROM public.watchlists w WHERE w.id = watchlist_id AND w.user_id = auth.uid())
+);
+
+DROP POLICY IF EXISTS "Users can delete their own watchlist items" ON public.watchlist_items;
+CREATE POLICY "Users can delete their own watchlist items"
+ON public.watchlist_items FOR DELETE
+USING (auth.uid() = user_id);
@@ -0,0 +1,35 @@
+-- AniList and Shikimori accounts linked for two-way list sync. Tokens are
+-- only handled by the API (service role), so neither table has policies that
+-- let users read them; the API lists a user's connections without tokens.
+CREATE TABLE IF NOT EXISTS public.linked_accounts (
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    provider TEXT NOT NULL,
+    remote_user_id TEXT NOT NULL,
+    remote_username TEXT,
+    access_token TEXT NOT NULL,
+    refresh_token TEXT,
+    expires_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    PRIMARY KEY (user_id, provider),
+    CONSTRAINT linked_accounts_provider_check CHECK (provider IN ('anilist', 'shikimori'))
+);
+
+-- Episodes watched here and on the remote list after the last sync of each
+-- title. An import compares both sides against this to detect conflicts.
+CREATE TABLE IF NOT EXISTS public.list_sync_entries (
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    provider TEXT NOT NULL,
+    anilist_id INTEGER NOT NULL,
+    local_progress INTEGER NOT NULL DEFAULT 0,
+    remote_progress INTEGER NOT NULL DEFAULT 0,
+    synced_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    PRIMARY KEY (user_id, provider, anilist_id),
+    FOREIGN KEY (user_id, provider) REFERENCES public.linked_accounts(user_id, provider) ON DELETE CASCADE
+);
+
+-- Enable RLS. With no policies, only the service role can read or write.
+ALTER TABLE public.linked_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.list_sync_entries ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,8 @@
+-- Trakt accounts are linked for scrobbling. Trakt wants the redirect URI
+-- used at sign-in again when a token is refreshed, so it is kept with the
+-- account.
+ALTER TABLE public.linked_accounts DROP CONSTRAINT IF EXISTS linked_accounts_provider_check;
+ALTER TABLE public.linked_accounts
+    ADD CONSTRAINT linked_accounts_provider_check CHECK (provider IN ('anilist', 'shikimori', 'trakt'));
+
+ALTER TABLE public.linked_accounts ADD COLUMN IF NOT EXISTS redirect_uri TEXT;
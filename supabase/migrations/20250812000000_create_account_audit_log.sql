@@ -0,0 +1,16 @@
+-- Record of data exports and account deletions made through the Profile
+-- page. Rows outlive the account they describe, so `user_id` has no foreign
+-- key to auth.users. Only the API (service role) writes or reads it.
+CREATE TABLE IF NOT EXISTS public.account_audit_log (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    user_id UUID NOT NULL,
+    action TEXT NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT account_audit_log_action_check CHECK (action IN ('data_exported', 'account_deleted', 'account_delete_failed'))
+);
+
+CREATE INDEX IF NOT EXISTS account_audit_log_user_created_idx ON public.account_audit_log(user_id, created_at DESC);
+
+ALTER TABLE public.account_audit_log ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,379 @@
+-- Viewer profiles: several people sharing one login each get their own
+-- watch history, progress and favorites. Every account has a default
+-- profile, and the rows that existed before profiles belong to it.
+--
+-- The client names the profile it is acting as in the `X-Viewer-Profile`
+-- request header. PostgREST exposes request headers to SQL, so RLS and the
+-- watch functions scope to that profile through active_viewer_profile().
+
+-- --- Profiles ---
+CREATE TABLE IF NOT EXISTS public.viewer_profiles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    avatar_url TEXT,
+    maturity_rating TEXT NOT NULL DEFAULT 'adult',
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT viewer_profiles_maturity_rating_check CHECK (maturity_rating IN ('kids', 'teen', 'adult')),
+    CONSTRAINT viewer_profiles_name_check CHECK (char_length(btrim(name)) BETWEEN 1 AND 40)
+);
+
+CREATE INDEX IF NOT EXISTS viewer_profiles_user_id_idx ON public.viewer_profiles(user_id, position);
+CREATE UNIQUE INDEX IF NOT EXISTS viewer_profiles_one_default_idx ON public.viewer_profiles(user_id) WHERE is_default;
+
+-- At most five profiles per account
+CREATE OR REPLACE FUNCTION public.check_viewer_profile_limit()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = ''
+AS $$
+BEGIN
+    IF (SELECT count(*) FROM public.viewer_profiles WHERE user_id = NEW.user_id) >= 5 THEN
+        RAISE EXCEPTION 'An account can have at most 5 profiles.' USING ERRCODE = 'check_violation';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS viewer_profiles_limit ON public.viewer_profiles;
+CREATE TRIGGER viewer_profiles_limit BEFORE INSERT ON public.viewer_profiles
+    FOR EACH ROW EXECUTE FUNCTION public.check_viewer_profile_limit();
+
+DROP TRIGGER IF EXISTS update_viewer_profiles_updated_at ON public.viewer_profiles;
+CREATE TRIGGER update_viewer_profiles_updated_at BEFORE UPDATE ON public.viewer_profiles
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+ALTER TABLE public.viewer_profiles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own viewer profiles" ON public.viewer_profiles;
+CREATE POLICY "Users can view their own viewer profiles"
+ON public.viewer_profiles FOR SELECT
+USING ((select auth.uid()) = user_id);
+
+DROP POLICY IF EXISTS "Users can create their own viewer profiles" ON public.viewer_profiles;
+CREATE POLICY "Users can create their own viewer profiles"
+ON public.viewer_profiles FOR INSERT
+WITH CHECK ((select auth.uid()) = user_id AND NOT is_default);
+
+DROP POLICY IF EXISTS "Users can update their own viewer profiles" ON public.viewer_profiles;
+CREATE POLICY "Users can update their own viewer profiles"
+ON public.viewer_profiles FOR UPDATE
+USING ((select auth.uid()) = user_id)
+WITH CHECK ((select auth.uid()) = user_id);
+
+-- The default profile holds the account's original data and stays
+DROP POLICY IF EXISTS "Users can delete their own viewer profiles" ON public.viewer_profiles;
+CREATE POLICY "Users can delete their own viewer profiles"
+ON public.viewer_profiles FOR DELETE
+USING ((select auth.uid()) = user_id AND NOT is_default);
+
+-- Every account gets its default profile, named after the account
+CREATE OR REPLACE FUNCTION public.create_default_viewer_profile()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+BEGIN
+    INSERT INTO public.viewer_profiles (user_id, name, is_default)
+    VALUES (
+        NEW.id,
+        left(coalesce(nullif(btrim(NEW.raw_user_meta_data ->> 'full_name'), ''), split_part(NEW.email, '@', 1), 'Me'), 40),
+        true
+    )
+    ON CONFLICT DO NOTHING;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_auth_user_created_viewer_profile ON auth.users;
+CREATE TRIGGER on_auth_user_created_viewer_profile AFTER INSERT ON auth.users
+    FOR EACH ROW EXECUTE FUNCTION public.create_default_viewer_profile();
+
+INSERT INTO public.viewer_profiles (user_id, name, is_default)
+SELECT
+    u.id,
+    left(coalesce(nullif(btrim(u.raw_user_meta_data ->> 'full_name'), ''), split_part(u.email, '@', 1), 'Me'), 40),
+    true
+FROM auth.users AS u
+WHERE NOT EXISTS (SELECT 1 FROM public.viewer_profiles AS p WHERE p.user_id = u.id AND p.is_default);
+
+-- --- Active profile ---
+-- The profile named in X-Viewer-Profile when it belongs to the caller,
+-- otherwise the caller's default profile
+CREATE OR REPLACE FUNCTION public.active_viewer_profile()
+RETURNS uuid
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+    SELECT coalesce(
+        (
+            SELECT p.id FROM public.viewer_profiles AS p
+            WHERE p.user_id = auth.uid()
+              AND p.id::text = nullif(current_setting('request.headers', true), '')::json ->> 'x-viewer-profile'
+        ),
+        (
+            SELECT p.id FROM public.viewer_profiles AS p
+            WHERE p.user_id = auth.uid() AND p.is_default
+        )
+    );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.active_viewer_profile() TO authenticated;
+
+-- --- Per-profile data ---
+ALTER TABLE public.watch_history ADD COLUMN IF NOT EXISTS profile_id UUID REFERENCES public.viewer_profiles(id) ON DELETE CASCADE;
+ALTER TABLE public.watch_progress ADD COLUMN IF NOT EXISTS profile_id UUID REFERENCES public.viewer_profiles(id) ON DELETE CASCADE;
+ALTER TABLE public.favorites ADD COLUMN IF NOT EXISTS profile_id UUID REFERENCES public.viewer_profiles(id) ON DELETE CASCADE;
+
+UPDATE public.watch_history AS t SET profile_id = p.id
+FROM public.viewer_profiles AS p WHERE p.user_id = t.user_id AND p.is_default AND t.profile_id IS NULL;
+UPDATE public.watch_progress AS t SET profile_id = p.id
+FROM public.viewer_profiles AS p WHERE p.user_id = t.user_id AND p.is_default AND t.profile_id IS NULL;
+UPDATE public.favorites AS t SET profile_id = p.id
+FROM public.viewer_profiles AS p WHERE p.user_id = t.user_id AND p.is_default AND t.profile_id IS NULL;
+
+-- Rows written without a profile go to the active one for signed-in users
+-- and to the default one for the API's service role, which has no session
+CREATE OR REPLACE FUNCTION public.set_viewer_profile()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+BEGIN
+    IF NEW.profile_id IS NULL THEN
+        IF auth.uid() = NEW.user_id THEN
+            NEW.profile_id := public.active_viewer_profile();
+        END IF;
+        IF NEW.profile_id IS NULL THEN
+            SELECT p.id INTO NEW.profile_id FROM public.viewer_profiles AS p
+            WHERE p.user_id = NEW.user_id AND p.is_default;
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS watch_history_set_viewer_profile ON public.watch_history;
+CREATE TRIGGER watch_history_set_viewer_profile BEFORE INSERT ON public.watch_history
+    FOR EACH ROW EXECUTE FUNCTION public.set_viewer_profile();
+DROP TRIGGER IF EXISTS watch_progress_set_viewer_profile ON public.watch_progress;
+CREATE TRIGGER watch_progress_set_viewer_profile BEFORE INSERT ON public.watch_progress
+    FOR EACH ROW EXECUTE FUNCTION public.set_viewer_profile();
+DROP TRIGGER IF EXISTS favorites_set_viewer_profile ON public.favorites;
+CREATE TRIGGER favorites_set_viewer_profile BEFORE INSERT ON public.favorites
+    FOR EACH ROW EXECUTE FUNCTION public.set_viewer_profile();
+
+ALTER TABLE public.watch_history ALTER COLUMN profile_id SET NOT NULL;
+ALTER TABLE public.watch_progress ALTER COLUMN profile_id SET NOT NULL;
+ALTER TABLE public.favorites ALTER COLUMN profile_id SET NOT NULL;
+
+-- Uniqueness moves from the account to the profile
+DROP INDEX IF EXISTS public.watch_progress_unique_tv_episode_idx;
+DROP INDEX IF EXISTS public.watch_progress_unique_movie_idx;
+DROP INDEX IF EXISTS public.watch_history_unique_tv_episode_idx;
+DROP INDEX IF EXISTS public.watch_history_unique_movie_idx;
+
+CREATE UNIQUE INDEX watch_progress_unique_tv_episode_idx
+ON public.watch_progress (profile_id, media_id, media_type, season_number, episode_number)
+WHERE (episode_number IS NOT NULL);
+
+CREATE UNIQUE INDEX watch_progress_unique_movie_idx
+ON public.watch_progress (profile_id, media_id, media_type)
+WHERE (episode_number IS NULL);
+
+CREATE UNIQUE INDEX watch_history_unique_tv_episode_idx
+ON public.watch_history (profile_id, media_id, media_type, season_number, episode_number)
+WHERE (episode_number IS NOT NULL);
+
+CREATE UNIQUE INDEX watch_history_unique_movie_idx
+ON public.watch_history (profile_id, media_id, media_type)
+WHERE (episode_number IS NULL);
+
+ALTER TABLE public.favorites DROP CONSTRAINT IF EXISTS favorites_user_id_media_type_media_id_key;
+DROP INDEX IF EXISTS public.favorites_unique_episode;
+DROP INDEX IF EXISTS public.favorites_unique_movie;
+ALTER TABLE public.favorites ADD CONSTRAINT favorites_profile_media_key UNIQUE (profile_id, media_type, media_id);
+
+CREATE INDEX IF NOT EXISTS watch_history_profile_watched_idx ON public.watch_history(profile_id, watched_at DESC);
+CREATE INDEX IF NOT EXISTS favorites_profile_id_idx ON public.favorites(profile_id);
+
+-- --- Row level security ---
+-- A session sees only the active profile's rows
+DROP POLICY IF EXISTS "Users can view own watch progress" ON public.watch_progress;
+DROP POLICY IF EXISTS "Users can insert own watch progress" ON public.watch_progress;
+DROP POLICY IF EXISTS "Users can update own watch progress" ON public.watch_progress;
+DROP POLICY IF EXISTS "Users can delete own watch progress" ON public.watch_progress;
+
+CREATE POLICY "Users can view own watch progress" ON public.watch_progress
+    FOR SELECT USING ((select auth.uid()) = user_id AND profile_id = (select public.active_viewer_profile()));
+CREATE POLICY "Users can insert own watch progress" ON public.watch_progress
+    FOR INSERT WITH CHECK ((select auth.uid()) = user_id AND profile_id = (select public.active_viewer_profile()));
+CREATE POLICY "Users can update own watch progress" ON public.watch_progress
+    FOR UPDATE USING ((select auth.uid()) = user_id AND profile_id = (select public.active_viewer_profile()))
+    WITH CHECK ((select auth.uid()) = user_id AND profile_id = (select public.active_viewer_profile()));
+CREATE POLICY "Users can delete own watch progress" ON public.watch_progress
+    FOR DELETE USING ((select auth.uid()) = user_id AND profile_id = (select public.active_viewer_profile()));
+
+DROP POLICY IF EXISTS "Users can view own watch history" ON public.watch_history;
+DROP POLICY IF EXISTS "Users can insert own watch history" ON public.watch_history;
+DROP POLICY IF EXISTS "Users can update own watch history" ON public.watch_history;
+DROP POLICY IF EXISTS "Users can delete own watch history" ON public.watch_history;
+
+CREATE POLICY "Users can view own watch history" ON public.watch_history
+    FOR SELECT USING ((select auth.uid()) = user_id AND profile_id = (select public.active_viewer_profile()));
+CREATE POLICY "Users can insert own watch history" ON public.watch_history
+    FOR INSERT WITH CHECK ((select auth.uid()) = user_id AND profile_id = (select public.active_viewer_profile()));
+CREATE POLICY "Users can update own watch history" ON public.watch_history
+    FOR UPDATE USING ((select auth.uid()) = user_id AND profile_id = (select public.active_viewer_profile()))
+    WITH CHECK ((select auth.uid()) = user_id AND profile_id = (select public.active_viewer_profile()));
+CREATE POLICY "Users can delete own watch history" ON public.watch_history
+    FOR DELETE USING ((select auth.uid()) = user_id AND profile_id = (select public.active_viewer_profile()));
+
+DROP POLICY IF EXISTS "Users can view their own favorites" ON public.favorites;
+DROP POLICY IF EXISTS "Users can insert their own favorites" ON public.favorites;
+DROP POLICY IF EXISTS "Users can delete their own favorites" ON public.favorites;
+
+CREATE POLICY "Users can view their own favorites" ON public.favorites
+    FOR SELECT USING ((select auth.uid()) = user_id AND profile_id = (select public.active_viewer_profile()));
+CREATE POLICY "Users can insert their own favorites" ON public.favorites
+    FOR INSERT WITH CHECK ((select auth.uid()) = user_id AND profile_id = (select public.active_viewer_profile()));
+CREATE POLICY "Users can delete their own favorites" ON public.favorites
+    FOR DELETE USING ((select auth.uid()) = user_id AND profile_id = (select public.active_viewer_profile()));
+
+-- --- Watch functions ---
+-- Same signatures as before, so clients keep calling them unchanged
+CREATE OR REPLACE FUNCTION public.save_watch_progress(
+    p_media_id text,
+    p_media_type text,
+    p_season_number integer,
+    p_episode_number integer,
+    p_progress_seconds integer,
+    p_duration_seconds integer DEFAULT NULL,
+    p_force_history_entry boolean DEFAULT false
+)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $function$
+DECLARE
+    v_profile_id uuid := public.active_viewer_profile();
+BEGIN
+    IF v_profile_id IS NULL THEN
+        RAISE EXCEPTION 'No viewer profile for this user.';
+    END IF;
+
+    IF p_episode_number IS NOT NULL THEN
+        -- Handle TV shows and anime episodes
+        INSERT INTO public.watch_progress (user_id, profile_id, media_id, media_type, season_number, episode_number, progress_seconds, duration_seconds, updated_at)
+        VALUES (auth.uid(), v_profile_id, p_media_id, p_media_type, p_season_number, p_episode_number, p_progress_seconds, p_duration_seconds, now())
+        ON CONFLICT (profile_id, media_id, media_type, season_number, episode_number) WHERE episode_number IS NOT NULL
+        DO UPDATE SET
+            progress_seconds = p_progress_seconds,
+            duration_seconds = COALESCE(p_duration_seconds, public.watch_progress.duration_seconds),
+            updated_at = now()
+        WHERE watch_progress.user_id = auth.uid();
+
+        INSERT INTO public.watch_history (user_id, profile_id, media_id, media_type, season_number, episode_number, watched_at)
+        VALUES (auth.uid(), v_profile_id, p_media_id, p_media_type, p_season_number, p_episode_number, now())
+        ON CONFLICT (profile_id, media_id, media_type, season_number, episode_number) WHERE episode_number IS NOT NULL
+        DO UPDATE SET watched_at = now()
+        WHERE watch_history.user_id = auth.uid();
+    ELSE
+        -- Handle movies (where episode_number is null)
+        INSERT INTO public.watch_progress (user_id, profile_id, media_id, media_type, season_number, episode_number, progress_seconds, duration_seconds, updated_at)
+        VALUES (auth.uid(), v_profile_id, p_media_id, p_media_type, NULL, NULL, p_progress_seconds, p_duration_seconds, now())
+        ON CONFLICT (profile_id, media_id, media_type) WHERE episode_number IS NULL
+        DO UPDATE SET
+            progress_seconds = p_progress_seconds,
+            duration_seconds = COALESCE(p_duration_seconds, public.watch_progress.duration_seconds),
+            updated_at = now()
+        WHERE watch_progress.user_id = auth.uid();
+
+        INSERT INTO public.watch_history (user_id, profile_id, media_id, media_type, season_number, episode_number, watched_at)
+        VALUES (auth.uid(), v_profile_id, p_media_id, p_media_type, NULL, NULL, now())
+        ON CONFLICT (profile_id, media_id, media_type) WHERE episode_number IS NULL
+        DO UPDATE SET watched_at = now()
+        WHERE watch_history.user_id = auth.uid();
+    END IF;
+END;
+$function$;
+
+ALTER FUNCTION public.save_watch_progress(text, text, int, int, int, int, boolean) SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.get_watch_history_with_progress()
+RETURNS TABLE (
+    id bigint,
+    user_id uuid,
+    media_id text,
+    media_type text,
+    season_number int,
+    episode_number int,
+    watched_at timestamp with time zone,
+    progress_seconds int,
+    duration_seconds int
+)
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        wh.id,
+        wh.user_id,
+        wh.media_id,
+        wh.media_type,
+        wh.season_number,
+        wh.episode_number,
+        wh.watched_at,
+        CAST(wp.progress_seconds AS integer),
+        CAST(wp.duration_seconds AS integer)
+    FROM
+        public.watch_history AS wh
+    LEFT JOIN
+        public.watch_progress AS wp ON wh.profile_id = wp.profile_id
+        AND wh.media_id = wp.media_id
+        AND wh.media_type = wp.media_type
+        AND wh.season_number IS NOT DISTINCT FROM wp.season_number
+        AND wh.episode_number IS NOT DISTINCT FROM wp.episode_number
+    WHERE
+        wh.user_id = auth.uid()
+        AND wh.profile_id = public.active_viewer_profile()
+    ORDER BY
+        wh.watched_at DESC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+ALTER FUNCTION public.get_watch_history_with_progress() SET search_path = public;
+
+CREATE OR REPLACE FUNCTION delete_watch_item(
+    p_media_id text,
+    p_media_type text,
+    p_season_number int,
+    p_episode_number int
+)
+RETURNS void AS $$
+BEGIN
+    DELETE FROM public.watch_progress
+    WHERE user_id = auth.uid()
+      AND profile_id = public.active_viewer_profile()
+      AND media_id = p_media_id
+      AND media_type = p_media_type
+      AND season_number = p_season_number
+      AND episode_number = p_episode_number;
+
+    DELETE FROM public.watch_history
+    WHERE user_id = auth.uid()
+      AND profile_id = public.active_viewer_profile()
+      AND media_id = p_media_id
+      AND media_type = p_media_type
+      AND season_number = p_season_number
+      AND episode_number = p_episode_number;
+END;
+$$ LANGUAGE plpgsql
+SET search_path = public;
@@ -0,0 +1,53 @@
+-- Parental controls: a four-digit PIN per account. While one is set, a
+-- profile's maturity rating can only change through the API, which asks for
+-- the PIN. The Watch page asks for it too before playing a title rated above
+-- the profile's ceiling.
+--
+-- The PIN is stored as a salted scrypt hash. Only the API (service role)
+-- reads or writes this table.
+CREATE TABLE IF NOT EXISTS public.parental_controls (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    pin_hash TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+DROP TRIGGER IF EXISTS update_parental_controls_updated_at ON public.parental_controls;
+CREATE TRIGGER update_parental_controls_updated_at BEFORE UPDATE ON public.parental_controls
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+ALTER TABLE public.parental_controls ENABLE ROW LEVEL SECURITY;
+
+-- Clients write viewer_profiles directly, so the PIN has to be enforced here:
+-- with a PIN set, a client may not raise a profile's rating or create one
+-- above kids. The API checks the PIN and then writes as the service role.
+CREATE OR REPLACE FUNCTION public.guard_viewer_profile_maturity()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+BEGIN
+    IF auth.role() = 'service_role' THEN
+        RETURN NEW;
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM public.parental_controls WHERE user_id = NEW.user_id) THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'INSERT' AND NEW.maturity_rating <> 'kids' THEN
+        RAISE EXCEPTION 'A parental PIN is set; new profiles start as kids.' USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND NEW.maturity_rating IS DISTINCT FROM OLD.maturity_rating THEN
+        RAISE EXCEPTION 'A parental PIN is set; change the maturity rating from Parental Controls.' USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS viewer_profiles_guard_maturity ON public.viewer_profiles;
+CREATE TRIGGER viewer_profiles_guard_maturity BEFORE INSERT OR UPDATE ON public.viewer_profiles
+    FOR EACH ROW EXECUTE FUNCTION public.guard_viewer_profile_maturity();
@@ -0,0 +1,89 @@
+-- Replays progress recorded while the client was offline (the IndexedDB
+-- outbox in src/utils/progressOutbox.js). Each event carries the time it was
+-- recorded, and an event only overwrites a watch_progress row that was last
+-- updated before it: the last write wins, wherever it was made.
+--
+-- Events are applied in recorded order for the active viewer profile.
+-- Recorded times in the future are clamped to now(), so a fast clock on one
+-- device cannot pin a row against later writes.
+CREATE OR REPLACE FUNCTION public.sync_offline_progress(p_events jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $function$
+DECLARE
+    v_profile_id uuid := public.active_viewer_profile();
+    v_event jsonb;
+    v_at timestamptz;
+    v_episode integer;
+    v_rows integer;
+    v_applied integer := 0;
+    v_skipped integer := 0;
+BEGIN
+    IF auth.uid() IS NULL OR v_profile_id IS NULL THEN
+        RAISE EXCEPTION 'No viewer profile for this user.';
+    END IF;
+
+    IF jsonb_typeof(p_events) IS DISTINCT FROM 'array' THEN
+        RAISE EXCEPTION 'p_events must be an array.';
+    END IF;
+
+    FOR v_event IN
+        SELECT value FROM jsonb_array_elements(p_events)
+        ORDER BY (value ->> 'recorded_at')::timestamptz
+    LOOP
+        v_at := LEAST((v_event ->> 'recorded_at')::timestamptz, now());
+        v_episode := (v_event ->> 'episode_number')::integer;
+
+        IF v_episode IS NOT NULL THEN
+            INSERT INTO public.watch_progress (user_id, profile_id, media_id, media_type, season_number, episode_number, progress_seconds, duration_seconds, updated_at)
+            VALUES (auth.uid(), v_profile_id, v_event ->> 'media_id', v_event ->> 'media_type', (v_event ->> 'season_number')::integer, v_episode,
+                    (v_event ->> 'progress_seconds')::integer, (v_event ->> 'duration_seconds')::integer, v_at)
+            ON CONFLICT (profile_id, media_id, media_type, season_number, episode_number) WHERE episode_number IS NOT NULL
+            DO UPDATE SET
+                progress_seconds = EXCLUDED.progress_seconds,
+                duration_seconds = COALESCE(EXCLUDED.duration_seconds, public.watch_progress.duration_seconds),
+                updated_at = EXCLUDED.updated_at
+            WHERE watch_progress.user_id = auth.uid() AND watch_progress.updated_at < EXCLUDED.updated_at;
+        ELSE
+            INSERT INTO public.watch_progress (user_id, profile_id, media_id, media_type, season_number, episode_number, progress_seconds, duration_seconds, updated_at)
+            VALUES (auth.uid(), v_profile_id, v_event ->> 'media_id', v_event ->> 'media_type', NULL, NULL,
+                    (v_event ->> 'progress_seconds')::integer, (v_event ->> 'duration_seconds')::integer, v_at)
+            ON CONFLICT (profile_id, media_id, media_type) WHERE episode_number IS NULL
+            DO UPDATE SET
+                progress_seconds = EXCLUDED.progress_seconds,
+                duration_seconds = COALESCE(EXCLUDED.duration_seconds, public.watch_progress.duration_seconds),
+                updated_at = EXCLUDED.updated_at
+            WHERE watch_progress.user_id = auth.uid() AND watch_progress.updated_at < EXCLUDED.updated_at;
+        END IF;
+
+        GET DIAGNOSTICS v_rows = ROW_COUNT;
+        IF v_rows = 0 THEN
+            v_skipped := v_skipped + 1;
+            CONTINUE;
+        END IF;
+        v_applied := v_applied + 1;
+
+        -- History keeps the latest time the title was watched
+        IF v_episode IS NOT NULL THEN
+            INSERT INTO public.watch_history (user_id, profile_id, media_id, media_type, season_number, episode_number, watched_at)
+            VALUES (auth.uid(), v_profile_id, v_event ->> 'media_id', v_event ->> 'media_type', (v_event ->> 'season_number')::integer, v_episode, v_at)
+            ON CONFLICT (profile_id, media_id, media_type, season_number, episode_number) WHERE episode_number IS NOT NULL
+            DO UPDATE SET watched_at = GREATEST(watch_history.watched_at, EXCLUDED.watched_at)
+            WHERE watch_history.user_id = auth.uid();
+        ELSE
+            INSERT INTO public.watch_history (user_id, profile_id, media_id, media_type, season_number, episode_number, watched_at)
+            VALUES (auth.uid(), v_profile_id, v_event ->> 'media_id', v_event ->> 'media_type', NULL, NULL, v_at)
+            ON CONFLICT (profile_id, media_id, media_type) WHERE episode_number IS NULL
+            DO UPDATE SET watched_at = GREATEST(watch_history.watched_at, EXCLUDED.watched_at)
+            WHERE watch_history.user_id = auth.uid();
+        END IF;
+    END LOOP;
+
+    RETURN jsonb_build_object('applied', v_applied, 'skipped', v_skipped);
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.sync_offline_progress(jsonb) FROM public, anon;
+GRANT EXECUTE ON FUNCTION public.sync_offline_progress(jsonb) TO authenticated;
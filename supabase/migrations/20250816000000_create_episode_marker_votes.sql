@@ -0,0 +1,30 @@
+-- Skip intro / skip credits markers, crowd-sourced from the Watch page. Each
+-- user has one vote per episode and marker kind: where the intro starts and
+-- ends, and where the credits start, in seconds into a stream of
+-- `duration_seconds`. The API (api/markers/) aggregates the votes into the
+-- markers it serves.
+--
+-- Only the API (service role) reads or writes this table.
+CREATE TABLE IF NOT EXISTS public.episode_marker_votes (
+    id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    media_id TEXT NOT NULL,
+    media_type TEXT NOT NULL CHECK (media_type IN ('tv', 'anime')),
+    season_number INTEGER NOT NULL,
+    episode_number INTEGER NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('intro_start', 'intro_end', 'credits_start')),
+    position_seconds NUMERIC(8, 1) NOT NULL CHECK (position_seconds >= 0),
+    duration_seconds INTEGER CHECK (duration_seconds > 0),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (user_id, media_type, media_id, season_number, episode_number, kind)
+);
+
+CREATE INDEX IF NOT EXISTS idx_episode_marker_votes_episode
+    ON public.episode_marker_votes (media_type, media_id, season_number, episode_number);
+
+DROP TRIGGER IF EXISTS update_episode_marker_votes_updated_at ON public.episode_marker_votes;
+CREATE TRIGGER update_episode_marker_votes_updated_at BEFORE UPDATE ON public.episode_marker_votes
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+ALTER TABLE public.episode_marker_votes ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,11 @@
+-- Subtitle languages per viewer profile, first choice first, as ISO 639
+-- codes ('en', 'pt-br'). The Watch page turns subtitles on by itself for a
+-- profile that has any; an empty list means subtitles stay off until chosen.
+ALTER TABLE public.viewer_profiles
+    ADD COLUMN IF NOT EXISTS subtitle_languages TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE public.viewer_profiles
+    DROP CONSTRAINT IF EXISTS viewer_profiles_subtitle_languages_check;
+ALTER TABLE public.viewer_profiles
+    ADD CONSTRAINT viewer_profiles_subtitle_languages_check
+    CHECK (cardinality(subtitle_languages) <= 3);
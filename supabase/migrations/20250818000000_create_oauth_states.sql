@@ -0,0 +1,15 @@
+-- Pending account sign-ins. Each row holds the nonce of the OAuth state the
+-- API last handed out for a user and provider; the callback deletes it, so a
+-- state links at most once. Starting a new sign-in replaces the row.
+CREATE TABLE IF NOT EXISTS public.oauth_states (
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    provider TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    PRIMARY KEY (user_id, provider)
+);
+
+-- Enable RLS. With no policies, only the service role can read or write.
+ALTER TABLE public.oauth_states ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,16 @@
+-- Sync baselines belong to a viewer profile, like the watch history they
+-- describe. With one baseline per account, importing into a second profile
+-- compared its empty history against the first profile's progress and
+-- pushed 0 over the remote list. Accounts without profiles keep a NULL
+-- profile_id, which counts as one key.
+ALTER TABLE public.list_sync_entries
+    ADD COLUMN IF NOT EXISTS profile_id UUID REFERENCES public.viewer_profiles(id) ON DELETE CASCADE;
+
+-- Existing baselines were made from the default profile's history
+UPDATE public.list_sync_entries AS e SET profile_id = p.id
+FROM public.viewer_profiles AS p WHERE p.user_id = e.user_id AND p.is_default AND e.profile_id IS NULL;
+
+ALTER TABLE public.list_sync_entries DROP CONSTRAINT IF EXISTS list_sync_entries_pkey;
+ALTER TABLE public.list_sync_entries DROP CONSTRAINT IF EXISTS list_sync_entries_profile_key;
+ALTER TABLE public.list_sync_entries
+    ADD CONSTRAINT list_sync_entries_profile_key UNIQUE NULLS NOT DISTINCT (user_id, provider, profile_id, anilist_id);
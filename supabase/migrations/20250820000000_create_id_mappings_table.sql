@@ -0,0 +1,24 @@
+-- Cross-provider ID mappings (AniList, MAL, Shikimori, TMDB, IMDb) resolved by
+-- the API's mapping service. One row per known provider ID, all rows for a
+-- title share the same `ids` payload so a lookup from any provider is a hit.
+CREATE TABLE IF NOT EXISTS public.id_mappings (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    provider TEXT NOT NULL,
+    provider_id TEXT NOT NULL,
+    ids JSONB NOT NULL DEFAULT '{}'::jsonb,
+    confidence JSONB NOT NULL DEFAULT '{}'::jsonb,
+    matched_by JSONB NOT NULL DEFAULT '{}'::jsonb,
+    title TEXT,
+    expires_at TIMESTAMPTZ NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT id_mappings_provider_check CHECK (provider IN ('anilist', 'mal', 'shikimori', 'tmdb', 'imdb')),
+    CONSTRAINT id_mappings_provider_id_key UNIQUE (provider, provider_id)
+);
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS id_mappings_expires_at_idx ON public.id_mappings(expires_at);
+
+-- Enable RLS. Only the API (service role) reads and writes mappings, so no
+-- policies are granted to anon or authenticated users.
+ALTER TABLE public.id_mappings ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,6 @@
+-- Wrong PIN guesses are counted here rather than in the API's memory, so the
+-- lockout holds across API instances and restarts. Every guess is counted
+-- before the PIN is compared; a right PIN resets the count.
+ALTER TABLE public.parental_controls
+    ADD COLUMN IF NOT EXISTS failed_attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
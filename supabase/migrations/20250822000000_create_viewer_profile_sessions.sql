@@ -0,0 +1,15 @@
+-- The viewer profile each sign-in session (one per device) last activated
+-- through the API's profile picker. While a parental PIN is set, the API
+-- holds a session's requests to that profile's rating: a profile rated above
+-- it needs the PIN before the session can switch to it. Signing out deletes
+-- the session, and its row with it.
+CREATE TABLE IF NOT EXISTS public.viewer_profile_sessions (
+    session_id UUID PRIMARY KEY REFERENCES auth.sessions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    -- A deleted profile leaves the session at the lowest rating
+    profile_id UUID REFERENCES public.viewer_profiles(id) ON DELETE SET NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Enable RLS. With no policies, only the service role can read or write.
+ALTER TABLE public.viewer_profile_sessions ENABLE ROW LEVEL SECURITY;
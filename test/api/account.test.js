@@ -0,0 +1,99 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub, startApp } from '../support/harness.js';
+import { createFakeSupabase } from '../support/fakeSupabase.js';
+
+const AUTH = { authorization: 'Bearer token-a' };
+const USER = { id: 'user-a', email: 'spike@example.com', created_at: '2024-01-01T00:00:00.000Z', user_metadata: { full_name: 'Spike' } };
+
+describe('/account', () => {
+    let stub;
+    let api;
+    let supabase;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(async () => {
+        supabase = createFakeSupabase({
+            users: { 'token-a': USER, 'token-b': { id: 'user-b', email: 'faye@example.com' } },
+            tables: {
+                account_audit_log: [],
+                profiles: [{ id: 'user-a', full_name: 'Spike' }, { id: 'user-b', full_name: 'Faye' }],
+                favorites: [{ user_id: 'user-a', media_id: '1', media_type: 'anime' }, { user_id: 'user-b', media_id: '550', media_type: 'movie' }],
+                watch_history: [{ id: 1, user_id: 'user-a', media_type: 'movie', media_id: '550' }],
+                linked_accounts: [{ user_id: 'user-a', provider: 'anilist', remote_username: 'spike', access_token: 'secret-token' }],
+                blog_posts: [{ id: 'post-1', author_id: 'user-a', title: 'Bebop' }],
+                blog_images: [
+                    { id: 'image-1', post_id: 'post-1', uploaded_by: 'user-a', storage_path: 'user-a/post-1/a.jpg' },
+                    { id: 'image-2', post_id: 'post-1', uploaded_by: 'user-b', storage_path: 'user-b/post-1/b.jpg' },
+                    { id: 'image-3', post_id: 'post-9', uploaded_by: 'user-b', storage_path: 'user-b/post-9/c.jpg' }
+                ]
+            },
+            files: {
+                avatars: ['user-a/avatar.png', 'user-b/avatar.png'],
+                'blog-images': ['user-a/post-1/a.jpg', 'user-b/post-1/b.jpg', 'user-b/post-9/c.jpg']
+            }
+        });
+        api = await startApp(stub, {}, { supabase });
+    });
+    afterEach(async () => {
+        await api.close();
+        stub.reset();
+    });
+
+    it('exports the user\'s own data without tokens and audits it', async () => {
+        const { status, headers, body } = await api.request('/account/export', { headers: AUTH });
+
+        assert.equal(status, 200);
+        assert.match(headers.get('content-disposition'), /attachment; filename="fylm-data-\d{4}-\d{2}-\d{2}\.json"/);
+        assert.equal(body.account.email, 'spike@example.com');
+        assert.deepEqual(body.profile, { id: 'user-a', full_name: 'Spike' });
+        assert.deepEqual(body.favorites.map(row => row.media_id), ['1']);
+        assert.equal(body.blog_posts[0].title, 'Bebop');
+        assert.equal(body.linked_accounts[0].remote_username, 'spike');
+        assert.equal('access_token' in body.linked_accounts[0], false);
+
+        const [entry] = supabase.tables.account_audit_log;
+        assert.equal(entry.action, 'data_exported');
+        assert.equal(entry.details.counts.watch_history, 1);
+    });
+
+    it('exports and counts a history longer than one page', async () => {
+        supabase.tables.watch_history.push(...Array.from({ length: 1500 }, (_, index) => ({
+            id: index + 2, user_id: 'user-a', media_type: 'tv', media_id: '1399', season_number: 1, episode_number: index + 1
+        })));
+
+        const { body } = await api.request('/account/export', { headers: AUTH });
+
+        assert.equal(body.watch_history.length, 1501);
+        assert.equal(body.watch_history.at(-1).episode_number, 1500);
+        assert.equal(supabase.tables.account_audit_log[0].details.counts.watch_history, 1501);
+    });
+
+    it('deletes every avatar in a folder longer than one listing page', async () => {
+        supabase.files.avatars.push(...Array.from({ length: 150 }, (_, index) => `user-a/profile-${index}.png`));
+
+        const { status, body } = await api.request('/account', { headers: AUTH, method: 'DELETE', json: { confirm_email: 'spike@example.com' } });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body, { files: 153 });
+        assert.deepEqual(supabase.files.avatars, ['user-b/avatar.png']);
+    });
+
+    it('deletes files, blog images and the user after the email is confirmed', async () => {
+        const refused = await api.request('/account', { headers: AUTH, method: 'DELETE', json: { confirm_email: 'faye@example.com' } });
+        assert.equal(refused.status, 400);
+
+        const { status, body } = await api.request('/account', { headers: AUTH, method: 'DELETE', json: { confirm_email: 'Spike@Example.com ' } });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body, { files: 3 });
+        assert.deepEqual(supabase.files.avatars, ['user-b/avatar.png']);
+        assert.deepEqual(supabase.files['blog-images'], ['user-b/post-9/c.jpg']);
+        assert.deepEqual(supabase.tables.blog_images.map(image => image.id), ['image-3']);
+        assert.deepEqual(supabase.tables.account_audit_log.map(entry => [entry.user_id, entry.action]), [['user-a', 'account_deleted']]);
+
+        // The session no longer works
+        assert.equal((await api.request('/account/export', { headers: AUTH })).status, 401);
+    });
+});
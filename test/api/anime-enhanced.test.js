@@ -0,0 +1,153 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub, startApp, anilistRoute, outage, tmdbRoute, GRAPHQL } from '../support/harness.js';
+import { loadFixture } from '../support/stubServer.js';
+
+const relation = (relationType, id, format = 'TV') => ({ relationType, node: { id, type: 'ANIME', format } });
+
+const franchiseMedia = (id, title, format, startDate, edges) => ({
+    id,
+    title: { romaji: title, english: title },
+    format,
+    status: 'FINISHED',
+    episodes: format === 'MOVIE' ? 1 : 12,
+    seasonYear: startDate.year,
+    startDate,
+    coverImage: { large: null },
+    relations: { edges }
+});
+
+describe('GET /tmdb/anime/:anilistId/enhanced', () => {
+    let stub;
+    let api;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(async () => { api = await startApp(stub); });
+    afterEach(async () => {
+        await api.close();
+        stub.reset();
+    });
+
+    it('converts AniList media into the TMDB shape with enhanced fields', async () => {
+        const { status, headers, body } = await api.request('/tmdb/anime/1/enhanced');
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('x-cache'), 'MISS');
+        assert.equal(body.id, 1);
+        assert.equal(body.anilist_id, 1);
+        assert.equal(body.tmdb_id, 30991);
+        assert.equal(body.source, 'anilist');
+        assert.deepEqual(body._conversion, { anilistId: 1, tmdbId: 30991, source: 'anilist' });
+        assert.equal(body.name, 'Cowboy Bebop');
+        assert.equal(body.original_name, 'カウボーイビバップ');
+        assert.ok(!body.overview.includes('<br>'));
+        assert.match(body.poster_path, /^\/anilist_images\/https%3A%2F%2F/);
+        assert.equal(body.vote_average, 8.6);
+        assert.equal(body.first_air_date, '1998-4-3');
+        assert.deepEqual(body.genres[0], { id: 'Action', name: 'Action' });
+        assert.equal(body.number_of_episodes, 26);
+        assert.deepEqual(body.episode_run_time, [24]);
+        assert.equal(body.seasons.length, 1);
+        assert.deepEqual(body.studios[0], { name: 'Sunrise', isMain: true });
+        assert.deepEqual(Object.keys(body.characters[0]).sort(), ['id', 'image', 'name', 'role']);
+        assert.equal(body.staff[0].role, 'Director');
+        assert.deepEqual(body.tags[0], { name: 'Space', rank: 94 });
+        assert.equal(body.nextAiringEpisode, null);
+        assert.deepEqual(body.videos.results[0], {
+            name: 'Cowboy Bebop Trailer',
+            key: 'qig4KOK2R2g',
+            site: 'YouTube',
+            type: 'Trailer',
+            official: true
+        });
+    });
+
+    it('leaves tmdb_id empty when the title has no TMDB match', async () => {
+        stub.use(
+            tmdbRoute('/3/find/1', { fixture: 'tmdb/find-empty.json' }),
+            tmdbRoute('/3/search/tv', { fixture: 'tmdb/find-empty.json' })
+        );
+
+        const { status, body } = await api.request('/tmdb/anime/1/enhanced');
+
+        assert.equal(status, 200);
+        assert.equal(body.tmdb_id, null);
+        assert.equal(body.name, 'Cowboy Bebop');
+    });
+
+    it('serves uncached fallback data when AniList is down', async () => {
+        stub.use(outage(anilistRoute(GRAPHQL.enhanced)));
+
+        const { status, headers, body } = await api.request('/tmdb/anime/1/enhanced');
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('x-data-source'), 'fallback');
+        assert.equal(headers.get('cache-control'), 'no-store');
+        assert.equal(body.id, 1);
+        assert.equal(typeof body.name, 'string');
+        assert.ok(Array.isArray(body.genres));
+    });
+
+    it('serves fallback data for IDs AniList does not know', async () => {
+        stub.use(anilistRoute(GRAPHQL.enhanced, { status: 404, fixture: 'anilist/not-found.json' }));
+
+        const { status, headers } = await api.request('/tmdb/anime/999999999/enhanced');
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('x-data-source'), 'fallback');
+    });
+
+    it('lists side stories and movies in the franchise timeline', async () => {
+        const { body } = await api.request('/tmdb/anime/1/enhanced');
+
+        assert.deepEqual(body.franchise.map(entry => [entry.anilist_id, entry.relation, entry.season_number]), [
+            [1, 'main', 1],
+            [4037, 'side_story', null],
+            [5, 'movie', null]
+        ]);
+        assert.equal(body.franchise[0].current, true);
+        assert.equal(body.franchise[2].title, 'Cowboy Bebop: The Movie');
+        assert.equal(body.franchise[2].start_date, '2001-09-01');
+    });
+
+    it('walks sequels and prequels into numbered seasons', async () => {
+        // A synthetic three-part franchise: season 1 -> season 2 -> sequel movie
+        const enhanced = loadFixture('anilist/media-1-enhanced.json');
+        enhanced.data.Media.relations.edges = [relation('SEQUEL', 9002)];
+        const seasonTwo = franchiseMedia(9002, 'Bebop 2nd Season', 'TV', { year: 2000, month: 4, day: 1 },
+            [relation('PREQUEL', 1), relation('SEQUEL', 9003, 'MOVIE'), relation('SPIN_OFF', 9100)]);
+        const movie = franchiseMedia(9003, 'Bebop the Movie', 'MOVIE', { year: 2001, month: 9, day: 1 },
+            [relation('PREQUEL', 9002)]);
+        stub.use(
+            anilistRoute(GRAPHQL.enhanced, { json: enhanced }),
+            anilistRoute(GRAPHQL.franchise, { json: { data: { Page: { media: [seasonTwo, movie] } } } })
+        );
+
+        const { body } = await api.request('/tmdb/anime/1/enhanced');
+
+        assert.deepEqual(body.franchise.map(entry => [entry.anilist_id, entry.relation, entry.season_number]), [
+            [1, 'main', 1],
+            [9002, 'main', 2],
+            [9003, 'movie', null]
+        ]);
+        // One request per level of the walk; the spin-off is never followed
+        assert.equal(stub.requests.filter(request => request.graphql?.query.includes(GRAPHQL.franchise)).length, 2);
+    });
+
+    it('keeps the current entry when the franchise walk fails', async () => {
+        stub.use(outage(anilistRoute(GRAPHQL.franchise)));
+
+        const { status, body } = await api.request('/tmdb/anime/1/enhanced');
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.franchise.map(entry => entry.anilist_id), [1]);
+    });
+
+    it('rejects non-numeric IDs', async () => {
+        const { status, body } = await api.request('/tmdb/anime/abc/enhanced');
+
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Invalid AniList ID');
+    });
+});
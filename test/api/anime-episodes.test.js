@@ -0,0 +1,121 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub, startApp, anilistRoute, outage, tmdbRoute, GRAPHQL } from '../support/harness.js';
+import { loadFixture } from '../support/stubServer.js';
+
+// The AniList entry with a different start date and length, as for the
+// second cour of a show that TMDB keeps in a single season
+const secondCour = () => {
+    const fixture = loadFixture('anilist/media-1-episodes.json');
+    Object.assign(fixture.data.Media, {
+        episodes: 13,
+        startDate: { year: 1998, month: 7, day: 3 },
+        streamingEpisodes: [],
+        airingSchedule: { nodes: [] }
+    });
+    return fixture;
+};
+
+describe('GET /tmdb/anime/:anilistId/season/:seasonNumber', () => {
+    let stub;
+    let api;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(async () => { api = await startApp(stub); });
+    afterEach(async () => {
+        await api.close();
+        stub.reset();
+    });
+
+    it('merges TMDB, AniList and Shikimori episode data', async () => {
+        const { status, body } = await api.request('/tmdb/anime/1/season/1');
+
+        assert.equal(status, 200);
+        assert.equal(body.episodes.length, 26);
+        assert.equal(body._tmdb_data_used, true);
+        assert.deepEqual(body._tmdb, { id: 30991, season_number: 1, episode_offset: 0 });
+        assert.deepEqual(body._sources, { tmdb: true, anilist: true, shikimori: true });
+
+        const [first] = body.episodes;
+        assert.equal(first.id, '1_1_1');
+        assert.equal(first.name, 'Asteroid Blues');
+        assert.equal(first.title, 'Asteroid Blues');
+        assert.equal(first.overview, 'Asteroid Blues overview.');
+        assert.equal(first.still_path, '/still-1.jpg');
+        assert.equal(first.air_date, '1998-04-03');
+        assert.equal(first.runtime, 25);
+        assert.deepEqual(first.sources, ['tmdb', 'anilist', 'shikimori']);
+    });
+
+    it('prefers real titles and thumbnails over generic ones', async () => {
+        const { body } = await api.request('/tmdb/anime/1/season/1');
+        const episode22 = body.episodes[21];
+        const episode26 = body.episodes[25];
+
+        // TMDB only has "Episode 22"; AniList knows the real title
+        assert.equal(episode22.name, 'Cowboy Funk');
+        // TMDB has no still; the AniList streaming thumbnail is used
+        assert.match(episode26.still_path, /^https:\/\/img1\.ak\.crunchyroll\.com\//);
+    });
+
+    it('flags filler and recap episodes', async () => {
+        const episodes = loadFixture('shikimori/anime-1-episodes.json');
+        episodes[16].filler = true;
+        episodes[12].recap = true;
+        stub.use({ host: 'shikimori.one', path: '/api/animes/1/episodes', json: episodes });
+
+        const { body } = await api.request('/tmdb/anime/1/season/1');
+
+        assert.equal(body.episodes[16].filler, true);
+        assert.equal(body.episodes[12].recap, true);
+        assert.equal(body.episodes[0].filler, false);
+        assert.equal(body.episodes[0].recap, false);
+    });
+
+    it('finds the second cour of a split-cour show inside one TMDB season', async () => {
+        stub.use(anilistRoute(GRAPHQL.episodes, { json: secondCour() }));
+
+        const { body } = await api.request('/tmdb/anime/1/season/1');
+
+        assert.equal(body.episodes.length, 13);
+        assert.deepEqual(body._tmdb, { id: 30991, season_number: 1, episode_offset: 13 });
+        assert.equal(body.episodes[0].episode_number, 1);
+        assert.equal(body.episodes[0].name, 'Bohemian Rhapsody');
+        assert.deepEqual(body.episodes[0].tmdb_episode, { season_number: 1, episode_number: 14 });
+    });
+
+    it('builds the list from AniList and Shikimori when TMDB is down', async () => {
+        stub.use(outage(tmdbRoute('/3/tv/30991')));
+
+        const { status, body } = await api.request('/tmdb/anime/1/season/1');
+
+        assert.equal(status, 200);
+        assert.equal(body._tmdb_data_used, false);
+        assert.equal(body.episodes.length, 26);
+        assert.equal(body.episodes[0].name, 'Asteroid Blues');
+        assert.equal(body.episodes[0].air_date, '1998-04-03');
+        assert.deepEqual(body.episodes[0].sources, ['anilist', 'shikimori']);
+    });
+
+    it('uses placeholders only when no source has a thumbnail', async () => {
+        stub.use(
+            outage(tmdbRoute('/3/tv/30991')),
+            anilistRoute(GRAPHQL.episodes, { json: secondCour() })
+        );
+
+        const { body } = await api.request('/tmdb/anime/1/season/1');
+
+        assert.match(body.episodes[0].still_path, /^\/placeholder\/anime_1_episode_1\.jpg\?title=Cowboy%20Bebop$/);
+    });
+
+    it('falls back to generated episodes for unknown anime', async () => {
+        stub.use(anilistRoute(GRAPHQL.episodes, { status: 404, fixture: 'anilist/not-found.json' }));
+
+        const { status, headers, body } = await api.request('/tmdb/anime/1/season/1');
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('x-data-source'), 'fallback');
+        assert.equal(body.episodes.length, 12);
+    });
+});
@@ -0,0 +1,141 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { startStub, startApp } from '../support/harness.js';
+
+const proxy = (url, query = '') => `/image-proxy?url=${encodeURIComponent(url)}${query}`;
+
+describe('GET /image-proxy', () => {
+    let stub;
+    let api;
+    let poster;
+
+    before(async () => {
+        stub = await startStub();
+        poster = await sharp({ create: { width: 600, height: 900, channels: 3, background: '#336699' } }).png().toBuffer();
+    });
+    after(() => stub.close());
+    beforeEach(async () => { api = await startApp(stub); });
+    afterEach(async () => {
+        await api.close();
+        stub.reset();
+    });
+
+    const image = (host, path, extra) => ({ host, path, raw: poster, headers: { 'Content-Type': 'image/png' }, ...extra });
+
+    it('streams allowlisted images', async () => {
+        stub.use(image('image.tmdb.org', '/t/p/original/poster.png'));
+
+        const { status, headers, raw } = await api.request(proxy('https://image.tmdb.org/t/p/original/poster.png'));
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('content-type'), 'image/png');
+        assert.equal(headers.get('x-content-type-options'), 'nosniff');
+        assert.deepEqual(raw, poster);
+    });
+
+    it('rejects hosts that are not on the allowlist', async () => {
+        const { status, body } = await api.request(proxy('https://evil.example.com/poster.png'));
+
+        assert.equal(status, 403);
+        assert.match(body.error, /not allowed/);
+        assert.equal(stub.requests.length, 0);
+    });
+
+    it('accepts extra hosts from IMAGE_PROXY_ALLOWED_HOSTS', async () => {
+        await api.close();
+        api = await startApp(stub, { IMAGE_PROXY_ALLOWED_HOSTS: 'cdn.example.com' });
+        stub.use(image('cdn.example.com', '/poster.png'));
+
+        assert.equal((await api.request(proxy('https://cdn.example.com/poster.png'))).status, 200);
+    });
+
+    it('refuses hosts that resolve to private addresses', async () => {
+        await api.close();
+        api = await startApp(stub, {}, { lookup: async () => [{ address: '169.254.169.254', family: 4 }] });
+
+        const { status, body } = await api.request(proxy('https://image.tmdb.org/t/p/w500/poster.png'));
+
+        assert.equal(status, 403);
+        assert.match(body.error, /private address/);
+        assert.equal(stub.requests.length, 0);
+    });
+
+    it('re-checks every redirect hop', async () => {
+        stub.use({ host: 's4.anilist.co', path: '/poster.png', status: 302, headers: { Location: 'http://127.0.0.1/admin' }, json: {} });
+
+        const { status } = await api.request(proxy('https://s4.anilist.co/poster.png'));
+
+        assert.equal(status, 403);
+        assert.equal(stub.requests.length, 1);
+    });
+
+    it('rejects responses that are not images', async () => {
+        stub.use({ host: 'image.tmdb.org', path: '/t/p/w500/poster.png', json: { not: 'an image' } });
+
+        const { status } = await api.request(proxy('https://image.tmdb.org/t/p/w500/poster.png'));
+
+        assert.equal(status, 502);
+    });
+
+    it('asks TMDB for the rendition matching ?w= instead of resizing', async () => {
+        stub.use(image('image.tmdb.org', '/t/p/w342/poster.png'));
+
+        const { status } = await api.request(proxy('https://image.tmdb.org/t/p/original/poster.png', '&w=320'));
+
+        assert.equal(status, 200);
+        assert.deepEqual(stub.requests.map(request => request.path), ['/t/p/w342/poster.png']);
+    });
+
+    it('resizes and re-encodes other hosts to WebP', async () => {
+        stub.use(image('s4.anilist.co', '/file/anilistcdn/media/anime/cover/large/bx1.png'));
+
+        const { status, headers, raw } = await api.request(
+            proxy('https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx1.png', '&w=200&format=webp')
+        );
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('content-type'), 'image/webp');
+        const metadata = await sharp(raw).metadata();
+        assert.equal(metadata.format, 'webp');
+        assert.equal(metadata.width, 200);
+    });
+
+    it('falls back to a placeholder for missing AniList images', async () => {
+        const { status, headers, body } = await api.request(proxy('/anilist_images/' + encodeURIComponent('https://s4.anilist.co/missing.png')));
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('content-type'), 'image/svg+xml; charset=utf-8');
+        assert.match(body, /Anime Image/);
+    });
+
+    it('escapes placeholder labels', async () => {
+        const { status, body } = await api.request(proxy('/placeholder/poster_<img src=x onerror=alert(1)>.jpg'));
+
+        assert.equal(status, 200);
+        assert.doesNotMatch(body, /<img/);
+        assert.match(body, /poster_&lt;img src=x onerror=alert\(1\)&gt;/);
+    });
+
+    it('renders the same placeholder for the same media ID', async () => {
+        const first = await api.request(proxy('/placeholder/anime_1.jpg?title=Cowboy Bebop'));
+        const second = await api.request(proxy('/placeholder/anime_1.jpg?title=Cowboy Bebop'));
+        const other = await api.request(proxy('/placeholder/anime_5114.jpg?title=Cowboy Bebop'));
+        const light = await api.request(proxy('/placeholder/anime_1.jpg?title=Cowboy Bebop', '&theme=light'));
+
+        assert.equal(first.body, second.body);
+        assert.notEqual(first.body, other.body);
+        assert.notEqual(first.body, light.body);
+        assert.match(first.body, />CB</);
+        assert.match(first.headers.get('cache-control'), /max-age=604800/);
+    });
+
+    it('sizes placeholders by kind', async () => {
+        const backdrop = await api.request(proxy('/placeholder/anime_backdrop_1.jpg'));
+        const still = await api.request(proxy('/placeholder/anime_1_episode_3.jpg?title=Cowboy Bebop'));
+
+        assert.match(backdrop.body, /width="1280" height="720"/);
+        assert.match(still.body, /width="640" height="360"/);
+        assert.match(still.body, />Episode 3</);
+    });
+});
@@ -0,0 +1,154 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub, startApp, anilistRoute, tmdbRoute, outage, GRAPHQL } from '../support/harness.js';
+import { createMappingStore } from '../../api/mapping/store.js';
+import { createFakeSupabase } from '../support/fakeSupabase.js';
+
+describe('ID mapping routes', () => {
+    let stub;
+    let api;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(async () => { api = await startApp(stub); });
+    afterEach(async () => {
+        await api.close();
+        stub.reset();
+    });
+
+    it('resolves every ID from an AniList ID', async () => {
+        const { status, body } = await api.request('/mapping/anilist/1');
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.from, { provider: 'anilist', id: '1' });
+        assert.deepEqual(body.ids, { anilist: 1, mal: 1, shikimori: 1, tmdb: 30991, tmdbType: 'tv', imdb: 'tt0213338' });
+        assert.equal(body.matchedBy.anilist, 'source');
+        assert.equal(body.matchedBy.tmdb, 'external_id');
+        assert.equal(body.overallConfidence, 1);
+        assert.equal(body.cached, false);
+        assert.equal(typeof body.expiresAt, 'string');
+        assert.deepEqual(stub.unmatched, []);
+    });
+
+    it('serves repeat lookups from the mapping cache', async () => {
+        await api.request('/mapping/anilist/1');
+        const upstreamCalls = stub.requests.length;
+
+        const { body } = await api.request('/mapping/mal/1');
+
+        assert.equal(body.cached, true);
+        assert.equal(body.ids.tmdb, 30991);
+        assert.equal(stub.requests.length, upstreamCalls);
+    });
+
+    it('matches TMDB titles to AniList by title search', async () => {
+        const { status, body } = await api.request('/mapping/tmdb/30991?type=tv');
+
+        assert.equal(status, 200);
+        assert.equal(body.ids.anilist, 1);
+        assert.equal(body.ids.imdb, 'tt0213338');
+        assert.equal(body.matchedBy.anilist, 'title_search');
+        assert.ok(body.confidence.anilist >= 0.5 && body.confidence.anilist < 1);
+    });
+
+    it('does not cache a title-search match under the IDs it found', async () => {
+        await api.request('/mapping/tmdb/30991?type=tv');
+
+        const { body } = await api.request('/mapping/anilist/1');
+        assert.equal(body.cached, false);
+        assert.equal(body.matchedBy.anilist, 'source');
+        assert.equal(body.overallConfidence, 1);
+    });
+
+    it('falls back to a TMDB title search when there is no MAL match', async () => {
+        stub.use(
+            tmdbRoute('/3/find/1', { fixture: 'tmdb/find-empty.json' }),
+            tmdbRoute('/3/search/tv', { query: { query: 'Cowboy Bebop' }, fixture: 'tmdb/search-tv-cowboy-bebop.json' })
+        );
+
+        const { body } = await api.request('/mapping/anilist/1');
+
+        assert.equal(body.ids.tmdb, 30991);
+        assert.equal(body.matchedBy.tmdb, 'title_search');
+        assert.ok(body.overallConfidence < 1);
+    });
+
+    it('caches mappings in the app\'s Supabase client', async () => {
+        const supabase = createFakeSupabase({ tables: { id_mappings: [] } });
+        const first = await startApp(stub, {}, { supabase });
+        const second = await startApp(stub, {}, { supabase });
+        try {
+            assert.equal((await first.request('/mapping/anilist/1')).body.cached, false);
+            assert.ok(supabase.tables.id_mappings.some(row => row.provider === 'tmdb' && row.provider_id === 'tv:30991'));
+            assert.equal((await second.request('/mapping/tmdb/30991?type=tv')).body.cached, true);
+        } finally {
+            await first.close();
+            await second.close();
+        }
+    });
+
+    it('rejects unknown providers and TMDB lookups without a type', async () => {
+        assert.equal((await api.request('/mapping/kitsu/1')).status, 400);
+        assert.equal((await api.request('/mapping/tmdb/30991')).status, 400);
+    });
+
+    it('returns 404 for IDs AniList does not know', async () => {
+        stub.use(anilistRoute(GRAPHQL.mappingById, { status: 404, fixture: 'anilist/not-found.json' }));
+
+        const { status, body } = await api.request('/mapping/anilist/999999999');
+
+        assert.equal(status, 404);
+        assert.match(body.error, /does not exist/);
+    });
+
+    it('returns 502 when AniList is down', async () => {
+        stub.use(outage(anilistRoute(GRAPHQL.mappingById)));
+
+        const { status, body } = await api.request('/mapping/anilist/1');
+
+        assert.equal(status, 502);
+        assert.equal(body.error, 'Failed to resolve ID mapping');
+    });
+
+    it('keeps the legacy AniList -> Shikimori and TMDB lookups', async () => {
+        const shikimori = await api.request('/mapping/anilist-to-shikimori/1');
+        assert.equal(shikimori.status, 200);
+        assert.deepEqual(
+            { anilist_id: shikimori.body.anilist_id, shikimori_id: shikimori.body.shikimori_id },
+            { anilist_id: 1, shikimori_id: 1 }
+        );
+
+        const tmdb = await api.request('/tmdb/from-anilist/1');
+        assert.equal(tmdb.status, 200);
+        assert.deepEqual(tmdb.body, { tmdbId: 30991, type: 'tv', confidence: 1 });
+
+        const anilist = await api.request('/anilist/from-tmdb/tv/30991');
+        assert.equal(anilist.status, 200);
+        assert.equal(anilist.body.anilistId, 1);
+    });
+});
+
+describe('mapping store', () => {
+    const exact = {
+        ids: { anilist: 1, mal: 1, shikimori: 1, tmdb: 30991, tmdbType: 'tv', imdb: 'tt0213338' },
+        confidence: { anilist: 1, mal: 1, shikimori: 1, tmdb: 1, imdb: 1 },
+        matchedBy: { anilist: 'source', mal: 'external_id', shikimori: 'external_id', tmdb: 'external_id', imdb: 'external_id' },
+        title: 'Cowboy Bebop'
+    };
+    const searched = {
+        ids: { anilist: 5, mal: 5, shikimori: 5, tmdb: 30991, tmdbType: 'tv', imdb: 'tt0213338' },
+        confidence: { anilist: 0.6, mal: 0.6, shikimori: 0.6, tmdb: 1, imdb: 1 },
+        matchedBy: { anilist: 'title_search', mal: 'title_search', shikimori: 'title_search', tmdb: 'source', imdb: 'external_id' },
+        title: 'Cowboy Bebop'
+    };
+
+    it('never replaces a more certain mapping with a title-search one', async () => {
+        const store = createMappingStore();
+        await store.writeMapping(exact, ['anilist', '1'], 3600);
+        await store.writeMapping(searched, ['tmdb', 'tv:30991'], 3600);
+
+        assert.deepEqual((await store.readMapping('tmdb', 'tv:30991')).ids, exact.ids);
+        assert.deepEqual((await store.readMapping('imdb', 'tt0213338')).ids, exact.ids);
+        assert.equal(await store.readMapping('anilist', '5'), null);
+    });
+});
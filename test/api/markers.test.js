@@ -0,0 +1,124 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub, startApp } from '../support/harness.js';
+import { createFakeSupabase } from '../support/fakeSupabase.js';
+
+const AUTH_A = { authorization: 'Bearer token-a', 'content-type': 'application/json' };
+const AUTH_B = { authorization: 'Bearer token-b', 'content-type': 'application/json' };
+
+const vote = (user, kind, position_seconds, duration_seconds = 1440, extra = {}) => ({
+    user_id: user, media_type: 'tv', media_id: '30991', season_number: 1, episode_number: 1,
+    kind, position_seconds, duration_seconds, ...extra
+});
+
+describe('episode markers', () => {
+    let stub;
+    let api;
+    let supabase;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(async () => {
+        supabase = createFakeSupabase({
+            users: { 'token-a': { id: 'user-a' }, 'token-b': { id: 'user-b' } },
+            tables: {
+                episode_marker_votes: [
+                    vote('user-c', 'intro_start', 60),
+                    vote('user-d', 'intro_start', 62),
+                    vote('user-e', 'intro_start', 300),
+                    vote('user-c', 'intro_end', 150),
+                    vote('user-d', 'intro_end', 152),
+                    vote('user-c', 'credits_start', 1320),
+                    // A different cut of the episode doesn't count
+                    vote('user-f', 'credits_start', 2500, 2700)
+                ]
+            }
+        });
+        api = await startApp(stub, {}, { supabase });
+    });
+    afterEach(async () => {
+        await api.close();
+        stub.reset();
+    });
+
+    it('serves the median of agreeing votes and leaves markers without enough votes out', async () => {
+        const { status, body } = await api.request('/markers/tv/30991/1');
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.episodes['1'], {
+            duration: 1440,
+            votes: { intro_start: 3, intro_end: 2, credits_start: 1 },
+            intro_start: 62,
+            intro_end: 151,
+            credits_start: null
+        });
+    });
+
+    it('replaces a user\'s earlier vote instead of counting it twice', async () => {
+        const first = await api.request('/markers/tv/30991/1/1', {
+            method: 'PUT', headers: AUTH_A, body: JSON.stringify({ kind: 'credits_start', position: 1300, duration: 1440 })
+        });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.markers.credits_start, 1310);
+
+        await api.request('/markers/tv/30991/1/1', {
+            method: 'PUT', headers: AUTH_A, body: JSON.stringify({ kind: 'credits_start', position: 1330, duration: 1440 })
+        });
+        const { body } = await api.request('/markers/tv/30991/1/1', {
+            method: 'PUT', headers: AUTH_B, body: JSON.stringify({ kind: 'credits_start', position: 1326, duration: 1440 })
+        });
+
+        assert.equal(body.markers.votes.credits_start, 3);
+        assert.equal(body.markers.credits_start, 1326);
+        assert.equal(supabase.tables.episode_marker_votes.filter(row => row.user_id === 'user-a').length, 1);
+    });
+
+    it('requires a signed-in user and a valid vote', async () => {
+        const anonymous = await api.request('/markers/tv/30991/1/1', {
+            method: 'PUT', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ kind: 'intro_start', position: 10 })
+        });
+        const badKind = await api.request('/markers/tv/30991/1/1', {
+            method: 'PUT', headers: AUTH_A, body: JSON.stringify({ kind: 'recap', position: 10 })
+        });
+        const movie = await api.request('/markers/movie/550/1/1', {
+            method: 'PUT', headers: AUTH_A, body: JSON.stringify({ kind: 'intro_start', position: 10 })
+        });
+
+        assert.equal(anonymous.status, 401);
+        assert.equal(badKind.status, 400);
+        assert.equal(movie.status, 404);
+    });
+
+    it('looks up markers for episodes of several titles at once', async () => {
+        const { status, body } = await api.request('/markers/bulk', {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ requests: [
+                { type: 'tv', id: 30991, season: 1, episode: 1 },
+                { type: 'anime', id: 1, season: 1, episode: 3 }
+            ] })
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body[0].markers.intro_end, 151);
+        assert.deepEqual(body[1], { type: 'anime', id: 1, season: 1, episode: 3, markers: null });
+    });
+
+    it('counts every vote of a busy season, past the database\'s page size', async () => {
+        const busy = Array.from({ length: 1100 }, (_, index) => ({
+            id: index + 1, ...vote(`viewer-${index}`, 'intro_start', 90, 1440, { episode_number: 2 })
+        }));
+        supabase.tables.episode_marker_votes.push(...busy);
+
+        const season = await api.request('/markers/tv/30991/1');
+        const bulk = await api.request('/markers/bulk', {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ requests: [{ type: 'tv', id: 30991, season: 1, episode: 2 }] })
+        });
+
+        assert.equal(season.body.episodes['2'].votes.intro_start, 1100);
+        assert.equal(season.body.episodes['1'].votes.intro_start, 3);
+        assert.equal(bulk.body[0].markers.votes.intro_start, 1100);
+    });
+});
@@ -0,0 +1,241 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub, startApp, anilistRoute, tmdbRoute, GRAPHQL } from '../support/harness.js';
+import { createFakeSupabase } from '../support/fakeSupabase.js';
+
+const AUTH = { authorization: 'Bearer token-a' };
+const KIDS = { ...AUTH, 'x-viewer-profile': 'profile-kids' };
+
+// A Supabase access token carries the sign-in's session ID
+const DEVICE_TOKEN = `e30.${Buffer.from(JSON.stringify({ sub: 'user-a', session_id: 'session-tablet' })).toString('base64url')}.signature`;
+const DEVICE = { authorization: `Bearer ${DEVICE_TOKEN}` };
+
+const viewerProfiles = () => [
+    { id: 'profile-main', user_id: 'user-a', name: 'Main', maturity_rating: 'teen', is_default: true },
+    { id: 'profile-kids', user_id: 'user-a', name: 'Kids', maturity_rating: 'kids', is_default: false }
+];
+
+const certification = (type, id, rating) => (type === 'movie'
+    ? tmdbRoute(`/3/movie/${id}/release_dates`, { json: { id, results: [{ iso_3166_1: 'US', release_dates: [{ certification: rating }] }] } })
+    : tmdbRoute(`/3/tv/${id}/content_ratings`, { json: { id, results: [{ iso_3166_1: 'US', rating }] } }));
+
+// The recorded Cowboy Bebop search, with the second AniList result marked adult
+const adultAnimeSearch = () => anilistRoute(GRAPHQL.search, {
+    json: {
+        data: {
+            Page: {
+                media: [
+                    { id: 1, title: { romaji: 'Cowboy Bebop' }, coverImage: { large: 'a.jpg' }, genres: ['Action'], isAdult: false },
+                    { id: 5, title: { romaji: 'Not For Kids' }, coverImage: { large: 'b.jpg' }, genres: ['Action'], isAdult: true }
+                ]
+            }
+        }
+    }
+});
+
+describe('maturity filtering', () => {
+    let stub;
+    let api;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(async () => {
+        const supabase = createFakeSupabase({
+            users: { 'token-a': { id: 'user-a' } },
+            tables: { viewer_profiles: viewerProfiles(), parental_controls: [] }
+        });
+        api = await startApp(stub, {}, { supabase });
+        stub.use(
+            certification('movie', 11299, 'R'),
+            certification('tv', 30991, 'TV-14'),
+            certification('tv', 95557, 'TV-Y7'),
+            adultAnimeSearch()
+        );
+    });
+    afterEach(async () => {
+        await api.close();
+        stub.reset();
+    });
+
+    it('filters search results to the default profile\'s rating', async () => {
+        const { status, body } = await api.request('/search/unified?query=Cowboy%20Bebop', { headers: AUTH });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.tmdb.movies, []);
+        assert.deepEqual(body.tmdb.tv.map(item => item.id), [30991, 95557]);
+        assert.deepEqual(body.anilist.map(item => item.id), [1]);
+    });
+
+    it('uses the profile named in X-Viewer-Profile and keeps its results apart in the cache', async () => {
+        await api.request('/search/unified?query=Cowboy%20Bebop', { headers: AUTH });
+        const { body } = await api.request('/search/unified?query=Cowboy%20Bebop', { headers: KIDS });
+
+        assert.deepEqual(body.tmdb.tv.map(item => item.id), [95557]);
+    });
+
+    it('only drops explicit titles for signed-out visitors, without rating lookups', async () => {
+        stub.use(tmdbRoute('/3/search/movie', {
+            json: { results: [{ id: 11299, title: 'Cowboy Bebop: The Movie' }, { id: 999, title: 'Adult Film', adult: true }] }
+        }));
+
+        const { body } = await api.request('/search/unified?query=Cowboy%20Bebop');
+
+        assert.deepEqual(body.tmdb.movies.map(item => item.id), [11299]);
+        assert.deepEqual(body.anilist.map(item => item.id), [1]);
+        assert.ok(stub.requests.every(request => !/release_dates|content_ratings/.test(request.path)));
+    });
+
+    it('rates anime by the certification of the TMDB show they map to', async () => {
+        const { body } = await api.request('/search/unified?query=Cowboy%20Bebop', { headers: KIDS });
+        assert.deepEqual(body.anilist, []);
+
+        const kidsApi = await startApp(stub, {}, {
+            supabase: createFakeSupabase({
+                users: { 'token-a': { id: 'user-a' } },
+                tables: { viewer_profiles: viewerProfiles(), parental_controls: [] }
+            })
+        });
+        try {
+            stub.use(certification('tv', 30991, 'TV-Y7'));
+            const kids = await kidsApi.request('/search/unified?query=Cowboy%20Bebop', { headers: KIDS });
+            // Anime 5 is explicit on AniList and never gets as far as TMDB
+            assert.deepEqual(kids.body.anilist.map(item => item.id), [1]);
+            assert.deepEqual((await kidsApi.request('/maturity/anime/1', { headers: KIDS })).body, { rating: 'kids', ceiling: 'kids', allowed: true });
+        } finally {
+            await kidsApi.close();
+        }
+    });
+
+    it('filters TMDB listings passed through the proxy', async () => {
+        stub.use(tmdbRoute('/3/tv/popular', {
+            json: { page: 1, results: [{ id: 30991, name: 'Cowboy Bebop' }, { id: 95557, name: 'Kids Show' }] }
+        }));
+
+        const { body } = await api.request('/tmdb/tv/popular', { headers: KIDS });
+
+        assert.deepEqual(body.results.map(item => item.id), [95557]);
+    });
+});
+
+describe('parental PIN', () => {
+    let stub;
+    let api;
+    let supabase;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(async () => {
+        supabase = createFakeSupabase({
+            users: { 'token-a': { id: 'user-a' }, [DEVICE_TOKEN]: { id: 'user-a' } },
+            tables: { viewer_profiles: viewerProfiles(), parental_controls: [], viewer_profile_sessions: [], favorites: [] }
+        });
+        api = await startApp(stub, {}, { supabase });
+        stub.use(certification('movie', 11299, 'R'));
+    });
+    afterEach(async () => {
+        await api.close();
+        stub.reset();
+    });
+
+    const setPin = (headers = AUTH) => api.request('/parental/pin', { method: 'PUT', headers, json: { new_pin: '1234' } });
+
+    it('stores a hash, and only the main profile sets the first PIN', async () => {
+        assert.equal((await setPin(KIDS)).status, 403);
+        assert.equal((await setPin()).status, 200);
+
+        assert.deepEqual((await api.request('/parental', { headers: AUTH })).body, { pin_set: true });
+        assert.doesNotMatch(supabase.tables.parental_controls[0].pin_hash, /1234/);
+        const change = await api.request('/parental/pin', { method: 'PUT', headers: AUTH, json: { new_pin: '5678', pin: '0000' } });
+        assert.equal(change.status, 403);
+    });
+
+    it('unlocks a title above the profile\'s rating with the PIN', async () => {
+        await setPin();
+
+        const check = await api.request('/maturity/movie/11299', { headers: KIDS });
+        assert.deepEqual(check.body, { rating: 'adult', ceiling: 'kids', allowed: false });
+
+        const unlock = (pin) => api.request('/maturity/movie/11299/unlock', { method: 'POST', headers: KIDS, json: { pin } });
+        assert.equal((await unlock('4321')).status, 403);
+        assert.deepEqual((await unlock('1234')).body, { allowed: true });
+    });
+
+    it('changes a profile\'s rating only with the PIN', async () => {
+        await setPin();
+        const change = (pin) => api.request('/parental/profiles/profile-kids/maturity', {
+            method: 'PUT', headers: AUTH, json: { maturity_rating: 'adult', pin }
+        });
+
+        assert.equal((await change('0000')).status, 403);
+        assert.equal((await change('1234')).status, 200);
+        assert.equal(supabase.tables.viewer_profiles.find(profile => profile.id === 'profile-kids').maturity_rating, 'adult');
+    });
+
+    it('locks the PIN after five wrong guesses', async () => {
+        await setPin();
+        const unlock = (pin) => api.request('/maturity/movie/11299/unlock', { method: 'POST', headers: AUTH, json: { pin } });
+
+        for (let attempt = 0; attempt < 5; attempt++) {
+            assert.equal((await unlock('0000')).status, 403);
+        }
+        const locked = await unlock('1234');
+        assert.equal(locked.status, 429);
+        assert.ok(Number(locked.headers.get('retry-after')) > 0);
+    });
+
+    it('keeps the lockout across restarts and parallel guesses', async () => {
+        await setPin();
+        const unlock = (app, pin) => app.request('/maturity/movie/11299/unlock', { method: 'POST', headers: AUTH, json: { pin } });
+
+        const guesses = await Promise.all(Array.from({ length: 8 }, () => unlock(api, '0000')));
+        assert.deepEqual(guesses.map(guess => guess.status).sort(), [403, 403, 403, 403, 403, 429, 429, 429]);
+
+        const restarted = await startApp(stub, {}, { supabase });
+        try {
+            assert.equal((await unlock(restarted, '1234')).status, 429);
+        } finally {
+            await restarted.close();
+        }
+    });
+
+    it('needs the PIN to switch a session to a higher-rated profile', async () => {
+        await setPin();
+        const activate = (id, json = {}) => api.request(`/parental/profiles/${id}/activate`, { method: 'POST', headers: DEVICE, json });
+
+        // Going down is free, and the session stays there
+        assert.deepEqual((await activate('profile-kids')).body, { id: 'profile-kids', maturity_rating: 'kids' });
+        assert.deepEqual(supabase.tables.viewer_profile_sessions.map(row => [row.session_id, row.profile_id]), [['session-tablet', 'profile-kids']]);
+
+        // Naming the main profile, or none, doesn't get past it
+        const asMain = { ...DEVICE, 'x-viewer-profile': 'profile-main' };
+        const refused = await api.request('/schedule', { headers: asMain });
+        assert.equal(refused.status, 403);
+        assert.equal(refused.body.pin_required, true);
+        assert.equal((await api.request('/schedule', { headers: DEVICE })).status, 403);
+        assert.equal((await api.request('/maturity/movie/11299', { headers: asMain })).body.ceiling, 'kids');
+        assert.equal((await api.request('/schedule', { headers: { ...DEVICE, 'x-viewer-profile': 'profile-kids' } })).status, 200);
+
+        // Asking without a PIN costs no guess; a wrong one does
+        const unasked = await activate('profile-main');
+        assert.equal(unasked.status, 403);
+        assert.equal(unasked.body.pin_required, true);
+        assert.equal(supabase.tables.parental_controls[0].failed_attempts, 0);
+        assert.equal((await activate('profile-main', { pin: '0000' })).status, 403);
+        assert.equal(supabase.tables.parental_controls[0].failed_attempts, 1);
+
+        assert.equal((await activate('profile-main', { pin: '1234' })).status, 200);
+        assert.equal((await api.request('/schedule', { headers: asMain })).status, 200);
+        assert.equal((await api.request('/maturity/movie/11299', { headers: asMain })).body.ceiling, 'teen');
+        assert.equal((await activate('profile-other')).status, 404);
+    });
+
+    it('leaves profile switching alone without a PIN or a session that picked one', async () => {
+        const activate = (headers) => api.request('/parental/profiles/profile-kids/activate', { method: 'POST', headers, json: {} });
+        assert.equal((await activate(DEVICE)).status, 200);
+        assert.equal((await api.request('/schedule', { headers: { ...DEVICE, 'x-viewer-profile': 'profile-main' } })).status, 200);
+
+        await setPin();
+        // Another device that never activated a profile
+        assert.equal((await api.request('/schedule', { headers: { ...AUTH, 'x-viewer-profile': 'profile-main' } })).status, 200);
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub, startApp, tmdbRoute } from '../support/harness.js';
+import { loadFixture } from '../support/stubServer.js';
+import { createFakeSupabase } from '../support/fakeSupabase.js';
+
+const SECRET = 'test-cron-secret';
+const CRON = { headers: { authorization: `Bearer ${SECRET}` } };
+
+const favorites = () => [
+    { user_id: 'user-a', media_id: '21', media_type: 'anime' },
+    { user_id: 'user-a', media_id: '94997', media_type: 'tv' },
+    { user_id: 'user-b', media_id: '94997', media_type: 'tv' },
+    // An episode favorite follows the series too
+    { user_id: 'user-c', media_id: '94997', media_type: 'tv', season_number: 1, episode_number: 3 },
+    { user_id: 'user-a', media_id: '550', media_type: 'movie' }
+];
+
+// The recorded show, one episode further along
+const nextEpisodeOut = () => {
+    const show = loadFixture('tmdb/tv-94997.json');
+    show.last_episode_to_air = { ...show.last_episode_to_air, name: 'Episode 9', episode_number: 9, air_date: '2024-08-11' };
+    return tmdbRoute('/3/tv/94997', { json: show });
+};
+
+describe('GET /cron/notifications', () => {
+    let stub;
+    let api;
+    let supabase;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(async () => {
+        supabase = createFakeSupabase({
+            tables: {
+                favorites: favorites(),
+                notification_mutes: [{ user_id: 'user-b', media_id: '94997', media_type: 'tv' }],
+                notifications: []
+            }
+        });
+        api = await startApp(stub, { CRON_SECRET: SECRET }, { supabase });
+    });
+    afterEach(async () => {
+        await api.close();
+        stub.reset();
+    });
+
+    it('requires the cron secret', async () => {
+        assert.equal((await api.request('/cron/notifications')).status, 401);
+        assert.equal((await api.request('/cron/notifications', { headers: { authorization: 'Bearer nope' } })).status, 401);
+    });
+
+    it('only records watermarks the first time a series is seen', async () => {
+        const { status, body } = await api.request('/cron/notifications', CRON);
+
+        assert.equal(status, 200);
+        assert.deepEqual(body, { checked: 2, seeded: 2, updated: 0, notified: 0, errors: [] });
+        assert.deepEqual(
+            supabase.tables.episode_watermarks.map(mark => `${mark.media_type}:${mark.media_id}:S${mark.season_number}E${mark.episode_number}`).sort(),
+            ['anime:21:S1E1150', 'tv:94997:S2E8']
+        );
+        assert.equal(supabase.tables.notifications.length, 0);
+    });
+
+    it('notifies unmuted followers once per new episode', async () => {
+        await api.request('/cron/notifications', CRON);
+        stub.use(nextEpisodeOut());
+
+        const { body } = await api.request('/cron/notifications', CRON);
+        assert.deepEqual(body, { checked: 2, seeded: 0, updated: 1, notified: 2, errors: [] });
+
+        const rows = supabase.tables.notifications;
+        assert.deepEqual(rows.map(row => row.user_id).sort(), ['user-a', 'user-c']);
+        assert.deepEqual(
+            { ...rows[0], user_id: undefined },
+            {
+                user_id: undefined,
+                media_type: 'tv',
+                media_id: '94997',
+                season_number: 2,
+                episode_number: 9,
+                title: 'House of the Dragon',
+                episode_name: 'Episode 9',
+                poster_path: '/t9XkeE7HzOsdQcDDDapDYh8Rrmt.jpg',
+                air_date: '2024-08-11'
+            }
+        );
+
+        // Nothing new on the next run
+        const rerun = await api.request('/cron/notifications', CRON);
+        assert.equal(rerun.body.notified, 0);
+        assert.equal(supabase.tables.notifications.length, 2);
+    });
+
+    it('reads every follower and mute, past the database\'s page size', async () => {
+        const crowd = Array.from({ length: 1000 }, (_, index) => `viewer-${index}`);
+        supabase.tables.favorites.push(
+            ...crowd.map(user_id => ({ user_id, media_id: '94997', media_type: 'tv' })),
+            { user_id: 'user-late', media_id: '94997', media_type: 'tv' }
+        );
+        supabase.tables.notification_mutes.push(
+            ...crowd.map(user_id => ({ user_id, media_id: '21', media_type: 'anime' })),
+            { user_id: 'user-a', media_id: '94997', media_type: 'tv' }
+        );
+        await api.request('/cron/notifications', CRON);
+        stub.use(nextEpisodeOut());
+
+        await api.request('/cron/notifications', CRON);
+        const notified = new Set(supabase.tables.notifications.map(row => row.user_id));
+        assert.ok(notified.has('user-late'));
+        assert.ok(!notified.has('user-a'));
+        assert.equal(notified.size, 1002);
+    });
+
+    it('is unavailable without a cron secret', async () => {
+        const unconfigured = await startApp(stub, {}, { supabase });
+        try {
+            assert.equal((await unconfigured.request('/cron/notifications', CRON)).status, 503);
+        } finally {
+            await unconfigured.close();
+        }
+    });
+});
@@ -0,0 +1,134 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import WebSocket from 'ws';
+import { startStub, startApp } from '../support/harness.js';
+
+const EPISODE = { type: 'tv', id: '30991', season: 1, episode: 3 };
+
+// A participant's socket, with the messages it received queued by type
+const connect = async (api, roomId, options) => {
+    const ws = new WebSocket(`${api.base.replace('http', 'ws')}/api/party/${roomId}/socket`, options);
+    const received = [];
+    const waiting = [];
+    ws.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+        const index = waiting.findIndex(({ type }) => type === message.type);
+        if (index === -1) received.push(message);
+        else waiting.splice(index, 1)[0].resolve(message);
+    });
+
+    const next = (type) => {
+        const index = received.findIndex(message => message.type === type);
+        if (index !== -1) return Promise.resolve(received.splice(index, 1)[0]);
+        return new Promise(resolve => waiting.push({ type, resolve }));
+    };
+    const send = (message) => ws.send(JSON.stringify(message));
+
+    await once(ws, 'open');
+    return { ws, next, send, received };
+};
+
+describe('watch party', () => {
+    let stub;
+    let api;
+    let sockets;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(async () => {
+        api = await startApp(stub);
+        sockets = [];
+    });
+    afterEach(async () => {
+        await Promise.all(sockets.filter(({ ws }) => ws.readyState !== WebSocket.CLOSED)
+            .map(({ ws }) => { ws.close(); return once(ws, 'close'); }));
+        await api.close();
+        stub.reset();
+    });
+
+    const join = async (roomId, hello) => {
+        const socket = await connect(api, roomId);
+        sockets.push(socket);
+        socket.send({ type: 'hello', ...hello });
+        return { ...socket, welcome: await socket.next('welcome') };
+    };
+
+    it('creates rooms for what the Watch page plays and looks them up', async () => {
+        const created = await api.request('/party', { json: { media: { ...EPISODE, season: '1' } } });
+        assert.equal(created.status, 201);
+        assert.deepEqual(created.body.media, EPISODE);
+        assert.match(created.body.hostToken, /^[\w-]{20,}$/);
+
+        const found = await api.request(`/party/${created.body.id}`);
+        assert.equal(found.status, 200);
+        assert.deepEqual(found.body, { id: created.body.id, media: EPISODE, participants: 0 });
+        assert.equal(found.body.hostToken, undefined);
+
+        const episodeless = await api.request('/party', { json: { media: { type: 'tv', id: '30991' } } });
+        assert.equal(episodeless.status, 400);
+        assert.equal((await api.request('/party/missing')).status, 404);
+    });
+
+    it('passes play, pause and seek on to everyone else, ignoring echoes', async () => {
+        const { body: room } = await api.request('/party', { json: { media: EPISODE } });
+        const host = await join(room.id, { name: 'Ana', hostToken: room.hostToken });
+        const guest = await join(room.id, {});
+
+        assert.equal(host.welcome.you.host, true);
+        assert.deepEqual(guest.welcome.you, { id: guest.welcome.you.id, name: 'Guest 1', host: false });
+        assert.equal(guest.welcome.state.playing, false);
+        assert.deepEqual((await host.next('participants')).participants.map(({ name }) => name), ['Ana', 'Guest 1']);
+
+        guest.send({ type: 'state', playing: true, position: 125 });
+        const { state } = await host.next('state');
+        assert.equal(state.playing, true);
+        assert.equal(state.by, guest.welcome.you.id);
+        assert.ok(state.position >= 125 && state.position < 126);
+
+        // The host's player obeying the play reports it back; nobody hears it again
+        host.send({ type: 'state', playing: true, position: 125.5 });
+        host.send({ type: 'state', playing: false, position: 300 });
+        const paused = await guest.next('state');
+        assert.deepEqual([paused.state.playing, paused.state.position], [false, 300]);
+        assert.equal(guest.received.filter(({ type }) => type === 'state').length, 0);
+    });
+
+    it('shares chat with everyone and lets only the host change the episode', async () => {
+        const { body: room } = await api.request('/party', { json: { media: EPISODE } });
+        const host = await join(room.id, { name: 'Ana', hostToken: room.hostToken });
+        const guest = await join(room.id, { name: 'Ben', hostToken: 'guessed' });
+
+        guest.send({ type: 'chat', text: '  this opening!  ' });
+        const [toHost, toGuest] = await Promise.all([host.next('chat'), guest.next('chat')]);
+        assert.deepEqual([toHost.message.name, toHost.message.text], ['Ben', 'this opening!']);
+        assert.deepEqual(toGuest, toHost);
+
+        guest.send({ type: 'media', media: { ...EPISODE, episode: 4 } });
+        assert.equal((await guest.next('error')).code, 'forbidden');
+
+        host.send({ type: 'media', media: { ...EPISODE, episode: 4 } });
+        const moved = await guest.next('media');
+        assert.equal(moved.media.episode, 4);
+        assert.deepEqual([moved.state.playing, moved.state.position], [false, 0]);
+
+        // Late joiners get the chat so far
+        const late = await join(room.id, { name: 'Cy' });
+        assert.deepEqual(late.welcome.messages.map(({ text }) => text), ['this opening!']);
+        assert.equal(late.welcome.media.episode, 4);
+    });
+
+    it('closes sockets for rooms that do not exist and refuses unknown origins', async () => {
+        const stray = await connect(api, 'nope');
+        sockets.push(stray);
+        stray.send({ type: 'hello', name: 'Ana' });
+        assert.equal((await stray.next('error')).code, 'not_found');
+        const [code] = await once(stray.ws, 'close');
+        assert.equal(code, 4404);
+
+        const blocked = new WebSocket(`${api.base.replace('http', 'ws')}/api/party/nope/socket`, { origin: 'https://elsewhere.example' });
+        const [request, response] = await once(blocked, 'unexpected-response');
+        assert.equal(response.statusCode, 403);
+        request.destroy();
+    });
+});
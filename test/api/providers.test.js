@@ -0,0 +1,51 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub, startApp, outage } from '../support/harness.js';
+
+describe('Shikimori and Consumet proxies', () => {
+    let stub;
+    let api;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(async () => { api = await startApp(stub); });
+    afterEach(async () => {
+        await api.close();
+        stub.reset();
+    });
+
+    it('converts Shikimori anime into the TMDB shape', async () => {
+        const { status, body } = await api.request('/shikimori/anime/1');
+
+        assert.equal(status, 200);
+        assert.equal(body.id, 1);
+        assert.equal(body.source_provider, 'shikimori');
+        assert.equal(typeof body.name, 'string');
+    });
+
+    it('reports Shikimori outages as errors', async () => {
+        stub.use(outage({ host: 'shikimori.one', path: '/api/animes/1' }));
+
+        const { status, body } = await api.request('/shikimori/anime/1');
+
+        assert.ok(status >= 500);
+        assert.equal(typeof body.error, 'string');
+    });
+
+    it('passes Consumet results through in a consistent shape', async () => {
+        const { status, body } = await api.request('/consumet/anime/trending');
+
+        assert.equal(status, 200);
+        assert.equal(body.currentPage, 1);
+        assert.equal(body.results[0].id, 'one-piece');
+    });
+
+    it('forwards Consumet error statuses', async () => {
+        stub.use({ host: 'api.consumet.org', path: '/anime/gogoanime/top-airing', status: 404, json: { message: 'Not Found' } });
+
+        const { status, body } = await api.request('/consumet/anime/trending');
+
+        assert.equal(status, 404);
+        assert.match(body.error, /Consumet API error/);
+    });
+});
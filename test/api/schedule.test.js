@@ -0,0 +1,109 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub, startApp, anilistRoute, outage, tmdbRoute, GRAPHQL } from '../support/harness.js';
+import { loadFixture } from '../support/stubServer.js';
+import { createFakeSupabase } from '../support/fakeSupabase.js';
+import { createFeedToken } from '../../api/schedule/index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const SECRET = 'test-feed-secret';
+const AUTH = { authorization: 'Bearer token-a' };
+
+const favorites = () => [
+    { user_id: 'user-a', media_id: 21, media_type: 'anime' },
+    { user_id: 'user-a', media_id: 21, media_type: 'anime' },
+    { user_id: 'user-a', media_id: 94997, media_type: 'tv' },
+    { user_id: 'user-a', media_id: 30991, media_type: 'tv' },
+    { user_id: 'user-a', media_id: 550, media_type: 'movie' },
+    { user_id: 'user-b', media_id: 1399, media_type: 'tv' }
+];
+
+// The recorded schedule, moved so it airs in the next two weeks whenever the tests run
+const upcomingRoutes = () => {
+    const now = Date.now();
+    const schedule = loadFixture('anilist/airing-schedules.json');
+    schedule.data.Page.airingSchedules[0].airingAt = Math.floor((now + DAY) / 1000);
+    schedule.data.Page.airingSchedules[1].airingAt = Math.floor((now + 8 * DAY) / 1000);
+
+    const show = loadFixture('tmdb/tv-94997.json');
+    show.next_episode_to_air.air_date = new Date(now + 3 * DAY).toISOString().slice(0, 10);
+
+    return [anilistRoute(GRAPHQL.schedule, { json: schedule }), tmdbRoute('/3/tv/94997', { json: show })];
+};
+
+describe('GET /schedule', () => {
+    let stub;
+    let api;
+    let supabase;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(async () => {
+        supabase = createFakeSupabase({ users: { 'token-a': { id: 'user-a' } }, tables: { favorites: favorites() } });
+        api = await startApp(stub, { SCHEDULE_FEED_SECRET: SECRET }, { supabase });
+    });
+    afterEach(async () => {
+        await api.close();
+        stub.reset();
+    });
+
+    it('requires a signed-in user', async () => {
+        assert.equal((await api.request('/schedule')).status, 401);
+        assert.equal((await api.request('/schedule', { headers: { authorization: 'Bearer nope' } })).status, 401);
+    });
+
+    it('merges AniList airings and TMDB next episodes in airing order', async () => {
+        stub.use(...upcomingRoutes());
+        const { status, headers, body } = await api.request('/schedule', { headers: AUTH });
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('cache-control'), 'private, no-store');
+        assert.deepEqual(body.errors, []);
+        assert.deepEqual(
+            body.items.map(item => `${item.source}:${item.media_id}:${item.episode_number}`),
+            ['anilist:21:1150', 'tmdb:94997:1', 'anilist:21:1151']
+        );
+
+        const [anime, tv] = body.items;
+        assert.equal(anime.title, 'ONE PIECE');
+        assert.match(anime.poster_path, /^\/anilist_images\/https%3A%2F%2Fs4\.anilist\.co/);
+        assert.ok(anime.airing_at);
+        assert.equal(tv.airing_at, null);
+        assert.equal(tv.season_number, 3);
+
+        // Duplicates are asked for once; movies and other users' favorites never
+        const [scheduleRequest] = stub.requests.filter(request => request.graphql?.query.includes(GRAPHQL.schedule));
+        assert.deepEqual(scheduleRequest.graphql.variables.ids, [21]);
+        assert.ok(!stub.requests.some(request => /\/(movie\/550|tv\/1399)$/.test(request.path)));
+
+        assert.match(body.feed_url, /^http:\/\/127\.0\.0\.1:\d+\/api\/schedule\/user-a\.ics\?token=/);
+        assert.ok(body.feed_url.endsWith(createFeedToken('user-a', SECRET)));
+    });
+
+    it('still lists TV episodes when AniList is down', async () => {
+        stub.use(outage(anilistRoute(GRAPHQL.schedule)), upcomingRoutes()[1]);
+        const { status, body } = await api.request('/schedule', { headers: AUTH });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.errors, ['anilist']);
+        assert.deepEqual(body.items.map(item => item.media_id), [94997]);
+    });
+
+    it('serves an iCalendar feed for a valid token', async () => {
+        stub.use(...upcomingRoutes());
+        const { status, headers, body } = await api.request(`/schedule/user-a.ics?token=${createFeedToken('user-a', SECRET)}`);
+
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /^text\/calendar/);
+        assert.ok(body.startsWith('BEGIN:VCALENDAR\r\n'));
+        assert.equal(body.match(/BEGIN:VEVENT/g).length, 3);
+        assert.match(body, /UID:anime-21-s1-e1150@fylm/);
+        assert.match(body, /SUMMARY:House of the Dragon – S3E1: Episode 1/);
+        assert.match(body, /DTSTART;VALUE=DATE:\d{8}/);
+    });
+
+    it('rejects feed requests with a bad token', async () => {
+        const { status } = await api.request(`/schedule/user-a.ics?token=${createFeedToken('user-b', SECRET)}`);
+        assert.equal(status, 403);
+    });
+});
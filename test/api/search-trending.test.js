@@ -0,0 +1,109 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub, startApp, anilistRoute, tmdbRoute, outage, GRAPHQL } from '../support/harness.js';
+
+describe('GET /search/unified', () => {
+    let stub;
+    let api;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(async () => { api = await startApp(stub); });
+    afterEach(async () => {
+        await api.close();
+        stub.reset();
+    });
+
+    it('combines TMDB and AniList results with TMDB first', async () => {
+        const { status, body } = await api.request('/search/unified?query=Cowboy%20Bebop');
+
+        assert.equal(status, 200);
+        assert.deepEqual(Object.keys(body).sort(), ['anilist', 'combined', 'tmdb']);
+        assert.equal(body.tmdb.movies[0].media_type, 'movie');
+        assert.equal(body.tmdb.tv.length, 2);
+        assert.ok(body.tmdb.tv.every(item => item.source === 'tmdb' && item.media_type === 'tv'));
+        assert.deepEqual(Object.keys(body.anilist[0]).sort(), [
+            'banner_path', 'episodes', 'genres', 'id', 'media_type', 'poster_path', 'source', 'title', 'vote_average', 'year'
+        ]);
+        assert.equal(body.anilist[0].media_type, 'anime');
+        assert.equal(body.combined.length, 5);
+        assert.deepEqual(body.combined.slice(0, 3).map(item => item.source), ['tmdb', 'tmdb', 'tmdb']);
+        assert.deepEqual(body.combined.slice(3).map(item => item.source), ['anilist', 'anilist']);
+    });
+
+    it('only queries the providers for the requested type', async () => {
+        const { body } = await api.request('/search/unified?query=Cowboy%20Bebop&type=anime');
+
+        assert.equal(body.anilist.length, 2);
+        assert.deepEqual(body.tmdb, { movies: [], tv: [] });
+        assert.ok(stub.requests.every(request => request.host === 'graphql.anilist.co'));
+    });
+
+    it('returns the full shape with empty lists when providers fail', async () => {
+        stub.use(
+            outage(anilistRoute(GRAPHQL.search)),
+            outage(tmdbRoute('/3/search/movie')),
+            outage(tmdbRoute('/3/search/tv'))
+        );
+
+        const { status, body } = await api.request('/search/unified?query=Cowboy%20Bebop');
+
+        assert.equal(status, 200);
+        assert.deepEqual(body, { tmdb: { movies: [], tv: [] }, anilist: [], combined: [] });
+    });
+
+    it('requires a query', async () => {
+        assert.equal((await api.request('/search/unified')).status, 400);
+    });
+});
+
+describe('GET /trending/anime/combined', () => {
+    let stub;
+    let api;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(async () => { api = await startApp(stub); });
+    afterEach(async () => {
+        await api.close();
+        stub.reset();
+    });
+
+    it('merges AniList trending and TMDB anime discover results', async () => {
+        const { status, body } = await api.request('/trending/anime/combined');
+
+        assert.equal(status, 200);
+        assert.deepEqual(Object.keys(body).sort(), ['anilist', 'combined', 'seasonal', 'tmdb']);
+        assert.equal(body.anilist.length, 2);
+        assert.equal(body.anilist[0].anilist_id, 170942);
+        assert.equal(body.anilist[0].trending_source, 'trending');
+        assert.equal(body.anilist[0].vote_average, 8.2);
+        assert.equal(body.anilist[0].overview, 'Blue Box description.');
+        assert.equal(body.seasonal[0].trending_source, 'seasonal');
+        assert.equal(body.tmdb.tv[0].tmdb_id, 30991);
+        assert.equal(body.tmdb.movies[0].media_type, 'movie');
+        assert.equal(body.combined.length, 4);
+        assert.deepEqual(body.combined.map(item => item.source), ['tmdb', 'tmdb', 'anilist', 'anilist']);
+    });
+
+    it('keeps TMDB results when AniList is down', async () => {
+        stub.use(outage(anilistRoute(GRAPHQL.trending)));
+
+        const { status, body } = await api.request('/trending/anime/combined');
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.anilist, []);
+        assert.deepEqual(body.seasonal, []);
+        assert.equal(body.combined.length, 2);
+    });
+
+    it('keeps AniList results when TMDB is down', async () => {
+        stub.use(outage(tmdbRoute('/3/discover/tv')), outage(tmdbRoute('/3/discover/movie')));
+
+        const { status, body } = await api.request('/trending/anime/combined');
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.tmdb, { movies: [], tv: [] });
+        assert.equal(body.combined.length, 2);
+    });
+});
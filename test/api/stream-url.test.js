@@ -0,0 +1,109 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub, startApp, anilistRoute, outage, GRAPHQL } from '../support/harness.js';
+import { buildCandidate } from '../../api/sources/index.js';
+
+const assertCandidateShape = (candidate) => {
+    assert.equal(typeof candidate.source, 'string');
+    assert.equal(typeof candidate.name, 'string');
+    assert.match(candidate.url, /^https:\/\//);
+    assert.ok(['tmdb', 'imdb', 'anilist'].includes(candidate.idType));
+    assert.ok(Array.isArray(candidate.origins));
+    assert.equal(typeof candidate.healthScore, 'number');
+    assert.equal(candidate.format, 'embed');
+    assert.equal(candidate.isDirectSource, false);
+};
+
+describe('GET /stream-url', () => {
+    let stub;
+    let api;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(async () => { api = await startApp(stub); });
+    afterEach(async () => {
+        await api.close();
+        stub.reset();
+    });
+
+    it('returns the requested source first with failover candidates', async () => {
+        const { status, body } = await api.request('/stream-url?type=tv&id=30991&season=1&episode=2&source=vidsrc');
+
+        assert.equal(status, 200);
+        assert.equal(body.currentSource, 'vidsrc');
+        assert.equal(body.url, body.candidates[0].url);
+        assert.deepEqual(body.availableSources, ['videasy', 'vidsrc', 'embedsu']);
+        assert.equal(body.candidates.length, 3);
+        body.candidates.forEach(assertCandidateShape);
+        // vidsrc prefers IMDb IDs, resolved through the mapping service
+        assert.equal(body.candidates[0].idType, 'imdb');
+        assert.match(body.candidates[0].url, /tt0213338/);
+    });
+
+    it('plays anime by AniList ID and maps it to TMDB for the other sources', async () => {
+        const { status, body } = await api.request('/stream-url?type=anime&id=1&season=1&episode=5&dub=true');
+
+        assert.equal(status, 200);
+        assert.equal(body.currentSource, 'videasy');
+        assert.equal(body.url, 'https://player.videasy.net/anime/1/5?dub=true');
+        const embedsu = body.candidates.find(candidate => candidate.source === 'embedsu');
+        assert.equal(embedsu.idType, 'tmdb');
+        assert.match(embedsu.url, /tmdb=30991/);
+    });
+
+    it('keeps sources that need no mapping when the mapping fails', async () => {
+        stub.use(outage(anilistRoute(GRAPHQL.mappingById)));
+
+        const { status, body } = await api.request('/stream-url?type=anime&id=1&season=1&episode=1');
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.candidates.map(candidate => candidate.source), ['videasy']);
+    });
+
+    it('answers before probing and ranks unreachable sources last afterwards', async () => {
+        stub.use({ method: 'HEAD', host: 'player.videasy.net', path: /.*/, status: 502, delayMs: 1500 });
+
+        const startedAt = Date.now();
+        const first = await api.request('/stream-url?type=movie&id=550');
+        assert.ok(Date.now() - startedAt < 1000, 'the response does not wait for probes');
+        assert.equal(first.body.currentSource, 'videasy');
+
+        const videasyProbe = async () => (await api.request('/sources')).body.sources.find(source => source.id === 'videasy').lastProbe;
+        for (let attempt = 0; attempt < 50 && (await videasyProbe())?.ok !== false; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        const { body } = await api.request('/stream-url?type=movie&id=550');
+        assert.notEqual(body.currentSource, 'videasy');
+        assert.equal(body.candidates[body.candidates.length - 1].source, 'videasy');
+    });
+
+    it('validates its parameters', async () => {
+        const missing = await api.request('/stream-url?type=movie');
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.error, true);
+        assert.equal(typeof missing.body.message, 'string');
+
+        assert.equal((await api.request('/stream-url?type=music&id=1')).status, 400);
+        assert.equal((await api.request('/stream-url?type=tv&id=30991')).status, 400);
+    });
+
+    it('marks sources that serve media instead of a player as direct', () => {
+        const source = {
+            id: 'cdn',
+            name: 'CDN',
+            baseUrl: 'https://cdn.example.com',
+            origins: [],
+            ids: { movie: ['tmdb'] },
+            format: 'hls',
+            movie: ({ tmdb }) => `/movie/${tmdb}/master.m3u8`,
+            params: () => ({})
+        };
+
+        const candidate = buildCandidate(source, { type: 'movie', ids: { tmdb: '550' } });
+
+        assert.equal(candidate.url, 'https://cdn.example.com/movie/550/master.m3u8');
+        assert.equal(candidate.format, 'hls');
+        assert.equal(candidate.isDirectSource, true);
+    });
+});
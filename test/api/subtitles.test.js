@@ -0,0 +1,129 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub, startApp } from '../support/harness.js';
+import { srtToVtt, assToVtt, detectFormat } from '../../api/subtitles/vtt.js';
+
+const OPENSUBTITLES = 'api.opensubtitles.com';
+const ENV = { OPENSUBTITLES_API_KEY: 'test-opensubtitles-key' };
+
+// "Café" in Windows-1252, the way older SRT files are saved
+const SRT_1252 = Buffer.concat([
+    Buffer.from('1\r\n00:00:01,500 --> 00:00:03,000\r\n{\\an8}<font color="#ffff00">Meet me at the caf'),
+    Buffer.from([0xe9]),
+    Buffer.from('</font>\r\n\r\n2\r\n00:00:04.2 --> 00:00:06,000\r\n<I>3 < 4</I>\r\n')
+]);
+
+const ASS = `[Script Info]
+Title: Cowboy Bebop 01
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize
+Style: Default,Arial,20
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: 0,0:00:05.10,0:00:07.00,Default,,0,0,0,,{\\i1}See you,{\\i0} space cowboy\\N...
+Dialogue: 0,0:00:01.00,0:00:02.50,Default,,0,0,0,,{\\b1}Bang
+Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,{\\p1}m 0 0 l 100 0 100 100
+`;
+
+describe('subtitles', () => {
+    let stub;
+    let api;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    afterEach(async () => {
+        await api?.close();
+        stub.reset();
+    });
+
+    it('searches by the show\'s TMDB ID for anime episodes, preferred languages first', async () => {
+        stub.use({ host: OPENSUBTITLES, path: '/api/v1/subtitles', fixture: 'opensubtitles/search-tv-30991-1-1.json' });
+        api = await startApp(stub, ENV);
+
+        const { status, body } = await api.request('/subtitles/search?type=anime&id=1&season=1&episode=1&languages=fr,en');
+
+        assert.equal(status, 200);
+        const search = stub.requests.find(request => request.host === OPENSUBTITLES);
+        assert.equal(search.query.get('parent_tmdb_id'), '30991');
+        assert.deepEqual([search.query.get('season_number'), search.query.get('episode_number')], ['1', '1']);
+        assert.equal(search.query.get('languages'), 'en,fr');
+
+        assert.deepEqual(body.results.map(({ id, language }) => [id, language]), [
+            ['opensubtitles:1002', 'fr'],
+            ['opensubtitles:1001', 'en']
+        ]);
+        assert.deepEqual(body.results[0], {
+            id: 'opensubtitles:1002',
+            provider: 'opensubtitles',
+            fileId: '1002',
+            language: 'fr',
+            label: 'Cowboy Bebop 01 [Fansub]',
+            format: 'ass',
+            hearingImpaired: true,
+            downloads: 2304,
+            url: '/subtitles/file/opensubtitles/1002'
+        });
+    });
+
+    it('rejects incomplete searches and answers 503 without a provider key', async () => {
+        api = await startApp(stub);
+
+        assert.equal((await api.request('/subtitles/search?type=tv&id=30991&season=1')).status, 400);
+        assert.equal((await api.request('/subtitles/search?type=movie&id=550&languages=english')).status, 400);
+        assert.equal((await api.request('/subtitles/search?type=movie&imdb_id=550')).status, 400);
+
+        const { status, body } = await api.request('/subtitles/search?type=movie&id=550');
+        assert.equal(status, 503);
+        assert.match(body.error, /No subtitle provider/);
+    });
+
+    it('serves downloads as WebVTT and downloads each file once', async () => {
+        stub.use(
+            { method: 'POST', host: OPENSUBTITLES, path: '/api/v1/download', fixture: 'opensubtitles/download-1001.json' },
+            { host: 'dl.opensubtitles.com', path: /^\/download\/1001\//, raw: SRT_1252 }
+        );
+        api = await startApp(stub, ENV);
+
+        const first = await api.request('/subtitles/file/opensubtitles/1001');
+        const second = await api.request('/subtitles/file/opensubtitles/1001');
+
+        assert.equal(first.status, 200);
+        assert.match(first.headers.get('content-type'), /^text\/vtt/);
+        assert.equal(first.body, [
+            'WEBVTT',
+            '',
+            '00:00:01.500 --> 00:00:03.000',
+            'Meet me at the café',
+            '',
+            '00:00:04.200 --> 00:00:06.000',
+            '<i>3 &lt; 4</i>',
+            ''
+        ].join('\n'));
+        assert.equal(second.headers.get('x-cache'), 'HIT');
+
+        const download = stub.requests.filter(request => request.path === '/api/v1/download');
+        assert.equal(download.length, 1);
+        assert.equal(download[0].graphql.file_id, 1001);
+
+        assert.equal((await api.request('/subtitles/file/nowhere/1')).status, 404);
+    });
+
+    it('converts ASS dialogue, keeping italics and bold and dropping drawings', () => {
+        assert.equal(detectFormat(ASS), 'ass');
+        assert.equal(detectFormat('1\n00:00:01,000 --> 00:00:02,000\nHi'), 'srt');
+        assert.equal(assToVtt(ASS), [
+            'WEBVTT',
+            '',
+            '00:00:01.000 --> 00:00:02.500',
+            '<b>Bang</b>',
+            '',
+            '00:00:05.100 --> 00:00:07.000',
+            '<i>See you,</i> space cowboy',
+            '...',
+            ''
+        ].join('\n'));
+        assert.equal(srtToVtt('garbage\n\n1\n00:00:01,000 --> 00:00:02,000\nHi --> there'), 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHi → there\n');
+    });
+});
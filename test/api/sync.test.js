@@ -0,0 +1,292 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub, startApp, anilistRoute } from '../support/harness.js';
+import { createFakeSupabase } from '../support/fakeSupabase.js';
+import { createOAuthState, resolveProgress } from '../../api/sync/index.js';
+
+const SECRET = 'test-state-secret';
+const AUTH = { authorization: 'Bearer token-a' };
+const ENV = {
+    OAUTH_STATE_SECRET: SECRET,
+    ANILIST_CLIENT_ID: 'anilist-client',
+    ANILIST_CLIENT_SECRET: 'anilist-secret',
+    SHIKIMORI_CLIENT_ID: 'shikimori-client',
+    SHIKIMORI_CLIENT_SECRET: 'shikimori-secret'
+};
+
+const linkedAccounts = () => [
+    { user_id: 'user-a', provider: 'anilist', remote_user_id: '555', remote_username: 'spike', access_token: 'anilist-token', expires_at: '2099-01-01T00:00:00.000Z' },
+    { user_id: 'user-a', provider: 'shikimori', remote_user_id: '777', remote_username: 'faye', access_token: 'shikimori-token', refresh_token: 'refresh', expires_at: '2099-01-01T00:00:00.000Z' }
+];
+
+const statusLists = () => ['plan_to_watch', 'watching', 'completed', 'on_hold', 'dropped']
+    .map((kind, position) => ({ id: 101 + position, user_id: 'user-a', name: kind, kind, position }));
+
+const anilistEntry = (progress, episodes = 26) => anilistRoute('mediaListEntry', {
+    json: { data: { Media: { episodes, mediaListEntry: progress === null ? null : { id: 9, status: 'CURRENT', progress } } } }
+});
+const anilistSave = anilistRoute('SaveMediaListEntry', { json: { data: { SaveMediaListEntry: { id: 9 } } } });
+
+const savedVariables = (stub) => stub.requests
+    .filter(request => request.graphql?.query?.includes('SaveMediaListEntry'))
+    .map(request => request.graphql.variables);
+
+describe('resolveProgress', () => {
+    it('pulls or pushes whichever side changed since the last sync', () => {
+        const baseline = { local_progress: 4, remote_progress: 4 };
+        assert.deepEqual(resolveProgress({ local: 4, remote: 6, baseline }), { action: 'pull', progress: 6, conflict: false });
+        assert.deepEqual(resolveProgress({ local: 7, remote: 4, baseline }), { action: 'push', progress: 7, conflict: false });
+        assert.deepEqual(resolveProgress({ local: 0, remote: 3 }), { action: 'pull', progress: 3, conflict: false });
+        // Settled earlier in favor of the remote side, and untouched since
+        assert.equal(resolveProgress({ local: 9, remote: 5, baseline: { local_progress: 9, remote_progress: 5 } }).action, 'none');
+    });
+
+    it('settles conflicts by strategy', () => {
+        const conflict = { local: 8, remote: 6, baseline: { local_progress: 4, remote_progress: 4 } };
+        assert.deepEqual(resolveProgress(conflict), { action: 'push', progress: 8, conflict: true });
+        assert.deepEqual(resolveProgress({ ...conflict, strategy: 'remote' }), { action: 'pull', progress: 6, conflict: true });
+        assert.deepEqual(resolveProgress({ local: 2, remote: 6, strategy: 'local' }), { action: 'push', progress: 2, conflict: true });
+    });
+});
+
+describe('/sync', () => {
+    let stub;
+    let api;
+    let supabase;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(async () => {
+        supabase = createFakeSupabase({
+            users: { 'token-a': { id: 'user-a' } },
+            tables: { linked_accounts: [], oauth_states: [], list_sync_entries: [], watch_history: [], watchlists: statusLists(), watchlist_items: [], favorites: [] }
+        });
+        api = await startApp(stub, ENV, { supabase });
+    });
+    afterEach(async () => {
+        await api.close();
+        stub.reset();
+    });
+
+    // Starts linking AniList; the cookie is what the browser would send back
+    const startSignIn = async () => {
+        const { body, headers } = await api.request('/sync/anilist/authorize', { headers: AUTH });
+        assert.match(headers.get('set-cookie'), /HttpOnly; SameSite=Lax/);
+        return { url: body.url, cookie: headers.get('set-cookie').split(';')[0] };
+    };
+
+    it('links an AniList account through the OAuth callback', async () => {
+        stub.use(
+            { method: 'POST', host: 'anilist.co', path: '/api/v2/oauth/token', json: { access_token: 'new-token', expires_in: 31536000 } },
+            anilistRoute('Viewer {', { json: { data: { Viewer: { id: 555, name: 'spike' } } } })
+        );
+
+        const { url, cookie } = await startSignIn();
+        const authorize = new URL(url);
+        assert.equal(authorize.origin + authorize.pathname, 'https://anilist.co/api/v2/oauth/authorize');
+        assert.match(authorize.searchParams.get('redirect_uri'), /\/api\/sync\/anilist\/callback$/);
+
+        const state = authorize.searchParams.get('state');
+        const callback = await api.request(`/sync/anilist/callback?code=abc&state=${encodeURIComponent(state)}`, { headers: { cookie }, redirect: 'manual' });
+        assert.equal(callback.status, 302);
+        assert.match(callback.headers.get('location'), /\/#\/profile\?linked=anilist$/);
+        assert.match(callback.headers.get('set-cookie'), /sync_oauth_nonce=;.*Max-Age=0/);
+        assert.equal(supabase.tables.oauth_states.length, 0);
+
+        const token = stub.requests.find(request => request.host === 'anilist.co');
+        assert.equal(token.graphql.code, 'abc');
+        assert.equal(token.graphql.client_secret, 'anilist-secret');
+
+        const accounts = await api.request('/sync/accounts', { headers: AUTH });
+        assert.deepEqual(accounts.body.accounts.map(({ provider, username }) => ({ provider, username })), [{ provider: 'anilist', username: 'spike' }]);
+        assert.ok(!JSON.stringify(accounts.body).includes('new-token'), 'tokens never leave the server');
+        assert.equal(supabase.tables.linked_accounts[0].access_token, 'new-token');
+    });
+
+    it('rejects a forged or expired callback state', async () => {
+        const forged = await api.request('/sync/anilist/callback?code=abc&state=user-b.anilist.9999999999999.nonce.forged', {
+            headers: { cookie: 'sync_oauth_nonce=nonce' },
+            redirect: 'manual'
+        });
+        supabase.tables.oauth_states.push({ user_id: 'user-a', provider: 'anilist', nonce: 'old-nonce' });
+        const expired = createOAuthState('user-a', 'anilist', SECRET, 'old-nonce', Date.now() - 60 * 60 * 1000);
+        const late = await api.request(`/sync/anilist/callback?code=abc&state=${expired}`, {
+            headers: { cookie: 'sync_oauth_nonce=old-nonce' },
+            redirect: 'manual'
+        });
+
+        for (const response of [forged, late]) {
+            assert.equal(response.status, 302);
+            assert.match(response.headers.get('location'), /link_error=/);
+        }
+        assert.equal(supabase.tables.linked_accounts.length, 0);
+        assert.equal(stub.requests.length, 0);
+    });
+
+    it('only accepts a callback from the browser that started the sign-in, once', async () => {
+        stub.use(
+            { method: 'POST', host: 'anilist.co', path: '/api/v2/oauth/token', json: { access_token: 'new-token', expires_in: 31536000 } },
+            anilistRoute('Viewer {', { json: { data: { Viewer: { id: 555, name: 'spike' } } } })
+        );
+        const { url, cookie } = await startSignIn();
+        const state = encodeURIComponent(new URL(url).searchParams.get('state'));
+        const callback = (headers) => api.request(`/sync/anilist/callback?code=abc&state=${state}`, { headers, redirect: 'manual' });
+
+        // A link planted in someone else's browser carries no cookie
+        const planted = await callback({});
+        const mismatched = await callback({ cookie: 'sync_oauth_nonce=someone-else' });
+        const linked = await callback({ cookie });
+        const replayed = await callback({ cookie });
+
+        assert.match(planted.headers.get('location'), /link_error=/);
+        assert.match(mismatched.headers.get('location'), /link_error=/);
+        assert.match(linked.headers.get('location'), /linked=anilist$/);
+        assert.match(replayed.headers.get('location'), /link_error=/);
+        assert.equal(stub.requests.filter(request => request.path === '/api/v2/oauth/token').length, 1);
+    });
+
+    it('pushes a watched episode to every linked account without moving them backwards', async () => {
+        supabase.tables.linked_accounts.push(...linkedAccounts());
+        stub.use(
+            anilistEntry(3),
+            anilistSave,
+            // Signed-in anime details carry the user's rate; this user has none yet
+            { host: 'shikimori.one', path: '/api/animes/1', json: { id: 1, episodes: 26, user_rate: null } },
+            { method: 'POST', host: 'shikimori.one', path: '/api/v2/user_rates', json: { id: 42 } }
+        );
+
+        const { status, body } = await api.request('/sync/progress', { headers: AUTH, json: { anilist_id: 1, episode: 5 } });
+        assert.equal(status, 200);
+        assert.deepEqual(body.results.map(({ provider, result }) => `${provider}:${result}`).sort(), ['anilist:updated', 'shikimori:updated']);
+
+        assert.deepEqual(savedVariables(stub), [{ mediaId: 1, progress: 5, status: 'CURRENT' }]);
+        const rate = stub.requests.find(request => request.method === 'POST' && request.path === '/api/v2/user_rates');
+        assert.deepEqual(rate.graphql, { user_rate: { episodes: 5, status: 'watching', user_id: 777, target_id: 1, target_type: 'Anime' } });
+        assert.equal(supabase.tables.list_sync_entries.length, 2);
+
+        stub.reset();
+        stub.use(anilistEntry(8), anilistSave, { host: 'shikimori.one', path: '/api/animes/1', json: { id: 1, episodes: 26, user_rate: { id: 42, episodes: 8, status: 'watching' } } });
+        const rewatch = await api.request('/sync/progress', { headers: AUTH, json: { anilist_id: 1, episode: 5 } });
+        assert.deepEqual(rewatch.body.results.map(({ result }) => result), ['skipped', 'skipped']);
+        assert.deepEqual(savedVariables(stub), []);
+    });
+
+    it('imports an AniList list into history, status lists and favorites', async () => {
+        supabase.tables.linked_accounts.push(linkedAccounts()[0]);
+        supabase.tables.watch_history.push(
+            { user_id: 'user-a', media_type: 'anime', media_id: '21', season_number: 1, episode_number: 1120 },
+            { user_id: 'user-a', media_type: 'anime', media_id: '5114', season_number: 1, episode_number: 64 }
+        );
+        supabase.tables.watchlist_items.push({ id: 900, watchlist_id: 101, user_id: 'user-a', media_type: 'anime', media_id: '5114' });
+        // Both sides have moved on from 1090 since the last sync
+        supabase.tables.list_sync_entries.push({ user_id: 'user-a', provider: 'anilist', profile_id: null, anilist_id: 21, local_progress: 1090, remote_progress: 1090 });
+        stub.use(
+            anilistRoute('MediaListCollection', { fixture: 'anilist/media-list-collection.json' }),
+            anilistEntry(1100, null),
+            anilistSave
+        );
+
+        const { status, body } = await api.request('/sync/anilist/import', { headers: AUTH, json: {} });
+        assert.equal(status, 200);
+        assert.deepEqual(body, {
+            provider: 'anilist',
+            total: 3,
+            pulled: 1,
+            pushed: 1,
+            unchanged: 1,
+            unmatched: 0,
+            failed: 0,
+            conflicts: [{ anilist_id: '21', title: 'ONE PIECE', local: 1120, remote: 1100, kept: 'local' }]
+        });
+
+        // Pulled: history up to the remote episode, filed under Watching, favorited
+        const pulled = supabase.tables.watch_history.find(row => row.media_id === '1');
+        assert.equal(pulled.episode_number, 12);
+        assert.equal(pulled.watched_at, '2024-06-01T00:00:00.000Z');
+        assert.equal(supabase.tables.watchlist_items.find(item => item.media_id === '1').watchlist_id, 102);
+        assert.deepEqual(supabase.tables.favorites.map(favorite => favorite.media_id), ['1']);
+
+        // Pushed: the furthest side won the conflict
+        assert.deepEqual(savedVariables(stub), [{ mediaId: 21, progress: 1120, status: 'CURRENT' }]);
+
+        // Unchanged, and already filed by the user: left where it is
+        assert.equal(supabase.tables.watchlist_items.find(item => item.media_id === '5114').watchlist_id, 101);
+        assert.equal(supabase.tables.list_sync_entries.find(entry => entry.anilist_id === 21).remote_progress, 1120);
+    });
+
+    it('sees history, status lists and favorites longer than one page on import', async () => {
+        supabase.tables.linked_accounts.push(linkedAccounts()[0]);
+        const filler = Array.from({ length: 1000 }, (_, index) => ({ id: index + 1, user_id: 'user-a', media_type: 'anime', media_id: String(90000 + index) }));
+        supabase.tables.watch_history.push(
+            ...filler.map(row => ({ ...row, season_number: 1, episode_number: 1 })),
+            { id: 1001, user_id: 'user-a', media_type: 'anime', media_id: '21', season_number: 1, episode_number: 1120 }
+        );
+        supabase.tables.watchlist_items.push(
+            ...filler.map(row => ({ ...row, watchlist_id: 101 })),
+            { id: 1001, watchlist_id: 104, user_id: 'user-a', media_type: 'anime', media_id: '1' }
+        );
+        supabase.tables.favorites.push(...filler, { id: 1001, user_id: 'user-a', media_type: 'anime', media_id: '1' });
+        stub.use(
+            anilistRoute('MediaListCollection', { fixture: 'anilist/media-list-collection.json' }),
+            anilistEntry(1100, null),
+            anilistSave
+        );
+
+        const { status, body } = await api.request('/sync/anilist/import', { headers: AUTH, json: {} });
+        assert.equal(status, 200);
+        assert.deepEqual(body.conflicts, [{ anilist_id: '21', title: 'ONE PIECE', local: 1120, remote: 1100, kept: 'local' }]);
+        assert.deepEqual(savedVariables(stub), [{ mediaId: 21, progress: 1120, status: 'CURRENT' }]);
+
+        // Filed and favorited past the first page: moved to Watching, not added again
+        assert.deepEqual(supabase.tables.watchlist_items.filter(item => item.media_id === '1').map(item => [item.id, item.watchlist_id]), [[1001, 102]]);
+        assert.equal(supabase.tables.favorites.filter(favorite => favorite.media_id === '1').length, 1);
+    });
+
+    it('never lowers the remote count on import, even when the local side wins', async () => {
+        supabase.tables.linked_accounts.push(linkedAccounts()[0]);
+        supabase.tables.watch_history.push({ user_id: 'user-a', media_type: 'anime', media_id: '21', season_number: 1, episode_number: 1095 });
+        supabase.tables.list_sync_entries.push({ user_id: 'user-a', provider: 'anilist', profile_id: null, anilist_id: 21, local_progress: 1090, remote_progress: 1090 });
+        stub.use(anilistRoute('MediaListCollection', { fixture: 'anilist/media-list-collection.json' }), anilistSave);
+
+        const { body } = await api.request('/sync/anilist/import', { headers: AUTH, json: { strategy: 'local' } });
+        assert.deepEqual(body.conflicts, [{ anilist_id: '21', title: 'ONE PIECE', local: 1095, remote: 1100, kept: 'remote' }]);
+        assert.equal(body.pushed, 0);
+        assert.deepEqual(savedVariables(stub), []);
+        assert.equal(supabase.tables.list_sync_entries.find(entry => entry.anilist_id === 21).remote_progress, 1100);
+    });
+
+    it('keeps sync baselines per viewer profile and never pushes a profile\'s missing history', async () => {
+        supabase.tables.linked_accounts.push(linkedAccounts()[0]);
+        supabase.tables.viewer_profiles = [
+            { id: 'profile-main', user_id: 'user-a', name: 'Main', is_default: true },
+            { id: 'profile-kid', user_id: 'user-a', name: 'Kid', is_default: false }
+        ];
+        supabase.tables.watch_history.push({ user_id: 'user-a', profile_id: 'profile-main', media_type: 'anime', media_id: '21', season_number: 1, episode_number: 1100 });
+        supabase.tables.list_sync_entries.push(
+            { user_id: 'user-a', provider: 'anilist', profile_id: 'profile-main', anilist_id: 21, local_progress: 1100, remote_progress: 1100 },
+            // Synced once, and the kid's history has been cleared since
+            { user_id: 'user-a', provider: 'anilist', profile_id: 'profile-kid', anilist_id: 5114, local_progress: 64, remote_progress: 64 }
+        );
+        stub.use(anilistRoute('MediaListCollection', { fixture: 'anilist/media-list-collection.json' }), anilistSave);
+
+        const { body } = await api.request('/sync/anilist/import', { headers: { ...AUTH, 'x-viewer-profile': 'profile-kid' }, json: {} });
+        assert.deepEqual({ pulled: body.pulled, pushed: body.pushed, conflicts: body.conflicts }, { pulled: 3, pushed: 0, conflicts: [] });
+        assert.deepEqual(savedVariables(stub), []);
+
+        const kid = supabase.tables.watch_history.filter(row => row.profile_id === 'profile-kid');
+        assert.deepEqual(kid.map(row => [row.media_id, row.episode_number]).sort(), [['1', 12], ['21', 1100], ['5114', 64]]);
+        const baselines = (profileId) => supabase.tables.list_sync_entries.filter(entry => entry.profile_id === profileId).length;
+        assert.equal(baselines('profile-kid'), 3);
+        assert.equal(baselines('profile-main'), 1);
+    });
+
+    it('needs a linked, configured provider', async () => {
+        assert.equal((await api.request('/sync/anilist/import', { headers: AUTH, json: {} })).status, 404);
+        assert.equal((await api.request('/sync/mal/import', { headers: AUTH, json: {} })).status, 404);
+        assert.equal((await api.request('/sync/anilist/import', { headers: AUTH, json: { strategy: 'newest' } })).status, 400);
+
+        const unconfigured = await startApp(stub, {}, { supabase });
+        assert.equal((await unconfigured.request('/sync/shikimori/authorize', { headers: AUTH })).status, 503);
+        await unconfigured.close();
+    });
+});
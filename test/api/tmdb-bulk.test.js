@@ -0,0 +1,82 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub, startApp, tmdbRoute, outage } from '../support/harness.js';
+
+describe('POST /tmdb/bulk and /tmdb/bulk-episodes', () => {
+    let stub;
+    let api;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(async () => { api = await startApp(stub); });
+    afterEach(async () => {
+        await api.close();
+        stub.reset();
+    });
+
+    it('returns one result per request, in order, with per-item errors', async () => {
+        stub.use(tmdbRoute('/3/tv/404', { status: 404, fixture: 'tmdb/not-found.json' }));
+
+        const { status, body } = await api.request('/tmdb/bulk', {
+            json: { requests: [{ type: 'movie', id: 550 }, { type: 'tv', id: 404 }, { type: 'movie' }] }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.length, 3);
+        assert.deepEqual({ ...body[0], data: undefined }, { success: true, type: 'movie', id: 550, data: undefined });
+        assert.equal(body[0].data.title, 'Fight Club');
+        assert.equal(body[0].data.credits.cast[0].name, 'Edward Norton');
+        assert.equal(body[1].success, false);
+        assert.match(body[1].error, /TMDB API error: 404/);
+        assert.deepEqual(body[2], { success: false, type: 'movie', error: 'Missing type or id' });
+    });
+
+    it('bounds concurrency for large watch histories', async () => {
+        stub.use(tmdbRoute(/^\/3\/movie\/\d+$/, { fixture: 'tmdb/movie-550.json', delayMs: 20 }));
+        const requests = Array.from({ length: 60 }, (_, index) => ({ type: 'movie', id: 1000 + index }));
+
+        const { status, body } = await api.request('/tmdb/bulk', { json: { requests } });
+
+        assert.equal(status, 200);
+        assert.equal(body.length, 60);
+        assert.ok(body.every(result => result.success));
+        assert.deepEqual(body.map(result => result.id), requests.map(request => request.id));
+        assert.ok(stub.maxInFlight() <= 10, `${stub.maxInFlight()} requests were in flight at once`);
+    });
+
+    it('reports upstream outages per item instead of failing the batch', async () => {
+        stub.use(outage(tmdbRoute('/3/movie/550')));
+
+        const { status, body } = await api.request('/tmdb/bulk', { json: { requests: [{ type: 'movie', id: 550 }] } });
+
+        assert.equal(status, 200);
+        assert.equal(body[0].success, false);
+        assert.match(body[0].error, /503/);
+    });
+
+    it('rejects malformed bodies', async () => {
+        assert.equal((await api.request('/tmdb/bulk', { json: { requests: [] } })).status, 400);
+        assert.equal((await api.request('/tmdb/bulk-episodes', { json: {} })).status, 400);
+    });
+
+    it('fetches episodes in bulk', async () => {
+        const { status, body } = await api.request('/tmdb/bulk-episodes', {
+            json: { requests: [{ id: 1399, season: 1, episode: 1 }, { id: 1399, season: 1 }] }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body[0].success, true);
+        assert.equal(body[0].data.name, 'Winter Is Coming');
+        assert.deepEqual(body[1], { success: false, id: 1399, season: 1, error: 'Missing id, season, or episode' });
+    });
+
+    it('answers 503 when no TMDB key is configured', async () => {
+        const keyless = await startApp(stub, { TMDB_API_KEY: '' });
+        try {
+            const { status } = await keyless.request('/tmdb/bulk', { json: { requests: [{ type: 'movie', id: 550 }] } });
+            assert.equal(status, 503);
+        } finally {
+            await keyless.close();
+        }
+    });
+});
@@ -0,0 +1,179 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub, startApp } from '../support/harness.js';
+import { createFakeSupabase } from '../support/fakeSupabase.js';
+
+const AUTH = { authorization: 'Bearer token-a' };
+const ENV = {
+    OAUTH_STATE_SECRET: 'test-state-secret',
+    TRAKT_CLIENT_ID: 'trakt-client',
+    TRAKT_CLIENT_SECRET: 'trakt-secret'
+};
+
+const traktAccount = () => ({
+    user_id: 'user-a', provider: 'trakt', remote_user_id: 'spike', remote_username: 'spike',
+    access_token: 'trakt-token', refresh_token: 'refresh', expires_at: '2099-01-01T00:00:00.000Z'
+});
+
+describe('/trakt', () => {
+    let stub;
+    let api;
+    let supabase;
+
+    const start = async (tables = {}) => {
+        supabase = createFakeSupabase({
+            users: { 'token-a': { id: 'user-a' } },
+            tables: { linked_accounts: [], watch_history: [], watch_progress: [], ...tables }
+        });
+        api = await startApp(stub, ENV, { supabase });
+    };
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(() => start());
+    afterEach(async () => {
+        await api.close();
+        stub.reset();
+    });
+
+    it('imports history by TMDB or IMDb ID and skips what is already there', async () => {
+        await api.close();
+        await start({
+            watch_history: [{ id: 1, user_id: 'user-a', media_type: 'movie', media_id: '550', season_number: null, episode_number: null, watched_at: '2024-01-01T00:00:00.000Z' }]
+        });
+
+        const { status, body } = await api.request('/trakt/import', {
+            headers: AUTH,
+            json: {
+                items: [
+                    { watched_at: '2024-02-01T20:00:00.000Z', type: 'movie', movie: { title: 'Fight Club', ids: { tmdb: 550 } } },
+                    { watched_at: '2024-02-02T20:00:00.000Z', type: 'episode', show: { ids: { imdb: 'tt0213338' } }, episode: { season: 1, number: 3 } },
+                    { watched_at: '2024-02-03T20:00:00.000Z', type: 'episode', show: { ids: { trakt: 1 } }, episode: { season: 1, number: 1 } },
+                    { type: 'movie', movie: { ids: { tmdb: 13 } } }
+                ]
+            }
+        });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body, { history: 1, progress: 0, duplicates: 1, unmatched: 1, invalid: 1 });
+        assert.deepEqual(supabase.tables.watch_history.at(-1), {
+            id: supabase.tables.watch_history.at(-1).id,
+            user_id: 'user-a', media_type: 'tv', media_id: '30991', season_number: 1, episode_number: 3, watched_at: '2024-02-02T20:00:00.000Z'
+        });
+    });
+
+    it('finds what is already there in a history longer than one page', async () => {
+        await api.close();
+        const episodes = Array.from({ length: 1000 }, (_, index) => ({
+            id: index + 1, user_id: 'user-a', media_type: 'tv', media_id: '1399', season_number: 1 + Math.floor(index / 10), episode_number: 1 + (index % 10), watched_at: '2024-01-01T00:00:00.000Z'
+        }));
+        await start({
+            watch_history: [...episodes, { id: 1001, user_id: 'user-a', media_type: 'movie', media_id: '550', season_number: null, episode_number: null, watched_at: '2024-01-01T00:00:00.000Z' }]
+        });
+
+        const { body } = await api.request('/trakt/import', {
+            headers: AUTH,
+            json: { items: [{ watched_at: '2024-02-01T20:00:00.000Z', type: 'movie', movie: { title: 'Fight Club', ids: { tmdb: 550 } } }] }
+        });
+
+        assert.deepEqual(body, { history: 0, progress: 0, duplicates: 1, unmatched: 0, invalid: 0 });
+        assert.equal(supabase.tables.watch_history.length, 1001);
+    });
+
+    it('turns playback percentages into positions from the TMDB runtime', async () => {
+        const { body } = await api.request('/trakt/import', {
+            headers: AUTH,
+            json: {
+                items: [
+                    { progress: 50, paused_at: '2024-03-01T10:00:00.000Z', type: 'movie', movie: { ids: { tmdb: 550 } } },
+                    { progress: 25, paused_at: '2024-03-02T10:00:00.000Z', type: 'episode', show: { ids: { tmdb: 1399 } }, episode: { season: 1, number: 1 } }
+                ]
+            }
+        });
+
+        assert.equal(body.progress, 2);
+        const [movie, episode] = supabase.tables.watch_progress;
+        assert.equal(movie.progress_seconds, 4170);
+        assert.equal(movie.duration_seconds, 139 * 60);
+        assert.equal(movie.updated_at, '2024-03-01T10:00:00.000Z');
+        assert.equal(episode.progress_seconds, 930);
+        assert.equal(episode.season_number, 1);
+    });
+
+    it('rejects batches that are empty or too large', async () => {
+        assert.equal((await api.request('/trakt/import', { headers: AUTH, json: { items: [] } })).status, 400);
+        const items = Array.from({ length: 251 }, () => ({ watched_at: '2024-01-01T00:00:00.000Z', type: 'movie', movie: { ids: { tmdb: 550 } } }));
+        assert.equal((await api.request('/trakt/import', { headers: AUTH, json: { items } })).status, 413);
+    });
+
+    it('exports history and playback in Trakt format', async () => {
+        await api.close();
+        await start({
+            watch_history: [
+                { id: 1, user_id: 'user-a', media_type: 'movie', media_id: '550', season_number: null, episode_number: null, watched_at: '2024-01-01T00:00:00.000Z' },
+                { id: 2, user_id: 'user-a', media_type: 'anime', media_id: '1', season_number: null, episode_number: 5, watched_at: '2024-01-02T00:00:00.000Z' },
+                { id: 3, user_id: 'user-b', media_type: 'movie', media_id: '13', season_number: null, episode_number: null, watched_at: '2024-01-03T00:00:00.000Z' }
+            ],
+            watch_progress: [
+                { id: 7, user_id: 'user-a', media_type: 'tv', media_id: '1399', season_number: 1, episode_number: 1, progress_seconds: 930, duration_seconds: 3720, updated_at: '2024-03-02T10:00:00.000Z' }
+            ]
+        });
+
+        const history = await api.request('/trakt/export/history', { headers: AUTH });
+        assert.match(history.headers.get('content-disposition'), /trakt-history\.json/);
+        assert.deepEqual(history.body.map(item => item.id), [2, 1]);
+        assert.deepEqual(history.body[0].episode, { season: 1, number: 5 });
+        assert.equal(history.body[0].show.ids.tmdb, 30991);
+        assert.deepEqual(history.body[1], { id: 1, watched_at: '2024-01-01T00:00:00.000Z', action: 'watch', type: 'movie', movie: { ids: { tmdb: 550 } } });
+
+        const playback = await api.request('/trakt/export/playback', { headers: AUTH });
+        assert.deepEqual(playback.body, [{
+            id: 7, progress: 25, paused_at: '2024-03-02T10:00:00.000Z',
+            type: 'episode', show: { ids: { tmdb: 1399 } }, episode: { season: 1, number: 1 }
+        }]);
+    });
+
+    it('keeps each viewer profile\'s history apart', async () => {
+        await api.close();
+        await start({
+            viewer_profiles: [
+                { id: 'profile-spike', user_id: 'user-a', name: 'Spike', is_default: true },
+                { id: 'profile-ed', user_id: 'user-a', name: 'Ed', is_default: false }
+            ],
+            watch_history: [
+                { id: 1, user_id: 'user-a', profile_id: 'profile-spike', media_type: 'movie', media_id: '550', season_number: null, episode_number: null, watched_at: '2024-01-01T00:00:00.000Z' }
+            ]
+        });
+
+        const { body } = await api.request('/trakt/import', {
+            headers: { ...AUTH, 'x-viewer-profile': 'profile-ed' },
+            json: { items: [{ watched_at: '2024-02-01T20:00:00.000Z', type: 'movie', movie: { ids: { tmdb: 550 } } }] }
+        });
+        assert.equal(body.history, 1);
+        assert.equal(supabase.tables.watch_history.at(-1).profile_id, 'profile-ed');
+
+        // Without the header, or with another account's profile, the default profile is used
+        for (const headers of [AUTH, { ...AUTH, 'x-viewer-profile': 'profile-of-user-b' }]) {
+            const history = await api.request('/trakt/export/history', { headers });
+            assert.deepEqual(history.body.map(item => item.watched_at), ['2024-01-01T00:00:00.000Z']);
+        }
+    });
+
+    it('forwards scrobbles to a linked Trakt account', async () => {
+        const scrobble = { media_type: 'tv', media_id: '1399', season: 1, episode: 1, progress: 12.345 };
+
+        const unlinked = await api.request('/trakt/scrobble/start', { headers: AUTH, json: scrobble });
+        assert.deepEqual(unlinked.body, { scrobbled: false, reason: 'not_linked' });
+
+        await api.close();
+        await start({ linked_accounts: [traktAccount()] });
+        stub.use({ method: 'POST', host: 'api.trakt.tv', path: '/scrobble/pause', status: 201, json: { action: 'pause' } });
+
+        const { body } = await api.request('/trakt/scrobble/pause', { headers: AUTH, json: scrobble });
+        assert.deepEqual(body, { scrobbled: true });
+        const sent = stub.requests.find(request => request.host === 'api.trakt.tv');
+        assert.deepEqual(sent.graphql, { show: { ids: { tmdb: 1399 } }, episode: { season: 1, number: 1 }, progress: 12.35 });
+
+        assert.equal((await api.request('/trakt/scrobble/rewind', { headers: AUTH, json: scrobble })).status, 404);
+    });
+});
@@ -0,0 +1,118 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub, startApp, tmdbRoute, outage } from '../support/harness.js';
+import { createUpstream } from '../../api/lib/upstream.js';
+
+const MOVIE_URL = 'https://api.themoviedb.org/3/movie/550';
+
+describe('upstream client', () => {
+    let stub;
+    let upstream;
+
+    before(async () => { stub = await startStub(); });
+    after(() => stub.close());
+    beforeEach(() => { upstream = createUpstream({ fetch: stub.fetch }); });
+    afterEach(() => stub.reset());
+
+    it('waits out a short Retry-After on 429 and retries', async () => {
+        stub.use(tmdbRoute('/3/movie/550', { status: 429, headers: { 'Retry-After': '1' }, json: {}, times: 1 }));
+
+        const startedAt = Date.now();
+        const response = await upstream.fetch(MOVIE_URL);
+
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).title, 'Fight Club');
+        assert.ok(Date.now() - startedAt >= 900);
+        assert.equal(stub.requests.length, 2);
+        const state = upstream.state('tmdb');
+        assert.equal(state.rateLimited, 1);
+        assert.equal(state.retries, 1);
+        assert.equal(state.circuit.status, 'closed');
+    });
+
+    it('returns a long Retry-After to the caller and caps the provider pause', async () => {
+        stub.use(tmdbRoute('/3/movie/550', { status: 429, headers: { 'Retry-After': '86400' }, json: {} }));
+
+        const response = await upstream.fetch(MOVIE_URL);
+
+        assert.equal(response.status, 429);
+        assert.equal(stub.requests.length, 1);
+        const { limiter, retries } = upstream.state('tmdb');
+        assert.equal(retries, 0);
+        assert.ok(Date.parse(limiter.pausedUntil) <= Date.now() + 60000);
+    });
+
+    it('retries a 503', async () => {
+        stub.use(outage(tmdbRoute('/3/movie/550', { times: 2 })));
+
+        const response = await upstream.fetch(MOVIE_URL);
+
+        assert.equal(response.status, 200);
+        assert.equal(stub.requests.length, 3);
+        assert.equal(upstream.state('tmdb').retries, 2);
+    });
+
+    it('stops retrying once the retry budget is spent', async () => {
+        stub.use(outage(tmdbRoute('/3/movie/550')));
+
+        const statuses = [];
+        for (let i = 0; i < 5; i++) {
+            statuses.push((await upstream.fetch(MOVIE_URL)).status);
+        }
+
+        assert.deepEqual(statuses, [503, 503, 503, 503, 503]);
+        // 3 + 3 + 3 + 1 + 0: each request earns back a fifth of a retry
+        assert.equal(upstream.state('tmdb').retries, 10);
+        assert.equal(upstream.state('tmdb').retryBudget, 0);
+        assert.equal(stub.requests.length, 15);
+    });
+});
+
+describe('GET /health/:service circuit breaker', () => {
+    let stub;
+    let api;
+
+    before(async () => {
+        stub = await startStub();
+        // Only the clock is mocked; retries and sockets still use real timers
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        api = await startApp(stub);
+    });
+    after(async () => {
+        await api.close();
+        await stub.close();
+        mock.timers.reset();
+    });
+
+    it('opens after repeated failures, probes once half-open and closes on success', async () => {
+        stub.use(outage(tmdbRoute('/3/configuration')));
+
+        for (let i = 0; i < 4; i++) {
+            const { status, body } = await api.request('/health/tmdb');
+            assert.equal(status, 503);
+            assert.equal(body.status, 'unavailable');
+        }
+        let { body } = await api.request('/health/tmdb');
+        assert.equal(body.upstream.circuit.status, 'open');
+
+        const requestsWhileOpen = stub.requests.length;
+        ({ body } = await api.request('/health/tmdb'));
+        assert.equal(body.status, 'circuit_open');
+        assert.equal(stub.requests.length, requestsWhileOpen);
+
+        mock.timers.tick(30000);
+        stub.use(tmdbRoute('/3/configuration', { json: { images: {} }, delayMs: 200 }));
+
+        // The probe holds the half-open circuit; a concurrent check is turned away
+        const probe = api.request('/health/tmdb');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        ({ body } = await api.request('/health/tmdb'));
+        assert.equal(body.status, 'circuit_open');
+        assert.equal(body.upstream.circuit.status, 'half-open');
+
+        ({ body } = await probe);
+        assert.equal(body.status, 'ok');
+        assert.equal(body.upstream.circuit.status, 'closed');
+        assert.equal(body.upstream.circuit.failures, 0);
+    });
+});
@@ -0,0 +1,152 @@
+// --- In-memory Supabase ---
+// Enough of the service-role client for the API's user-data routes and jobs.
+// Access tokens map to users; tables are plain arrays of rows, and storage
+// buckets plain arrays of object paths. Like PostgREST, a read returns at
+// most `maxRows` rows unless it asks for a range.
+//
+//   const supabase = createFakeSupabase({
+//       users: { 'token-a': { id: 'user-a' } },
+//       tables: { favorites: [{ user_id: 'user-a', media_id: 21, media_type: 'anime' }] },
+//       files: { avatars: ['user-a/avatar.png'] }
+//   });
+
+const pick = (row, columns) => {
+    if (!columns || columns.trim() === '*') return { ...row };
+    return Object.fromEntries(columns.split(',').map(column => column.trim()).map(column => [column, row[column]]));
+};
+
+// Rows written by upsert() replace the row with the same `onConflict` columns
+const upsertRows = (existing, rows, { onConflict, ignoreDuplicates = false } = {}) => {
+    const keys = (onConflict || 'id').split(',').map(column => column.trim());
+    [].concat(rows).forEach(row => {
+        const index = existing.findIndex(current => keys.every(key => String(current[key]) === String(row[key])));
+        if (index === -1) existing.push({ ...row });
+        else if (!ignoreDuplicates) existing[index] = { ...existing[index], ...row };
+    });
+};
+
+export const createFakeSupabase = ({ users = {}, tables = {}, files = {}, maxRows = 1000 } = {}) => {
+    let nextId = 1;
+    const withId = (row) => ({ id: nextId++, ...row });
+
+    const query = (table) => {
+        const filters = [];
+        let columns = '*';
+        let write = null;
+        let returning = false;
+        const orders = [];
+        let range = [0, maxRows - 1];
+
+        const matching = (row) => filters.every(test => test(row));
+
+        const run = () => {
+            if (write) {
+                tables[table] = tables[table] || [];
+                const written = write(tables[table]) || [];
+                return { data: returning ? written.map(row => pick(row, columns)) : null, error: null };
+            }
+            const rows = (tables[table] || []).filter(matching);
+            const compare = (a, b, { column, ascending }) => (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0) * (ascending ? 1 : -1);
+            rows.sort((a, b) => orders.reduce((result, order) => result || compare(a, b, order), 0));
+            const [from, to] = range;
+            return { data: rows.slice(from, Math.min(to, from + maxRows - 1) + 1).map(row => pick(row, columns)), error: null };
+        };
+
+        const builder = {
+            // After a write, select() returns the rows it changed, like `Prefer: return=representation`
+            select: (selected = '*') => {
+                columns = selected;
+                returning = write !== null;
+                return builder;
+            },
+            eq: (column, value) => {
+                filters.push(row => row[column] === value);
+                return builder;
+            },
+            gt: (column, value) => {
+                filters.push(row => row[column] > value);
+                return builder;
+            },
+            in: (column, values) => {
+                filters.push(row => values.includes(row[column]));
+                return builder;
+            },
+            order: (column, { ascending = true } = {}) => {
+                orders.push({ column, ascending });
+                return builder;
+            },
+            range: (from, to) => {
+                range = [from, to];
+                return builder;
+            },
+            upsert: (rows, options) => {
+                write = (existing) => upsertRows(existing, rows, options);
+                return builder;
+            },
+            // Inserted rows get an `id`, like the identity columns of the real tables
+            insert: (rows) => {
+                write = (existing) => {
+                    const inserted = [].concat(rows).map(withId);
+                    existing.push(...inserted);
+                    return inserted;
+                };
+                return builder;
+            },
+            // update() and delete() apply to the rows matched by the filters that follow
+            update: (values) => {
+                write = (existing) => existing.filter(matching).map(row => Object.assign(row, values));
+                return builder;
+            },
+            delete: () => {
+                write = (existing) => {
+                    const removed = existing.filter(matching);
+                    existing.splice(0, existing.length, ...existing.filter(row => !matching(row)));
+                    return removed;
+                };
+                return builder;
+            },
+            maybeSingle: async () => {
+                const { data, error } = run();
+                return { data: data?.[0] || null, error };
+            },
+            then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+        };
+        return builder;
+    };
+
+    // list() returns the objects directly inside a folder, like Storage does:
+    // sorted by name, `limit` (100 by default) at a time from `offset`
+    const bucket = (name) => ({
+        list: async (folder, { limit = 100, offset = 0 } = {}) => ({
+            data: (files[name] || [])
+                .filter(path => path.startsWith(`${folder}/`) && !path.slice(folder.length + 1).includes('/'))
+                .map(path => ({ name: path.slice(folder.length + 1) }))
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .slice(offset, offset + limit),
+            error: null
+        }),
+        remove: async (paths) => {
+            files[name] = (files[name] || []).filter(path => !paths.includes(path));
+            return { data: paths.map(path => ({ name: path })), error: null };
+        }
+    });
+
+    return {
+        tables,
+        files,
+        auth: {
+            getUser: async (token) => (users[token]
+                ? { data: { user: users[token] }, error: null }
+                : { data: { user: null }, error: { message: 'invalid JWT' } }),
+            admin: {
+                // Drops the user's sessions; table cascades are up to the test
+                deleteUser: async (id) => {
+                    Object.keys(users).filter(token => users[token].id === id).forEach(token => delete users[token]);
+                    return { data: {}, error: null };
+                }
+            }
+        },
+        storage: { from: bucket },
+        from: query
+    };
+};
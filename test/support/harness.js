@@ -0,0 +1,102 @@
+import { createApp } from '../../api/app.js';
+import { attachPartySocket } from '../../api/party/socket.js';
+import { createResponseCache } from '../../api/lib/cache.js';
+import { listSourceIds, getSource } from '../../api/sources/index.js';
+import { createStubServer } from './stubServer.js';
+
+export const TEST_ENV = {
+    NODE_ENV: 'test',
+    TMDB_API_KEY: 'test-tmdb-key',
+    ADMIN_API_KEY: 'test-admin-key'
+};
+
+const TMDB = 'api.themoviedb.org';
+const ANILIST = 'graphql.anilist.co';
+
+// GraphQL queries are told apart by a fragment unique to each caller
+export const GRAPHQL = {
+    mappingById: /Media\(id: \$id, type: ANIME\) \{ id idMal format/,
+    mappingByMal: /Media\(idMal: \$idMal/,
+    enhanced: 'characters(sort: ROLE',
+    search: 'media(search: $search',
+    trending: 'trending: Page',
+    episodes: 'streamingEpisodes',
+    franchise: 'media(id_in: $ids',
+    latestEpisodes: /media\(id_in: \$ids[\s\S]*nextAiringEpisode/,
+    schedule: 'airingSchedules('
+};
+
+// The recorded happy path: AniList 1 <-> MAL 1 <-> TMDB tv 30991 <-> IMDb tt0213338
+export const DEFAULT_ROUTES = [
+    { method: 'POST', host: ANILIST, path: '/', graphql: GRAPHQL.mappingById, fixture: 'anilist/media-1.json' },
+    { method: 'POST', host: ANILIST, path: '/', graphql: GRAPHQL.mappingByMal, fixture: 'anilist/media-1.json' },
+    { method: 'POST', host: ANILIST, path: '/', graphql: GRAPHQL.enhanced, fixture: 'anilist/media-1-enhanced.json' },
+    { method: 'POST', host: ANILIST, path: '/', graphql: GRAPHQL.search, fixture: 'anilist/search-cowboy-bebop.json' },
+    { method: 'POST', host: ANILIST, path: '/', graphql: GRAPHQL.trending, fixture: 'anilist/trending.json' },
+    { method: 'POST', host: ANILIST, path: '/', graphql: GRAPHQL.episodes, fixture: 'anilist/media-1-episodes.json' },
+    // Also a media(id_in:) query, so it must come before the franchise route
+    { method: 'POST', host: ANILIST, path: '/', graphql: GRAPHQL.latestEpisodes, fixture: 'anilist/latest-episodes.json' },
+    { method: 'POST', host: ANILIST, path: '/', graphql: GRAPHQL.franchise, fixture: 'anilist/franchise-1.json' },
+    { method: 'POST', host: ANILIST, path: '/', graphql: GRAPHQL.schedule, fixture: 'anilist/airing-schedules.json' },
+    { host: TMDB, path: '/3/find/1', query: { external_source: 'myanimelist_id' }, fixture: 'tmdb/find-mal-1.json' },
+    { host: TMDB, path: '/3/find/tt0213338', query: { external_source: 'imdb_id' }, fixture: 'tmdb/find-mal-1.json' },
+    { host: TMDB, path: '/3/tv/30991/external_ids', fixture: 'tmdb/tv-30991-external_ids.json' },
+    { host: TMDB, path: '/3/tv/30991', fixture: 'tmdb/tv-30991.json' },
+    { host: TMDB, path: '/3/tv/30991/season/1', fixture: 'tmdb/tv-30991-season-1.json' },
+    { host: TMDB, path: '/3/tv/94997', fixture: 'tmdb/tv-94997.json' },
+    { host: TMDB, path: '/3/movie/550', fixture: 'tmdb/movie-550.json' },
+    { host: TMDB, path: '/3/tv/1399/season/1/episode/1', fixture: 'tmdb/tv-1399-episode-1-1.json' },
+    { host: TMDB, path: '/3/search/movie', query: { query: 'Cowboy Bebop' }, fixture: 'tmdb/search-movie-cowboy-bebop.json' },
+    { host: TMDB, path: '/3/search/tv', query: { query: 'Cowboy Bebop' }, fixture: 'tmdb/search-tv-cowboy-bebop.json' },
+    { host: TMDB, path: '/3/discover/tv', query: { with_keywords: '210024' }, fixture: 'tmdb/discover-tv-anime.json' },
+    { host: TMDB, path: '/3/discover/movie', query: { with_keywords: '210024' }, fixture: 'tmdb/discover-movie-anime.json' },
+    { host: 'shikimori.one', path: '/api/animes/1', fixture: 'shikimori/anime-1.json' },
+    { host: 'shikimori.one', path: '/api/animes/1/episodes', fixture: 'shikimori/anime-1-episodes.json' },
+    { host: 'api.consumet.org', path: '/anime/gogoanime/top-airing', fixture: 'consumet/top-airing.json' },
+    // Streaming sources only get HEAD probes
+    ...listSourceIds().map(id => ({ method: 'HEAD', host: new URL(getSource(id).baseUrl).host, path: /.*/ }))
+];
+
+// A provider outage. Retry-After: 0 keeps the client's retries instant.
+export const outage = (route) => ({ ...route, fixture: undefined, status: 503, headers: { 'Retry-After': '0' }, json: { error: 'Service Unavailable' } });
+
+export const anilistRoute = (graphql, extra) => ({ method: 'POST', host: ANILIST, path: '/', graphql, ...extra });
+export const tmdbRoute = (path, extra) => ({ host: TMDB, path, ...extra });
+
+export const startStub = async () => {
+    const stub = createStubServer(DEFAULT_ROUTES);
+    await stub.start();
+    return stub;
+};
+
+// Every upstream host resolves to a public address, so the
+// image proxy's private address check passes unless a test says otherwise
+export const publicLookup = async () => [{ address: '93.184.216.34', family: 4 }];
+
+// A fresh app (own cache, rate limiters and mapping store) wired to the stub.
+// Pass a createFakeSupabase() client to exercise signed-in routes.
+export const startApp = async (stub, env = {}, { lookup = publicLookup, supabase = null } = {}) => {
+    const app = createApp({ fetch: stub.fetch, env: { ...TEST_ENV, ...env }, cache: createResponseCache(), lookup, supabase });
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    // Served like api/index.js does when it listens
+    app.locals.partySocket = attachPartySocket(server, app.locals);
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (path, options = {}) => {
+        const { json, ...rest } = options;
+        const response = await fetch(base + path, json === undefined ? rest : {
+            method: 'POST',
+            ...rest,
+            headers: { 'Content-Type': 'application/json', ...rest.headers },
+            body: JSON.stringify(json)
+        });
+        const raw = Buffer.from(await response.arrayBuffer());
+        const isJson = (response.headers.get('content-type') || '').includes('json');
+        const body = raw.length === 0 ? null : isJson ? JSON.parse(raw) : raw.toString('utf8');
+        return { status: response.status, headers: response.headers, body, raw };
+    };
+
+    return { request, base, close: () => new Promise(resolve => server.close(resolve)) };
+};
@@ -0,0 +1,117 @@
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+
+// --- Upstream Stub Server ---
+// Replays recorded upstream responses from test/fixtures. The app under test
+// gets `stub.fetch`, which rewrites every outgoing https://<host>/<path> to
+// http://127.0.0.1:<port>/<host>/<path>, so no request ever leaves the machine.
+//
+// A route looks like:
+//   { method: 'GET', host: 'api.themoviedb.org', path: '/3/tv/30991',
+//     query: { append_to_response: 'external_ids' }, graphql: /Media\(id/,
+//     status: 200, headers: {}, delayMs: 0, times: 1, fixture: 'tmdb/tv-30991.json' | json: {...} | raw: Buffer }
+// `path` may be a string or a RegExp. `query` must be a subset of the request's
+// query string. `graphql` is matched against the query of a GraphQL POST body.
+// A route with `times` stops matching after answering that many requests.
+// Routes added with use() take precedence over the defaults until reset().
+
+const FIXTURES_DIR = new URL('../fixtures/', import.meta.url);
+
+export const loadFixture = (name) => JSON.parse(readFileSync(new URL(name, FIXTURES_DIR), 'utf8'));
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+});
+
+const matches = (route, request) => {
+    if ((route.method || 'GET') !== request.method) return false;
+    if (route.host !== request.host) return false;
+    if (route.path instanceof RegExp ? !route.path.test(request.path) : route.path !== request.path) return false;
+    if (route.query && Object.entries(route.query).some(([key, value]) => request.query.get(key) !== String(value))) {
+        return false;
+    }
+    if (route.graphql) {
+        const query = request.graphql?.query || '';
+        return route.graphql instanceof RegExp ? route.graphql.test(query) : query.includes(route.graphql);
+    }
+    return true;
+};
+
+export const createStubServer = (defaultRoutes = []) => {
+    let overrides = [];
+    const requests = [];
+    const unmatched = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const served = new WeakMap();
+
+    const server = http.createServer(async (req, res) => {
+        const target = new URL(req.url, 'http://stub');
+        const [, host, ...rest] = target.pathname.split('/');
+        const raw = await readBody(req);
+        let graphql = null;
+        try {
+            graphql = raw ? JSON.parse(raw) : null;
+        } catch {
+            graphql = null;
+        }
+
+        const request = { method: req.method, host, path: `/${rest.join('/')}`, query: target.searchParams, graphql };
+        requests.push(request);
+
+        const route = [...overrides, ...defaultRoutes].find(candidate =>
+            (candidate.times === undefined || (served.get(candidate) || 0) < candidate.times) && matches(candidate, request));
+        if (route) served.set(route, (served.get(route) || 0) + 1);
+        if (!route) {
+            unmatched.push(`${request.method} ${host}${request.path}${target.search}`);
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ status_message: 'No fixture recorded for this request.' }));
+        }
+
+        if (route.delayMs) {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            await new Promise(resolve => setTimeout(resolve, route.delayMs));
+            inFlight--;
+        }
+
+        if (route.raw) {
+            res.writeHead(route.status || 200, { 'Content-Type': 'application/octet-stream', ...route.headers });
+            return res.end(req.method === 'HEAD' ? undefined : route.raw);
+        }
+
+        const body = route.fixture ? loadFixture(route.fixture) : route.json;
+        res.writeHead(route.status || 200, { 'Content-Type': 'application/json', ...route.headers });
+        res.end(body === undefined || req.method === 'HEAD' ? undefined : JSON.stringify(body));
+    });
+
+    const start = () => new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const fetch = (input, options = {}) => {
+        const url = new URL(String(input));
+        // `timeout` is not a fetch option; some routes pass it anyway
+        const { timeout, ...rest } = options;
+        const { port } = server.address();
+        return globalThis.fetch(`http://127.0.0.1:${port}/${url.host}${url.pathname}${url.search}`, rest);
+    };
+
+    return {
+        start,
+        fetch,
+        requests,
+        unmatched,
+        // Highest number of concurrent requests seen on routes with a delay
+        maxInFlight: () => maxInFlight,
+        use: (...routes) => { overrides = [...routes, ...overrides]; },
+        reset: () => {
+            overrides = [];
+            requests.length = 0;
+            unmatched.length = 0;
+            maxInFlight = 0;
+        },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
@@ -0,0 +1,57 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { watchPlayerReady, nextCandidate, PLAYER_READY_TIMEOUT_MS } from '../../src/utils/playerEvents.js';
+
+describe('watchPlayerReady', () => {
+    beforeEach(() => mock.timers.enable({ apis: ['setTimeout'] }));
+    afterEach(() => mock.timers.reset());
+
+    it('fails a silent primary over to the next candidate', () => {
+        const candidates = [{ source: 'primary' }, { source: 'backup' }, { source: 'last' }];
+        const failed = new Set();
+        const played = [];
+
+        // As the Watch page does: one watchdog per candidate, failing over on timeout
+        const play = (candidate) => {
+            played.push(candidate.source);
+            return watchPlayerReady({
+                onReady: () => played.push(`${candidate.source} ready`),
+                onTimeout: () => {
+                    failed.add(candidate.source);
+                    const next = nextCandidate(candidates, failed);
+                    if (next) watchdog = play(next);
+                }
+            });
+        };
+        let watchdog = play(candidates[0]);
+
+        // The primary's page loads, but its player never says a word
+        mock.timers.tick(PLAYER_READY_TIMEOUT_MS);
+        assert.deepEqual(played, ['primary', 'backup']);
+
+        watchdog.handleEvent({ type: 'timeupdate', currentTime: 1, duration: 1420 });
+        mock.timers.tick(PLAYER_READY_TIMEOUT_MS * 2);
+        assert.deepEqual(played, ['primary', 'backup', 'backup ready']);
+    });
+
+    it('only counts events that prove playback, once', () => {
+        const calls = [];
+        const watchdog = watchPlayerReady({ onReady: () => calls.push('ready'), onTimeout: () => calls.push('timeout') });
+
+        watchdog.handleEvent({ type: 'pause', currentTime: 0 });
+        watchdog.handleEvent({ type: 'error', message: 'Video unavailable' });
+        assert.deepEqual(calls, []);
+
+        watchdog.handleEvent({ type: 'play', currentTime: 0 });
+        watchdog.handleEvent({ type: 'ready' });
+        mock.timers.tick(PLAYER_READY_TIMEOUT_MS);
+        assert.deepEqual(calls, ['ready']);
+    });
+
+    it('stays quiet once cancelled', () => {
+        const calls = [];
+        watchPlayerReady({ onReady: () => calls.push('ready'), onTimeout: () => calls.push('timeout') }).cancel();
+        mock.timers.tick(PLAYER_READY_TIMEOUT_MS);
+        assert.deepEqual(calls, []);
+    });
+});
@@ -0,0 +1,18 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { watchPath, getPartyLink } from '../../src/utils/watchLinks.js';
+
+describe('watch links', () => {
+    it('builds Watch page paths for movies and episodes', () => {
+        assert.equal(watchPath({ type: 'movie', id: '550', season: null, episode: null }), '/watch/movie/550');
+        assert.equal(watchPath({ type: 'anime', id: '1', season: 1, episode: 5 }), '/watch/anime/1/season/1/episode/5');
+    });
+
+    it('puts the invite in the hash, where the app routes', () => {
+        const link = getPartyLink('abc123', { type: 'tv', id: '1399', season: 2, episode: 3 }, 'https://fylm.example');
+        assert.equal(link, 'https://fylm.example/#/watch/tv/1399/season/2/episode/3?party=abc123');
+
+        const { hash } = new URL(link);
+        assert.equal(new URLSearchParams(hash.split('?')[1]).get('party'), 'abc123');
+    });
+});